@@ -10,6 +10,9 @@ const morgan = require('morgan');
 const configService = require('./utils/configService');
 const logger = require('./utils/logger');
 const errorHandler = require('./utils/errorHandler.js');
+const requestId = require('./middleware/requestId');
+const adminAuth = require('./middleware/adminAuth');
+const metrics = require('./utils/metrics');
 const routes = require('./routes');
 
 // Initialize Express app
@@ -19,6 +22,9 @@ const app = express();
 app.use(helmet());
 app.use(cors());
 
+// Tag each request with an id for logs and error responses
+app.use(requestId);
+
 // Parse JSON bodies
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
@@ -36,6 +42,19 @@ app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// Prometheus metrics endpoint, opt-in and admin only since it exposes traffic and error details
+if (configService.get('metrics.enabled')) {
+  app.get('/metrics', adminAuth, async (req, res, next) => {
+    try {
+      res.set('Content-Type', metrics.register.contentType);
+      res.end(await metrics.register.metrics());
+    } catch (error) {
+      logger.error(`Error collecting metrics: ${error.message}`);
+      next(error);
+    }
+  });
+}
+
 // API routes
 const apiPrefix = configService.get('api.prefix');
 const apiVersion = configService.get('api.version');
@@ -0,0 +1,326 @@
+/**
+ * Controller for vector collection administration
+ * Lets operators inspect and repair the index without running scripts against production
+ */
+const { StatusCodes } = require('http-status-codes');
+const logger = require('../utils/logger');
+const { sendError } = require('../utils/errorResponse');
+const VectorStore = require('../services/vectorStore');
+const ApiKeyService = require('../services/apiKeyService');
+
+// Initialize the vector store for the configured collection or alias, and the API key service
+const vectorStore = new VectorStore();
+const apiKeyService = new ApiKeyService();
+
+/**
+ * Send the response used when a request references an unknown point
+ * @param {Object} res - Express response object
+ * @returns {Object} Express response
+ */
+const sendPointNotFound = (res) => sendError(res, StatusCodes.NOT_FOUND, 'Point not found');
+
+/**
+ * Qdrant and the local store both report missing collections as "Not found"
+ * @param {Error} error - Error thrown by the vector store
+ * @returns {boolean} True if the collection does not exist
+ */
+const isCollectionNotFound = (error) => error.status === StatusCodes.NOT_FOUND || /not found/i.test(error.message);
+
+/**
+ * Point ids are unsigned integers or UUIDs; route params arrive as strings
+ * @param {string} id - Point id from the request
+ * @returns {number|string} Point id as stored
+ */
+const parsePointId = (id) => (/^\d+$/.test(id) ? parseInt(id, 10) : id);
+
+/**
+ * Get collection info and point count
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+const getCollection = async (req, res, next) => {
+  try {
+    const [info, collection] = await Promise.all([
+      vectorStore.getCollectionInfo(),
+      vectorStore.resolveAlias()
+    ]);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: {
+        name: vectorStore.collectionName,
+        collection: collection || vectorStore.collectionName,
+        pointCount: info.points_count,
+        info
+      }
+    });
+  } catch (error) {
+    if (isCollectionNotFound(error)) {
+      return sendError(res, StatusCodes.NOT_FOUND, `Collection ${vectorStore.collectionName} does not exist`);
+    }
+    logger.error(`Error getting collection info: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get vector store operation and embedding cache statistics
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+const getCollectionStats = async (req, res, next) => {
+  try {
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: await vectorStore.getStats()
+    });
+  } catch (error) {
+    logger.error(`Error getting vector store stats: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Run a sample search against the collection
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+const testSearch = async (req, res, next) => {
+  try {
+    const result = await vectorStore.testSearch(req.body.query);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error(`Error running test search: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Delete the collection; the name must be repeated in the confirm query parameter
+ * When the configured name is an alias, the collection it points to is deleted along with the alias
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+const deleteCollection = async (req, res, next) => {
+  try {
+    if (req.query.confirm !== vectorStore.collectionName) {
+      return sendError(res, StatusCodes.BAD_REQUEST, `Set confirm=${vectorStore.collectionName} to delete the collection`);
+    }
+
+    const collection = (await vectorStore.resolveAlias()) || vectorStore.collectionName;
+    await new VectorStore({ collectionName: collection }).deleteCollection();
+    logger.warn(`Collection ${collection} deleted through the admin API`);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: {
+        deleted: collection
+      }
+    });
+  } catch (error) {
+    logger.error(`Error deleting collection: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Page through points, optionally filtered by chapter, verse or document type
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+const listPoints = async (req, res, next) => {
+  try {
+    const { chapter, verse, doc_type: docType, limit = 20, offset } = req.query;
+
+    const page = await vectorStore.browsePoints({ chapter, verse, doc_type: docType }, {
+      limit,
+      offset: offset !== undefined ? parsePointId(offset) : null
+    });
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: page
+    });
+  } catch (error) {
+    logger.error(`Error listing points: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get a single point
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+const getPoint = async (req, res, next) => {
+  try {
+    const point = await vectorStore.getPoint(parsePointId(req.params.id));
+    if (!point) {
+      return sendPointNotFound(res);
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: point
+    });
+  } catch (error) {
+    logger.error(`Error getting point: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Change the text or metadata of a point
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+const patchPoint = async (req, res, next) => {
+  try {
+    const { text, metadata } = req.body;
+    const point = await vectorStore.patchPoint(parsePointId(req.params.id), { text, metadata });
+    if (!point) {
+      return sendPointNotFound(res);
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: point
+    });
+  } catch (error) {
+    logger.error(`Error patching point: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Delete a single point
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+const deletePoint = async (req, res, next) => {
+  try {
+    const pointId = parsePointId(req.params.id);
+    if (!(await vectorStore.getPoint(pointId))) {
+      return sendPointNotFound(res);
+    }
+
+    await vectorStore.deletePoints([pointId]);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: {
+        deleted: pointId
+      }
+    });
+  } catch (error) {
+    logger.error(`Error deleting point: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * List client API keys with their limits and today's token usage
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+const listApiKeys = async (req, res, next) => {
+  try {
+    const keys = await apiKeyService.list();
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: keys.map(record => ({
+        ...ApiKeyService.toPublic(record),
+        tokenQuota: apiKeyService.getTokenQuota(record)
+      }))
+    });
+  } catch (error) {
+    logger.error(`Error listing API keys: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Issue a client API key; the key is only returned in this response
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+const issueApiKey = async (req, res, next) => {
+  try {
+    const { name, rate_limit: rateLimit, daily_token_quota: dailyTokenQuota } = req.body;
+    const { key, record } = await apiKeyService.issue({ name, rateLimit, dailyTokenQuota });
+
+    return res.status(StatusCodes.CREATED).json({
+      success: true,
+      data: {
+        key,
+        ...ApiKeyService.toPublic(record)
+      }
+    });
+  } catch (error) {
+    logger.error(`Error issuing API key: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Revoke a client API key
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+const revokeApiKey = async (req, res, next) => {
+  try {
+    const record = await apiKeyService.revoke(req.params.id);
+    if (!record) {
+      return sendError(res, StatusCodes.NOT_FOUND, 'API key not found');
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: ApiKeyService.toPublic(record)
+    });
+  } catch (error) {
+    logger.error(`Error revoking API key: ${error.message}`);
+    next(error);
+  }
+};
+
+module.exports = {
+  getCollection,
+  getCollectionStats,
+  testSearch,
+  deleteCollection,
+  listPoints,
+  getPoint,
+  patchPoint,
+  deletePoint,
+  listApiKeys,
+  issueApiKey,
+  revokeApiKey
+};
@@ -0,0 +1,135 @@
+/**
+ * Controller for conversation sessions
+ */
+const { StatusCodes } = require('http-status-codes');
+const logger = require('../utils/logger');
+const { sendError } = require('../utils/errorResponse');
+const ConversationService = require('../services/conversationService');
+
+// Initialize the conversation service
+const conversationService = new ConversationService();
+
+/**
+ * Identify who is asking for a conversation: the API key of the request, or the access token
+ * returned when an anonymous conversation was created
+ * @param {Object} req - Express request object
+ * @returns {Object} { apiKeyId, accessToken }
+ */
+const getRequester = (req) => ({
+  apiKeyId: req.apiKey ? req.apiKey.id : null,
+  accessToken: req.get('X-Conversation-Token') || null
+});
+
+/**
+ * Create a new conversation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+const createConversation = async (req, res, next) => {
+  try {
+    const { title, language = 'en' } = req.body;
+
+    const { conversation, accessToken } = await conversationService.createConversation({
+      title,
+      language,
+      apiKeyId: req.apiKey ? req.apiKey.id : null
+    });
+
+    // The access token is only returned here; anonymous clients send it back in X-Conversation-Token
+    return res.status(StatusCodes.CREATED).json({
+      success: true,
+      data: {
+        ...ConversationService.toPublic(conversation),
+        accessToken: accessToken || undefined
+      }
+    });
+  } catch (error) {
+    logger.error(`Error creating conversation: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * List conversations of all owners
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+const listConversations = async (req, res, next) => {
+  try {
+    const conversations = await conversationService.listConversations();
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: {
+        conversations
+      }
+    });
+  } catch (error) {
+    logger.error(`Error listing conversations: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get a conversation with its messages
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+const getConversation = async (req, res, next) => {
+  try {
+    const conversation = await conversationService.getConversation(req.params.id, getRequester(req));
+
+    if (!conversation) {
+      return sendError(res, StatusCodes.NOT_FOUND, 'Conversation not found');
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: ConversationService.toPublic(conversation)
+    });
+  } catch (error) {
+    logger.error(`Error getting conversation: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Delete a conversation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+const deleteConversation = async (req, res, next) => {
+  try {
+    const deleted = await conversationService.deleteConversation(req.params.id, getRequester(req));
+
+    if (!deleted) {
+      return sendError(res, StatusCodes.NOT_FOUND, 'Conversation not found');
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: {
+        id: req.params.id,
+        deleted: true
+      }
+    });
+  } catch (error) {
+    logger.error(`Error deleting conversation: ${error.message}`);
+    next(error);
+  }
+};
+
+module.exports = {
+  createConversation,
+  listConversations,
+  getConversation,
+  deleteConversation
+};
@@ -0,0 +1,150 @@
+/**
+ * Controller for direct Bhagavad Gita verse lookups
+ */
+const { StatusCodes } = require('http-status-codes');
+const logger = require('../utils/logger');
+const { sendError } = require('../utils/errorResponse');
+const VerseCatalog = require('../services/verseCatalog');
+
+// Initialize the verse catalog
+const verseCatalog = new VerseCatalog();
+
+/**
+ * Respond with 503 when no processed data has been generated yet
+ * @param {Object} res - Express response object
+ * @returns {Promise<boolean>} Whether a response was sent
+ */
+const rejectIfUnavailable = async (res) => {
+  if (await verseCatalog.isAvailable()) {
+    return false;
+  }
+  sendError(res, StatusCodes.SERVICE_UNAVAILABLE, 'Verse catalog is not available. Run the initialization script to generate the processed Gita data.');
+  return true;
+};
+
+/**
+ * List chapters with their verse counts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+const listChapters = async (req, res, next) => {
+  try {
+    if (await rejectIfUnavailable(res)) return;
+
+    const chapters = await verseCatalog.listChapters();
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: {
+        chapters
+      }
+    });
+  } catch (error) {
+    logger.error(`Error listing chapters: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get a chapter with its verse list
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+const getChapter = async (req, res, next) => {
+  try {
+    if (await rejectIfUnavailable(res)) return;
+
+    const { language = 'en' } = req.query;
+    const chapter = await verseCatalog.getChapter(req.params.chapter, language);
+
+    if (!chapter) {
+      return sendError(res, StatusCodes.NOT_FOUND, 'Chapter not found');
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: chapter
+    });
+  } catch (error) {
+    logger.error(`Error getting chapter: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get a single verse
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+const getVerse = async (req, res, next) => {
+  try {
+    if (await rejectIfUnavailable(res)) return;
+
+    const { language = 'en' } = req.query;
+    const verse = await verseCatalog.getVerse(req.params.chapter, req.params.verse, language);
+
+    if (!verse) {
+      return sendError(res, StatusCodes.NOT_FOUND, 'Verse not found');
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: verse
+    });
+  } catch (error) {
+    logger.error(`Error getting verse: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get a range of verses such as 2.47-2.50
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+const getVerseRange = async (req, res, next) => {
+  try {
+    if (await rejectIfUnavailable(res)) return;
+
+    const { language = 'en' } = req.query;
+    const { start, end } = VerseCatalog.parseRange(req.params.range);
+
+    let verses;
+    try {
+      verses = await verseCatalog.getVerseRange(start, end, language);
+    } catch (rangeError) {
+      return sendError(res, StatusCodes.BAD_REQUEST, rangeError.message);
+    }
+
+    if (verses.length === 0) {
+      return sendError(res, StatusCodes.NOT_FOUND, 'No verses found in range');
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: {
+        range: req.params.range,
+        count: verses.length,
+        verses
+      }
+    });
+  } catch (error) {
+    logger.error(`Error getting verse range: ${error.message}`);
+    next(error);
+  }
+};
+
+module.exports = {
+  listChapters,
+  getChapter,
+  getVerse,
+  getVerseRange
+};
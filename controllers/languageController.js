@@ -3,6 +3,7 @@
  */
 const { StatusCodes } = require('http-status-codes');
 const logger = require('../utils/logger');
+const { sendError } = require('../utils/errorResponse');
 const MultilingualService = require('../services/multilingualService');
 
 // Initialize the multilingual service
@@ -44,12 +45,7 @@ const detectLanguage = async (req, res, next) => {
     
     // Validate input
     if (!text) {
-      return res.status(StatusCodes.BAD_REQUEST).json({
-        success: false,
-        error: {
-          message: 'Text is required'
-        }
-      });
+      return sendError(res, StatusCodes.BAD_REQUEST, 'Text is required');
     }
     
     // Detect language
@@ -82,21 +78,11 @@ const translateText = async (req, res, next) => {
     
     // Validate input
     if (!text) {
-      return res.status(StatusCodes.BAD_REQUEST).json({
-        success: false,
-        error: {
-          message: 'Text is required'
-        }
-      });
+      return sendError(res, StatusCodes.BAD_REQUEST, 'Text is required');
     }
     
     if (!target_language) {
-      return res.status(StatusCodes.BAD_REQUEST).json({
-        success: false,
-        error: {
-          message: 'Target language is required'
-        }
-      });
+      return sendError(res, StatusCodes.BAD_REQUEST, 'Target language is required');
     }
     
     let translatedText;
@@ -144,12 +130,7 @@ const formatGitaReference = async (req, res, next) => {
     
     // Validate input
     if (!chapter || !verse) {
-      return res.status(StatusCodes.BAD_REQUEST).json({
-        success: false,
-        error: {
-          message: 'Chapter and verse are required'
-        }
-      });
+      return sendError(res, StatusCodes.BAD_REQUEST, 'Chapter and verse are required');
     }
     
     // Format reference
@@ -3,10 +3,180 @@
  */
 const { StatusCodes } = require('http-status-codes');
 const logger = require('../utils/logger');
+const { errorBody, sendError } = require('../utils/errorResponse');
+const requestContext = require('../utils/requestContext');
 const RAGService = require('../services/ragService');
+const VectorStore = require('../services/vectorStore');
+const ConversationService = require('../services/conversationService');
+const FeedbackService = require('../services/feedbackService');
+const ApiKeyService = require('../services/apiKeyService');
+const UsageLedger = require('../services/usageLedger');
 
-// Initialize the RAG service
+// Initialize the RAG, conversation, feedback, API key and usage services
 const ragService = new RAGService();
+const conversationService = new ConversationService();
+const feedbackService = new FeedbackService();
+const apiKeyService = new ApiKeyService();
+const usageLedger = new UsageLedger();
+
+// Point edits made through the admin API reach the lexical index and answer cache of the query service
+VectorStore.events.on('pointsChanged', change => ragService.applyPointChanges(change));
+
+// Feedback ratings as counted by prompt experiments
+const RATING_VALUES = {
+  up: 1,
+  down: -1
+};
+
+/**
+ * Identify who is continuing a conversation: the API key of the request, or the conversation's access token
+ * @param {Object} req - Express request object
+ * @returns {Object} { apiKeyId, accessToken }
+ */
+const getConversationRequester = (req) => ({
+  apiKeyId: req.apiKey ? req.apiKey.id : null,
+  accessToken: req.get('X-Conversation-Token') || null
+});
+
+/**
+ * Send the response used when a request references an unknown conversation
+ * @param {Object} res - Express response object
+ * @returns {Object} Express response
+ */
+const sendConversationNotFound = (res) => sendError(res, StatusCodes.NOT_FOUND, 'Conversation not found');
+
+/**
+ * Check that the persona and style named in a request exist
+ * @param {Object} body - Request body
+ * @returns {Promise<boolean>} True if the selection resolves to templates
+ */
+const isKnownPromptSelection = async (body) => {
+  if (!body.persona && !body.style) {
+    return true;
+  }
+  
+  return Boolean(await ragService.promptLibrary.resolve(body.persona, body.style));
+};
+
+/**
+ * Send the response used when a request names an unknown persona or style
+ * @param {Object} res - Express response object
+ * @returns {Object} Express response
+ */
+const sendUnknownPrompt = (res) => sendError(res, StatusCodes.BAD_REQUEST, 'Unknown persona or style');
+
+/**
+ * Record a completed answer in its conversation
+ * @param {string} conversationId - Conversation id
+ * @param {string} question - User question
+ * @param {Object} result - Query result from RAGService
+ * @returns {Promise<void>}
+ */
+const recordConversationTurn = async (conversationId, question, result) => {
+  // Failed answers are not useful history for follow-up questions
+  if (result.error) {
+    return;
+  }
+  
+  await conversationService.addTurn(conversationId, question, result);
+  result.metadata.conversationId = conversationId;
+};
+
+/**
+ * Store an answer so users can rate it later
+ * Recording problems are logged rather than failing the query
+ * @param {string} question - User question
+ * @param {Object} result - Query result from RAGService
+ * @param {string} conversationId - Conversation id, if any
+ * @returns {Promise<void>}
+ */
+const recordAnswer = async (question, result, conversationId) => {
+  try {
+    await feedbackService.recordAnswer(question, result, conversationId);
+  } catch (error) {
+    logger.error(`Error recording answer ${result.responseId}: ${error.message}`);
+  }
+};
+
+/**
+ * Record an answer's tokens and cost in the usage ledger and count them against the API key's daily quota
+ * Metering problems are logged rather than failing the query
+ * @param {Object} req - Express request object
+ * @param {Object} result - Query result from RAGService
+ * @param {string} endpoint - Endpoint that produced the answer
+ * @returns {Promise<void>}
+ */
+const recordUsage = async (req, result, endpoint) => {
+  const metadata = result.metadata || {};
+  const usage = requestContext.getUsage() || {};
+  
+  try {
+    await usageLedger.record({
+      responseId: result.responseId,
+      apiKeyId: req.apiKey ? req.apiKey.id : null,
+      endpoint,
+      model: metadata.modelUsed,
+      tokenUsage: metadata.tokenUsage,
+      embeddingModel: usage.embeddingModel,
+      embeddingTokens: usage.embeddingTokens,
+      cached: Boolean(metadata.cached)
+    });
+    
+    if (req.apiKey) {
+      await apiKeyService.recordTokens(req.apiKey.id, metadata.tokenUsage);
+    }
+  } catch (error) {
+    logger.error(`Error recording usage for ${result.responseId}: ${error.message}`);
+  }
+};
+
+/**
+ * Build the RAG query options from the request body
+ * @param {Object} body - Request body
+ * @param {Object} conversation - Conversation being continued, if any
+ * @returns {Object} Query options for RAGService
+ */
+const buildQueryOptions = (body, conversation) => {
+  const options = {
+    history: conversationService.getHistory(conversation)
+  };
+  
+  if (body.fusion_weights) {
+    options.fusionWeights = {
+      vector: body.fusion_weights.vector,
+      lexical: body.fusion_weights.lexical
+    };
+  }
+  
+  if (body.rerank !== undefined) {
+    options.rerank = body.rerank;
+  }
+  
+  // Set to false to always generate a fresh answer
+  if (body.cache !== undefined) {
+    options.cache = body.cache;
+  }
+  
+  if (body.format) {
+    options.format = body.format;
+  }
+  
+  if (body.persona) {
+    options.persona = body.persona;
+  }
+  
+  if (body.style) {
+    options.style = body.style;
+  }
+  
+  // Keep users (or sessions) on the same prompt experiment variant
+  const experimentUnit = body.user_id || body.conversation_id;
+  if (experimentUnit) {
+    options.experimentUnit = experimentUnit;
+  }
+  
+  return options;
+};
 
 /**
  * Process a query about the Bhagavad Gita
@@ -17,22 +187,36 @@ const ragService = new RAGService();
  */
 const processQuery = async (req, res, next) => {
   try {
-    const { question, language = 'en' } = req.body;
+    const { question, language = 'en', conversation_id: conversationId } = req.body;
     
     // Validate input
     if (!question) {
-      return res.status(StatusCodes.BAD_REQUEST).json({
-        success: false,
-        error: {
-          message: 'Question is required'
-        }
-      });
+      return sendError(res, StatusCodes.BAD_REQUEST, 'Question is required');
     }
     
     logger.info(`Processing query: "${question.substring(0, 50)}${question.length > 50 ? '...' : ''}" (language: ${language})`);
     
+    if (!(await isKnownPromptSelection(req.body))) {
+      return sendUnknownPrompt(res);
+    }
+    
+    // Load prior turns when continuing a conversation
+    let conversation = null;
+    if (conversationId) {
+      conversation = await conversationService.getConversation(conversationId, getConversationRequester(req));
+      if (!conversation) {
+        return sendConversationNotFound(res);
+      }
+    }
+    
     // Process the query
-    const result = await ragService.query(question, language);
+    const result = await ragService.query(question, language, buildQueryOptions(req.body, conversation));
+    
+    if (conversation) {
+      await recordConversationTurn(conversationId, question, result);
+    }
+    await recordAnswer(question, result, conversationId);
+    await recordUsage(req, result, 'query');
     
     return res.status(StatusCodes.OK).json({
       success: true,
@@ -44,6 +228,236 @@ const processQuery = async (req, res, next) => {
   }
 };
 
+/**
+ * Process a query and stream the answer as Server-Sent Events
+ * Emits `sources`, then `token` events as the answer is generated, then `done`
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+const streamQuery = async (req, res, next) => {
+  const { question, language = 'en', conversation_id: conversationId } = req.body;
+  
+  // Validate input
+  if (!question) {
+    return sendError(res, StatusCodes.BAD_REQUEST, 'Question is required');
+  }
+  
+  logger.info(`Streaming query: "${question.substring(0, 50)}${question.length > 50 ? '...' : ''}" (language: ${language})`);
+  
+  // Load prompts and prior turns before the stream opens so bad requests still get a 4xx
+  let conversation = null;
+  try {
+    if (!(await isKnownPromptSelection(req.body))) {
+      return sendUnknownPrompt(res);
+    }
+    if (conversationId) {
+      conversation = await conversationService.getConversation(conversationId, getConversationRequester(req));
+    }
+  } catch (error) {
+    logger.error(`Error loading conversation or prompts: ${error.message}`);
+    return next(error);
+  }
+  if (conversationId && !conversation) {
+    return sendConversationNotFound(res);
+  }
+  
+  // Open the event stream
+  res.status(StatusCodes.OK);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  // Stop writing and cancel generation if the client goes away mid-stream,
+  // so the LLM does not keep producing (and billing) tokens nobody reads
+  let clientClosed = false;
+  const abortController = new AbortController();
+  res.on('close', () => {
+    clientClosed = true;
+    abortController.abort();
+  });
+  
+  const sendEvent = (event, data) => {
+    if (clientClosed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  try {
+    const options = { ...buildQueryOptions(req.body, conversation), signal: abortController.signal };
+    
+    // Hold back the final event until the turn is recorded in the conversation
+    await ragService.queryStream(question, language, options, async (event, data) => {
+      if (event === 'done') {
+        if (conversation) {
+          await recordConversationTurn(conversationId, question, data);
+        }
+        await recordAnswer(question, data, conversationId);
+        await recordUsage(req, data, 'stream');
+      }
+      sendEvent(event, data);
+    });
+  } catch (error) {
+    logger.error(`Error streaming query: ${error.message}`);
+    sendEvent('error', errorBody(req.id, error.message));
+  } finally {
+    res.end();
+  }
+};
+
+/**
+ * Rate an answer with thumbs up or down and an optional comment
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+const submitFeedback = async (req, res, next) => {
+  try {
+    const { responseId } = req.params;
+    const { rating, comment } = req.body;
+    
+    const result = await feedbackService.submitFeedback(responseId, { rating, comment });
+    if (!result) {
+      return sendError(res, StatusCodes.NOT_FOUND, 'Response not found');
+    }
+    
+    // Count the vote towards the prompt variant that produced the answer
+    const { record, previous } = result;
+    if (record.experiment) {
+      ragService.experiments.recordFeedback(
+        { experiment: record.experiment.name, variant: record.experiment.variant },
+        RATING_VALUES[rating],
+        previous ? RATING_VALUES[previous.rating] : 0
+      );
+    }
+    
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: {
+        responseId,
+        feedback: record.feedback
+      }
+    });
+  } catch (error) {
+    logger.error(`Error recording feedback: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * List the personas and answer styles a query can select
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+const listPrompts = async (req, res, next) => {
+  try {
+    const prompts = await ragService.promptLibrary.list();
+    
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: prompts
+    });
+  } catch (error) {
+    logger.error(`Error listing prompts: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get per-variant metrics for the running prompt experiment
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+const getExperimentMetrics = async (req, res, next) => {
+  try {
+    const experiment = await ragService.experiments.getMetrics();
+    
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: {
+        active: Boolean(experiment),
+        experiment
+      }
+    });
+  } catch (error) {
+    logger.error(`Error getting experiment metrics: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get answer cache statistics
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+const getAnswerCacheStats = async (req, res, next) => {
+  try {
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: await ragService.answerCache.getStats()
+    });
+  } catch (error) {
+    logger.error(`Error getting answer cache stats: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Remove cached answers, optionally only those for a language, persona or style
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+const invalidateAnswerCache = async (req, res, next) => {
+  try {
+    const { language, persona, style } = req.query;
+    const removed = ragService.answerCache.invalidate({ language, persona, style });
+    
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: {
+        removed
+      }
+    });
+  } catch (error) {
+    logger.error(`Error invalidating answer cache: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Rebuild the lexical index and drop cached answers after the collection changed outside this process
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+const reloadIndexes = async (req, res, next) => {
+  try {
+    const result = await ragService.reloadIndexes();
+    
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error(`Error reloading indexes: ${error.message}`);
+    next(error);
+  }
+};
+
 /**
  * Get system health status
  * @param {Object} req - Express request object
@@ -67,5 +481,12 @@ const getSystemHealth = async (req, res, next) => {
 
 module.exports = {
   processQuery,
+  streamQuery,
+  submitFeedback,
+  listPrompts,
+  getExperimentMetrics,
+  getAnswerCacheStats,
+  invalidateAnswerCache,
+  reloadIndexes,
   getSystemHealth
 };
\ No newline at end of file
@@ -0,0 +1,42 @@
+/**
+ * Controller for token and cost usage reports
+ */
+const { StatusCodes } = require('http-status-codes');
+const logger = require('../utils/logger');
+const UsageLedger = require('../services/usageLedger');
+
+// Initialize the usage ledger
+const usageLedger = new UsageLedger();
+
+/**
+ * Report usage grouped by day, API key and/or model
+ * Requests made with an API key only see that key's usage; the admin key sees every key
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+const getUsage = async (req, res, next) => {
+  try {
+    const { from, to, key, group_by: groupBy = 'day,key,model' } = req.query;
+
+    const report = await usageLedger.report({
+      from,
+      to,
+      apiKeyId: req.apiKey ? req.apiKey.id : key,
+      groupBy: groupBy.split(',')
+    });
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    logger.error(`Error building usage report: ${error.message}`);
+    next(error);
+  }
+};
+
+module.exports = {
+  getUsage
+};
@@ -0,0 +1,46 @@
+/**
+ * Admin authentication middleware
+ */
+const crypto = require('crypto');
+const { StatusCodes } = require('http-status-codes');
+const configService = require('../utils/configService');
+const logger = require('../utils/logger');
+const { sendError } = require('../utils/errorResponse');
+
+/**
+ * Compare two strings in constant time
+ * @param {string} provided - Value sent by the client
+ * @param {string} expected - Configured value
+ * @returns {boolean} True if equal
+ */
+const safeEqual = (provided, expected) => {
+  const a = crypto.createHash('sha256').update(provided).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Require the admin API key in the X-Admin-Key header
+ * Admin endpoints are disabled entirely when ADMIN_API_KEY is not set
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+const adminAuth = (req, res, next) => {
+  const apiKey = configService.get('admin.apiKey');
+
+  if (!apiKey) {
+    return sendError(res, StatusCodes.FORBIDDEN, 'Admin endpoints are disabled');
+  }
+
+  const provided = req.get('X-Admin-Key');
+  if (!provided || !safeEqual(provided, apiKey)) {
+    logger.warn(`Rejected admin request to ${req.originalUrl} from ${req.ip}`);
+    return sendError(res, StatusCodes.UNAUTHORIZED, 'Invalid or missing admin key');
+  }
+
+  next();
+};
+
+module.exports = adminAuth;
@@ -0,0 +1,122 @@
+/**
+ * API key authentication and quota middleware
+ */
+const { StatusCodes } = require('http-status-codes');
+const configService = require('../utils/configService');
+const logger = require('../utils/logger');
+const { sendError } = require('../utils/errorResponse');
+const ApiKeyService = require('../services/apiKeyService');
+
+const apiKeyService = new ApiKeyService();
+
+/**
+ * Read the key from the X-API-Key header or an Authorization bearer token
+ * @param {Object} req - Express request object
+ * @returns {string|null} API key
+ */
+const getProvidedKey = (req) => {
+  const header = req.get('X-API-Key');
+  if (header) {
+    return header;
+  }
+
+  const authorization = req.get('Authorization');
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return null;
+};
+
+/**
+ * Seconds until a reset time, as used by the rate limit headers
+ * @param {number} resetAt - Reset time in milliseconds
+ * @returns {number} Seconds, rounded up
+ */
+const secondsUntil = (resetAt) => Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+
+/**
+ * Send a 429 response with a Retry-After header
+ * @param {Object} res - Express response object
+ * @param {number} resetAt - Time the limit resets, in milliseconds
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Object} Express response
+ */
+const sendTooManyRequests = (res, resetAt, message, code) => {
+  res.set('Retry-After', String(secondsUntil(resetAt)));
+  return sendError(res, StatusCodes.TOO_MANY_REQUESTS, message, { code });
+};
+
+/**
+ * Authenticate the API key and apply its rate limit
+ * Requests without a key pass through (and fall back to the IP rate limit) unless API_KEY_REQUIRED is set
+ * Sets req.apiKey to the key record for keyed requests
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+const apiKeyAuth = async (req, res, next) => {
+  try {
+    const providedKey = getProvidedKey(req);
+
+    if (!providedKey) {
+      if (configService.get('apiKeys.required')) {
+        return sendError(res, StatusCodes.UNAUTHORIZED, 'An API key is required in the X-API-Key header');
+      }
+      return next();
+    }
+
+    const record = await apiKeyService.authenticate(providedKey);
+    if (!record) {
+      logger.warn(`Rejected API key for ${req.originalUrl} from ${req.ip}`);
+      return sendError(res, StatusCodes.UNAUTHORIZED, 'Invalid or revoked API key');
+    }
+
+    const rate = apiKeyService.consumeRequest(record);
+    const quota = apiKeyService.getTokenQuota(record);
+    res.set({
+      'RateLimit-Limit': String(rate.limit),
+      'RateLimit-Remaining': String(rate.remaining),
+      'RateLimit-Reset': String(secondsUntil(rate.resetAt)),
+      'X-Token-Quota-Limit': String(quota.limit),
+      'X-Token-Quota-Remaining': String(quota.remaining),
+      'X-Token-Quota-Reset': String(secondsUntil(quota.resetAt))
+    });
+
+    if (!rate.allowed) {
+      return sendTooManyRequests(res, rate.resetAt, 'Too many requests for this API key, please try again later', 'RATE_LIMIT_EXCEEDED');
+    }
+
+    req.apiKey = record;
+    next();
+  } catch (error) {
+    logger.error(`Error authenticating API key: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Reject keyed requests once the key has used its daily token quota
+ * Applied to the endpoints that generate answers; anonymous requests are not metered
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+const requireTokenQuota = (req, res, next) => {
+  if (!req.apiKey) {
+    return next();
+  }
+
+  const quota = apiKeyService.getTokenQuota(req.apiKey);
+  if (quota.exceeded) {
+    return sendTooManyRequests(res, quota.resetAt, 'Daily token quota exceeded for this API key', 'TOKEN_QUOTA_EXCEEDED');
+  }
+  next();
+};
+
+module.exports = {
+  apiKeyAuth,
+  requireTokenQuota
+};
@@ -4,6 +4,7 @@
 const rateLimit = require('express-rate-limit');
 const { StatusCodes } = require('http-status-codes');
 const configService = require('../utils/configService');
+const { sendError } = require('../utils/errorResponse');
 
 /**
  * Creates a rate limiter middleware
@@ -16,13 +17,7 @@ const createRateLimiter = (options = {}) => {
     max: configService.get('api.rateLimit.max'), // Default limit: 100 requests per window
     standardHeaders: true, // Return rate limit info in the headers
     legacyHeaders: false, // Disable the X-RateLimit headers
-    message: {
-      success: false,
-      error: {
-        message: 'Too many requests, please try again later',
-        code: 'RATE_LIMIT_EXCEEDED'
-      }
-    },
+    handler: (req, res, next, options) => sendError(res, options.statusCode, 'Too many requests, please try again later', { code: 'RATE_LIMIT_EXCEEDED' }),
     statusCode: StatusCodes.TOO_MANY_REQUESTS
   };
   
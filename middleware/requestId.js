@@ -0,0 +1,25 @@
+/**
+ * Request id middleware
+ */
+const { v4: uuidv4 } = require('uuid');
+const requestContext = require('../utils/requestContext');
+
+// Ids passed in by a proxy or client are reused if they are short and safe to log
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Assign the request an id and run the rest of the request in its tracing context
+ * The id is taken from an incoming X-Request-Id header when valid, and echoed back in the response header
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : uuidv4();
+  res.set('X-Request-Id', req.id);
+  requestContext.run(req.id, () => next());
+};
+
+module.exports = requestId;
@@ -3,6 +3,7 @@
  */
 const { validationResult } = require('express-validator');
 const { StatusCodes } = require('http-status-codes');
+const { sendError } = require('../utils/errorResponse');
 
 /**
  * Validates request using express-validator
@@ -22,13 +23,7 @@ const requestValidator = (req, res, next) => {
     }));
     
     // Return validation error response
-    return res.status(StatusCodes.BAD_REQUEST).json({
-      success: false,
-      error: {
-        message: 'Validation error',
-        details: formattedErrors
-      }
-    });
+    return sendError(res, StatusCodes.BAD_REQUEST, 'Validation error', { details: formattedErrors });
   }
   
   // If no validation errors, proceed to the next middleware
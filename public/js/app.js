@@ -5,6 +5,8 @@ document.addEventListener('DOMContentLoaded', () => {
   const languageSelect = document.getElementById('language');
   
   let isProcessing = false;
+  let conversationId = null;
+  let conversationToken = null;
 
   document.getElementById('start-chat-button').addEventListener('click', function() {
     document.querySelector('.chat-container').style.display = 'flex';
@@ -12,21 +14,123 @@ document.addEventListener('DOMContentLoaded', () => {
   });
   
   // Function to add a message to the chat
-  function addMessage(text, type, sources = []) {
+  function addMessage(text, type, sources = [], tokenUsage = null, responseId = null) {
     const messageDiv = document.createElement('div');
     messageDiv.className = `message ${type}`;
     messageDiv.innerHTML = text;
     
     // Add sources if provided and it's a bot message
-    if (type === 'bot' && sources.length > 0) {
+    if (type === 'bot') {
+      appendMessageFooter(messageDiv, sources, tokenUsage, responseId);
+    }
+    
+    chatMessages.appendChild(messageDiv);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+    return messageDiv;
+  }
+  
+  // Function to add sources, token usage and feedback buttons below a bot message
+  function appendMessageFooter(messageDiv, sources = [], tokenUsage = null, responseId = null) {
+    if (sources.length > 0) {
       const sourceDiv = document.createElement('div');
       sourceDiv.className = 'source';
       sourceDiv.innerHTML = `<strong>Sources:</strong> ${sources.join(', ')}`;
       messageDiv.appendChild(sourceDiv);
     }
     
-    chatMessages.appendChild(messageDiv);
-    chatMessages.scrollTop = chatMessages.scrollHeight;
+    if (tokenUsage && tokenUsage.total_tokens) {
+      const usageDiv = document.createElement('div');
+      usageDiv.className = 'token-usage';
+      usageDiv.textContent = `Tokens: ${tokenUsage.total_tokens} (prompt ${tokenUsage.prompt_tokens}, completion ${tokenUsage.completion_tokens})`;
+      messageDiv.appendChild(usageDiv);
+    }
+    
+    if (responseId) {
+      appendFeedbackButtons(messageDiv, responseId);
+    }
+  }
+  
+  // Function to add thumbs up/down buttons and an optional comment box to a bot message
+  function appendFeedbackButtons(messageDiv, responseId) {
+    const feedbackDiv = document.createElement('div');
+    feedbackDiv.className = 'feedback';
+    feedbackDiv.innerHTML = `
+      <span class="feedback-label">Was this helpful?</span>
+      <button type="button" class="feedback-button" data-rating="up" title="Helpful">&#128077;</button>
+      <button type="button" class="feedback-button" data-rating="down" title="Not helpful">&#128078;</button>
+      <div class="feedback-comment" style="display: none;">
+        <input type="text" maxlength="1000" placeholder="Tell us more (optional)">
+        <button type="button" class="feedback-send">Send</button>
+      </div>
+      <span class="feedback-status"></span>
+    `;
+    
+    const commentDiv = feedbackDiv.querySelector('.feedback-comment');
+    const commentInput = commentDiv.querySelector('input');
+    const statusSpan = feedbackDiv.querySelector('.feedback-status');
+    let selectedRating = null;
+    
+    const submit = async (comment = null) => {
+      try {
+        const response = await fetch(`/api/v1/query/${responseId}/feedback`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            rating: selectedRating,
+            comment: comment || undefined
+          })
+        });
+        
+        if (!response.ok) {
+          throw new Error('Failed to send feedback');
+        }
+        statusSpan.textContent = 'Thank you for your feedback';
+      } catch (error) {
+        console.error('Error sending feedback:', error);
+        statusSpan.textContent = 'Feedback could not be sent';
+      }
+    };
+    
+    feedbackDiv.querySelectorAll('.feedback-button').forEach(button => {
+      button.addEventListener('click', () => {
+        selectedRating = button.dataset.rating;
+        feedbackDiv.querySelectorAll('.feedback-button').forEach(other => {
+          other.classList.toggle('selected', other === button);
+        });
+        commentDiv.style.display = 'flex';
+        submit();
+      });
+    });
+    
+    commentDiv.querySelector('.feedback-send').addEventListener('click', () => {
+      const comment = commentInput.value.trim();
+      if (!comment || !selectedRating) return;
+      submit(comment);
+      commentDiv.style.display = 'none';
+    });
+    
+    messageDiv.appendChild(feedbackDiv);
+  }
+  
+  // Function to format source references for display
+  function formatSourceRefs(sources = []) {
+    const sourceRefs = [];
+    sources.forEach(source => {
+      if (source.reference) {
+        sourceRefs.push(source.reference);
+      } else if (source.metadata && source.metadata.chapter) {
+        if (source.metadata.verse) {
+          sourceRefs.push(`Chapter ${source.metadata.chapter}, Verse ${source.metadata.verse}`);
+        } else {
+          sourceRefs.push(`Chapter ${source.metadata.chapter}`);
+        }
+      } else if (source.metadata && source.metadata.paragraph_id !== undefined) {
+        sourceRefs.push(`Paragraph ${source.metadata.paragraph_id}`);
+      }
+    });
+    return sourceRefs;
   }
   
   // Function to show typing indicator
@@ -47,6 +151,34 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
   
+  // Function to start a server-side conversation so follow-ups keep their context
+  async function ensureConversation() {
+    if (conversationId) return conversationId;
+    
+    try {
+      const response = await fetch('/api/v1/conversations', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          language: 'en'
+        })
+      });
+      
+      if (response.ok) {
+        const data = await response.json();
+        conversationId = data.data.id;
+        conversationToken = data.data.accessToken || null;
+      }
+    } catch (error) {
+      // Continue without history if the conversation cannot be created
+      console.error('Error creating conversation:', error);
+    }
+    
+    return conversationId;
+  }
+  
   // Function to send a message to the API
   async function sendMessage() {
     if (!userInputElement) return;
@@ -67,55 +199,107 @@ document.addEventListener('DOMContentLoaded', () => {
     showTypingIndicator();
     
     try {
-      // Send request to API
-      const response = await fetch('/api/v1/query', {
+      await ensureConversation();
+      
+      // Send request to the streaming API
+      const headers = {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream'
+      };
+      if (conversationToken) {
+        headers['X-Conversation-Token'] = conversationToken;
+      }
+      
+      const response = await fetch('/api/v1/query/stream', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
+        headers,
         body: JSON.stringify({
           question: userInput,
-          language: 'en'
+          language: 'en',
+          conversation_id: conversationId || undefined
         })
       });
       
-      if (!response.ok) {
+      if (!response.ok || !response.body) {
+        // The conversation may have expired on the server; start a new one next time
+        if (response.status === 404) {
+          conversationId = null;
+          conversationToken = null;
+        }
         throw new Error('Failed to get response');
       }
       
-      const data = await response.json();
-      console.log("🚀 ~ sendMessage ~ data:", data);
+      let botMessage = null;
+      let streamedText = '';
+      let sourceRefs = [];
+      let finished = false;
       
-      // Remove typing indicator
-      removeTypingIndicator();
+      // Handle a single server-sent event
+      const handleEvent = (event, data) => {
+        if (event === 'sources') {
+          sourceRefs = formatSourceRefs(data.sources);
+        } else if (event === 'token') {
+          if (!botMessage) {
+            removeTypingIndicator();
+            botMessage = addMessage('', 'bot');
+          }
+          streamedText += data.token;
+          botMessage.textContent = streamedText;
+          chatMessages.scrollTop = chatMessages.scrollHeight;
+        } else if (event === 'done' || event === 'error') {
+          finished = true;
+          removeTypingIndicator();
+          
+          // Replace the raw stream with the cleaned final answer
+          if (!botMessage) {
+            botMessage = addMessage('', 'bot');
+          }
+          botMessage.innerHTML = data.answer || 'I apologize, but I encountered an error processing your question. Please try again.';
+          
+          if (event === 'done') {
+            appendMessageFooter(botMessage, sourceRefs, data.metadata && data.metadata.tokenUsage, data.responseId);
+          }
+          chatMessages.scrollTop = chatMessages.scrollHeight;
+        }
+      };
       
-      if (!data.success) {
-        throw new Error(data.error?.message || 'Unknown error');
-      }
+      // Read the event stream and split it into events
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
       
-      // Format source references
-      const sourceRefs = [];
-      if (data.data.sources && data.data.sources.length > 0) {
-        console.log("Sources received:", data.data.sources);
-        data.data.sources.forEach(source => {
-          if (source.reference) {
-            sourceRefs.push(source.reference);
-          } else if (source.metadata && source.metadata.chapter) {
-            if (source.metadata.verse) {
-              sourceRefs.push(`Chapter ${source.metadata.chapter}, Verse ${source.metadata.verse}`);
-            } else {
-              sourceRefs.push(`Chapter ${source.metadata.chapter}`);
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        
+        buffer += decoder.decode(value, { stream: true });
+        
+        let boundary = buffer.indexOf('\n\n');
+        while (boundary !== -1) {
+          const rawEvent = buffer.slice(0, boundary);
+          buffer = buffer.slice(boundary + 2);
+          
+          let eventName = 'message';
+          let eventData = '';
+          rawEvent.split('\n').forEach(line => {
+            if (line.startsWith('event:')) {
+              eventName = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+              eventData += line.slice(5).trim();
             }
-          } else if (source.metadata && source.metadata.paragraph_id !== undefined) {
-            sourceRefs.push(`Paragraph ${source.metadata.paragraph_id}`);
+          });
+          
+          if (eventData) {
+            handleEvent(eventName, JSON.parse(eventData));
           }
-        });
+          
+          boundary = buffer.indexOf('\n\n');
+        }
       }
       
-      console.log("Formatted source references:", sourceRefs);
-      
-      // Display bot response
-      addMessage(data.data.answer, 'bot', sourceRefs);
+      if (!finished) {
+        throw new Error('Stream ended before the answer was complete');
+      }
       
     } catch (error) {
       console.error('Error:', error);
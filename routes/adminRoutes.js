@@ -0,0 +1,218 @@
+/**
+ * Routes for vector collection and API key administration
+ * Every route requires the admin key in the X-Admin-Key header
+ */
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const adminController = require('../controllers/adminController');
+const requestValidator = require('../middleware/requestValidator');
+const adminAuth = require('../middleware/adminAuth');
+
+const router = express.Router();
+
+// Apply admin authentication to all routes
+router.use(adminAuth);
+
+// Point ids are unsigned integers or UUIDs
+const POINT_ID_PATTERN = /^(\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+
+const pointIdValidator = param('id')
+  .matches(POINT_ID_PATTERN)
+  .withMessage('Point id must be an unsigned integer or a UUID');
+
+/**
+ * @route GET /api/admin/collection
+ * @description Get collection info, point count and the collection behind the alias
+ * @access Admin
+ */
+router.get('/collection', adminController.getCollection);
+
+/**
+ * @route GET /api/admin/collection/stats
+ * @description Get vector store operation and embedding cache statistics
+ * @access Admin
+ */
+router.get('/collection/stats', adminController.getCollectionStats);
+
+/**
+ * @route POST /api/admin/collection/test-search
+ * @description Run a sample search against the collection
+ * @access Admin
+ */
+router.post(
+  '/collection/test-search',
+  [
+    body('query')
+      .optional()
+      .isString()
+      .withMessage('Query must be a string')
+      .isLength({ min: 2, max: 500 })
+      .withMessage('Query must be between 2 and 500 characters'),
+    
+    requestValidator
+  ],
+  adminController.testSearch
+);
+
+/**
+ * @route DELETE /api/admin/collection
+ * @description Delete the collection; requires confirm=<collection name>
+ * @access Admin
+ */
+router.delete(
+  '/collection',
+  [
+    query('confirm')
+      .notEmpty()
+      .withMessage('Confirm must repeat the collection name'),
+    
+    requestValidator
+  ],
+  adminController.deleteCollection
+);
+
+/**
+ * @route GET /api/admin/points
+ * @description Page through points, optionally filtered by chapter, verse or document type
+ * @access Admin
+ */
+router.get(
+  '/points',
+  [
+    query('chapter')
+      .optional()
+      .isInt({ min: 1, max: 18 })
+      .withMessage('Chapter must be a number between 1 and 18')
+      .toInt(),
+    
+    query('verse')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Verse must be a positive number')
+      .toInt(),
+    
+    query('doc_type')
+      .optional()
+      .isIn(['chapter_introduction', 'verse_sanskrit', 'verse_translation', 'verse_purport', 'generic_content'])
+      .withMessage('Unknown document type'),
+    
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+      .toInt(),
+    
+    query('offset')
+      .optional()
+      .matches(POINT_ID_PATTERN)
+      .withMessage('Offset must be a point id returned as nextOffset'),
+    
+    requestValidator
+  ],
+  adminController.listPoints
+);
+
+/**
+ * @route GET /api/admin/points/:id
+ * @description Get a single point
+ * @access Admin
+ */
+router.get('/points/:id', [pointIdValidator, requestValidator], adminController.getPoint);
+
+/**
+ * @route PATCH /api/admin/points/:id
+ * @description Change the text (re-embedded) or metadata of a point; metadata keys set to null are removed
+ * @access Admin
+ */
+router.patch(
+  '/points/:id',
+  [
+    pointIdValidator,
+    
+    body('text')
+      .optional()
+      .isString()
+      .withMessage('Text must be a string')
+      .trim()
+      .notEmpty()
+      .withMessage('Text cannot be empty'),
+    
+    body('metadata')
+      .optional()
+      .isObject()
+      .withMessage('Metadata must be an object'),
+    
+    body()
+      .custom(value => value.text !== undefined || value.metadata !== undefined)
+      .withMessage('Provide text or metadata to change'),
+    
+    requestValidator
+  ],
+  adminController.patchPoint
+);
+
+/**
+ * @route DELETE /api/admin/points/:id
+ * @description Delete a single point
+ * @access Admin
+ */
+router.delete('/points/:id', [pointIdValidator, requestValidator], adminController.deletePoint);
+
+/**
+ * @route GET /api/admin/keys
+ * @description List client API keys with their limits and today's token usage
+ * @access Admin
+ */
+router.get('/keys', adminController.listApiKeys);
+
+/**
+ * @route POST /api/admin/keys
+ * @description Issue a client API key; the key is only returned once
+ * @access Admin
+ */
+router.post(
+  '/keys',
+  [
+    body('name')
+      .notEmpty()
+      .withMessage('Name is required')
+      .isString()
+      .withMessage('Name must be a string')
+      .isLength({ max: 100 })
+      .withMessage('Name must be at most 100 characters'),
+    
+    body('rate_limit')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Rate limit must be a positive number of requests per window')
+      .toInt(),
+    
+    body('daily_token_quota')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Daily token quota must be a non-negative number of tokens')
+      .toInt(),
+    
+    requestValidator
+  ],
+  adminController.issueApiKey
+);
+
+/**
+ * @route DELETE /api/admin/keys/:id
+ * @description Revoke a client API key
+ * @access Admin
+ */
+router.delete(
+  '/keys/:id',
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Key id must be a valid UUID'),
+    
+    requestValidator
+  ],
+  adminController.revokeApiKey
+);
+
+module.exports = router;
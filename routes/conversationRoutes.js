@@ -0,0 +1,69 @@
+/**
+ * Routes for conversation sessions
+ */
+const express = require('express');
+const { body, param } = require('express-validator');
+const conversationController = require('../controllers/conversationController');
+const requestValidator = require('../middleware/requestValidator');
+const adminAuth = require('../middleware/adminAuth');
+
+const router = express.Router();
+
+// Validation for the conversation id path parameter
+const conversationIdValidator = [
+  param('id')
+    .isUUID()
+    .withMessage('Conversation id must be a valid UUID'),
+
+  requestValidator
+];
+
+/**
+ * @route POST /api/conversations
+ * @description Create a new conversation owned by the request's API key, or by the access token returned for anonymous requests
+ * @access Public
+ */
+router.post(
+  '/',
+  [
+    body('title')
+      .optional()
+      .isString()
+      .withMessage('Title must be a string')
+      .isLength({ max: 200 })
+      .withMessage('Title must be at most 200 characters'),
+
+    body('language')
+      .optional()
+      .isString()
+      .withMessage('Language must be a string')
+      .isLength({ min: 2, max: 5 })
+      .withMessage('Language code must be between 2 and 5 characters'),
+
+    requestValidator
+  ],
+  conversationController.createConversation
+);
+
+/**
+ * @route GET /api/conversations
+ * @description List conversations of all owners
+ * @access Admin (X-Admin-Key)
+ */
+router.get('/', adminAuth, conversationController.listConversations);
+
+/**
+ * @route GET /api/conversations/:id
+ * @description Get a conversation with its messages
+ * @access Conversation owner (API key or X-Conversation-Token)
+ */
+router.get('/:id', conversationIdValidator, conversationController.getConversation);
+
+/**
+ * @route DELETE /api/conversations/:id
+ * @description Delete a conversation
+ * @access Conversation owner (API key or X-Conversation-Token)
+ */
+router.delete('/:id', conversationIdValidator, conversationController.deleteConversation);
+
+module.exports = router;
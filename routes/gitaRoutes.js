@@ -0,0 +1,78 @@
+/**
+ * Routes for direct Bhagavad Gita verse lookups
+ */
+const express = require('express');
+const { param, query } = require('express-validator');
+const gitaController = require('../controllers/gitaController');
+const VerseCatalog = require('../services/verseCatalog');
+const requestValidator = require('../middleware/requestValidator');
+
+const router = express.Router();
+
+// Optional language used to localize references
+const languageValidator = query('language')
+  .optional()
+  .isString()
+  .withMessage('Language must be a string')
+  .isLength({ min: 2, max: 5 })
+  .withMessage('Language code must be between 2 and 5 characters');
+
+const chapterValidator = param('chapter')
+  .isInt({ min: 1, max: 18 })
+  .withMessage('Chapter must be a number between 1 and 18')
+  .toInt();
+
+/**
+ * @route GET /api/gita
+ * @description List chapters with their verse counts
+ * @access Public
+ */
+router.get('/', gitaController.listChapters);
+
+/**
+ * @route GET /api/gita/range/:range
+ * @description Get a range of verses, e.g. 2.47-2.50 or 2.47-50
+ * @access Public
+ */
+router.get(
+  '/range/:range',
+  [
+    param('range')
+      .custom(value => VerseCatalog.parseRange(value) !== null)
+      .withMessage('Range must look like 2.47-2.50'),
+
+    languageValidator,
+    requestValidator
+  ],
+  gitaController.getVerseRange
+);
+
+/**
+ * @route GET /api/gita/:chapter
+ * @description Get a chapter with its verse list
+ * @access Public
+ */
+router.get('/:chapter', [chapterValidator, languageValidator, requestValidator], gitaController.getChapter);
+
+/**
+ * @route GET /api/gita/:chapter/:verse
+ * @description Get a single verse with Sanskrit text, translation and purport
+ * @access Public
+ */
+router.get(
+  '/:chapter/:verse',
+  [
+    chapterValidator,
+
+    param('verse')
+      .isInt({ min: 1 })
+      .withMessage('Verse must be a positive number')
+      .toInt(),
+
+    languageValidator,
+    requestValidator
+  ],
+  gitaController.getVerse
+);
+
+module.exports = router;
@@ -4,12 +4,26 @@
 const express = require('express');
 const queryRoutes = require('./queryRoutes');
 const languageRoutes = require('./languageRoutes');
+const conversationRoutes = require('./conversationRoutes');
+const gitaRoutes = require('./gitaRoutes');
+const adminRoutes = require('./adminRoutes');
+const usageRoutes = require('./usageRoutes');
+const { apiKeyAuth } = require('../middleware/apiKeyAuth');
 
 const router = express.Router();
 
+// Admin routes use the admin key rather than client API keys
+router.use('/admin', adminRoutes);
+
+// Authenticate client API keys and apply their rate limits
+router.use(apiKeyAuth);
+
 // Apply route groups
 router.use('/query', queryRoutes);
 router.use('/language', languageRoutes);
+router.use('/conversations', conversationRoutes);
+router.use('/gita', gitaRoutes);
+router.use('/usage', usageRoutes);
 
 // API information endpoint
 router.get('/', (req, res) => {
@@ -19,11 +33,31 @@ router.get('/', (req, res) => {
     description: 'A multilingual spiritual AI bot based on the Bhagavad Gita',
     endpoints: {
       '/api/query': 'Process a spiritual query',
+      '/api/query/stream': 'Process a spiritual query with a streamed (SSE) answer',
+      '/api/query/:responseId/feedback': 'Rate an answer with thumbs up or down and an optional comment',
+      '/api/query/prompts': 'List the personas and answer styles a query can select',
+      '/api/query/experiments': 'Get per-variant metrics for the running prompt experiment',
+      '/api/query/cache': 'Get answer cache statistics or invalidate cached answers (admin)',
+      '/api/query/index/reload': 'Rebuild the lexical index and clear cached answers after a re-index (admin)',
       '/api/query/health': 'Get system health status',
+      '/api/conversations': 'Create a conversation session (list requires admin key)',
+      '/api/conversations/:id': 'Get or delete your conversation session',
+      '/api/gita': 'List chapters of the Bhagavad Gita',
+      '/api/gita/:chapter': 'Get a chapter with its verses',
+      '/api/gita/:chapter/:verse': 'Get a single verse',
+      '/api/gita/range/:range': 'Get a range of verses, e.g. 2.47-2.50',
       '/api/language': 'Get supported languages',
       '/api/language/detect': 'Detect the language of text',
       '/api/language/translate': 'Translate text',
-      '/api/language/format-gita-reference': 'Format a Gita reference in a specific language'
+      '/api/language/format-gita-reference': 'Format a Gita reference in a specific language',
+      '/api/usage': 'Token and cost usage grouped by day, key and model (own key, or all keys with the admin key)',
+      '/api/admin/collection': 'Get or delete the vector collection (admin)',
+      '/api/admin/collection/stats': 'Get vector store statistics (admin)',
+      '/api/admin/collection/test-search': 'Run a sample search against the collection (admin)',
+      '/api/admin/points': 'Browse points by chapter, verse or document type (admin)',
+      '/api/admin/points/:id': 'Get, patch or delete a single point (admin)',
+      '/api/admin/keys': 'List or issue client API keys (admin)',
+      '/api/admin/keys/:id': 'Revoke a client API key (admin)'
     }
   });
 });
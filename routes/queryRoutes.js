@@ -2,11 +2,14 @@
  * Routes for spiritual queries
  */
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 const configService = require('../utils/configService');
+const { sendError } = require('../utils/errorResponse');
 const queryController = require('../controllers/queryController');
 const requestValidator = require('../middleware/requestValidator');
+const adminAuth = require('../middleware/adminAuth');
+const { requireTokenQuota } = require('../middleware/apiKeyAuth');
 
 const router = express.Router();
 
@@ -15,45 +18,173 @@ const apiConfig = configService.get('api.rateLimit');
 const limiter = rateLimit({
   windowMs: apiConfig.windowMs,
   max: apiConfig.max,
-  message: {
-    success: false,
-    error: {
-      message: 'Too many requests, please try again later'
-    }
-  }
+  // Keyed requests are limited per key by the API key middleware instead
+  skip: (req) => Boolean(req.apiKey),
+  handler: (req, res, next, options) => sendError(res, options.statusCode, 'Too many requests, please try again later', { code: 'RATE_LIMIT_EXCEEDED' })
 });
 
-// Apply rate limiter to all routes
+// Apply rate limiter to all anonymous requests
 router.use(limiter);
 
+// Validation rules shared by the query endpoints
+const queryValidators = [
+  body('question')
+    .notEmpty()
+    .withMessage('Question is required')
+    .isString()
+    .withMessage('Question must be a string')
+    .isLength({ min: 2, max: 500 })
+    .withMessage('Question must be between 2 and 500 characters'),
+  
+  body('language')
+    .optional()
+    .isString()
+    .withMessage('Language must be a string')
+    .isLength({ min: 2, max: 5 })
+    .withMessage('Language code must be between 2 and 5 characters'),
+  
+  body('fusion_weights')
+    .optional()
+    .isObject()
+    .withMessage('Fusion weights must be an object'),
+  
+  body(['fusion_weights.vector', 'fusion_weights.lexical'])
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Fusion weights must be numbers between 0 and 1')
+    .toFloat(),
+  
+  body('rerank')
+    .optional()
+    .isBoolean()
+    .withMessage('Rerank must be a boolean')
+    .toBoolean(),
+  
+  body('cache')
+    .optional()
+    .isBoolean()
+    .withMessage('Cache must be a boolean')
+    .toBoolean(),
+  
+  body(['persona', 'style'])
+    .optional()
+    .isString()
+    .withMessage('Persona and style must be strings')
+    .matches(/^[\w-]+(@v?\d+)?$/)
+    .withMessage('Persona and style must be a template name, optionally pinned as name@version'),
+  
+  body('user_id')
+    .optional()
+    .isString()
+    .withMessage('User id must be a string')
+    .isLength({ min: 1, max: 128 })
+    .withMessage('User id must be between 1 and 128 characters'),
+  
+  requestValidator
+];
+
+// Answer format, only offered on the non-streaming endpoint
+const formatValidator = body('format')
+  .optional()
+  .isIn(['text', 'structured'])
+  .withMessage('Format must be either text or structured');
+
 /**
  * @route POST /api/query
- * @description Process a spiritual query
+ * @description Process a spiritual query; format "structured" returns answer segments tied to source indices
+ * @access Public
+ */
+router.post('/', [requireTokenQuota, formatValidator, ...queryValidators], queryController.processQuery);
+
+/**
+ * @route POST /api/query/stream
+ * @description Process a spiritual query, streaming the answer as Server-Sent Events
+ * @access Public
+ */
+router.post('/stream', [requireTokenQuota, ...queryValidators], queryController.streamQuery);
+
+/**
+ * @route POST /api/query/:responseId/feedback
+ * @description Rate an answer with thumbs up or down and an optional comment
  * @access Public
  */
 router.post(
-  '/',
+  '/:responseId/feedback',
   [
-    body('question')
-      .notEmpty()
-      .withMessage('Question is required')
+    param('responseId')
+      .isUUID()
+      .withMessage('Response id must be a valid UUID'),
+    
+    body('rating')
+      .isIn(['up', 'down'])
+      .withMessage('Rating must be either up or down'),
+    
+    body('comment')
+      .optional({ nullable: true })
       .isString()
-      .withMessage('Question must be a string')
-      .isLength({ min: 2, max: 500 })
-      .withMessage('Question must be between 2 and 500 characters'),
+      .withMessage('Comment must be a string')
+      .isLength({ max: 1000 })
+      .withMessage('Comment must be at most 1000 characters'),
+    
+    requestValidator
+  ],
+  queryController.submitFeedback
+);
+
+/**
+ * @route GET /api/query/prompts
+ * @description List the personas and answer styles a query can select
+ * @access Public
+ */
+router.get('/prompts', queryController.listPrompts);
+
+/**
+ * @route GET /api/query/experiments
+ * @description Get per-variant metrics for the running prompt experiment
+ * @access Public
+ */
+router.get('/experiments', queryController.getExperimentMetrics);
+
+/**
+ * @route GET /api/query/cache
+ * @description Get answer cache statistics
+ * @access Admin
+ */
+router.get('/cache', adminAuth, queryController.getAnswerCacheStats);
+
+/**
+ * @route DELETE /api/query/cache
+ * @description Remove cached answers, optionally only those for a language, persona or style
+ * @access Admin
+ */
+router.delete(
+  '/cache',
+  [
+    adminAuth,
     
-    body('language')
+    query('language')
       .optional()
       .isString()
-      .withMessage('Language must be a string')
       .isLength({ min: 2, max: 5 })
       .withMessage('Language code must be between 2 and 5 characters'),
     
+    query(['persona', 'style'])
+      .optional()
+      .matches(/^[\w-]+(@v?\d+)?$/)
+      .withMessage('Persona and style must be a template name, optionally pinned as name@version'),
+    
     requestValidator
   ],
-  queryController.processQuery
+  queryController.invalidateAnswerCache
 );
 
+/**
+ * @route POST /api/query/index/reload
+ * @description Rebuild the lexical index and clear the answer cache, e.g. after scripts/reindex.js changed the collection
+ * @access Admin
+ */
+router.post('/index/reload', adminAuth, queryController.reloadIndexes);
+
 /**
  * @route GET /api/query/health
  * @description Get system health status
@@ -0,0 +1,54 @@
+/**
+ * Routes for token and cost usage reports
+ */
+const express = require('express');
+const { query } = require('express-validator');
+const usageController = require('../controllers/usageController');
+const requestValidator = require('../middleware/requestValidator');
+const adminAuth = require('../middleware/adminAuth');
+
+const router = express.Router();
+
+// Fields a report can be grouped by
+const GROUP_FIELDS = ['day', 'key', 'model'];
+
+/**
+ * Let API key holders through to their own usage and require the admin key otherwise
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+const apiKeyOrAdmin = (req, res, next) => (req.apiKey ? next() : adminAuth(req, res, next));
+
+/**
+ * @route GET /api/usage
+ * @description Report prompt, completion and embedding tokens and estimated cost grouped by day, key and/or model
+ * @access API key (own usage) or Admin (all keys)
+ */
+router.get(
+  '/',
+  [
+    apiKeyOrAdmin,
+    
+    query(['from', 'to'])
+      .optional()
+      .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+      .withMessage('Dates must be formatted as YYYY-MM-DD'),
+    
+    query('key')
+      .optional()
+      .isUUID()
+      .withMessage('Key must be an API key id'),
+    
+    query('group_by')
+      .optional()
+      .custom(value => value.split(',').every(field => GROUP_FIELDS.includes(field)))
+      .withMessage(`Group by must be a comma-separated list of ${GROUP_FIELDS.join(', ')}`),
+    
+    requestValidator
+  ],
+  usageController.getUsage
+);
+
+module.exports = router;
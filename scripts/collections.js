@@ -0,0 +1,249 @@
+/**
+ * Blue/green management of the Bhagavad Gita collection
+ * Queries read QDRANT_COLLECTION_NAME, which is an alias pointing at a versioned collection.
+ * New indexes are built into a fresh version, validated, then the alias is switched atomically.
+ *
+ * Usage:
+ *   node scripts/collections.js <command> [options]
+ *
+ * Commands:
+ *   list                      List collection versions and the one the alias points to
+ *   build                     Index into a new version, validate it and switch the alias to it
+ *     --processed [file]      Build nodes from processed data instead of the PDF (default: documents.processedPath)
+ *     --no-switch             Validate the new version but leave the alias unchanged
+ *     --max-shrink <ratio>    Fail validation if the version has this much fewer points than the live one (default: 0.1)
+ *     --replace-collection    Delete a plain collection still named QDRANT_COLLECTION_NAME so the alias can be created
+ *     --smoke-query <text>    Query that must return results before the alias is switched
+ *   switch <collection>       Validate a version and point the alias at it
+ *   rollback                  Point the alias back at the version before the live one
+ *   prune [--keep <n>]        Delete old versions, keeping the n most recent (default: QDRANT_KEEP_VERSIONS)
+ */
+require('dotenv').config();
+
+const configService = require('../utils/configService');
+const logger = require('../utils/logger');
+const GitaDocumentProcessor = require('../services/GitaProcessor');
+const VectorStore = require('../services/vectorStore');
+const { flushEmbeddingCaches } = require('../services/embeddingCache');
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv Arguments after the script name
+ * @returns {Object} { command, target, options }
+ */
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = {
+    processedPath: null,
+    switchAlias: true,
+    maxShrink: 0.1,
+    replaceCollection: false,
+    smokeQuery: undefined,
+    keep: configService.get('vectorDB.keepVersions')
+  };
+  let target = null;
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    const next = rest[i + 1];
+
+    switch (arg) {
+      case '--processed':
+        if (next !== undefined && !next.startsWith('--')) {
+          options.processedPath = next;
+          i++;
+        } else {
+          options.processedPath = configService.get('documents.processedPath');
+        }
+        break;
+      case '--no-switch':
+        options.switchAlias = false;
+        break;
+      case '--max-shrink':
+        options.maxShrink = parseFloat(next);
+        i++;
+        break;
+      case '--replace-collection':
+        options.replaceCollection = true;
+        break;
+      case '--smoke-query':
+        options.smokeQuery = next;
+        i++;
+        break;
+      case '--keep':
+        options.keep = parseInt(next, 10);
+        i++;
+        break;
+      default:
+        if (arg.startsWith('--') || target !== null) {
+          throw new Error(`Unknown option: ${arg}`);
+        }
+        target = arg;
+    }
+  }
+
+  if (Number.isNaN(options.maxShrink) || options.maxShrink < 0 || options.maxShrink > 1) {
+    throw new Error('--max-shrink must be a number between 0 and 1');
+  }
+  if (!Number.isInteger(options.keep) || options.keep < 1) {
+    throw new Error('--keep must be a positive integer');
+  }
+
+  return { command, target, options };
+}
+
+/**
+ * Build the nodes to index, from the PDF or from processed data
+ * @param {Object} options Parsed options
+ * @returns {Promise<Array<Object>>} Nodes
+ */
+async function buildNodes(options) {
+  const processor = new GitaDocumentProcessor();
+
+  if (options.processedPath) {
+    const loaded = await processor.loadProcessedData(options.processedPath);
+    if (!loaded) {
+      throw new Error(`Could not load processed data from ${options.processedPath}`);
+    }
+    return processor.createGitaNodes();
+  }
+
+  const nodes = await processor.processGitaDocument();
+  await processor.saveProcessedData(configService.get('documents.processedPath'));
+  return nodes;
+}
+
+/**
+ * Print a validation report
+ * @param {string} collectionName Validated collection
+ * @param {Object} validation Result of VectorStore.validateVersion
+ */
+function printValidation(collectionName, validation) {
+  console.log(`\nValidation of ${collectionName}: ${validation.valid ? 'passed' : 'FAILED'}`);
+  console.log(`  Points: ${validation.pointCount}${validation.livePointCount !== null ? ` (live: ${validation.livePointCount})` : ''}`);
+  console.log(`  Smoke test "${validation.smokeTest.query}": ${validation.smokeTest.results.length} results`);
+  validation.smokeTest.results.forEach(result => console.log(`    ${result.id} (${result.score.toFixed(3)})`));
+  validation.errors.forEach(error => console.log(`  ✗ ${error}`));
+}
+
+/**
+ * List versions
+ * @param {VectorStore} store Store for the alias
+ */
+async function list(store) {
+  const versions = await store.listVersions();
+  const active = await store.resolveAlias();
+
+  console.log(`Alias ${store.aliasName} -> ${active || '(not an alias)'}`);
+  if (versions.length === 0) {
+    console.log('No collection versions');
+  }
+  versions.forEach(version => console.log(`${version.active ? '*' : ' '} ${version.name} (${version.pointCount} points)`));
+}
+
+/**
+ * Build, validate and switch to a new version
+ * @param {VectorStore} store Store for the alias
+ * @param {Object} options Parsed options
+ * @returns {Promise<boolean>} True if the version passed validation
+ */
+async function build(store, options) {
+  // Fail before indexing if the switch is bound to fail
+  if (options.switchAlias && !options.replaceCollection && !(await store.resolveAlias()) && (await store.getPointCount()) > 0) {
+    throw new Error(`${store.aliasName} is still a plain collection; run build with --replace-collection to turn it into an alias`);
+  }
+
+  const nodes = await buildNodes(options);
+  if (nodes.length === 0) {
+    throw new Error('No nodes were created');
+  }
+
+  const version = await store.createVersion();
+  console.log(`Indexing ${nodes.length} nodes into ${version.collectionName}...`);
+  const result = await version.addDocuments(nodes);
+  console.log(`Indexed ${result.succeeded} nodes${result.failed > 0 ? ` (${result.failed} failed)` : ''}`);
+
+  const validation = await store.validateVersion(version.collectionName, {
+    expectedPoints: nodes.length,
+    maxShrink: options.maxShrink,
+    query: options.smokeQuery
+  });
+  printValidation(version.collectionName, validation);
+
+  // Failed versions are kept for inspection and removed by the next prune
+  if (!validation.valid) {
+    console.log(`\nThe alias was not switched; ${version.collectionName} is kept for inspection`);
+    return false;
+  }
+
+  if (!options.switchAlias) {
+    console.log(`\nThe alias was not switched (--no-switch); run "switch ${version.collectionName}" to go live`);
+    return true;
+  }
+
+  const { previous } = await store.switchAlias(version.collectionName, { replaceCollection: options.replaceCollection });
+  console.log(`\nAlias ${store.aliasName} -> ${version.collectionName}${previous ? ` (previous: ${previous}, available for rollback)` : ''}`);
+
+  const pruned = await store.pruneVersions(options.keep);
+  pruned.forEach(name => console.log(`Deleted old version ${name}`));
+  return true;
+}
+
+/**
+ * Run a collection command
+ * @returns {Promise<boolean>} True on success
+ */
+async function manageCollections() {
+  const { command, target, options } = parseArgs(process.argv.slice(2));
+  const store = new VectorStore();
+
+  switch (command) {
+    case 'list':
+      await list(store);
+      return true;
+    case 'build':
+      return build(store, options);
+    case 'switch': {
+      if (!target) {
+        throw new Error('Usage: switch <collection>');
+      }
+      const validation = await store.validateVersion(target, { maxShrink: options.maxShrink, query: options.smokeQuery });
+      printValidation(target, validation);
+      if (!validation.valid) {
+        return false;
+      }
+      const { previous } = await store.switchAlias(target, { replaceCollection: options.replaceCollection });
+      console.log(`\nAlias ${store.aliasName} -> ${target}${previous ? ` (was ${previous})` : ''}`);
+      return true;
+    }
+    case 'rollback': {
+      const { previous, current } = await store.rollback();
+      console.log(`Rolled back alias ${store.aliasName} from ${previous} to ${current}`);
+      return true;
+    }
+    case 'prune': {
+      const pruned = await store.pruneVersions(options.keep);
+      console.log(pruned.length > 0 ? `Deleted ${pruned.join(', ')}` : 'Nothing to prune');
+      return true;
+    }
+    default:
+      throw new Error(`Unknown command: ${command || '(none)'}. Use list, build, switch, rollback or prune`);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  manageCollections()
+    .then(async success => {
+      await flushEmbeddingCaches();
+      process.exit(success ? 0 : 1);
+    })
+    .catch(async error => {
+      console.error('Collection command failed:', error.message);
+      logger.error(`Collection command failed: ${error.message}`);
+      await flushEmbeddingCaches();
+      process.exit(1);
+    });
+}
+
+module.exports = manageCollections;
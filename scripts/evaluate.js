@@ -0,0 +1,271 @@
+/**
+ * Offline evaluation of retrieval and generation against a golden question set
+ * Computes recall@k, MRR, citation accuracy and answer similarity and writes JSON/HTML reports
+ *
+ * Usage:
+ *   node scripts/evaluate.js [options]
+ *   npm run eval        Offline run against the recorded fixtures (same as --offline)
+ *   npm run eval:live   Live retrieval and generation; needs a reachable Qdrant and LLM provider
+ *
+ * Options:
+ *   --dataset <file>             Golden set (default: eval/golden.json)
+ *   --output <dir>               Report directory (default: eval/reports)
+ *   --k <n>                      Cutoff for recall@k (default: 5)
+ *   --format <json,html>         Report formats (default: json,html)
+ *   --retrieval-fixtures <file>  Replay recorded retrieval results instead of querying the vector store
+ *   --record-fixtures <file>     Run live retrieval and record its results for later offline runs
+ *   --stub-llm [file]            Use the mock LLM, answering from a question-to-answer fixture file if given
+ *   --offline                    Shorthand for --retrieval-fixtures eval/fixtures/retrieval.json
+ *                                --stub-llm eval/fixtures/answers.json
+ */
+require('dotenv').config();
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const RAGService = require('../services/ragService');
+const { flushEmbeddingCaches } = require('../services/embeddingCache');
+const { MockLLMProvider } = require('../services/llm');
+const { RagEvaluator, FixtureRetriever, renderHtmlReport } = require('../services/evaluation');
+
+const DEFAULT_RETRIEVAL_FIXTURES = 'eval/fixtures/retrieval.json';
+const DEFAULT_ANSWER_FIXTURES = 'eval/fixtures/answers.json';
+
+/**
+ * Parse command line options
+ * @param {Array<string>} argv Arguments after the script name
+ * @returns {Object} Options
+ */
+function parseArgs(argv) {
+  const options = {
+    dataset: 'eval/golden.json',
+    output: 'eval/reports',
+    k: 5,
+    formats: ['json', 'html'],
+    retrievalFixtures: null,
+    recordFixtures: null,
+    stubLlm: false,
+    answerFixtures: null
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = argv[i + 1];
+    const hasValue = next !== undefined && !next.startsWith('--');
+
+    switch (arg) {
+      case '--dataset':
+        options.dataset = next;
+        i++;
+        break;
+      case '--output':
+        options.output = next;
+        i++;
+        break;
+      case '--k':
+        options.k = parseInt(next, 10);
+        i++;
+        break;
+      case '--format':
+        options.formats = next.split(',').map(format => format.trim());
+        i++;
+        break;
+      case '--retrieval-fixtures':
+        options.retrievalFixtures = next;
+        i++;
+        break;
+      case '--record-fixtures':
+        options.recordFixtures = next;
+        i++;
+        break;
+      case '--stub-llm':
+        options.stubLlm = true;
+        if (hasValue) {
+          options.answerFixtures = next;
+          i++;
+        }
+        break;
+      case '--offline':
+        options.retrievalFixtures = DEFAULT_RETRIEVAL_FIXTURES;
+        options.stubLlm = true;
+        options.answerFixtures = DEFAULT_ANSWER_FIXTURES;
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (!Number.isInteger(options.k) || options.k < 1) {
+    throw new Error('--k must be a positive integer');
+  }
+  if (options.retrievalFixtures && options.recordFixtures) {
+    throw new Error('--retrieval-fixtures and --record-fixtures cannot be combined');
+  }
+
+  return options;
+}
+
+/**
+ * Read a JSON file
+ * @param {string} filePath File path
+ * @returns {Promise<Object>} Parsed content
+ */
+async function readJson(filePath) {
+  return JSON.parse(await fs.readFile(filePath, 'utf8'));
+}
+
+/**
+ * Build the RAG service for the run, swapping in fixtures and stubs as requested
+ * @param {Object} options Parsed options
+ * @returns {Promise<Object>} { ragService, recorder, description }
+ */
+async function buildRagService(options) {
+  const components = {};
+  const description = { llm: 'configured provider', retrieval: 'live' };
+
+  if (options.retrievalFixtures) {
+    const fixtures = await FixtureRetriever.load(options.retrievalFixtures);
+    components.vectorStore = fixtures;
+    components.retriever = fixtures;
+    description.retrieval = `fixtures (${options.retrievalFixtures})`;
+  }
+
+  if (options.stubLlm) {
+    const answers = options.answerFixtures ? await readJson(options.answerFixtures) : {};
+    const questions = Object.keys(answers).sort((a, b) => b.length - a.length);
+
+    // Answer with the fixture whose question appears in the prompt; others get the mock provider's default reply
+    components.llmProvider = new MockLLMProvider({
+      responder: (messages) => {
+        const prompt = messages[messages.length - 1].content;
+        const question = questions.find(candidate => prompt.includes(candidate));
+        return question !== undefined ? answers[question] : null;
+      }
+    });
+    description.llm = options.answerFixtures ? `stub (${options.answerFixtures})` : 'stub';
+  }
+
+  const ragService = new RAGService(components);
+
+  // Record what live retrieval returns so the run can be replayed offline
+  let recorder = null;
+  if (options.recordFixtures) {
+    recorder = new FixtureRetriever();
+    const search = ragService.retriever.search.bind(ragService.retriever);
+    ragService.retriever.search = async (query, ...args) => {
+      const results = await search(query, ...args);
+      recorder.record(query, results);
+      return results;
+    };
+    const getByFilter = ragService.vectorStore.getByFilter.bind(ragService.vectorStore);
+    ragService.vectorStore.getByFilter = async (...args) => {
+      const results = await getByFilter(...args);
+      recorder.record(null, results);
+      return results;
+    };
+  }
+
+  if (!components.llmProvider) {
+    description.llm = `${ragService.provider} (${ragService.model})`;
+  }
+
+  await ragService.initialize();
+  return { ragService, recorder, description };
+}
+
+/**
+ * Run the evaluation and write the reports
+ * @returns {Promise<Object>} Report
+ */
+async function evaluate() {
+  const options = parseArgs(process.argv.slice(2));
+  const dataset = await readJson(options.dataset);
+  const cases = Array.isArray(dataset) ? dataset : dataset.cases || [];
+  if (cases.length === 0) {
+    throw new Error(`No cases found in ${options.dataset}`);
+  }
+
+  const { ragService, recorder, description } = await buildRagService(options);
+
+  console.log('========== RAG EVALUATION ==========');
+  console.log(`Dataset: ${options.dataset} (${cases.length} cases)`);
+  console.log(`LLM: ${description.llm}`);
+  console.log(`Retrieval: ${description.retrieval}`);
+
+  // Reranking may call external services, so it only runs against live retrieval
+  const evaluator = new RagEvaluator({
+    ragService,
+    k: options.k,
+    queryOptions: options.retrievalFixtures ? { rerank: false } : {}
+  });
+
+  const { summary, cases: results } = await evaluator.run(cases, result => {
+    if (result.error) {
+      console.log(`✗ ${result.id}: ${result.error}`);
+    } else {
+      const similarity = result.answerSimilarity !== null ? result.answerSimilarity.toFixed(2) : '-';
+      console.log(`✓ ${result.id}: recall@${options.k} ${result.recallAtK !== null ? result.recallAtK.toFixed(2) : '-'}, RR ${result.reciprocalRank !== null ? result.reciprocalRank.toFixed(2) : '-'}, similarity ${similarity}`);
+    }
+  });
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    dataset: options.dataset,
+    config: {
+      k: options.k,
+      llm: description.llm,
+      retrieval: description.retrieval,
+      prompt: {
+        persona: ragService.promptLibrary.defaultPersona,
+        style: ragService.promptLibrary.defaultStyle
+      }
+    },
+    summary,
+    cases: results
+  };
+
+  // Write the reports
+  await fs.mkdir(options.output, { recursive: true });
+  const baseName = path.join(options.output, `eval-${report.generatedAt.replace(/[:.]/g, '-')}`);
+  if (options.formats.includes('json')) {
+    await fs.writeFile(`${baseName}.json`, JSON.stringify(report, null, 2));
+    console.log(`\nJSON report: ${baseName}.json`);
+  }
+  if (options.formats.includes('html')) {
+    await fs.writeFile(`${baseName}.html`, renderHtmlReport(report));
+    console.log(`HTML report: ${baseName}.html`);
+  }
+
+  if (recorder) {
+    await recorder.save(options.recordFixtures);
+    console.log(`Recorded retrieval fixtures: ${options.recordFixtures}`);
+  }
+
+  const percent = value => (value !== null ? `${(value * 100).toFixed(1)}%` : '-');
+  console.log('\n--- Summary ---');
+  console.log(`Cases: ${summary.cases} (${summary.errors} failed)`);
+  console.log(`Recall@${summary.k}: ${percent(summary.recallAtK)}`);
+  console.log(`MRR: ${percent(summary.mrr)}`);
+  console.log(`Citation accuracy: ${percent(summary.citationAccuracy)} (${summary.nonexistentCitations} nonexistent citations)`);
+  console.log(`Answer similarity: ${percent(summary.answerSimilarity)}`);
+
+  return report;
+}
+
+// Run if called directly
+if (require.main === module) {
+  evaluate()
+    .then(async () => {
+      console.log('\n========== EVALUATION COMPLETE ==========');
+      await flushEmbeddingCaches();
+      process.exit(0);
+    })
+    .catch(async error => {
+      console.error('Evaluation failed:', error.message);
+      logger.error(`Evaluation failed: ${error.message}`);
+      await flushEmbeddingCaches();
+      process.exit(1);
+    });
+}
+
+module.exports = evaluate;
@@ -10,6 +10,7 @@ const logger = require('../utils/logger');
 const DocumentProcessor = require('../services/GitaProcessor');
 const VectorStore = require('../services/vectorStore');
 const RAGService = require('../services/ragService');
+const { flushEmbeddingCaches } = require('../services/embeddingCache');
 
 // File paths
 const PDF_PATH = path.join(__dirname, '..', configService.get('documents.pdfPath'));
@@ -96,6 +97,7 @@ const initSystem = async () => {
   } catch (error) {
     logger.error(`System initialization failed: ${error.message}`);
     logger.error(error.stack);
+    await flushEmbeddingCaches();
     process.exit(1);
   }
 };
@@ -103,12 +105,14 @@ const initSystem = async () => {
 // Run the initialization if this script is executed directly
 if (require.main === module) {
   initSystem()
-    .then(() => {
+    .then(async () => {
       logger.info('Initialization script completed');
+      await flushEmbeddingCaches();
       process.exit(0);
     })
-    .catch((error) => {
+    .catch(async (error) => {
       logger.error(`Initialization script failed: ${error.message}`);
+      await flushEmbeddingCaches();
       process.exit(1);
     });
 }
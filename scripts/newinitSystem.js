@@ -10,6 +10,7 @@ const logger = require('../utils/logger');
 const GitaDocumentProcessor = require('../services/GitaProcessor');
 const VectorStore = require('../services/vectorStore');
 const RAGService = require('../services/ragService');
+const { flushEmbeddingCaches } = require('../services/embeddingCache');
 
 // File paths
 const PDF_PATH = path.join(__dirname, '..', configService.get('documents.pdfPath'));
@@ -83,8 +84,9 @@ const initSystem = async () => {
         error: error.message
       };
       
-      // Save debug info before exiting
+      // Save debug info and the embeddings computed so far before exiting
       await fs.writeFile(DEBUG_PATH, JSON.stringify(debugInfo, null, 2));
+      await flushEmbeddingCaches();
       
       process.exit(1);
     }
@@ -247,8 +249,9 @@ const initSystem = async () => {
         error: errorMsg
       });
       
-      // Save debug info before exiting
+      // Save debug info and the embeddings computed so far before exiting
       await fs.writeFile(DEBUG_PATH, JSON.stringify(debugInfo, null, 2));
+      await flushEmbeddingCaches();
       
       process.exit(1);
     }
@@ -289,7 +292,7 @@ const initSystem = async () => {
             action: 'deleted and recreated'
           };
         } else {
-          logger.info('Keeping existing documents. Set FORCE_REINDEX=true to reindex.');
+          logger.info('Keeping existing documents. Set FORCE_REINDEX=true to reindex, or run npm run reindex to apply only changed nodes.');
           
           debugInfo.stages.collectionReset = {
             success: true,
@@ -399,8 +402,9 @@ const initSystem = async () => {
         error: error.message
       };
       
-      // Save debug info before exiting
+      // Save debug info and the embeddings computed so far before exiting
       await fs.writeFile(DEBUG_PATH, JSON.stringify(debugInfo, null, 2));
+      await flushEmbeddingCaches();
       
       process.exit(1);
     }
@@ -504,7 +508,8 @@ const initSystem = async () => {
     await fs.writeFile(DEBUG_PATH, JSON.stringify(debugInfo, null, 2));
     logger.info(`Debug information saved to ${DEBUG_PATH}`);
     
-    // Exit process
+    // Exit process once cached embeddings are on disk
+    await flushEmbeddingCaches();
     process.exit(0);
   } catch (error) {
     logger.error(`Error in system initialization: ${error.message}`);
@@ -520,6 +525,7 @@ const initSystem = async () => {
     
     // Save debug info before exiting
     await fs.writeFile(DEBUG_PATH, JSON.stringify(debugInfo, null, 2));
+    await flushEmbeddingCaches();
     
     process.exit(1);
   }
@@ -531,12 +537,14 @@ initSystem();
 // Run initialization if this script is executed directly
 if (require.main === module) {
   initSystem()
-    .then(() => {
+    .then(async () => {
       logger.info('Initialization script completed');
+      await flushEmbeddingCaches();
       process.exit(0);
     })
-    .catch((error) => {
+    .catch(async (error) => {
       logger.error(`Initialization script failed: ${error.message}`);
+      await flushEmbeddingCaches();
       process.exit(1);
     });
 }
@@ -0,0 +1,168 @@
+/**
+ * Incremental re-indexing of the Bhagavad Gita collection
+ * Hashes every node from createGitaNodes, compares the hashes with those stored in the collection
+ * and only upserts new or changed nodes and deletes nodes that no longer exist
+ *
+ * Usage:
+ *   node scripts/reindex.js [options]
+ *
+ * Options:
+ *   --dry-run            Print the diff without changing the collection
+ *   --processed [file]   Build nodes from previously processed data instead of the PDF
+ *                        (default: documents.processedPath)
+ *   --verbose            List every added, updated and removed node id
+ *
+ * A running server keeps its lexical index and cached answers from before the re-index;
+ * restart it or call POST /api/query/index/reload with the admin key afterwards
+ */
+require('dotenv').config();
+
+const configService = require('../utils/configService');
+const logger = require('../utils/logger');
+const GitaDocumentProcessor = require('../services/GitaProcessor');
+const VectorStore = require('../services/vectorStore');
+const IncrementalIndexer = require('../services/incrementalIndexer');
+const { flushEmbeddingCaches } = require('../services/embeddingCache');
+
+// Node ids listed per category unless --verbose is given
+const MAX_LISTED_IDS = 20;
+
+/**
+ * Parse command line options
+ * @param {Array<string>} argv Arguments after the script name
+ * @returns {Object} Options
+ */
+function parseArgs(argv) {
+  const options = {
+    dryRun: false,
+    processedPath: null,
+    verbose: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = argv[i + 1];
+
+    switch (arg) {
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--processed':
+        if (next !== undefined && !next.startsWith('--')) {
+          options.processedPath = next;
+          i++;
+        } else {
+          options.processedPath = configService.get('documents.processedPath');
+        }
+        break;
+      case '--verbose':
+        options.verbose = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Build the nodes to index, from the PDF or from processed data
+ * @param {Object} options Parsed options
+ * @returns {Promise<Array<Object>>} Nodes
+ */
+async function buildNodes(options) {
+  const processor = new GitaDocumentProcessor();
+
+  if (options.processedPath) {
+    const loaded = await processor.loadProcessedData(options.processedPath);
+    if (!loaded) {
+      throw new Error(`Could not load processed data from ${options.processedPath}`);
+    }
+    console.log(`Source: processed data (${options.processedPath})`);
+    return processor.createGitaNodes();
+  }
+
+  console.log(`Source: PDF (${processor.pdfPath})`);
+  const nodes = await processor.processGitaDocument();
+
+  // The lexical index reads the processed data, so keep it in step with the collection
+  if (!options.dryRun) {
+    await processor.saveProcessedData(configService.get('documents.processedPath'));
+  }
+  return nodes;
+}
+
+/**
+ * Print one category of the diff
+ * @param {string} label Category label
+ * @param {Array<string>} ids Node ids
+ * @param {boolean} verbose List every id
+ */
+function printCategory(label, ids, verbose) {
+  console.log(`${label}: ${ids.length}`);
+
+  const listed = verbose ? ids : ids.slice(0, MAX_LISTED_IDS);
+  listed.forEach(id => console.log(`  ${id}`));
+  if (listed.length < ids.length) {
+    console.log(`  ... and ${ids.length - listed.length} more (use --verbose to list all)`);
+  }
+}
+
+/**
+ * Run the incremental re-index
+ * @returns {Promise<Object>} { diff, result }
+ */
+async function reindex() {
+  const options = parseArgs(process.argv.slice(2));
+
+  console.log('========== INCREMENTAL RE-INDEX ==========');
+  console.log(`Collection: ${configService.get('vectorDB.collectionName')}${options.dryRun ? ' (dry run)' : ''}`);
+
+  const nodes = await buildNodes(options);
+  if (nodes.length === 0) {
+    throw new Error('No nodes were created, refusing to re-index (every indexed node would be removed)');
+  }
+  console.log(`Nodes: ${nodes.length}`);
+
+  const indexer = new IncrementalIndexer({ vectorStore: new VectorStore() });
+  const { diff, result } = await indexer.run(nodes, { dryRun: options.dryRun });
+
+  console.log('\n--- Diff ---');
+  printCategory('Added', diff.added.map(node => String(node.id)), options.verbose);
+  printCategory('Updated', diff.updated.map(node => String(node.id)), options.verbose);
+  printCategory('Removed', diff.removed.map(entry => entry.id), options.verbose);
+  console.log(`Unchanged: ${diff.unchanged}`);
+
+  if (result) {
+    console.log('\n--- Result ---');
+    console.log(`Upserted: ${result.upserted}${result.failed > 0 ? ` (${result.failed} failed)` : ''}`);
+    console.log(`Deleted: ${result.deleted}`);
+    if (result.upserted > 0 || result.deleted > 0) {
+      const reloadPath = `${configService.get('api.prefix')}/${configService.get('api.version')}/query/index/reload`;
+      console.log(`\nRestart running servers or call POST ${reloadPath} (admin) to rebuild their lexical index and answer cache`);
+    }
+  } else {
+    console.log('\nDry run, the collection was not changed');
+  }
+
+  return { diff, result };
+}
+
+// Run if called directly
+if (require.main === module) {
+  reindex()
+    .then(async ({ result }) => {
+      console.log('\n========== RE-INDEX COMPLETE ==========');
+      await flushEmbeddingCaches();
+      process.exit(result && result.failed > 0 ? 1 : 0);
+    })
+    .catch(async error => {
+      console.error('Re-index failed:', error.message);
+      logger.error(`Re-index failed: ${error.message}`);
+      await flushEmbeddingCaches();
+      process.exit(1);
+    });
+}
+
+module.exports = reindex;
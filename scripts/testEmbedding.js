@@ -2,7 +2,7 @@
  * Simple script to test the embedding service
  */
 require('dotenv').config();
-const EmbeddingService = require('../services/customEmbeddingService');
+const EmbeddingService = require('../services/embeddingService');
 
 async function testEmbedding() {
   console.log('Testing embedding service...');
@@ -2,7 +2,8 @@
  * Script to test the OpenAI embedding service
  */
 require('dotenv').config();
-const EmbeddingService = require('../services/openaiEmbeddingService');
+const EmbeddingService = require('../services/embeddingService');
+const { createEmbeddingProvider } = require('../services/embeddings');
 
 async function testOpenAIEmbedding() {
   console.log('Testing OpenAI embedding service...');
@@ -13,8 +14,8 @@ async function testOpenAIEmbedding() {
   }
   
   try {
-    // Initialize the embedding service
-    const embeddingService = new EmbeddingService();
+    // Initialize the embedding service with the OpenAI provider regardless of EMBEDDING_PROVIDER
+    const embeddingService = new EmbeddingService(createEmbeddingProvider({ provider: 'openai' }));
     
     // Test texts
     const texts = [
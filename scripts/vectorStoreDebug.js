@@ -7,7 +7,7 @@ require('dotenv').config();
 const configService = require('../utils/configService');
 const logger = require('../utils/logger');
 const VectorStore = require('../services/vectorStore');
-const EmbeddingService = require('../services/customEmbeddingService');
+const EmbeddingService = require('../services/embeddingService');
 const fs = require('fs').promises;
 const path = require('path');
 
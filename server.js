@@ -6,8 +6,8 @@ const app = require('./app');
 const logger = require('./utils/logger');
 const configService = require('./utils/configService');
 
-// Check for required environment variables
-const requiredEnvVars = ['GROQ_API_KEY'];
+// Check for required environment variables (only Groq needs an API key)
+const requiredEnvVars = configService.get('llm.provider') === 'groq' ? ['GROQ_API_KEY'] : [];
 const missingEnvVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
 
 if (missingEnvVars.length > 0) {
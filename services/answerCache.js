@@ -0,0 +1,268 @@
+/**
+ * Semantic cache of generated answers
+ * Near-identical questions (by embedding similarity) reuse a previous answer instead of calling the LLM.
+ * Entries are partitioned by language, prompt version and cited verses so a cached answer is only
+ * served to requests that would have been answered with the same template about the same verses.
+ */
+const configService = require('../utils/configService');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+/**
+ * Normalize a question before embedding so casing, punctuation and spacing do not matter
+ * @param {string} question Question text
+ * @returns {string} Normalized question
+ */
+const normalizeQuestion = (question) => question
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Cosine similarity between two vectors
+ * @param {Array<number>} a First vector
+ * @param {Array<number>} b Second vector
+ * @returns {number} Similarity between -1 and 1
+ */
+const cosineSimilarity = (a, b) => {
+  if (a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA === 0 || normB === 0 ? 0 : dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+class AnswerCache {
+  /**
+   * @param {Object} options Cache options
+   * @param {EmbeddingService} options.embeddingService Service used to embed questions; the cache is disabled without one
+   * @param {boolean} options.enabled Whether answers are cached
+   * @param {number} options.threshold Minimum cosine similarity for a hit
+   * @param {number} options.ttl Time to live of an entry in milliseconds
+   * @param {number} options.maxEntries Maximum number of entries, oldest are evicted first
+   */
+  constructor({
+    embeddingService = null,
+    enabled = configService.get('answerCache.enabled'),
+    threshold = configService.get('answerCache.threshold'),
+    ttl = configService.get('answerCache.ttl'),
+    maxEntries = configService.get('answerCache.maxEntries')
+  } = {}) {
+    this.embeddingService = embeddingService;
+    this.enabled = Boolean(enabled && embeddingService);
+    this.threshold = threshold;
+    this.ttl = ttl;
+    this.maxEntries = maxEntries;
+
+    // Entries by partition key, each a list in insertion order
+    this.partitions = new Map();
+    this.size = 0;
+  }
+
+  /**
+   * Whether answers are looked up and stored
+   * @returns {boolean} True if enabled
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Key of the partition a question belongs to
+   * @param {Object} scope Scope { language, persona, style, format, verses }
+   * @returns {string} Partition key
+   * @private
+   */
+  _partitionKey({ language, persona, style, format = 'text', verses = [] }) {
+    return [language, persona, style, format, verses.join(',')].join('|');
+  }
+
+  /**
+   * Find a cached answer for a question similar enough to a previous one
+   * @param {string} question Question as asked
+   * @param {Object} scope Scope { language, persona, style, format, verses } with versioned prompt ids
+   * @returns {Promise<Object|null>} { response, similarity, question, createdAt } or null on a miss
+   */
+  async lookup(question, scope) {
+    if (!this.enabled) return null;
+
+    const normalized = normalizeQuestion(question);
+    if (!normalized) return null;
+
+    const entries = this._liveEntries(this._partitionKey(scope));
+    if (entries.length === 0) {
+      metrics.cacheLookups.inc({ cache: 'answer', result: 'miss' });
+      return null;
+    }
+
+    const embedding = await this.embeddingService.getEmbedding(normalized);
+
+    let best = null;
+    let bestSimilarity = -1;
+    for (const entry of entries) {
+      const similarity = entry.normalized === normalized ? 1 : cosineSimilarity(embedding, entry.embedding);
+      if (similarity > bestSimilarity) {
+        best = entry;
+        bestSimilarity = similarity;
+      }
+    }
+
+    if (!best || bestSimilarity < this.threshold) {
+      metrics.cacheLookups.inc({ cache: 'answer', result: 'miss' });
+      return null;
+    }
+
+    metrics.cacheLookups.inc({ cache: 'answer', result: 'hit' });
+    logger.info(`Answer cache hit (similarity ${bestSimilarity.toFixed(3)}) for "${question}" matching "${best.question}"`);
+    return {
+      response: best.response,
+      similarity: bestSimilarity,
+      question: best.question,
+      createdAt: best.createdAt
+    };
+  }
+
+  /**
+   * Cache an answer
+   * @param {string} question Question as asked
+   * @param {Object} scope Scope { language, persona, style, format, verses } with versioned prompt ids
+   * @param {Object} response Query response to serve on later hits
+   * @returns {Promise<void>}
+   */
+  async store(question, scope, response) {
+    if (!this.enabled) return;
+
+    const normalized = normalizeQuestion(question);
+    if (!normalized) return;
+
+    const key = this._partitionKey(scope);
+    const embedding = await this.embeddingService.getEmbedding(normalized);
+    const now = Date.now();
+
+    // A newer answer to the same question replaces the old one
+    const entries = (this.partitions.get(key) || []).filter(entry => entry.normalized !== normalized);
+    entries.push({
+      question,
+      normalized,
+      embedding,
+      response,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: now + this.ttl
+    });
+    this.partitions.set(key, entries);
+    metrics.cacheWrites.inc({ cache: 'answer', operation: 'store' });
+
+    this._recount();
+    this._evict();
+  }
+
+  /**
+   * Remove cached answers, all of them or only those matching the given scope
+   * @param {Object} filter Optional filter { language, persona, style }; persona and style match with or without a version
+   * @returns {number} Number of entries removed
+   */
+  invalidate(filter = {}) {
+    const matches = (value, expected) => !expected || value === expected || value.split('@')[0] === expected;
+    let removed = 0;
+
+    for (const [key, entries] of this.partitions) {
+      const [language, persona, style] = key.split('|');
+      if (matches(language, filter.language) && matches(persona, filter.persona) && matches(style, filter.style)) {
+        removed += entries.length;
+        this.partitions.delete(key);
+      }
+    }
+
+    this._recount();
+    metrics.cacheWrites.inc({ cache: 'answer', operation: 'invalidate' });
+    logger.info(`Answer cache invalidated: ${removed} entries removed`);
+    return removed;
+  }
+
+  /**
+   * Get cache statistics
+   * Lookup and write counts come from the Prometheus counters, so they cover every answer cache in the process
+   * @returns {Promise<Object>} Cache statistics
+   */
+  async getStats() {
+    const counts = await metrics.getCacheCounts('answer');
+    const lookups = counts.hits + counts.misses;
+    return {
+      enabled: this.enabled,
+      size: this.size,
+      threshold: this.threshold,
+      ttl: this.ttl,
+      maxEntries: this.maxEntries,
+      ...counts,
+      hitRate: lookups > 0 ? (counts.hits / lookups) * 100 : 0
+    };
+  }
+
+  /**
+   * Unexpired entries of a partition, dropping expired ones
+   * @param {string} key Partition key
+   * @returns {Array<Object>} Entries
+   * @private
+   */
+  _liveEntries(key) {
+    const entries = this.partitions.get(key);
+    if (!entries) return [];
+
+    const now = Date.now();
+    const live = entries.filter(entry => entry.expiresAt > now);
+    if (live.length !== entries.length) {
+      if (live.length > 0) {
+        this.partitions.set(key, live);
+      } else {
+        this.partitions.delete(key);
+      }
+      this._recount();
+    }
+    return live;
+  }
+
+  /**
+   * Drop the oldest entries once the cache is over its size limit
+   * @private
+   */
+  _evict() {
+    while (this.size > this.maxEntries) {
+      let oldestKey = null;
+      let oldest = null;
+      for (const [key, entries] of this.partitions) {
+        if (!oldest || entries[0].expiresAt < oldest.expiresAt) {
+          oldestKey = key;
+          oldest = entries[0];
+        }
+      }
+
+      const entries = this.partitions.get(oldestKey);
+      entries.shift();
+      if (entries.length === 0) {
+        this.partitions.delete(oldestKey);
+      }
+      this.size--;
+    }
+  }
+
+  /**
+   * Recompute the number of cached entries
+   * @private
+   */
+  _recount() {
+    this.size = 0;
+    for (const entries of this.partitions.values()) {
+      this.size += entries.length;
+    }
+  }
+}
+
+module.exports = AnswerCache;
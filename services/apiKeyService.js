@@ -0,0 +1,196 @@
+/**
+ * API key service
+ * Issues and revokes client keys and enforces each key's request rate limit and daily LLM token quota
+ */
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const configService = require('../utils/configService');
+const logger = require('../utils/logger');
+const { createApiKeyStore } = require('./apiKeyStore');
+
+// Issued keys start with this prefix so they are recognizable in logs and secret scanners
+const KEY_PREFIX = 'sk_';
+
+// Characters of the key kept in the record so operators can tell keys apart
+const DISPLAY_PREFIX_LENGTH = 10;
+
+/**
+ * Hash a key for storage and lookup
+ * Keys are random 192-bit values, so a fast unsalted hash is enough
+ * @param {string} key API key
+ * @returns {string} SHA-256 hex digest
+ */
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Current UTC day, used to reset token quotas
+ * @param {Date} date Date (defaults to now)
+ * @returns {string} Day as YYYY-MM-DD
+ */
+const utcDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+class ApiKeyService {
+  /**
+   * @param {Object} store Optional API key store (defaults to the configured store)
+   */
+  constructor(store = null) {
+    this.store = store || createApiKeyStore();
+    this.windowMs = configService.get('apiKeys.rateLimitWindowMs');
+    this.defaultRateLimit = configService.get('apiKeys.rateLimit');
+    this.defaultDailyTokenQuota = configService.get('apiKeys.dailyTokenQuota');
+    // Request counts per key for the current window; kept in memory like express-rate-limit
+    this.windows = new Map();
+  }
+
+  /**
+   * Issue a new key
+   * @param {Object} options Key options
+   * @param {string} options.name Label for the key, e.g. the client it was issued to
+   * @param {number} options.rateLimit Requests allowed per rate limit window
+   * @param {number} options.dailyTokenQuota LLM tokens allowed per UTC day
+   * @returns {Promise<Object>} { key, record } where key is the only copy of the plaintext key
+   */
+  async issue({ name, rateLimit = this.defaultRateLimit, dailyTokenQuota = this.defaultDailyTokenQuota }) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: uuidv4(),
+      name,
+      prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+      hash: hashKey(key),
+      rateLimit,
+      dailyTokenQuota,
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+      usage: {
+        day: utcDay(),
+        tokens: 0
+      }
+    };
+
+    await this.store.save(record);
+    logger.info(`Issued API key ${record.id} (${name})`);
+    return { key, record };
+  }
+
+  /**
+   * Revoke a key; the record is kept so its usage stays visible
+   * @param {string} id Key id
+   * @returns {Promise<Object|null>} Revoked record, or null if the key is unknown
+   */
+  async revoke(id) {
+    const record = await this.store.get(id);
+    if (!record) {
+      return null;
+    }
+
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      await this.store.save(record);
+      logger.info(`Revoked API key ${id} (${record.name})`);
+    }
+    return record;
+  }
+
+  /**
+   * List all keys, including revoked ones
+   * @returns {Promise<Array<Object>>} Key records
+   */
+  async list() {
+    return this.store.list();
+  }
+
+  /**
+   * Find the active record for a key
+   * @param {string} key API key sent by the client
+   * @returns {Promise<Object|null>} Record, or null if the key is unknown or revoked
+   */
+  async authenticate(key) {
+    const record = await this.store.findByHash(hashKey(key));
+    if (!record || record.revokedAt) {
+      return null;
+    }
+    return record;
+  }
+
+  /**
+   * Count a request against the key's rate limit
+   * @param {Object} record Key record
+   * @returns {Object} { allowed, limit, remaining, resetAt }
+   */
+  consumeRequest(record) {
+    const now = Date.now();
+    let window = this.windows.get(record.id);
+    if (!window || now >= window.resetAt) {
+      window = { count: 0, resetAt: now + this.windowMs };
+      this.windows.set(record.id, window);
+    }
+
+    const allowed = window.count < record.rateLimit;
+    if (allowed) {
+      window.count++;
+    }
+
+    return {
+      allowed,
+      limit: record.rateLimit,
+      remaining: Math.max(0, record.rateLimit - window.count),
+      resetAt: window.resetAt
+    };
+  }
+
+  /**
+   * Get the key's token usage for the current UTC day
+   * @param {Object} record Key record
+   * @returns {Object} { exceeded, limit, used, remaining, resetAt }
+   */
+  getTokenQuota(record) {
+    const used = record.usage && record.usage.day === utcDay() ? record.usage.tokens : 0;
+    const tomorrow = new Date();
+    tomorrow.setUTCHours(24, 0, 0, 0);
+
+    return {
+      exceeded: used >= record.dailyTokenQuota,
+      limit: record.dailyTokenQuota,
+      used,
+      remaining: Math.max(0, record.dailyTokenQuota - used),
+      resetAt: tomorrow.getTime()
+    };
+  }
+
+  /**
+   * Add the tokens an answer used to the key's daily usage
+   * A request is admitted while the key has quota left, so the last answer of the day may overshoot it
+   * @param {string} id Key id
+   * @param {Object} tokenUsage Token usage reported by the LLM provider
+   * @returns {Promise<Object|null>} Updated record, or null if nothing was recorded
+   */
+  async recordTokens(id, tokenUsage) {
+    if (!tokenUsage || typeof tokenUsage.total_tokens !== 'number') {
+      return null;
+    }
+
+    const record = await this.store.get(id);
+    if (!record) {
+      return null;
+    }
+
+    const day = utcDay();
+    if (!record.usage || record.usage.day !== day) {
+      record.usage = { day, tokens: 0 };
+    }
+    record.usage.tokens += tokenUsage.total_tokens;
+
+    return this.store.save(record);
+  }
+
+  /**
+   * Shape a key record for API responses, without the hash
+   * @param {Object} record Key record
+   * @returns {Object} Public view of the key
+   */
+  static toPublic({ hash, ...record }) {
+    return record;
+  }
+}
+
+module.exports = ApiKeyService;
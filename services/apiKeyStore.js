@@ -0,0 +1,181 @@
+/**
+ * Storage backends for API keys
+ * Only the SHA-256 hash of each key is stored; the key itself is shown once when it is issued
+ * Both stores expose the same async interface (get, findByHash, list, save) so they can be swapped via config
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const configService = require('../utils/configService');
+const logger = require('../utils/logger');
+
+class MemoryApiKeyStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  /**
+   * Get a key record by id
+   * @param {string} id Key id
+   * @returns {Promise<Object|null>} Record or null if not found
+   */
+  async get(id) {
+    return this.records.get(id) || null;
+  }
+
+  /**
+   * Find the key record with a given hash
+   * @param {string} hash SHA-256 hash of the key
+   * @returns {Promise<Object|null>} Record or null if no key matches
+   */
+  async findByHash(hash) {
+    for (const record of this.records.values()) {
+      if (record.hash === hash) {
+        return record;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * List all key records, oldest first
+   * @returns {Promise<Array<Object>>} Records
+   */
+  async list() {
+    return Array.from(this.records.values());
+  }
+
+  /**
+   * Create or replace a key record
+   * @param {Object} record Record to save
+   * @returns {Promise<Object>} Saved record
+   */
+  async save(record) {
+    this.records.set(record.id, record);
+    return record;
+  }
+}
+
+class FileApiKeyStore extends MemoryApiKeyStore {
+  /**
+   * @param {Object} options Store options
+   * @param {string} options.filePath JSON file used to persist key records
+   */
+  constructor({ filePath } = {}) {
+    super();
+    this.filePath = path.resolve(filePath);
+    this.loaded = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async get(id) {
+    await this._load();
+    return super.get(id);
+  }
+
+  async findByHash(hash) {
+    await this._load();
+    return super.findByHash(hash);
+  }
+
+  async list() {
+    await this._load();
+    return super.list();
+  }
+
+  async save(record) {
+    await this._load();
+    const isNew = !this.records.has(record.id);
+    await super.save(record);
+    try {
+      await this._persist();
+    } catch (error) {
+      // The caller never hands out a key that failed to save, so it must not authenticate either
+      if (isNew) {
+        this.records.delete(record.id);
+      }
+      throw error;
+    }
+    return record;
+  }
+
+  /**
+   * Load records from disk once
+   * @returns {Promise<void>}
+   * @private
+   */
+  _load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        try {
+          const content = await fs.readFile(this.filePath, 'utf8');
+          const records = JSON.parse(content);
+          for (const record of records) {
+            this.records.set(record.id, record);
+          }
+          logger.info(`Loaded ${this.records.size} API keys from ${this.filePath}`);
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            logger.error(`Error loading API keys from ${this.filePath}: ${error.message}`);
+          }
+        }
+      })();
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Write all records to disk, serializing concurrent writes
+   * Writes go to a temporary file that is renamed into place, so a crash never leaves a truncated file.
+   * A failed write rejects, so a key is never reported as issued or revoked when that did not reach the disk.
+   * @returns {Promise<void>}
+   * @private
+   */
+  _persist() {
+    const write = this.writeQueue.then(async () => {
+      try {
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const data = JSON.stringify(Array.from(this.records.values()), null, 2);
+        await fs.writeFile(tempPath, data);
+        await fs.rename(tempPath, this.filePath);
+      } catch (error) {
+        logger.error(`Error saving API keys to ${this.filePath}: ${error.message}`);
+        throw error;
+      }
+    });
+    // Later writes still run after a failed one
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+}
+
+// Stores are shared so the auth middleware and the admin routes see the same keys
+const stores = {};
+
+/**
+ * Get the API key store selected in config
+ * @returns {MemoryApiKeyStore|FileApiKeyStore} API key store
+ */
+const createApiKeyStore = () => {
+  const config = configService.get('apiKeys');
+
+  if (!stores[config.store]) {
+    if (config.store === 'file') {
+      stores[config.store] = new FileApiKeyStore({ filePath: config.filePath });
+    } else {
+      if (config.store !== 'memory') {
+        logger.warn(`Unknown API key store "${config.store}", falling back to memory`);
+      }
+      stores[config.store] = new MemoryApiKeyStore();
+    }
+    logger.info(`Initialized ${config.store} API key store`);
+  }
+
+  return stores[config.store];
+};
+
+module.exports = {
+  MemoryApiKeyStore,
+  FileApiKeyStore,
+  createApiKeyStore
+};
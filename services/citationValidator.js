@@ -0,0 +1,136 @@
+/**
+ * Post-generation check of the verse citations in an answer
+ * Flags references to verses that do not exist or were not among the retrieved sources, and can strip them
+ */
+const configService = require('../utils/configService');
+const logger = require('../utils/logger');
+const { findVerseReferences } = require('../utils/verseReferences');
+
+class CitationValidator {
+  /**
+   * @param {Object} options Validator options
+   * @param {VerseCatalog} options.verseCatalog Catalog of the verses in processed_gita.json
+   * @param {string} options.mode 'off', 'flag' or 'strip' (defaults to citations.mode)
+   * @param {boolean} options.stripUnsupported Also strip real verses that were not retrieved (defaults to citations.stripUnsupported)
+   */
+  constructor({ verseCatalog, mode = null, stripUnsupported = null }) {
+    this.verseCatalog = verseCatalog;
+    this.mode = mode || configService.get('citations.mode');
+    this.stripUnsupported = stripUnsupported !== null ? stripUnsupported : configService.get('citations.stripUnsupported');
+  }
+
+  /**
+   * Whether answers are checked at all
+   * @returns {boolean} True unless the mode is 'off'
+   */
+  isEnabled() {
+    return this.mode !== 'off';
+  }
+
+  /**
+   * Check the citations of an answer
+   * @param {string} answer Generated answer
+   * @param {Array<Object>} retrievalResults Passages the answer was grounded in
+   * @returns {Promise<Object>} { answer, citations } where answer has hallucinated references stripped in strip mode
+   */
+  async validate(answer, retrievalResults = []) {
+    const references = findVerseReferences(answer);
+    const retrieved = new Set(
+      retrievalResults
+        .map(result => result.metadata || {})
+        .filter(metadata => metadata.chapter && metadata.verse)
+        .map(metadata => `${metadata.chapter}.${metadata.verse}`)
+    );
+
+    // Prefer the processed data as the source of truth, fall back to the canonical verse counts
+    const catalogAvailable = await this.verseCatalog.isAvailable();
+
+    const checked = [];
+    for (const reference of references) {
+      const key = `${reference.chapter}.${reference.verse}`;
+      let status = 'verified';
+
+      if (!reference.valid || (catalogAvailable && !(await this.verseCatalog.getVerse(reference.chapter, reference.verse)))) {
+        status = 'nonexistent';
+      } else if (!retrieved.has(key)) {
+        status = 'not_in_sources';
+      }
+
+      checked.push({ ...reference, reference: key, status });
+    }
+
+    const flagged = checked.filter(citation => citation.status !== 'verified');
+    const toStrip = this.mode === 'strip'
+      ? flagged.filter(citation => citation.status === 'nonexistent' || this.stripUnsupported)
+      : [];
+
+    if (flagged.length > 0) {
+      logger.warn(`Answer cites unverified verses: ${flagged.map(citation => `${citation.reference} (${citation.status})`).join(', ')}`);
+    }
+
+    return {
+      answer: toStrip.length > 0 ? this._strip(answer, toStrip) : answer,
+      citations: {
+        verified: checked.filter(citation => citation.status === 'verified').map(citation => citation.reference),
+        flagged: flagged.map(citation => ({
+          reference: citation.reference,
+          chapter: citation.chapter,
+          verse: citation.verse,
+          text: citation.text,
+          reason: citation.status,
+          stripped: toStrip.includes(citation)
+        }))
+      }
+    };
+  }
+
+  /**
+   * Check the citations of an answer split into segments, stripping each segment on its own
+   * @param {Array<string>} segments Segment texts
+   * @param {Array<Object>} retrievalResults Passages the answer was grounded in
+   * @returns {Promise<Object>} { segments, citations } with citations merged across segments
+   */
+  async validateSegments(segments, retrievalResults = []) {
+    const checked = [];
+    for (const segment of segments) {
+      checked.push(await this.validate(segment, retrievalResults));
+    }
+
+    return {
+      segments: checked.map(result => result.answer),
+      citations: {
+        verified: checked.flatMap(result => result.citations.verified),
+        flagged: checked.flatMap(result => result.citations.flagged)
+      }
+    };
+  }
+
+  /**
+   * Remove references from an answer, keeping the sentence readable
+   * Parenthesized references are dropped entirely, inline ones become "the Gita"
+   * @param {string} answer Generated answer
+   * @param {Array<Object>} citations Citations with index and length
+   * @returns {string} Answer without the references
+   * @private
+   */
+  _strip(answer, citations) {
+    let result = answer;
+
+    // Work backwards so earlier indices stay valid
+    for (const citation of [...citations].sort((a, b) => b.index - a.index)) {
+      const before = result.substring(0, citation.index);
+      const after = result.substring(citation.index + citation.length);
+
+      const parenthesized = /\(\s*$/.test(before) && /^\s*\)/.test(after);
+      if (parenthesized) {
+        result = before.replace(/\s*\(\s*$/, '') + after.replace(/^\s*\)/, '');
+      } else {
+        result = `${before}the Gita${after}`;
+      }
+    }
+
+    return result.replace(/ {2,}/g, ' ').trim();
+  }
+}
+
+module.exports = CitationValidator;
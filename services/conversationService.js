@@ -0,0 +1,237 @@
+/**
+ * Conversation service for multi-turn sessions
+ * Keeps the history of each conversation and trims it to a token budget for the LLM.
+ * Each conversation belongs to the API key that created it, or to whoever holds the access
+ * token issued with it when it was created anonymously.
+ */
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const configService = require('../utils/configService');
+const logger = require('../utils/logger');
+const { createConversationStore } = require('./conversationStore');
+
+// Anonymous access tokens start with this prefix so they are recognizable in logs and secret scanners
+const TOKEN_PREFIX = 'ct_';
+
+/**
+ * Hash an access token for storage and comparison
+ * @param {string} token Access token
+ * @returns {Buffer} SHA-256 digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest();
+
+class ConversationService {
+  /**
+   * @param {Object} store Optional conversation store (defaults to the configured store)
+   */
+  constructor(store = null) {
+    this.store = store || createConversationStore();
+    this.maxHistoryTokens = configService.get('conversations.maxHistoryTokens') || 1000;
+  }
+
+  /**
+   * Create a new conversation
+   * Conversations created with an API key belong to that key; anonymous ones get an access token
+   * @param {Object} options Conversation options
+   * @param {string} options.title Optional title
+   * @param {string} options.language Language code
+   * @param {string} options.apiKeyId API key the conversation is created with, if any
+   * @returns {Promise<Object>} { conversation, accessToken } where accessToken is only set for anonymous conversations
+   */
+  async createConversation({ title = null, language = 'en', apiKeyId = null } = {}) {
+    let accessToken = null;
+    let owner;
+    if (apiKeyId) {
+      owner = { apiKeyId };
+    } else {
+      accessToken = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+      owner = { tokenHash: hashToken(accessToken).toString('hex') };
+    }
+
+    const now = new Date().toISOString();
+    const conversation = {
+      id: uuidv4(),
+      title,
+      language,
+      owner,
+      createdAt: now,
+      updatedAt: now,
+      messages: []
+    };
+
+    await this.store.save(conversation);
+    logger.info(`Created conversation ${conversation.id}`);
+    return { conversation, accessToken };
+  }
+
+  /**
+   * Get a conversation by id if it belongs to the requester
+   * Conversations of other owners are reported as missing so their ids cannot be probed
+   * @param {string} id Conversation id
+   * @param {Object} requester Who is asking
+   * @param {string} requester.apiKeyId API key of the request, if any
+   * @param {string} requester.accessToken Conversation access token sent with the request, if any
+   * @returns {Promise<Object|null>} Conversation or null if not found or not owned by the requester
+   */
+  async getConversation(id, requester) {
+    const conversation = await this.store.get(id);
+    if (!conversation || !this.isOwner(conversation, requester)) {
+      return null;
+    }
+    return conversation;
+  }
+
+  /**
+   * List conversation summaries without their messages, for admins
+   * @returns {Promise<Array<Object>>} Conversation summaries
+   */
+  async listConversations() {
+    const conversations = await this.store.list();
+    return conversations.map(({ messages, owner, ...summary }) => ({
+      ...summary,
+      apiKeyId: (owner && owner.apiKeyId) || null,
+      messageCount: messages.length
+    }));
+  }
+
+  /**
+   * Delete a conversation if it belongs to the requester
+   * @param {string} id Conversation id
+   * @param {Object} requester Who is asking, as for getConversation
+   * @returns {Promise<boolean>} Whether the conversation existed and was deleted
+   */
+  async deleteConversation(id, requester) {
+    const conversation = await this.getConversation(id, requester);
+    if (!conversation) {
+      return false;
+    }
+
+    const deleted = await this.store.delete(id);
+    if (deleted) {
+      logger.info(`Deleted conversation ${id}`);
+    }
+    return deleted;
+  }
+
+  /**
+   * Check whether a requester owns a conversation
+   * Conversations stored before owners were recorded have no owner and are not accessible
+   * @param {Object} conversation Conversation
+   * @param {Object} requester Who is asking, as for getConversation
+   * @returns {boolean} True if the requester owns the conversation
+   */
+  isOwner(conversation, { apiKeyId = null, accessToken = null } = {}) {
+    const { owner } = conversation;
+    if (!owner) {
+      return false;
+    }
+
+    if (owner.apiKeyId) {
+      return owner.apiKeyId === apiKeyId;
+    }
+
+    if (owner.tokenHash && accessToken) {
+      return crypto.timingSafeEqual(hashToken(accessToken), Buffer.from(owner.tokenHash, 'hex'));
+    }
+    return false;
+  }
+
+  /**
+   * Shape a conversation for API responses, without its owner
+   * @param {Object} conversation Conversation
+   * @returns {Object} Public view of the conversation
+   */
+  static toPublic({ owner, ...conversation }) {
+    return conversation;
+  }
+
+  /**
+   * Append a question and its answer to a conversation
+   * @param {string} id Conversation id
+   * @param {string} question User question as asked
+   * @param {Object} result Query result from RAGService
+   * @returns {Promise<Object|null>} Updated conversation or null if not found
+   */
+  async addTurn(id, question, result) {
+    const conversation = await this.store.get(id);
+    if (!conversation) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const metadata = result.metadata || {};
+
+    conversation.messages.push(
+      {
+        role: 'user',
+        content: question,
+        // Keep the English form so the LLM history is in one language
+        englishContent: metadata.processedQuery,
+        timestamp: now
+      },
+      {
+        role: 'assistant',
+        content: result.answer,
+        sources: (result.sources || []).map(source => source.reference),
+        timestamp: now
+      }
+    );
+
+    // Use the first question as the title if none was given
+    if (!conversation.title) {
+      conversation.title = question.substring(0, 80);
+    }
+    conversation.updatedAt = now;
+
+    await this.store.save(conversation);
+    return conversation;
+  }
+
+  /**
+   * Get the most recent messages of a conversation that fit in the history token budget
+   * @param {Object} conversation Conversation
+   * @param {number} maxTokens Maximum estimated tokens of history
+   * @returns {Array<Object>} Chat messages in chronological order
+   */
+  getHistory(conversation, maxTokens = this.maxHistoryTokens) {
+    if (!conversation || !conversation.messages || conversation.messages.length === 0) {
+      return [];
+    }
+
+    const history = [];
+    let tokenCount = 0;
+
+    // Walk backwards so the newest turns are kept when trimming
+    for (let i = conversation.messages.length - 1; i >= 0; i--) {
+      const message = conversation.messages[i];
+      const content = message.englishContent || message.content;
+      const tokens = this._estimateTokens(content);
+
+      if (tokenCount + tokens > maxTokens) {
+        break;
+      }
+
+      tokenCount += tokens;
+      history.unshift({ role: message.role, content });
+    }
+
+    // Never start the history with a dangling assistant reply
+    if (history.length > 0 && history[0].role === 'assistant') {
+      history.shift();
+    }
+
+    return history;
+  }
+
+  /**
+   * Roughly estimate the token count of a text (about 4 characters per token)
+   * @param {string} text Text to measure
+   * @returns {number} Estimated token count
+   * @private
+   */
+  _estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+}
+
+module.exports = ConversationService;
@@ -0,0 +1,199 @@
+/**
+ * Storage backends for conversation sessions
+ * Both stores expose the same async interface (get, list, save, delete) so they can be swapped via config
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const configService = require('../utils/configService');
+const logger = require('../utils/logger');
+
+class MemoryConversationStore {
+  /**
+   * @param {Object} options Store options
+   * @param {number} options.maxConversations Maximum number of conversations to keep
+   */
+  constructor({ maxConversations = 1000 } = {}) {
+    this.conversations = new Map();
+    this.maxConversations = maxConversations;
+  }
+
+  /**
+   * Get a conversation by id
+   * @param {string} id Conversation id
+   * @returns {Promise<Object|null>} Conversation or null if not found
+   */
+  async get(id) {
+    return this.conversations.get(id) || null;
+  }
+
+  /**
+   * List all conversations, most recently updated first
+   * @returns {Promise<Array<Object>>} Conversations
+   */
+  async list() {
+    return Array.from(this.conversations.values())
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Create or replace a conversation
+   * @param {Object} conversation Conversation to save
+   * @returns {Promise<Object>} Saved conversation
+   */
+  async save(conversation) {
+    this.conversations.set(conversation.id, conversation);
+    this._evictOldest();
+    return conversation;
+  }
+
+  /**
+   * Delete a conversation
+   * @param {string} id Conversation id
+   * @returns {Promise<boolean>} Whether a conversation was deleted
+   */
+  async delete(id) {
+    return this.conversations.delete(id);
+  }
+
+  /**
+   * Drop the least recently updated conversations once the cap is exceeded
+   * @private
+   */
+  _evictOldest() {
+    if (this.conversations.size <= this.maxConversations) {
+      return;
+    }
+
+    const byAge = Array.from(this.conversations.values())
+      .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt));
+
+    while (this.conversations.size > this.maxConversations) {
+      const oldest = byAge.shift();
+      this.conversations.delete(oldest.id);
+      logger.info(`Evicted conversation ${oldest.id} (store limit ${this.maxConversations})`);
+    }
+  }
+}
+
+class FileConversationStore extends MemoryConversationStore {
+  /**
+   * @param {Object} options Store options
+   * @param {string} options.filePath JSON file used to persist conversations
+   * @param {number} options.maxConversations Maximum number of conversations to keep
+   */
+  constructor({ filePath, maxConversations = 1000 } = {}) {
+    super({ maxConversations });
+    this.filePath = path.resolve(filePath);
+    this.loaded = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async get(id) {
+    await this._load();
+    return super.get(id);
+  }
+
+  async list() {
+    await this._load();
+    return super.list();
+  }
+
+  async save(conversation) {
+    await this._load();
+    await super.save(conversation);
+    await this._persist();
+    return conversation;
+  }
+
+  async delete(id) {
+    await this._load();
+    const deleted = await super.delete(id);
+    if (deleted) {
+      await this._persist();
+    }
+    return deleted;
+  }
+
+  /**
+   * Load conversations from disk once
+   * @returns {Promise<void>}
+   * @private
+   */
+  _load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        try {
+          const content = await fs.readFile(this.filePath, 'utf8');
+          const conversations = JSON.parse(content);
+          for (const conversation of conversations) {
+            this.conversations.set(conversation.id, conversation);
+          }
+          logger.info(`Loaded ${this.conversations.size} conversations from ${this.filePath}`);
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            logger.error(`Error loading conversations from ${this.filePath}: ${error.message}`);
+          }
+        }
+      })();
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Write all conversations to disk, serializing concurrent writes
+   * The file is written under a temporary name and renamed into place so a crash mid-write
+   * never truncates the stored conversations
+   * @returns {Promise<void>}
+   * @private
+   */
+  _persist() {
+    this.writeQueue = this.writeQueue.then(async () => {
+      try {
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const data = JSON.stringify(Array.from(this.conversations.values()), null, 2);
+        await fs.writeFile(tempPath, data);
+        await fs.rename(tempPath, this.filePath);
+      } catch (error) {
+        logger.error(`Error saving conversations to ${this.filePath}: ${error.message}`);
+      }
+    });
+    return this.writeQueue;
+  }
+}
+
+// Stores are shared so every service instance sees the same sessions
+const stores = {};
+
+/**
+ * Get the conversation store selected in config
+ * @returns {MemoryConversationStore|FileConversationStore} Conversation store
+ */
+const createConversationStore = () => {
+  const config = configService.get('conversations');
+
+  if (!stores[config.store]) {
+    if (config.store === 'file') {
+      stores[config.store] = new FileConversationStore({
+        filePath: config.filePath,
+        maxConversations: config.maxConversations
+      });
+    } else {
+      if (config.store !== 'memory') {
+        logger.warn(`Unknown conversation store "${config.store}", falling back to memory`);
+      }
+      stores[config.store] = new MemoryConversationStore({
+        maxConversations: config.maxConversations
+      });
+    }
+    logger.info(`Initialized ${config.store} conversation store`);
+  }
+
+  return stores[config.store];
+};
+
+module.exports = {
+  MemoryConversationStore,
+  FileConversationStore,
+  createConversationStore
+};
@@ -0,0 +1,299 @@
+/**
+ * Embedding caches with LRU eviction and size limits
+ * The file cache survives restarts so re-indexing and repeated queries do not pay the embedding provider again.
+ * Both caches expose the same async interface (get, set, clear) plus getStats so they can be swapped via config.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const configService = require('../utils/configService');
+const logger = require('../utils/logger');
+
+// Delay before dirty entries are written, so bursts of embeddings cost a single write
+const FLUSH_DELAY_MS = 1000;
+
+class MemoryEmbeddingCache {
+  /**
+   * @param {Object} options Cache options
+   * @param {number} options.maxEntries Maximum number of embeddings kept
+   * @param {number} options.maxSizeBytes Maximum approximate size of the cached vectors in bytes
+   */
+  constructor({ maxEntries = 10000, maxSizeBytes = 100 * 1024 * 1024 } = {}) {
+    // Maps keep insertion order; entries are re-inserted on use so the first key is the least recently used
+    this.entries = new Map();
+    this.maxEntries = maxEntries;
+    this.maxSizeBytes = maxSizeBytes;
+    this.sizeBytes = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Get an embedding and mark it as recently used
+   * @param {string} key Cache key
+   * @returns {Promise<Array<number>|null>} Embedding or null if not cached
+   */
+  async get(key) {
+    const embedding = this.entries.get(key);
+    if (!embedding) {
+      return null;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, embedding);
+    return embedding;
+  }
+
+  /**
+   * Cache an embedding, evicting the least recently used entries if over the limits
+   * @param {string} key Cache key
+   * @param {Array<number>} embedding Embedding vector
+   * @returns {Promise<void>}
+   */
+  async set(key, embedding) {
+    this._remove(key);
+    this.entries.set(key, embedding);
+    this.sizeBytes += this._entrySize(key, embedding);
+    this._evict();
+  }
+
+  /**
+   * Remove every cached embedding
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async clear() {
+    const count = this.entries.size;
+    this.entries.clear();
+    this.sizeBytes = 0;
+    return count;
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Object} Cache statistics
+   */
+  getStats() {
+    return {
+      store: 'memory',
+      persistent: false,
+      entries: this.entries.size,
+      sizeBytes: this.sizeBytes,
+      maxEntries: this.maxEntries,
+      maxSizeBytes: this.maxSizeBytes,
+      evictions: this.evictions
+    };
+  }
+
+  /**
+   * Approximate size of an entry: four bytes per dimension (float32) plus the key
+   * @param {string} key Cache key
+   * @param {Array<number>} embedding Embedding vector
+   * @returns {number} Size in bytes
+   * @private
+   */
+  _entrySize(key, embedding) {
+    return key.length + embedding.length * 4;
+  }
+
+  /**
+   * Remove an entry if present
+   * @param {string} key Cache key
+   * @returns {boolean} True if an entry was removed
+   * @private
+   */
+  _remove(key) {
+    const embedding = this.entries.get(key);
+    if (!embedding) {
+      return false;
+    }
+
+    this.entries.delete(key);
+    this.sizeBytes -= this._entrySize(key, embedding);
+    return true;
+  }
+
+  /**
+   * Drop least recently used entries until the cache is within its limits
+   * @private
+   */
+  _evict() {
+    while (this.entries.size > this.maxEntries || (this.sizeBytes > this.maxSizeBytes && this.entries.size > 0)) {
+      const oldestKey = this.entries.keys().next().value;
+      this._remove(oldestKey);
+      this.evictions++;
+    }
+  }
+}
+
+class FileEmbeddingCache extends MemoryEmbeddingCache {
+  /**
+   * @param {Object} options Cache options
+   * @param {string} options.filePath JSON file used to persist the cache
+   * @param {number} options.maxEntries Maximum number of embeddings kept
+   * @param {number} options.maxSizeBytes Maximum approximate size of the cached vectors in bytes
+   */
+  constructor({ filePath, maxEntries, maxSizeBytes } = {}) {
+    super({ maxEntries, maxSizeBytes });
+    this.filePath = path.resolve(filePath);
+    this.loaded = null;
+    this.loadedEntries = 0;
+    this.dirty = false;
+    this.flushTimer = null;
+    this.writeQueue = Promise.resolve();
+
+    // Write pending entries before the process exits
+    process.once('beforeExit', () => {
+      if (this.dirty) {
+        this.flush();
+      }
+    });
+  }
+
+  async get(key) {
+    await this._load();
+    return super.get(key);
+  }
+
+  async set(key, embedding) {
+    await this._load();
+    await super.set(key, embedding);
+    this._scheduleFlush();
+  }
+
+  async clear() {
+    await this._load();
+    const count = await super.clear();
+    await this.flush();
+    return count;
+  }
+
+  getStats() {
+    return {
+      ...super.getStats(),
+      store: 'file',
+      persistent: true,
+      filePath: this.filePath,
+      loadedEntries: this.loadedEntries
+    };
+  }
+
+  /**
+   * Write the cache to disk now, serializing concurrent writes
+   * The file is written under a temporary name and renamed into place so an
+   * interrupted write never leaves a truncated cache behind
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    this.dirty = false;
+
+    this.writeQueue = this.writeQueue.then(async () => {
+      try {
+        // Vectors are stored as base64 float32 arrays, least recently used first
+        const entries = Array.from(this.entries, ([key, embedding]) => [
+          key,
+          Buffer.from(new Float32Array(embedding).buffer).toString('base64')
+        ]);
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(tempPath, JSON.stringify({ version: 1, entries }));
+        await fs.rename(tempPath, this.filePath);
+      } catch (error) {
+        logger.error(`Error saving embedding cache to ${this.filePath}: ${error.message}`);
+      }
+    });
+    return this.writeQueue;
+  }
+
+  /**
+   * Load the cache from disk once
+   * @returns {Promise<void>}
+   * @private
+   */
+  _load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        try {
+          const content = await fs.readFile(this.filePath, 'utf8');
+          const { entries = [] } = JSON.parse(content);
+          for (const [key, encoded] of entries) {
+            const buffer = Buffer.from(encoded, 'base64');
+            const vector = new Float32Array(buffer.buffer, buffer.byteOffset, buffer.length / 4);
+            await super.set(key, Array.from(vector));
+          }
+          this.loadedEntries = this.entries.size;
+          logger.info(`Loaded ${this.entries.size} cached embeddings from ${this.filePath}`);
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            logger.error(`Error loading embedding cache from ${this.filePath}: ${error.message}`);
+          }
+        }
+      })();
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Write the cache shortly after the last change
+   * @private
+   */
+  _scheduleFlush() {
+    this.dirty = true;
+    if (this.flushTimer) {
+      return;
+    }
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, FLUSH_DELAY_MS);
+    // Pending writes must not keep the process alive; beforeExit flushes them instead
+    this.flushTimer.unref();
+  }
+}
+
+// Caches are shared so every embedding service writing to a file uses the same instance
+const caches = {};
+
+/**
+ * Get the embedding cache selected in config
+ * @returns {MemoryEmbeddingCache|FileEmbeddingCache} Embedding cache
+ */
+const createEmbeddingCache = () => {
+  const config = configService.get('embedding');
+  const options = {
+    maxEntries: config.cacheMaxEntries,
+    maxSizeBytes: config.cacheMaxSizeMB * 1024 * 1024
+  };
+
+  if (config.cacheStore === 'file') {
+    const filePath = path.resolve(config.cachePath);
+    if (!caches[filePath]) {
+      caches[filePath] = new FileEmbeddingCache({ filePath, ...options });
+      logger.info(`Initialized file embedding cache at ${filePath}`);
+    }
+    return caches[filePath];
+  }
+
+  if (config.cacheStore !== 'memory') {
+    logger.warn(`Unknown embedding cache store "${config.cacheStore}", falling back to memory`);
+  }
+  return new MemoryEmbeddingCache(options);
+};
+
+/**
+ * Write pending entries of every file cache to disk
+ * Scripts call this before process.exit, which skips the debounced write and beforeExit
+ * @returns {Promise<void>}
+ */
+const flushEmbeddingCaches = async () => {
+  await Promise.all(Object.values(caches).map(cache => (cache.dirty ? cache.flush() : cache.writeQueue)));
+};
+
+module.exports = {
+  MemoryEmbeddingCache,
+  FileEmbeddingCache,
+  createEmbeddingCache,
+  flushEmbeddingCaches
+};
@@ -1,36 +1,37 @@
 /**
- * Enhanced OpenAI-based embedding service with better error handling and optimization
+ * Enhanced embedding service with caching, preprocessing and dimension checks
+ * Vectors come from the provider selected by EMBEDDING_PROVIDER (openai, fastembed or hash)
+ * and are cached in memory or on disk (EMBEDDING_CACHE_STORE)
  */
-const axios = require('axios');
+const crypto = require('crypto');
 const configService = require('../utils/configService');
 const logger = require('../utils/logger');
+const requestContext = require('../utils/requestContext');
+const metrics = require('../utils/metrics');
+const { createEmbeddingProvider } = require('./embeddings');
+const { createEmbeddingCache } = require('./embeddingCache');
 
 class EmbeddingService {
-  constructor() {
-    // Get embedding config from configService
-    this.apiKey = process.env.OPENAI_API_KEY;
-    if (!this.apiKey) {
-      logger.warn('OPENAI_API_KEY not found in environment variables. Embeddings will fail.');
-    }
+  /**
+   * @param {Object} provider Optional embedding provider (defaults to the configured provider)
+   */
+  constructor(provider = null) {
+    this.provider = provider || createEmbeddingProvider();
     
-    this.modelName = configService.get('embedding.openaiModel') || 'text-embedding-ada-002';
-    this.dimensions = configService.get('embedding.dimensions') || 1536;
-    this.cache = new Map();
+    this.modelName = this.provider.model;
+    this.dimensions = this.provider.dimensions;
+    this.expectedDimensions = configService.get('vectorDB.dimensions');
+    this.cache = createEmbeddingCache();
     this.useCache = configService.get('embedding.cache') !== false;
-    this.initialized = !!this.apiKey;
-    this.retryCount = configService.get('embedding.retryCount') || 3;
-    this.retryDelay = configService.get('embedding.retryDelay') || 1000;
+    this.initialized = this.provider.isAvailable();
     this.batchSize = configService.get('embedding.batchSize') || 5;
     
-    // Track API usage for debugging
-    this.stats = {
-      apiCalls: 0,
-      totalTokens: 0,
-      cacheHits: 0,
-      errors: 0
-    };
+    logger.info(`Embedding service initialized with provider: ${this.provider.name}, model: ${this.modelName}, dimensions: ${this.dimensions}`);
     
-    logger.info(`OpenAI Embedding service initialized with model: ${this.modelName}, dimensions: ${this.dimensions}`);
+    // Catch a provider/collection mismatch at startup rather than on the first upsert
+    if (this.dimensions && this.expectedDimensions && this.dimensions !== this.expectedDimensions) {
+      logger.warn(`Embedding provider ${this.provider.name} produces ${this.dimensions}-dimensional vectors but vectorDB.dimensions is ${this.expectedDimensions}. Set VECTOR_DIMENSIONS to match.`);
+    }
   }
 
   /**
@@ -90,142 +91,84 @@ class EmbeddingService {
     const cacheKey = this._generateCacheKey(processedText);
     
     // Check cache first if enabled
-    if (this.useCache && this.cache.has(cacheKey)) {
-      this.stats.cacheHits++;
-      return this.cache.get(cacheKey);
+    const cached = this.useCache ? await this.cache.get(cacheKey) : null;
+    if (this.useCache) {
+      metrics.cacheLookups.inc({ cache: 'embedding', result: cached ? 'hit' : 'miss' });
     }
-    
-    if (!this.apiKey) {
-      throw new Error('OpenAI API key not configured. Please set OPENAI_API_KEY environment variable.');
+    if (cached) {
+      return cached;
     }
     
     try {
-      const embedding = await this._callOpenAIWithRetry(processedText);
+      const [embedding] = await this._embedWithProvider([processedText]);
       
       // Verify embedding dimensions
       if (!embedding || embedding.length === 0) {
         throw new Error('Embedding generation failed - empty embedding returned');
       }
+      this._checkDimensions(embedding);
       
       // Cache the result if caching is enabled
       if (this.useCache) {
-        this.cache.set(cacheKey, embedding);
+        await this.cache.set(cacheKey, embedding);
       }
       
       return embedding;
     } catch (error) {
-      this.stats.errors++;
-      
-      logger.error(`Error generating OpenAI embedding: ${error.message}`);
+      logger.error(`Error generating ${this.provider.name} embedding: ${error.message}`);
       if (error.response) {
-        logger.error(`OpenAI API error: ${JSON.stringify(error.response.data)}`);
+        logger.error(`Embedding API error: ${JSON.stringify(error.response.data)}`);
       }
       throw error;
     }
   }
 
   /**
-   * Call OpenAI API with retry logic
-   * @param {string} text Text to embed
-   * @returns {Promise<Array<number>>} Embedding vector
+   * Embed texts with the provider and record usage
+   * @param {Array<string>} texts Preprocessed texts
+   * @returns {Promise<Array<Array<number>>>} Embedding vectors
    * @private
    */
-  async _callOpenAIWithRetry(text) {
-    let attempt = 0;
-    let lastError = null;
-    
-    while (attempt < this.retryCount) {
-      try {
-        const response = await axios.post(
-          'https://api.openai.com/v1/embeddings',
-          {
-            input: text,
-            model: this.modelName
-          },
-          {
-            headers: {
-              'Authorization': `Bearer ${this.apiKey}`,
-              'Content-Type': 'application/json'
-            }
-          }
-        );
-        
-        this.stats.apiCalls++;
-        
-        if (response.data.usage) {
-          this.stats.totalTokens += response.data.usage.total_tokens;
-        }
-        
-        // Log success once in a while
-        if (this.stats.apiCalls % 20 === 0) {
-          logger.info(`OpenAI embedding API stats: ${this.stats.apiCalls} calls, ${this.stats.totalTokens} tokens, ${this.stats.cacheHits} cache hits`);
-        }
-        
-        return response.data.data[0].embedding;
-      } catch (error) {
-        lastError = error;
-        attempt++;
-        
-        // Check if the error is retryable
-        const isRetryable = this._isRetryableError(error);
-        
-        if (!isRetryable) {
-          logger.error(`Non-retryable OpenAI API error: ${error.message}`);
-          break;
-        }
-        
-        // Exponential backoff
-        const delay = this.retryDelay * Math.pow(2, attempt - 1);
-        logger.warn(`Retryable error on OpenAI API call (attempt ${attempt}/${this.retryCount}): ${error.message}. Retrying in ${delay}ms.`);
-        
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
+  async _embedWithProvider(texts) {
+    let result;
+    try {
+      result = await metrics.timeStage('embedding', () => this.provider.embed(texts));
+    } catch (error) {
+      metrics.embeddingErrors.inc({ provider: this.provider.name });
+      throw error;
     }
+    const { embeddings, totalTokens } = result;
+    
+    metrics.embeddingRequests.inc({ provider: this.provider.name });
+    metrics.embeddingTokens.inc({ model: this.modelName }, totalTokens || 0);
+    requestContext.addEmbeddingTokens(totalTokens || 0, this.modelName);
     
-    // If we've exhausted all retries, throw the last error
-    throw lastError || new Error('Failed to generate embedding after retries');
+    return embeddings;
   }
 
   /**
-   * Generate a cache key for text
-   * @param {string} text Text to generate key for
-   * @returns {string} Cache key
+   * Ensure an embedding matches the vector size of the collection
+   * @param {Array<number>} embedding Embedding vector
+   * @throws {Error} If the dimensions do not match vectorDB.dimensions
    * @private
    */
-  _generateCacheKey(text) {
-    // Simple hash function
-    let hash = 0;
-    for (let i = 0; i < text.length; i++) {
-      const char = text.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32bit integer
+  _checkDimensions(embedding) {
+    if (this.expectedDimensions && embedding.length !== this.expectedDimensions) {
+      throw new Error(`Embedding dimension mismatch: ${this.provider.name} model ${this.modelName} returned ${embedding.length} dimensions but vectorDB.dimensions is ${this.expectedDimensions}`);
     }
-    return `${hash}_${this.modelName}`;
   }
 
   /**
-   * Check if an error is retryable
-   * @param {Error} error Error to check
-   * @returns {boolean} Whether the error is retryable
+   * Generate a cache key for text
+   * Keys are persisted, so they use a collision-resistant hash and include the model and dimensions
+   * to keep vectors from different providers apart
+   * @param {string} text Text to generate key for
+   * @returns {string} Cache key
    * @private
    */
-  _isRetryableError(error) {
-    // Network errors are retryable
-    if (error.code === 'ECONNRESET' || error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
-      return true;
-    }
-    
-    // Rate limit errors are retryable
-    if (error.response && error.response.status === 429) {
-      return true;
-    }
-    
-    // Server errors are retryable
-    if (error.response && error.response.status >= 500 && error.response.status < 600) {
-      return true;
-    }
-    
-    return false;
+  _generateCacheKey(text) {
+    const hash = crypto.createHash('sha256').update(text).digest('hex').slice(0, 32);
+    return `${hash}_${this.modelName}_${this.dimensions}`;
   }
 
   /**
@@ -299,98 +242,52 @@ class EmbeddingService {
    * @private
    */
   async _processBatch(batch) {
-    let attempt = 0;
-    let lastError = null;
+    // Check cache for each text in the batch
+    const cacheResults = [];
+    const uncachedTexts = [];
+    const uncachedIndices = [];
     
-    while (attempt < this.retryCount) {
-      try {
-        // Check cache for each text in the batch
-        const cacheResults = [];
-        const uncachedTexts = [];
-        const uncachedIndices = [];
-        
-        for (let i = 0; i < batch.length; i++) {
-          const text = batch[i];
-          const cacheKey = this._generateCacheKey(text);
-          
-          if (this.useCache && this.cache.has(cacheKey)) {
-            cacheResults[i] = this.cache.get(cacheKey);
-            this.stats.cacheHits++;
-          } else {
-            uncachedTexts.push(text);
-            uncachedIndices.push(i);
-          }
-        }
-        
-        // If all results were cached, return them
-        if (uncachedTexts.length === 0) {
-          return cacheResults;
-        }
-        
-        // Send batch request for uncached texts
-        const response = await axios.post(
-          'https://api.openai.com/v1/embeddings',
-          {
-            input: uncachedTexts,
-            model: this.modelName
-          },
-          {
-            headers: {
-              'Authorization': `Bearer ${this.apiKey}`,
-              'Content-Type': 'application/json'
-            }
-          }
-        );
-        
-        this.stats.apiCalls++;
-        
-        if (response.data.usage) {
-          this.stats.totalTokens += response.data.usage.total_tokens;
-        }
-        
-        // Process results
-        const embeddings = response.data.data
-          .sort((a, b) => a.index - b.index)
-          .map(item => item.embedding);
-        
-        // Cache results
-        if (this.useCache) {
-          for (let i = 0; i < uncachedTexts.length; i++) {
-            const text = uncachedTexts[i];
-            const cacheKey = this._generateCacheKey(text);
-            this.cache.set(cacheKey, embeddings[i]);
-          }
-        }
-        
-        // Combine cached and new results
-        const results = [...cacheResults];
-        for (let i = 0; i < uncachedIndices.length; i++) {
-          results[uncachedIndices[i]] = embeddings[i];
-        }
-        
-        return results;
-      } catch (error) {
-        lastError = error;
-        attempt++;
-        
-        // Check if the error is retryable
-        const isRetryable = this._isRetryableError(error);
-        
-        if (!isRetryable) {
-          logger.error(`Non-retryable OpenAI API batch error: ${error.message}`);
-          break;
-        }
-        
-        // Exponential backoff
-        const delay = this.retryDelay * Math.pow(2, attempt - 1);
-        logger.warn(`Retryable error on OpenAI API batch call (attempt ${attempt}/${this.retryCount}): ${error.message}. Retrying in ${delay}ms.`);
-        
-        await new Promise(resolve => setTimeout(resolve, delay));
+    for (let i = 0; i < batch.length; i++) {
+      const text = batch[i];
+      const cached = this.useCache ? await this.cache.get(this._generateCacheKey(text)) : null;
+      
+      if (this.useCache) {
+        metrics.cacheLookups.inc({ cache: 'embedding', result: cached ? 'hit' : 'miss' });
+      }
+      
+      if (cached) {
+        cacheResults[i] = cached;
+      } else {
+        uncachedTexts.push(text);
+        uncachedIndices.push(i);
       }
     }
     
-    // If we've exhausted all retries, throw the last error
-    throw lastError || new Error('Failed to generate batch embeddings after retries');
+    // If all results were cached, return them
+    if (uncachedTexts.length === 0) {
+      return cacheResults;
+    }
+    
+    // Embed uncached texts in one provider call (providers handle their own retries)
+    const embeddings = await this._embedWithProvider(uncachedTexts);
+    embeddings.forEach(embedding => this._checkDimensions(embedding));
+    
+    // Cache results
+    if (this.useCache) {
+      for (let i = 0; i < uncachedTexts.length; i++) {
+        const text = uncachedTexts[i];
+        const cacheKey = this._generateCacheKey(text);
+        await this.cache.set(cacheKey, embeddings[i]);
+      }
+    }
+    
+    // Combine cached and new results
+    const results = [...cacheResults];
+    for (let i = 0; i < uncachedIndices.length; i++) {
+      results[uncachedIndices[i]] = embeddings[i];
+    }
+    
+    return results;
   }
 
   /**
@@ -440,29 +337,42 @@ class EmbeddingService {
   }
 
   /**
-   * Clear the embedding cache
+   * Clear the embedding cache, including its copy on disk
+   * @returns {Promise<void>}
    */
-  clearCache() {
-    if (this.cache) {
-      const cacheSize = this.cache.size;
-      this.cache.clear();
-      logger.info(`Embedding cache cleared (${cacheSize} entries)`);
-    }
+  async clearCache() {
+    const cacheSize = await this.cache.clear();
+    logger.info(`Embedding cache cleared (${cacheSize} entries)`);
   }
 
   /**
-   * Get cache statistics
-   * @returns {Object} Cache statistics
+   * Get cache statistics, with provider usage for the whole process from the metrics registry
+   * @returns {Promise<Object>} Cache statistics
    */
-  getCacheStats() {
+  async getCacheStats() {
+    const cacheStats = this.cache.getStats();
+    const { values: lookups } = await metrics.cacheLookups.get();
+    const cacheHits = lookups
+      .filter(({ labels }) => labels.cache === 'embedding' && labels.result === 'hit')
+      .reduce((sum, { value }) => sum + value, 0);
+    const [apiCalls, tokens, errors] = await Promise.all([
+      metrics.sumByLabel(metrics.embeddingRequests, 'provider'),
+      metrics.sumByLabel(metrics.embeddingTokens, 'model'),
+      metrics.sumByLabel(metrics.embeddingErrors, 'provider')
+    ]);
+    const { embedding: hitRatio = 0 } = await metrics.getCacheHitRatios();
+
     return {
+      provider: this.provider.name,
+      model: this.modelName,
       enabled: this.useCache,
-      size: this.cache.size,
-      apiCalls: this.stats.apiCalls,
-      cacheHits: this.stats.cacheHits,
-      totalTokens: this.stats.totalTokens,
-      hitRate: this.stats.apiCalls > 0 ? (this.stats.cacheHits / (this.stats.apiCalls + this.stats.cacheHits)) * 100 : 0,
-      errors: this.stats.errors
+      size: cacheStats.entries,
+      cache: cacheStats,
+      apiCalls: apiCalls[this.provider.name] || 0,
+      cacheHits,
+      totalTokens: tokens[this.modelName] || 0,
+      hitRate: hitRatio * 100,
+      errors: errors[this.provider.name] || 0
     };
   }
 
@@ -492,7 +402,7 @@ class EmbeddingService {
         dimensions: embedding.length,
         sample: embedding.slice(0, 5),
         duration: `${duration}ms`,
-        cacheStats: this.getCacheStats()
+        cacheStats: await this.getCacheStats()
       };
     } catch (error) {
       logger.error(`Embedding test failed: ${error.message}`);
@@ -0,0 +1,36 @@
+/**
+ * Base class for embedding providers
+ * Providers only turn texts into vectors; caching, preprocessing and stats live in EmbeddingService
+ */
+class EmbeddingProvider {
+  /**
+   * @param {Object} options Provider options
+   * @param {string} options.name Provider name
+   * @param {string} options.model Model name
+   * @param {number} options.dimensions Size of the vectors the provider produces
+   */
+  constructor({ name, model, dimensions }) {
+    this.name = name;
+    this.model = model;
+    this.dimensions = dimensions;
+  }
+
+  /**
+   * Whether the provider is configured and can produce embeddings
+   * @returns {boolean} Availability
+   */
+  isAvailable() {
+    return false;
+  }
+
+  /**
+   * Embed a list of texts
+   * @param {Array<string>} texts Texts to embed
+   * @returns {Promise<Object>} Result with `embeddings` (one vector per text) and `totalTokens`
+   */
+  async embed(texts) {
+    throw new Error(`Embedding provider ${this.name} does not implement embed()`);
+  }
+}
+
+module.exports = EmbeddingProvider;
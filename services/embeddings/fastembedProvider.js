@@ -0,0 +1,99 @@
+/**
+ * Local embedding provider using fastembed (ONNX models, no API calls)
+ */
+const path = require('path');
+const logger = require('../../utils/logger');
+const EmbeddingProvider = require('./baseProvider');
+
+// Vector sizes of the models fastembed ships, keyed by fastembed model id
+const MODEL_DIMENSIONS = {
+  'fast-all-MiniLM-L6-v2': 384,
+  'fast-bge-base-en': 768,
+  'fast-bge-base-en-v1.5': 768,
+  'fast-bge-small-en': 384,
+  'fast-bge-small-en-v1.5': 384,
+  'fast-bge-small-zh-v1.5': 512,
+  'fast-multilingual-e5-large': 1024
+};
+
+class FastembedEmbeddingProvider extends EmbeddingProvider {
+  /**
+   * @param {Object} options Provider options
+   * @param {string} options.model Model name, e.g. BAAI/bge-small-en-v1.5
+   * @param {string} options.cacheDir Directory where model files are downloaded
+   */
+  constructor({ model, cacheDir = './local_cache' }) {
+    const modelId = FastembedEmbeddingProvider.resolveModelId(model);
+    super({ name: 'fastembed', model, dimensions: modelId ? MODEL_DIMENSIONS[modelId] : null });
+    this.modelId = modelId;
+    this.cacheDir = path.resolve(cacheDir);
+    this.embedderPromise = null;
+
+    if (!this.modelId) {
+      logger.warn(`Model ${model} is not supported by fastembed. Supported: ${Object.keys(MODEL_DIMENSIONS).join(', ')}`);
+    }
+  }
+
+  /**
+   * Map a Hugging Face style model name to a fastembed model id
+   * @param {string} model Model name, e.g. BAAI/bge-small-en-v1.5 or fast-bge-small-en-v1.5
+   * @returns {string|null} fastembed model id or null if unsupported
+   */
+  static resolveModelId(model) {
+    if (!model) {
+      return null;
+    }
+
+    const baseName = model.split('/').pop();
+    const candidate = baseName.startsWith('fast-') ? baseName : `fast-${baseName}`;
+    return Object.keys(MODEL_DIMENSIONS).find(id => id.toLowerCase() === candidate.toLowerCase()) || null;
+  }
+
+  isAvailable() {
+    return !!this.modelId;
+  }
+
+  async embed(texts) {
+    const embedder = await this._getEmbedder();
+    const embeddings = [];
+
+    for await (const batch of embedder.embed(texts, texts.length)) {
+      embeddings.push(...batch.map(vector => Array.from(vector)));
+    }
+
+    // Local models have no token billing
+    return { embeddings, totalTokens: 0 };
+  }
+
+  /**
+   * Load the model once, downloading it to the cache directory if needed
+   * @returns {Promise<Object>} fastembed FlagEmbedding instance
+   * @private
+   */
+  _getEmbedder() {
+    if (!this.modelId) {
+      return Promise.reject(new Error(`Embedding model ${this.model} is not supported by fastembed`));
+    }
+
+    if (!this.embedderPromise) {
+      // Loaded lazily so onnxruntime is only pulled in when this provider is used
+      const { FlagEmbedding } = require('fastembed');
+
+      logger.info(`Loading fastembed model ${this.modelId} from ${this.cacheDir}`);
+      this.embedderPromise = FlagEmbedding.init({
+        model: this.modelId,
+        cacheDir: this.cacheDir,
+        showDownloadProgress: false
+      }).catch((error) => {
+        // Allow a later call to retry the load
+        this.embedderPromise = null;
+        logger.error(`Error loading fastembed model ${this.modelId}: ${error.message}`);
+        throw error;
+      });
+    }
+
+    return this.embedderPromise;
+  }
+}
+
+module.exports = FastembedEmbeddingProvider;
@@ -0,0 +1,70 @@
+/**
+ * Hashing-based embedding provider for tests and offline development
+ * Maps word unigrams and bigrams into a fixed number of buckets, so texts sharing
+ * words get similar vectors. Deterministic and dependency-free, but not semantic.
+ */
+const EmbeddingProvider = require('./baseProvider');
+
+class HashEmbeddingProvider extends EmbeddingProvider {
+  /**
+   * @param {Object} options Provider options
+   * @param {number} options.dimensions Vector size
+   */
+  constructor({ dimensions }) {
+    super({ name: 'hash', model: 'hash', dimensions });
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async embed(texts) {
+    return {
+      embeddings: texts.map(text => this._hashVector(text)),
+      totalTokens: 0
+    };
+  }
+
+  /**
+   * Build a normalized feature-hashing vector for a text
+   * @param {string} text Text to embed
+   * @returns {Array<number>} Embedding vector
+   * @private
+   */
+  _hashVector(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+    const features = [...words];
+    for (let i = 0; i < words.length - 1; i++) {
+      features.push(`${words[i]} ${words[i + 1]}`);
+    }
+
+    for (const feature of features) {
+      const hash = this._fnv1a(feature);
+      // The top bit picks the sign so collisions tend to cancel out
+      const sign = (hash & 0x80000000) ? -1 : 1;
+      vector[hash % this.dimensions] += sign;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm === 0 ? vector : vector.map(value => value / norm);
+  }
+
+  /**
+   * 32-bit FNV-1a hash of a string
+   * @param {string} str String to hash
+   * @returns {number} Unsigned 32-bit hash
+   * @private
+   */
+  _fnv1a(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+}
+
+module.exports = HashEmbeddingProvider;
@@ -0,0 +1,52 @@
+/**
+ * Embedding provider factory
+ * Selects the provider from the EMBEDDING_PROVIDER setting
+ */
+const configService = require('../../utils/configService');
+const logger = require('../../utils/logger');
+const EmbeddingProvider = require('./baseProvider');
+const OpenAIEmbeddingProvider = require('./openaiProvider');
+const FastembedEmbeddingProvider = require('./fastembedProvider');
+const HashEmbeddingProvider = require('./hashProvider');
+
+/**
+ * Create the configured embedding provider
+ * @param {Object} overrides Options overriding the config values
+ * @returns {EmbeddingProvider} Embedding provider
+ */
+const createEmbeddingProvider = (overrides = {}) => {
+  const config = { ...configService.get('embedding'), ...overrides };
+  const provider = (config.provider || 'openai').toLowerCase();
+
+  if (provider === 'fastembed') {
+    return new FastembedEmbeddingProvider({
+      model: config.model,
+      cacheDir: config.cacheDir
+    });
+  }
+
+  if (provider === 'hash') {
+    return new HashEmbeddingProvider({
+      dimensions: config.dimensions
+    });
+  }
+
+  if (provider !== 'openai') {
+    logger.warn(`Unknown embedding provider "${provider}", falling back to openai`);
+  }
+
+  return new OpenAIEmbeddingProvider({
+    model: config.openaiModel,
+    dimensions: config.dimensions,
+    retryCount: config.retryCount,
+    retryDelay: config.retryDelay
+  });
+};
+
+module.exports = {
+  EmbeddingProvider,
+  OpenAIEmbeddingProvider,
+  FastembedEmbeddingProvider,
+  HashEmbeddingProvider,
+  createEmbeddingProvider
+};
@@ -0,0 +1,131 @@
+/**
+ * Embedding provider backed by the OpenAI embeddings API
+ */
+const axios = require('axios');
+const logger = require('../../utils/logger');
+const EmbeddingProvider = require('./baseProvider');
+
+class OpenAIEmbeddingProvider extends EmbeddingProvider {
+  /**
+   * @param {Object} options Provider options
+   * @param {string} options.model OpenAI embedding model
+   * @param {number} options.dimensions Requested vector size (text-embedding-3 models only)
+   * @param {string} options.apiKey OpenAI API key
+   * @param {number} options.retryCount Maximum attempts per request
+   * @param {number} options.retryDelay Base delay for exponential backoff in ms
+   */
+  constructor({ model, dimensions, apiKey = process.env.OPENAI_API_KEY, retryCount = 3, retryDelay = 1000 }) {
+    super({ name: 'openai', model, dimensions });
+    this.apiKey = apiKey;
+    this.retryCount = retryCount;
+    this.retryDelay = retryDelay;
+
+    if (!this.apiKey) {
+      logger.warn('OPENAI_API_KEY not found in environment variables. Embeddings will fail.');
+    }
+  }
+
+  isAvailable() {
+    return !!this.apiKey;
+  }
+
+  async embed(texts) {
+    if (!this.apiKey) {
+      throw new Error('OpenAI API key not configured. Please set OPENAI_API_KEY environment variable.');
+    }
+
+    const body = {
+      input: texts,
+      model: this.model
+    };
+
+    // Only the text-embedding-3 family accepts a custom vector size
+    if (this.model.startsWith('text-embedding-3')) {
+      body.dimensions = this.dimensions;
+    }
+
+    const data = await this._callWithRetry(body);
+
+    return {
+      embeddings: data.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding),
+      totalTokens: data.usage ? data.usage.total_tokens : 0
+    };
+  }
+
+  /**
+   * Call the OpenAI API with retry logic
+   * @param {Object} body Request body
+   * @returns {Promise<Object>} Response data
+   * @private
+   */
+  async _callWithRetry(body) {
+    let attempt = 0;
+    let lastError = null;
+    
+    while (attempt < this.retryCount) {
+      try {
+        const response = await axios.post(
+          'https://api.openai.com/v1/embeddings',
+          body,
+          {
+            headers: {
+              'Authorization': `Bearer ${this.apiKey}`,
+              'Content-Type': 'application/json'
+            }
+          }
+        );
+        
+        return response.data;
+      } catch (error) {
+        lastError = error;
+        attempt++;
+        
+        // Check if the error is retryable
+        const isRetryable = this._isRetryableError(error);
+        
+        if (!isRetryable) {
+          logger.error(`Non-retryable OpenAI API error: ${error.message}`);
+          break;
+        }
+        
+        // Exponential backoff
+        const delay = this.retryDelay * Math.pow(2, attempt - 1);
+        logger.warn(`Retryable error on OpenAI API call (attempt ${attempt}/${this.retryCount}): ${error.message}. Retrying in ${delay}ms.`);
+        
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+    
+    // If we've exhausted all retries, throw the last error
+    throw lastError || new Error('Failed to generate embedding after retries');
+  }
+
+  /**
+   * Check if an error is retryable
+   * @param {Error} error Error to check
+   * @returns {boolean} Whether the error is retryable
+   * @private
+   */
+  _isRetryableError(error) {
+    // Network errors are retryable
+    if (error.code === 'ECONNRESET' || error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      return true;
+    }
+    
+    // Rate limit errors are retryable
+    if (error.response && error.response.status === 429) {
+      return true;
+    }
+    
+    // Server errors are retryable
+    if (error.response && error.response.status >= 500 && error.response.status < 600) {
+      return true;
+    }
+    
+    return false;
+  }
+}
+
+module.exports = OpenAIEmbeddingProvider;
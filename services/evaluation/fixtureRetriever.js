@@ -0,0 +1,125 @@
+/**
+ * Retrieval fixtures for offline evaluation
+ * Stands in for both the vector store and the hybrid retriever, replaying recorded results per query
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../../utils/logger');
+
+class FixtureRetriever {
+  /**
+   * @param {Object} fixtures Recorded fixtures
+   * @param {Object} fixtures.queries Map of query to ranked results [{ id, score }]
+   * @param {Object} fixtures.passages Map of passage id to { content, metadata }
+   */
+  constructor({ queries = {}, passages = {} } = {}) {
+    this.queries = queries;
+    this.passages = passages;
+  }
+
+  /**
+   * Load fixtures from a JSON file
+   * @param {string} filePath Fixture file
+   * @returns {Promise<FixtureRetriever>} Retriever replaying the file
+   */
+  static async load(filePath) {
+    const content = await fs.readFile(filePath, 'utf8');
+    const fixtures = JSON.parse(content);
+    logger.info(`Loaded retrieval fixtures for ${Object.keys(fixtures.queries || {}).length} queries from ${filePath}`);
+    return new FixtureRetriever(fixtures);
+  }
+
+  /**
+   * Write the fixtures to a JSON file
+   * @param {string} filePath Fixture file
+   * @returns {Promise<void>}
+   */
+  async save(filePath) {
+    await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify({ queries: this.queries, passages: this.passages }, null, 2));
+  }
+
+  /**
+   * Add results returned by a live retriever
+   * @param {string} query Query the results were returned for, or null for lookups by reference
+   * @param {Array<Object>} results Retrieval results
+   */
+  record(query, results) {
+    for (const result of results) {
+      const id = String(result.original_id !== undefined ? result.original_id : result.id);
+      this.passages[id] = { content: result.content, metadata: result.metadata || {} };
+    }
+
+    if (query !== null) {
+      this.queries[query] = results.map(result => ({
+        id: String(result.original_id !== undefined ? result.original_id : result.id),
+        score: result.score
+      }));
+    }
+  }
+
+  // Vector store and retriever lifecycle methods have nothing to set up
+  async initializeCollection() {}
+
+  async initialize() {}
+
+  /**
+   * Number of recorded passages
+   * @returns {Promise<number>} Passage count
+   */
+  async getPointCount() {
+    return Object.keys(this.passages).length;
+  }
+
+  /**
+   * Replay the recorded results for a query
+   * @param {string} query Query string
+   * @param {number} limit Maximum number of results
+   * @returns {Promise<Array>} Results, empty if the query was not recorded
+   */
+  async search(query, limit = 20) {
+    const ranked = this.queries[query];
+    if (!ranked) {
+      logger.warn(`No retrieval fixture for query: ${query}`);
+      return [];
+    }
+
+    return ranked
+      .filter(({ id }) => this.passages[id])
+      .slice(0, limit)
+      .map(({ id, score }) => this._toResult(id, score));
+  }
+
+  /**
+   * Look up recorded passages by chapter and verse
+   * @param {Object} filters Filters { chapter, verse }
+   * @param {number} limit Maximum number of results
+   * @returns {Promise<Array>} Matching passages with a score of 1
+   */
+  async getByFilter(filters, limit = 10) {
+    return Object.keys(this.passages)
+      .filter(id => Object.entries(filters).every(([key, value]) => String(this.passages[id].metadata[key]) === String(value)))
+      .slice(0, limit)
+      .map(id => this._toResult(id, 1));
+  }
+
+  /**
+   * Build a retrieval result, copied so callers can annotate it freely
+   * @param {string} id Passage id
+   * @param {number} score Score
+   * @returns {Object} Result
+   * @private
+   */
+  _toResult(id, score) {
+    const passage = this.passages[id];
+    return {
+      content: passage.content,
+      metadata: { ...passage.metadata },
+      score,
+      id,
+      original_id: id
+    };
+  }
+}
+
+module.exports = FixtureRetriever;
@@ -0,0 +1,14 @@
+/**
+ * Offline evaluation of the RAG pipeline against a golden question set
+ */
+const RagEvaluator = require('./ragEvaluator');
+const FixtureRetriever = require('./fixtureRetriever');
+const metrics = require('./metrics');
+const { renderHtmlReport } = require('./report');
+
+module.exports = {
+  RagEvaluator,
+  FixtureRetriever,
+  metrics,
+  renderHtmlReport
+};
@@ -0,0 +1,137 @@
+/**
+ * Metrics for offline RAG evaluation
+ * Verses are identified as "chapter.verse" strings, e.g. "2.47"
+ */
+const LexicalIndex = require('../lexicalIndex');
+const { findVerseReferences } = require('../../utils/verseReferences');
+
+/**
+ * Rank the distinct verses behind a list of sources, best first
+ * A verse's translation, Sanskrit and commentary passages count as one verse at its best rank
+ * @param {Array<Object>} sources Sources from a query response
+ * @returns {Array<string>} Verse ids in rank order
+ */
+const rankedVerses = (sources = []) => {
+  const verses = [];
+  for (const source of sources) {
+    const metadata = source.metadata || {};
+    if (!metadata.chapter || !metadata.verse) {
+      continue;
+    }
+    const id = `${metadata.chapter}.${metadata.verse}`;
+    if (!verses.includes(id)) {
+      verses.push(id);
+    }
+  }
+  return verses;
+};
+
+/**
+ * Share of the expected verses found in the top k
+ * @param {Array<string>} retrieved Verse ids in rank order
+ * @param {Array<string>} expected Expected verse ids
+ * @param {number} k Cutoff
+ * @returns {number|null} Recall, or null when nothing is expected
+ */
+const recallAtK = (retrieved, expected, k) => {
+  if (expected.length === 0) {
+    return null;
+  }
+  const top = new Set(retrieved.slice(0, k));
+  return expected.filter(id => top.has(id)).length / expected.length;
+};
+
+/**
+ * Reciprocal rank of the first expected verse
+ * @param {Array<string>} retrieved Verse ids in rank order
+ * @param {Array<string>} expected Expected verse ids
+ * @returns {number|null} 1/rank, 0 if no expected verse was retrieved, null when nothing is expected
+ */
+const reciprocalRank = (retrieved, expected) => {
+  if (expected.length === 0) {
+    return null;
+  }
+  const rank = retrieved.findIndex(id => expected.includes(id));
+  return rank === -1 ? 0 : 1 / (rank + 1);
+};
+
+/**
+ * Check the verses an answer cites against the expected verses
+ * @param {string} answer Generated answer
+ * @param {Array<string>} expected Expected verse ids
+ * @returns {Object} { cited, correct, nonexistent, accuracy } where accuracy is null if nothing is cited
+ */
+const citationAccuracy = (answer, expected) => {
+  const cited = [];
+  let nonexistent = 0;
+
+  for (const reference of findVerseReferences(answer)) {
+    if (!reference.valid) {
+      nonexistent++;
+      continue;
+    }
+    const id = `${reference.chapter}.${reference.verse}`;
+    if (!cited.includes(id)) {
+      cited.push(id);
+    }
+  }
+
+  const correct = cited.filter(id => expected.includes(id));
+  const total = cited.length + nonexistent;
+
+  return {
+    cited,
+    correct,
+    nonexistent,
+    accuracy: total > 0 ? correct.length / total : null
+  };
+};
+
+/**
+ * Token-overlap F1 between an answer and the reference answer
+ * Uses the lexical index tokenizer, so stop words and diacritics are ignored
+ * @param {string} answer Generated answer
+ * @param {string} reference Reference answer
+ * @returns {number|null} F1 between 0 and 1, or null without a reference
+ */
+const answerSimilarity = (answer, reference) => {
+  if (!reference) {
+    return null;
+  }
+
+  const count = (tokens) => tokens.reduce((counts, token) => counts.set(token, (counts.get(token) || 0) + 1), new Map());
+  const answerCounts = count(LexicalIndex.tokenize(answer || ''));
+  const referenceCounts = count(LexicalIndex.tokenize(reference));
+
+  let overlap = 0;
+  for (const [token, frequency] of answerCounts.entries()) {
+    overlap += Math.min(frequency, referenceCounts.get(token) || 0);
+  }
+  if (overlap === 0) {
+    return 0;
+  }
+
+  const sum = (counts) => Array.from(counts.values()).reduce((total, frequency) => total + frequency, 0);
+  const precision = overlap / sum(answerCounts);
+  const recall = overlap / sum(referenceCounts);
+  return (2 * precision * recall) / (precision + recall);
+};
+
+/**
+ * Average the non-null values of a metric
+ * @param {Array<number|null>} values Metric values
+ * @returns {number|null} Mean, or null if no value is set
+ */
+const mean = (values) => {
+  const defined = values.filter(value => typeof value === 'number');
+  return defined.length > 0 ? defined.reduce((sum, value) => sum + value, 0) / defined.length : null;
+};
+
+module.exports = {
+  rankedVerses,
+  recallAtK,
+  reciprocalRank,
+  citationAccuracy,
+  answerSimilarity,
+  mean
+};
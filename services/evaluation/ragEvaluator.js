@@ -0,0 +1,114 @@
+/**
+ * Runs a golden question set through retrieval and generation and scores the results
+ */
+const logger = require('../../utils/logger');
+const {
+  rankedVerses,
+  recallAtK,
+  reciprocalRank,
+  citationAccuracy,
+  answerSimilarity,
+  mean
+} = require('./metrics');
+
+class RagEvaluator {
+  /**
+   * @param {Object} options Evaluator options
+   * @param {RAGService} options.ragService Service under evaluation
+   * @param {number} options.k Cutoff for recall@k
+   * @param {Object} options.queryOptions Extra options passed to every query
+   */
+  constructor({ ragService, k = 5, queryOptions = {} }) {
+    this.ragService = ragService;
+    this.k = k;
+    this.queryOptions = queryOptions;
+  }
+
+  /**
+   * Evaluate every case of a dataset
+   * @param {Array<Object>} cases Cases { id, question, language, expected, referenceAnswer }
+   * @param {Function} onCase Optional callback invoked with each case result
+   * @returns {Promise<Object>} { summary, cases }
+   */
+  async run(cases, onCase = () => {}) {
+    const results = [];
+
+    for (const testCase of cases) {
+      const result = await this.evaluateCase(testCase);
+      results.push(result);
+      onCase(result);
+    }
+
+    return {
+      summary: this.summarize(results),
+      cases: results
+    };
+  }
+
+  /**
+   * Evaluate a single case
+   * @param {Object} testCase Case { id, question, language, expected, referenceAnswer }
+   * @returns {Promise<Object>} Case result with its metrics
+   */
+  async evaluateCase(testCase) {
+    const expected = (testCase.expected || []).map(String);
+    const startTime = Date.now();
+
+    try {
+      const response = await this.ragService.query(testCase.question, testCase.language || 'en', this.queryOptions);
+      if (response.error) {
+        throw new Error(response.error);
+      }
+
+      const retrieved = rankedVerses(response.sources);
+      const citations = citationAccuracy(response.answer, expected);
+
+      return {
+        id: testCase.id,
+        question: testCase.question,
+        expected,
+        retrieved,
+        recallAtK: recallAtK(retrieved, expected, this.k),
+        reciprocalRank: reciprocalRank(retrieved, expected),
+        citations,
+        answerSimilarity: answerSimilarity(response.answer, testCase.referenceAnswer),
+        answer: response.answer,
+        referenceAnswer: testCase.referenceAnswer,
+        duration: Date.now() - startTime
+      };
+    } catch (error) {
+      logger.error(`Evaluation case ${testCase.id} failed: ${error.message}`);
+      return {
+        id: testCase.id,
+        question: testCase.question,
+        expected,
+        error: error.message,
+        duration: Date.now() - startTime
+      };
+    }
+  }
+
+  /**
+   * Average the metrics over all cases
+   * Failed cases count as zero for retrieval and similarity so errors cannot raise the scores
+   * @param {Array<Object>} results Case results
+   * @returns {Object} Summary metrics
+   */
+  summarize(results) {
+    const scored = (metric) => results.map(result => (result.error ? 0 : metric(result)));
+
+    return {
+      cases: results.length,
+      errors: results.filter(result => result.error).length,
+      k: this.k,
+      recallAtK: mean(scored(result => result.recallAtK)),
+      mrr: mean(scored(result => result.reciprocalRank)),
+      citationAccuracy: mean(results.filter(result => !result.error).map(result => result.citations.accuracy)),
+      nonexistentCitations: results.reduce((sum, result) => sum + (result.error ? 0 : result.citations.nonexistent), 0),
+      answerSimilarity: mean(scored(result => result.answerSimilarity)),
+      averageDuration: mean(results.map(result => result.duration))
+    };
+  }
+}
+
+module.exports = RagEvaluator;
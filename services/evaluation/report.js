@@ -0,0 +1,106 @@
+/**
+ * HTML rendering of evaluation reports
+ */
+
+/**
+ * Escape text for HTML
+ * @param {*} value Value to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Format a 0-1 metric for display
+ * @param {number|null} value Metric value
+ * @returns {string} Percentage or a dash when not applicable
+ */
+const formatMetric = (value) => (typeof value === 'number' ? `${(value * 100).toFixed(1)}%` : '&ndash;');
+
+/**
+ * Render an evaluation report as a standalone HTML page
+ * @param {Object} report Report with generatedAt, dataset, config, summary and cases
+ * @returns {string} HTML document
+ */
+const renderHtmlReport = (report) => {
+  const { summary } = report;
+
+  const caseRows = report.cases.map(result => {
+    if (result.error) {
+      return `
+      <tr class="error">
+        <td>${escapeHtml(result.id)}</td>
+        <td>${escapeHtml(result.question)}</td>
+        <td colspan="6">Error: ${escapeHtml(result.error)}</td>
+      </tr>`;
+    }
+
+    return `
+      <tr>
+        <td>${escapeHtml(result.id)}</td>
+        <td>${escapeHtml(result.question)}</td>
+        <td>${escapeHtml(result.expected.join(', '))}</td>
+        <td>${escapeHtml(result.retrieved.slice(0, summary.k).join(', '))}</td>
+        <td>${formatMetric(result.recallAtK)}</td>
+        <td>${formatMetric(result.reciprocalRank)}</td>
+        <td>${formatMetric(result.citations.accuracy)}${result.citations.nonexistent > 0 ? ` (${result.citations.nonexistent} nonexistent)` : ''}</td>
+        <td>${formatMetric(result.answerSimilarity)}</td>
+      </tr>
+      <tr class="answer">
+        <td></td>
+        <td colspan="7"><strong>Answer:</strong> ${escapeHtml(result.answer)}<br><strong>Reference:</strong> ${escapeHtml(result.referenceAnswer)}</td>
+      </tr>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>RAG evaluation - ${escapeHtml(report.generatedAt)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 2rem; color: #333; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; }
+    th, td { border: 1px solid #ddd; padding: 6px 10px; text-align: left; vertical-align: top; }
+    th { background-color: #f5f5f5; }
+    tr.answer td { font-size: 0.85rem; color: #666; }
+    tr.error td { background-color: #fdecea; }
+    .summary td:last-child { font-weight: bold; }
+  </style>
+</head>
+<body>
+  <h1>RAG evaluation</h1>
+  <p>Dataset <code>${escapeHtml(report.dataset)}</code>, generated ${escapeHtml(report.generatedAt)}.
+    LLM: ${escapeHtml(report.config.llm)}, retrieval: ${escapeHtml(report.config.retrieval)}.</p>
+
+  <table class="summary">
+    <tr><th>Cases</th><td>${summary.cases} (${summary.errors} failed)</td></tr>
+    <tr><th>Recall@${summary.k}</th><td>${formatMetric(summary.recallAtK)}</td></tr>
+    <tr><th>MRR</th><td>${formatMetric(summary.mrr)}</td></tr>
+    <tr><th>Citation accuracy</th><td>${formatMetric(summary.citationAccuracy)} (${summary.nonexistentCitations} nonexistent citations)</td></tr>
+    <tr><th>Answer similarity (token F1)</th><td>${formatMetric(summary.answerSimilarity)}</td></tr>
+    <tr><th>Average duration</th><td>${summary.averageDuration !== null ? `${Math.round(summary.averageDuration)}ms` : '&ndash;'}</td></tr>
+  </table>
+
+  <table>
+    <tr>
+      <th>Case</th>
+      <th>Question</th>
+      <th>Expected</th>
+      <th>Retrieved (top ${summary.k})</th>
+      <th>Recall@${summary.k}</th>
+      <th>RR</th>
+      <th>Citation accuracy</th>
+      <th>Similarity</th>
+    </tr>${caseRows}
+  </table>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  renderHtmlReport
+};
@@ -0,0 +1,275 @@
+/**
+ * A/B experiments over prompt variants
+ * Requests are assigned to a persona/style variant deterministically by user or session id,
+ * and latency, token usage and feedback are aggregated per variant
+ */
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const configService = require('../utils/configService');
+const logger = require('../utils/logger');
+
+// Latency samples kept per variant for percentiles
+const MAX_LATENCY_SAMPLES = 1000;
+
+class ExperimentService {
+  /**
+   * @param {Object} options Experiment options
+   * @param {PromptLibrary} options.promptLibrary Library the variants select templates from
+   * @param {string} options.filePath Experiment definitions (defaults to experiments.filePath)
+   * @param {string} options.active Name of the running experiment (defaults to experiments.active)
+   */
+  constructor({ promptLibrary, filePath = null, active = null }) {
+    this.promptLibrary = promptLibrary;
+    this.filePath = filePath || configService.get('experiments.filePath');
+    this.activeName = active !== null ? active : configService.get('experiments.active');
+    this.experiment = null;
+    this.metrics = new Map();
+    this.loaded = null;
+  }
+
+  /**
+   * Load the active experiment once and check that its variants resolve to templates
+   * A missing or invalid experiment is logged and disables assignment rather than failing queries
+   * @returns {Promise<Object|null>} Active experiment or null
+   */
+  load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        if (!this.activeName) {
+          return null;
+        }
+
+        try {
+          const content = await fs.readFile(this.filePath, 'utf8');
+          const definition = (JSON.parse(content).experiments || []).find(experiment => experiment.name === this.activeName);
+          if (!definition) {
+            throw new Error(`experiment ${this.activeName} is not defined`);
+          }
+
+          const variants = (definition.variants || []).filter(variant => variant.weight === undefined || variant.weight > 0);
+          if (variants.length < 2) {
+            throw new Error('an experiment needs at least two variants');
+          }
+
+          for (const variant of variants) {
+            if (!variant.name || !(await this.promptLibrary.resolve(variant.persona, variant.style))) {
+              throw new Error(`variant ${variant.name || '(unnamed)'} does not resolve to a persona and style`);
+            }
+          }
+
+          this.experiment = {
+            name: definition.name,
+            description: definition.description,
+            variants: variants.map(variant => ({
+              name: variant.name,
+              persona: variant.persona,
+              style: variant.style,
+              weight: variant.weight === undefined ? 1 : variant.weight
+            }))
+          };
+          for (const variant of this.experiment.variants) {
+            this.metrics.set(variant.name, this._emptyMetrics());
+          }
+
+          logger.info(`Running prompt experiment ${this.experiment.name} with variants ${this.experiment.variants.map(variant => variant.name).join(', ')}`);
+        } catch (error) {
+          logger.error(`Prompt experiment ${this.activeName} disabled: ${error.message}`);
+          this.experiment = null;
+        }
+
+        return this.experiment;
+      })();
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Assign a request to a variant of the active experiment
+   * The same unit id always gets the same variant; requests without one are assigned at random
+   * @param {string} unitId User or session id
+   * @returns {Promise<Object|null>} { experiment, variant, persona, style } or null when no experiment runs
+   */
+  async assign(unitId = null) {
+    const experiment = await this.load();
+    if (!experiment) {
+      return null;
+    }
+
+    const bucket = unitId ? this._bucket(`${experiment.name}:${unitId}`) : Math.random();
+    const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+
+    let threshold = 0;
+    let selected = experiment.variants[experiment.variants.length - 1];
+    for (const variant of experiment.variants) {
+      threshold += variant.weight / totalWeight;
+      if (bucket < threshold) {
+        selected = variant;
+        break;
+      }
+    }
+
+    return {
+      experiment: experiment.name,
+      variant: selected.name,
+      persona: selected.persona,
+      style: selected.style
+    };
+  }
+
+  /**
+   * Record the outcome of a request that was assigned to a variant
+   * @param {Object} assignment Assignment from assign()
+   * @param {Object} outcome Outcome of the request
+   * @param {number} outcome.duration Query duration in milliseconds
+   * @param {Object} outcome.tokenUsage LLM token usage, if reported
+   * @param {boolean} outcome.error Whether the request failed
+   */
+  recordOutcome(assignment, { duration = null, tokenUsage = null, error = false } = {}) {
+    const metrics = this._metricsFor(assignment);
+    if (!metrics) {
+      return;
+    }
+
+    metrics.requests++;
+    if (error) {
+      metrics.errors++;
+      return;
+    }
+
+    if (typeof duration === 'number') {
+      metrics.totalDuration += duration;
+      metrics.timedRequests++;
+      metrics.latencySamples.push(duration);
+      if (metrics.latencySamples.length > MAX_LATENCY_SAMPLES) {
+        metrics.latencySamples.shift();
+      }
+    }
+
+    if (tokenUsage && typeof tokenUsage.total_tokens === 'number') {
+      metrics.totalTokens += tokenUsage.total_tokens;
+    }
+  }
+
+  /**
+   * Record user feedback on an answer produced by a variant
+   * @param {Object} assignment Assignment recorded with the answer ({ experiment, variant })
+   * @param {number} rating 1 for positive, -1 for negative
+   * @param {number} previousRating Rating this feedback replaces, so changed votes are not counted twice
+   */
+  recordFeedback(assignment, rating, previousRating = 0) {
+    const metrics = this._metricsFor(assignment);
+    if (!metrics) {
+      return;
+    }
+
+    // Metrics are in memory, so the replaced vote may predate a restart
+    if (previousRating > 0 && metrics.positiveFeedback > 0) {
+      metrics.positiveFeedback--;
+    } else if (previousRating < 0 && metrics.negativeFeedback > 0) {
+      metrics.negativeFeedback--;
+    }
+
+    if (rating > 0) {
+      metrics.positiveFeedback++;
+    } else if (rating < 0) {
+      metrics.negativeFeedback++;
+    }
+  }
+
+  /**
+   * Get per-variant metrics for the active experiment
+   * @returns {Promise<Object|null>} Experiment with variant metrics, or null when no experiment runs
+   */
+  async getMetrics() {
+    const experiment = await this.load();
+    if (!experiment) {
+      return null;
+    }
+
+    return {
+      name: experiment.name,
+      description: experiment.description,
+      variants: experiment.variants.map(variant => {
+        const metrics = this.metrics.get(variant.name);
+        const feedbackCount = metrics.positiveFeedback + metrics.negativeFeedback;
+
+        return {
+          ...variant,
+          requests: metrics.requests,
+          errors: metrics.errors,
+          latency: {
+            average: metrics.timedRequests > 0 ? Math.round(metrics.totalDuration / metrics.timedRequests) : null,
+            p50: this._percentile(metrics.latencySamples, 0.5),
+            p95: this._percentile(metrics.latencySamples, 0.95)
+          },
+          averageTokens: metrics.timedRequests > 0 ? Math.round(metrics.totalTokens / metrics.timedRequests) : null,
+          feedback: {
+            positive: metrics.positiveFeedback,
+            negative: metrics.negativeFeedback,
+            positiveRate: feedbackCount > 0 ? metrics.positiveFeedback / feedbackCount : null
+          }
+        };
+      })
+    };
+  }
+
+  /**
+   * Map an id to a stable number in [0, 1)
+   * @param {string} key Experiment-scoped unit id
+   * @returns {number} Bucket
+   * @private
+   */
+  _bucket(key) {
+    const hash = crypto.createHash('sha256').update(key).digest();
+    return hash.readUInt32BE(0) / 0x100000000;
+  }
+
+  /**
+   * Find the metrics for an assignment to the active experiment
+   * Assignments from an experiment that is no longer running are ignored
+   * @param {Object} assignment Assignment ({ experiment, variant })
+   * @returns {Object|null} Metrics or null
+   * @private
+   */
+  _metricsFor(assignment) {
+    if (!assignment || !this.experiment || assignment.experiment !== this.experiment.name) {
+      return null;
+    }
+    return this.metrics.get(assignment.variant) || null;
+  }
+
+  /**
+   * Create the counters for a variant
+   * @returns {Object} Metrics
+   * @private
+   */
+  _emptyMetrics() {
+    return {
+      requests: 0,
+      errors: 0,
+      timedRequests: 0,
+      totalDuration: 0,
+      totalTokens: 0,
+      latencySamples: [],
+      positiveFeedback: 0,
+      negativeFeedback: 0
+    };
+  }
+
+  /**
+   * Nearest-rank percentile of latency samples
+   * @param {Array<number>} samples Durations
+   * @param {number} fraction Percentile as a fraction
+   * @returns {number|null} Duration or null without samples
+   * @private
+   */
+  _percentile(samples, fraction) {
+    if (samples.length === 0) {
+      return null;
+    }
+    const sorted = [...samples].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1)];
+  }
+}
+
+module.exports = ExperimentService;
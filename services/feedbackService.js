@@ -0,0 +1,78 @@
+/**
+ * Feedback service for generated answers
+ * Records each answer with its question and sources so user ratings can become evaluation data
+ */
+const logger = require('../utils/logger');
+const { createFeedbackStore } = require('./feedbackStore');
+
+class FeedbackService {
+  /**
+   * @param {Object} store Optional feedback store (defaults to the configured store)
+   */
+  constructor(store = null) {
+    this.store = store || createFeedbackStore();
+  }
+
+  /**
+   * Record an answer so feedback can be attached to it later
+   * @param {string} question User question as asked
+   * @param {Object} result Query result from RAGService, with its responseId
+   * @param {string} conversationId Conversation the answer belongs to, if any
+   * @returns {Promise<Object|null>} Saved record, or null for answers without a response id
+   */
+  async recordAnswer(question, result, conversationId = null) {
+    if (!result.responseId) {
+      return null;
+    }
+
+    const metadata = result.metadata || {};
+    const record = {
+      id: result.responseId,
+      createdAt: metadata.timestamp || new Date().toISOString(),
+      question,
+      language: metadata.language,
+      processedQuery: metadata.processedQuery,
+      conversationId: conversationId || undefined,
+      answer: result.answer,
+      sources: (result.sources || []).map(source => ({
+        id: source.id,
+        reference: source.reference,
+        score: source.score
+      })),
+      model: metadata.modelUsed,
+      prompt: metadata.prompt,
+      experiment: metadata.experiment,
+      feedback: null
+    };
+
+    return this.store.save(record);
+  }
+
+  /**
+   * Attach a rating and optional comment to an answer, replacing earlier feedback
+   * @param {string} responseId Response id returned with the answer
+   * @param {Object} feedback Feedback from the user
+   * @param {string} feedback.rating 'up' or 'down'
+   * @param {string} feedback.comment Optional comment
+   * @returns {Promise<Object|null>} { record, previous } with the updated record and any earlier feedback, or null if the answer is unknown
+   */
+  async submitFeedback(responseId, { rating, comment = null }) {
+    const record = await this.store.get(responseId);
+    if (!record) {
+      return null;
+    }
+
+    const previous = record.feedback;
+    record.feedback = {
+      rating,
+      comment: comment || null,
+      createdAt: new Date().toISOString()
+    };
+
+    await this.store.save(record);
+    logger.info(`Recorded ${rating} feedback for response ${responseId}`);
+    return { record, previous };
+  }
+}
+
+module.exports = FeedbackService;
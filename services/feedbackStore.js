@@ -0,0 +1,222 @@
+/**
+ * Storage backends for answer records and their user feedback
+ * The file store appends one JSON line per save instead of rewriting the file on every request
+ * Both stores expose the same async interface (get, list, save) so they can be swapped via config
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const configService = require('../utils/configService');
+const logger = require('../utils/logger');
+
+class MemoryFeedbackStore {
+  /**
+   * @param {Object} options Store options
+   * @param {number} options.maxRecords Maximum number of answer records to keep
+   */
+  constructor({ maxRecords = 10000 } = {}) {
+    this.records = new Map();
+    this.maxRecords = maxRecords;
+  }
+
+  /**
+   * Get an answer record by response id
+   * @param {string} id Response id
+   * @returns {Promise<Object|null>} Record or null if not found
+   */
+  async get(id) {
+    return this.records.get(id) || null;
+  }
+
+  /**
+   * List all answer records, oldest first
+   * @returns {Promise<Array<Object>>} Records
+   */
+  async list() {
+    return Array.from(this.records.values());
+  }
+
+  /**
+   * Create or replace an answer record
+   * @param {Object} record Record to save
+   * @returns {Promise<Object>} Saved record
+   */
+  async save(record) {
+    this.records.set(record.id, record);
+    this._evictOldest();
+    return record;
+  }
+
+  /**
+   * Drop the oldest records once the cap is exceeded
+   * Maps keep insertion order, so the first keys are the oldest answers
+   * @private
+   */
+  _evictOldest() {
+    while (this.records.size > this.maxRecords) {
+      const oldestId = this.records.keys().next().value;
+      this.records.delete(oldestId);
+    }
+  }
+}
+
+class FileFeedbackStore extends MemoryFeedbackStore {
+  /**
+   * @param {Object} options Store options
+   * @param {string} options.filePath JSON lines file used to persist answer records
+   * @param {number} options.maxRecords Maximum number of answer records to keep
+   */
+  constructor({ filePath, maxRecords = 10000 } = {}) {
+    super({ maxRecords });
+    this.filePath = path.resolve(filePath);
+    this.loaded = null;
+    this.writeQueue = Promise.resolve();
+    // Lines in the file, including ones superseded by later saves of the same record
+    this.lineCount = 0;
+  }
+
+  async get(id) {
+    await this._load();
+    return super.get(id);
+  }
+
+  async list() {
+    await this._load();
+    return super.list();
+  }
+
+  /**
+   * Save a record by appending it to the file; the last line for an id wins when loading
+   * @param {Object} record Record to save
+   * @returns {Promise<Object>} Saved record
+   */
+  async save(record) {
+    await this._load();
+    await super.save(record);
+    this.lineCount++;
+    await this._write(() => fs.appendFile(this.filePath, `${JSON.stringify(record)}\n`));
+
+    // Feedback and evictions leave stale lines behind; rewrite the file once they outnumber live records
+    if (this.lineCount > 2 * this.maxRecords) {
+      this._compact();
+    }
+    return record;
+  }
+
+  /**
+   * Load records from disk once, compacting the file if it holds superseded lines
+   * Files written as a single JSON array by earlier versions are converted to JSON lines, including
+   * the feedback.json they wrote by default when the configured feedback.jsonl does not exist yet
+   * @returns {Promise<void>}
+   * @private
+   */
+  _load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        try {
+          let content;
+          let migrated = false;
+          try {
+            content = await fs.readFile(this.filePath, 'utf8');
+          } catch (error) {
+            const legacyPath = this.filePath.replace(/\.jsonl$/, '.json');
+            if (error.code !== 'ENOENT' || legacyPath === this.filePath) {
+              throw error;
+            }
+            content = await fs.readFile(legacyPath, 'utf8');
+            migrated = true;
+            logger.info(`Migrating answer records from ${legacyPath} to ${this.filePath}`);
+          }
+
+          const records = content.trimStart().startsWith('[')
+            ? JSON.parse(content)
+            : content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+
+          for (const record of records) {
+            this.records.set(record.id, record);
+          }
+          this._evictOldest();
+          this.lineCount = records.length;
+
+          if (migrated || this.lineCount > this.records.size || content.trimStart().startsWith('[')) {
+            await this._compact();
+          }
+          logger.info(`Loaded ${this.records.size} answer records from ${this.filePath}`);
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            logger.error(`Error loading answer records from ${this.filePath}: ${error.message}`);
+          }
+        }
+      })();
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Rewrite the file with one line per live record, via a temporary file so a crash keeps the old file
+   * @returns {Promise<void>}
+   * @private
+   */
+  _compact() {
+    return this._write(async () => {
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      const data = Array.from(this.records.values()).map(record => `${JSON.stringify(record)}\n`).join('');
+      await fs.writeFile(tempPath, data);
+      await fs.rename(tempPath, this.filePath);
+      this.lineCount = this.records.size;
+    });
+  }
+
+  /**
+   * Run a file write, serializing concurrent writes
+   * @param {Function} write Function performing the write
+   * @returns {Promise<void>}
+   * @private
+   */
+  _write(write) {
+    this.writeQueue = this.writeQueue.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await write();
+      } catch (error) {
+        logger.error(`Error saving answer records to ${this.filePath}: ${error.message}`);
+      }
+    });
+    return this.writeQueue;
+  }
+}
+
+// Stores are shared so every service instance sees the same records
+const stores = {};
+
+/**
+ * Get the feedback store selected in config
+ * @returns {MemoryFeedbackStore|FileFeedbackStore} Feedback store
+ */
+const createFeedbackStore = () => {
+  const config = configService.get('feedback');
+
+  if (!stores[config.store]) {
+    if (config.store === 'file') {
+      stores[config.store] = new FileFeedbackStore({
+        filePath: config.filePath,
+        maxRecords: config.maxRecords
+      });
+    } else {
+      if (config.store !== 'memory') {
+        logger.warn(`Unknown feedback store "${config.store}", falling back to memory`);
+      }
+      stores[config.store] = new MemoryFeedbackStore({
+        maxRecords: config.maxRecords
+      });
+    }
+    logger.info(`Initialized ${config.store} feedback store`);
+  }
+
+  return stores[config.store];
+};
+
+module.exports = {
+  MemoryFeedbackStore,
+  FileFeedbackStore,
+  createFeedbackStore
+};
@@ -0,0 +1,171 @@
+/**
+ * Hybrid retriever combining dense vector search with BM25 lexical search
+ * Rankings are merged with weighted reciprocal rank fusion (RRF)
+ */
+const configService = require('../utils/configService');
+const logger = require('../utils/logger');
+const LexicalIndex = require('./lexicalIndex');
+
+class HybridRetriever {
+  /**
+   * @param {VectorStore} vectorStore Vector store used for dense search
+   * @param {LexicalIndex} lexicalIndex Optional prebuilt lexical index
+   */
+  constructor(vectorStore, lexicalIndex = null) {
+    const config = configService.get('retrieval');
+
+    this.vectorStore = vectorStore;
+    this.lexicalIndex = lexicalIndex || new LexicalIndex();
+    this.mode = config.mode;
+    this.defaultWeights = {
+      vector: config.vectorWeight,
+      lexical: config.lexicalWeight
+    };
+    this.rrfK = config.rrfK || 60;
+    this.candidateMultiplier = config.candidateMultiplier || 3;
+    this.processedDataPath = configService.get('documents.processedPath');
+  }
+
+  /**
+   * Build the lexical index when hybrid mode is enabled
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.mode !== 'hybrid' || this.lexicalIndex.size > 0) {
+      return;
+    }
+
+    await this.lexicalIndex.loadFromProcessedData(this.processedDataPath);
+  }
+
+  /**
+   * Rebuild the lexical index from the processed data, e.g. after scripts/reindex.js changed the collection
+   * @returns {Promise<number>} Number of indexed documents, 0 when hybrid mode is off
+   */
+  async reload() {
+    if (this.mode !== 'hybrid') {
+      return 0;
+    }
+
+    return this.lexicalIndex.loadFromProcessedData(this.processedDataPath);
+  }
+
+  /**
+   * Whether lexical results take part in retrieval
+   * @returns {boolean} True in hybrid mode with a non-empty index
+   */
+  isHybrid() {
+    return this.mode === 'hybrid' && this.lexicalIndex.size > 0;
+  }
+
+  /**
+   * Search with vector and lexical retrieval and fuse the rankings
+   * Falls back to plain vector search when hybrid mode is off, the lexical index is empty or the lexical weight is 0
+   * @param {string} query Query string
+   * @param {number} limit Maximum number of results
+   * @param {Object} filters Optional filters (same format as VectorStore.search)
+   * @param {Object} options Search options
+   * @param {Object} options.weights Per-request fusion weights { vector, lexical }
+   * @returns {Promise<Array>} Results sorted by fused score, each with a retrieval breakdown and its vector similarity
+   */
+  async search(query, limit = 20, filters = null, { weights = null } = {}) {
+    const fusionWeights = this._resolveWeights(weights);
+
+    if (!this.isHybrid() || fusionWeights.lexical === 0) {
+      return this.vectorStore.search(query, limit, filters);
+    }
+
+    const candidateLimit = limit * this.candidateMultiplier;
+
+    // Lexical results still help when the embedding call fails
+    let vectorResults = [];
+    let vectorError = null;
+    if (fusionWeights.vector > 0) {
+      try {
+        vectorResults = await this.vectorStore.search(query, candidateLimit, filters);
+      } catch (error) {
+        logger.error(`Vector search failed during hybrid retrieval: ${error.message}`);
+        vectorError = error;
+      }
+    }
+
+    const lexicalFilter = filters ? this.vectorStore._buildQdrantFilter(filters) : null;
+    const lexicalResults = this.lexicalIndex.search(query, candidateLimit, lexicalFilter);
+
+    if (vectorError && lexicalResults.length === 0) {
+      throw vectorError;
+    }
+
+    const fused = this._fuse(vectorResults, lexicalResults, fusionWeights).slice(0, limit);
+    logger.info(`Hybrid retrieval fused ${vectorResults.length} vector and ${lexicalResults.length} lexical results into ${fused.length} (weights: vector ${fusionWeights.vector}, lexical ${fusionWeights.lexical})`);
+    return fused;
+  }
+
+  /**
+   * Merge per-request weights with the configured defaults
+   * @param {Object} weights Requested weights
+   * @returns {Object} Weights { vector, lexical }
+   * @private
+   */
+  _resolveWeights(weights) {
+    const resolved = { ...this.defaultWeights };
+
+    if (weights) {
+      if (typeof weights.vector === 'number') resolved.vector = weights.vector;
+      if (typeof weights.lexical === 'number') resolved.lexical = weights.lexical;
+    }
+
+    // Zero weights everywhere would rank nothing, so use the defaults instead
+    if (resolved.vector <= 0 && resolved.lexical <= 0) {
+      return { ...this.defaultWeights };
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Weighted reciprocal rank fusion
+   * Scores are normalized so a passage ranked first by every retriever scores 1. They only reflect rank,
+   * so every candidate scores well even for an off-topic query; relevance checks use `similarity` instead,
+   * the raw vector similarity (null for passages only the lexical index found)
+   * @param {Array} vectorResults Vector results, best first
+   * @param {Array} lexicalResults Lexical results, best first
+   * @param {Object} weights Weights { vector, lexical }
+   * @returns {Array} Fused results, best first
+   * @private
+   */
+  _fuse(vectorResults, lexicalResults, weights) {
+    const entries = new Map();
+
+    const addRanking = (results, retriever) => {
+      results.forEach((result, index) => {
+        const key = String(result.original_id !== undefined ? result.original_id : result.id);
+        if (!entries.has(key)) {
+          entries.set(key, { result, retrieval: {}, rrf: 0 });
+        }
+        const entry = entries.get(key);
+        entry.retrieval[`${retriever}Score`] = result.score;
+        entry.retrieval[`${retriever}Rank`] = index + 1;
+        entry.rrf += weights[retriever] / (this.rrfK + index + 1);
+      });
+    };
+
+    if (weights.vector > 0) {
+      addRanking(vectorResults, 'vector');
+    }
+    addRanking(lexicalResults, 'lexical');
+
+    const maxRrf = (weights.vector + weights.lexical) / (this.rrfK + 1);
+
+    return Array.from(entries.values())
+      .map(({ result, retrieval, rrf }) => ({
+        ...result,
+        score: rrf / maxRrf,
+        similarity: typeof retrieval.vectorScore === 'number' ? retrieval.vectorScore : null,
+        retrieval
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+}
+
+module.exports = HybridRetriever;
@@ -0,0 +1,114 @@
+/**
+ * Incremental indexing of document nodes
+ * Compares node content hashes with the hashes stored in the collection payloads so only
+ * new and changed nodes are embedded and upserted, and nodes that disappeared are deleted
+ */
+const logger = require('../utils/logger');
+
+class IncrementalIndexer {
+  /**
+   * @param {Object} options Indexer options
+   * @param {VectorStore} options.vectorStore Vector store holding the collection
+   */
+  constructor({ vectorStore }) {
+    this.vectorStore = vectorStore;
+  }
+
+  /**
+   * Compare nodes with the indexed collection
+   * @param {Array<Object>} nodes Nodes from GitaDocumentProcessor.createGitaNodes
+   * @returns {Promise<Object>} Diff { added, updated, removed, unchanged } where added and
+   * updated hold nodes, removed holds { id, pointId } and unchanged is a count
+   */
+  async diff(nodes) {
+    const indexed = await this.vectorStore.getIndexedHashes();
+    const diff = {
+      added: [],
+      updated: [],
+      removed: [],
+      unchanged: 0
+    };
+
+    const seen = new Set();
+    for (const node of nodes) {
+      if (node.id === undefined || node.id === null) {
+        logger.warn('Skipping node without an id, it cannot be tracked between runs');
+        continue;
+      }
+
+      const id = String(node.id);
+      if (seen.has(id)) {
+        logger.warn(`Duplicate node id ${id}, only the first node is indexed`);
+        continue;
+      }
+      seen.add(id);
+
+      const stored = indexed.get(id);
+      if (!stored) {
+        diff.added.push(node);
+      } else if (stored.hash !== this.vectorStore.hashNode(node)) {
+        diff.updated.push(node);
+      } else {
+        diff.unchanged++;
+      }
+    }
+
+    for (const [id, stored] of indexed) {
+      if (!seen.has(id)) {
+        diff.removed.push({ id, pointId: stored.pointId });
+      }
+    }
+
+    return diff;
+  }
+
+  /**
+   * Upsert added and updated nodes and delete removed ones
+   * @param {Object} diff Diff from diff()
+   * @returns {Promise<Object>} Result { upserted, failed, deleted }
+   */
+  async apply(diff) {
+    const changed = [...diff.added, ...diff.updated];
+    const result = {
+      upserted: 0,
+      failed: 0,
+      deleted: 0
+    };
+
+    if (changed.length > 0) {
+      logger.info(`Upserting ${changed.length} new or changed nodes`);
+      const upsert = await this.vectorStore.addDocuments(changed);
+      result.upserted = upsert.succeeded || 0;
+      result.failed = changed.length - result.upserted;
+    }
+
+    if (diff.removed.length > 0) {
+      logger.info(`Deleting ${diff.removed.length} removed nodes`);
+      result.deleted = await this.vectorStore.deletePoints(diff.removed.map(entry => entry.pointId));
+    }
+
+    return result;
+  }
+
+  /**
+   * Bring the collection in line with the nodes
+   * @param {Array<Object>} nodes Nodes to index
+   * @param {Object} options Run options
+   * @param {boolean} options.dryRun Compute the diff without changing the collection
+   * @returns {Promise<Object>} { diff, result } where result is null on a dry run
+   */
+  async run(nodes, { dryRun = false } = {}) {
+    await this.vectorStore.initializeCollection();
+    const diff = await this.diff(nodes);
+
+    logger.info(`Index diff: ${diff.added.length} added, ${diff.updated.length} updated, ${diff.removed.length} removed, ${diff.unchanged} unchanged`);
+
+    if (dryRun) {
+      return { diff, result: null };
+    }
+
+    return { diff, result: await this.apply(diff) };
+  }
+}
+
+module.exports = IncrementalIndexer;
@@ -0,0 +1,225 @@
+/**
+ * BM25 lexical index over the Gita nodes
+ * Complements dense search for exact terms such as transliterated Sanskrit ("sthita-prajna", "svadharma")
+ */
+const fs = require('fs').promises;
+const logger = require('../utils/logger');
+const { matchesFilter } = require('../utils/payloadFilter');
+
+// Common English words that carry no retrieval signal
+const STOP_WORDS = new Set([
+  'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'does', 'do', 'for', 'from', 'how',
+  'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'say', 'says', 'tell', 'that', 'the',
+  'this', 'to', 'was', 'what', 'when', 'where', 'which', 'who', 'why', 'with', 'you', 'your'
+]);
+
+class LexicalIndex {
+  /**
+   * @param {Object} options BM25 parameters
+   * @param {number} options.k1 Term frequency saturation
+   * @param {number} options.b Document length normalization
+   */
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.clear();
+  }
+
+  /**
+   * Remove all documents from the index
+   */
+  clear() {
+    this.documents = [];
+    this.postings = new Map();
+    this.totalLength = 0;
+  }
+
+  /**
+   * Number of indexed documents
+   * @returns {number} Document count
+   */
+  get size() {
+    return this.documents.length;
+  }
+
+  /**
+   * Index nodes as produced by GitaDocumentProcessor.createGitaNodes
+   * @param {Array<Object>} nodes Nodes with id, text and metadata
+   * @returns {number} Number of documents indexed
+   */
+  addNodes(nodes) {
+    for (const node of nodes) {
+      if (!node || !node.text || typeof node.text !== 'string') {
+        continue;
+      }
+
+      const tokens = LexicalIndex.tokenize(node.text);
+      const termFrequencies = new Map();
+      for (const token of tokens) {
+        termFrequencies.set(token, (termFrequencies.get(token) || 0) + 1);
+      }
+
+      const docIndex = this.documents.length;
+      this.documents.push({
+        id: node.id,
+        text: node.text,
+        metadata: node.metadata || {},
+        length: tokens.length
+      });
+      this.totalLength += tokens.length;
+
+      for (const [term, frequency] of termFrequencies.entries()) {
+        if (!this.postings.has(term)) {
+          this.postings.set(term, []);
+        }
+        this.postings.get(term).push({ docIndex, frequency });
+      }
+    }
+
+    return this.documents.length;
+  }
+
+  /**
+   * Replace or remove indexed documents by id, e.g. after an admin edited a point
+   * Ids that are not indexed are ignored; the postings are rebuilt, which is quick at the size of the corpus
+   * @param {Array<Object>} nodes Nodes with id, text and metadata replacing the documents with the same id
+   * @param {Array<string|number>} removedIds Ids of documents to remove
+   * @returns {number} Number of documents replaced or removed
+   */
+  updateDocuments(nodes = [], removedIds = []) {
+    const replacements = new Map(nodes.map(node => [String(node.id), node]));
+    const removed = new Set(removedIds.map(String));
+    const kept = [];
+    let changed = 0;
+
+    for (const doc of this.documents) {
+      const id = String(doc.id);
+      if (removed.has(id)) {
+        changed++;
+      } else if (replacements.has(id)) {
+        kept.push({ ...replacements.get(id), id: doc.id });
+        changed++;
+      } else {
+        kept.push(doc);
+      }
+    }
+
+    if (changed > 0) {
+      this.clear();
+      this.addNodes(kept);
+    }
+    return changed;
+  }
+
+  /**
+   * Load the nodes saved by the document processor and index them
+   * @param {string} filePath Processed data file (data/processed_gita.json)
+   * @returns {Promise<number>} Number of documents indexed, 0 if the file is missing
+   */
+  async loadFromProcessedData(filePath) {
+    try {
+      const content = await fs.readFile(filePath, 'utf8');
+      const data = JSON.parse(content);
+
+      this.clear();
+      const count = this.addNodes(data.nodes || []);
+      logger.info(`Built lexical index with ${count} documents from ${filePath}`);
+      return count;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.warn(`Processed data file not found at ${filePath}, lexical search disabled`);
+      } else {
+        logger.error(`Error building lexical index from ${filePath}: ${error.message}`);
+      }
+      return 0;
+    }
+  }
+
+  /**
+   * Rank documents for a query with BM25
+   * @param {string} query Query text
+   * @param {number} limit Maximum number of results
+   * @param {Object} filter Optional Qdrant-style filter applied to { text, metadata }
+   * @returns {Array<Object>} Results with content, metadata, score and id, best first
+   */
+  search(query, limit = 20, filter = null) {
+    if (this.documents.length === 0) {
+      return [];
+    }
+
+    const queryTerms = Array.from(new Set(LexicalIndex.tokenize(query)));
+    const averageLength = this.totalLength / this.documents.length;
+    const scores = new Map();
+
+    for (const term of queryTerms) {
+      const postings = this.postings.get(term);
+      if (!postings) {
+        continue;
+      }
+
+      const idf = Math.log(1 + (this.documents.length - postings.length + 0.5) / (postings.length + 0.5));
+
+      for (const { docIndex, frequency } of postings) {
+        const length = this.documents[docIndex].length;
+        const termScore = idf * (frequency * (this.k1 + 1)) /
+          (frequency + this.k1 * (1 - this.b + this.b * length / averageLength));
+        scores.set(docIndex, (scores.get(docIndex) || 0) + termScore);
+      }
+    }
+
+    const results = [];
+    for (const [docIndex, score] of scores.entries()) {
+      const doc = this.documents[docIndex];
+      if (filter && !matchesFilter({ text: doc.text, metadata: doc.metadata }, filter)) {
+        continue;
+      }
+      results.push({
+        content: doc.text,
+        metadata: doc.metadata,
+        score,
+        id: doc.id,
+        original_id: doc.id
+      });
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Split text into normalized terms
+   * Diacritics are folded (prajñā -> prajna) and hyphenated compounds are indexed both joined and split
+   * @param {string} text Text to tokenize
+   * @returns {Array<string>} Terms
+   */
+  static tokenize(text) {
+    if (!text) {
+      return [];
+    }
+
+    const normalized = text
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase();
+
+    const words = normalized.match(/[\p{L}\p{M}\p{N}]+(?:[-'][\p{L}\p{M}\p{N}]+)*/gu) || [];
+    const terms = [];
+
+    for (const word of words) {
+      const parts = word.split(/[-']/);
+      if (parts.length > 1) {
+        terms.push(parts.join(''));
+      }
+      for (const part of parts) {
+        if (part.length > 1 && !STOP_WORDS.has(part)) {
+          terms.push(part);
+        }
+      }
+    }
+
+    return terms;
+  }
+}
+
+module.exports = LexicalIndex;
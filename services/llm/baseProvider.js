@@ -0,0 +1,72 @@
+/**
+ * Base class for LLM providers
+ * Every provider exposes the same chat interface so RAGService never depends on a vendor SDK
+ */
+class LLMProvider {
+  /**
+   * @param {Object} options Provider options
+   * @param {string} options.name Provider name
+   * @param {string} options.model Model name
+   */
+  constructor({ name, model }) {
+    this.name = name;
+    this.model = model;
+  }
+
+  /**
+   * Whether the provider is configured and can serve requests
+   * @returns {boolean} Availability
+   */
+  isAvailable() {
+    return false;
+  }
+
+  /**
+   * Generate a chat completion
+   * @param {Object} params Completion parameters
+   * @param {Array<Object>} params.messages Chat messages
+   * @param {number} params.temperature Sampling temperature
+   * @param {number} params.maxTokens Maximum tokens to generate
+   * @param {number} params.topP Nucleus sampling parameter
+   * @returns {Promise<Object>} Completion with content and usage
+   */
+  async complete(params) {
+    throw new Error(`LLM provider ${this.name} does not implement complete()`);
+  }
+
+  /**
+   * Generate a chat completion, calling onToken for each chunk of text
+   * @param {Object} params Completion parameters (see complete)
+   * @param {Function} onToken Callback invoked with each generated text chunk
+   * @param {Object} options Request options
+   * @param {AbortSignal} options.signal Signal used to abort generation
+   * @returns {Promise<Object>} Completion with the full content and usage
+   */
+  async stream(params, onToken, options = {}) {
+    throw new Error(`LLM provider ${this.name} does not implement stream()`);
+  }
+
+  /**
+   * Build an OpenAI-style chat completion request body
+   * @param {Object} params Completion parameters
+   * @returns {Object} Request body
+   * @protected
+   */
+  _buildRequestBody({ messages, temperature, maxTokens, topP, stop = null }) {
+    const body = {
+      model: this.model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      stop
+    };
+
+    if (topP !== undefined) {
+      body.top_p = topP;
+    }
+
+    return body;
+  }
+}
+
+module.exports = LLMProvider;
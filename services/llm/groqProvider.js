@@ -0,0 +1,76 @@
+/**
+ * LLM provider backed by the Groq API
+ */
+const { Groq } = require('groq-sdk');
+const logger = require('../../utils/logger');
+const LLMProvider = require('./baseProvider');
+
+class GroqProvider extends LLMProvider {
+  /**
+   * @param {Object} options Provider options
+   * @param {string} options.model Model name
+   * @param {string} options.apiKey Groq API key
+   * @param {number} options.timeout Request timeout in ms
+   * @param {number} options.maxRetries Maximum request retries
+   */
+  constructor({ model, apiKey = process.env.GROQ_API_KEY, timeout, maxRetries }) {
+    super({ name: 'groq', model });
+    this.client = null;
+
+    if (!apiKey) {
+      logger.warn('GROQ_API_KEY not found in environment variables, LLM queries will fail');
+      return;
+    }
+
+    try {
+      this.client = new Groq({
+        apiKey,
+        timeout,
+        maxRetries
+      });
+      logger.info(`Groq client initialized with model: ${this.model}`);
+    } catch (error) {
+      logger.error(`Error initializing Groq client: ${error.message}`);
+    }
+  }
+
+  isAvailable() {
+    return !!this.client;
+  }
+
+  async complete(params) {
+    const completion = await this.client.chat.completions.create(this._buildRequestBody(params));
+
+    return {
+      content: completion.choices[0]?.message?.content || '',
+      usage: completion.usage || null
+    };
+  }
+
+  async stream(params, onToken, { signal } = {}) {
+    const stream = await this.client.chat.completions.create(
+      { ...this._buildRequestBody(params), stream: true },
+      { signal }
+    );
+
+    let content = '';
+    let usage = null;
+
+    for await (const chunk of stream) {
+      const token = chunk.choices[0]?.delta?.content || '';
+      if (token) {
+        content += token;
+        onToken(token);
+      }
+
+      // Groq reports usage on the final chunk
+      if (chunk.x_groq && chunk.x_groq.usage) {
+        usage = chunk.x_groq.usage;
+      }
+    }
+
+    return { content, usage };
+  }
+}
+
+module.exports = GroqProvider;
@@ -0,0 +1,63 @@
+/**
+ * LLM provider factory
+ * Selects the provider from the LLM_PROVIDER setting
+ */
+const configService = require('../../utils/configService');
+const logger = require('../../utils/logger');
+const LLMProvider = require('./baseProvider');
+const GroqProvider = require('./groqProvider');
+const OpenAICompatibleProvider = require('./openaiCompatibleProvider');
+const MockLLMProvider = require('./mockProvider');
+
+// Names accepted for the OpenAI-compatible adapter
+const OPENAI_COMPATIBLE_ALIASES = ['openai', 'openai-compatible', 'vllm', 'llamacpp', 'llama.cpp', 'ollama'];
+
+/**
+ * Create the configured LLM provider
+ * @param {Object} overrides Options overriding the config values
+ * @returns {LLMProvider} LLM provider
+ */
+const createLLMProvider = (overrides = {}) => {
+  const config = { ...configService.get('llm'), timeout: configService.get('rag.timeout'), ...overrides };
+  const provider = (config.provider || 'groq').toLowerCase();
+
+  if (provider === 'groq') {
+    return new GroqProvider({
+      model: config.model,
+      timeout: config.timeout,
+      maxRetries: config.maxRetries
+    });
+  }
+
+  if (OPENAI_COMPATIBLE_ALIASES.includes(provider)) {
+    return new OpenAICompatibleProvider({
+      model: config.model,
+      baseUrl: config.baseUrl,
+      apiKey: config.apiKey,
+      timeout: config.timeout
+    });
+  }
+
+  if (provider === 'mock') {
+    return new MockLLMProvider({
+      model: config.model,
+      response: config.mockResponse,
+      responder: config.responder
+    });
+  }
+
+  logger.warn(`Unknown LLM provider "${provider}", falling back to groq`);
+  return new GroqProvider({
+    model: config.model,
+    timeout: config.timeout,
+    maxRetries: config.maxRetries
+  });
+};
+
+module.exports = {
+  LLMProvider,
+  GroqProvider,
+  OpenAICompatibleProvider,
+  MockLLMProvider,
+  createLLMProvider
+};
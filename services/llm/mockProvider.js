@@ -0,0 +1,103 @@
+/**
+ * Deterministic local LLM provider for offline development and tests
+ * Produces the same answer for the same messages without any network access
+ */
+const LLMProvider = require('./baseProvider');
+
+class MockLLMProvider extends LLMProvider {
+  /**
+   * @param {Object} options Provider options
+   * @param {string} options.model Model name reported in responses
+   * @param {string} options.response Fixed response to return for every answer
+   * @param {Function} options.responder Optional function (messages) => string overriding the default; returning null keeps the default
+   */
+  constructor({ model = 'mock', response = null, responder = null } = {}) {
+    super({ name: 'mock', model });
+    this.response = response;
+    this.responder = responder;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async complete(params) {
+    const content = this._respond(params.messages);
+    return {
+      content,
+      usage: this._usage(params.messages, content)
+    };
+  }
+
+  async stream(params, onToken, { signal } = {}) {
+    const content = this._respond(params.messages);
+
+    // Emit word by word so clients exercise incremental rendering
+    for (const token of content.match(/\S+\s*/g) || []) {
+      if (signal && signal.aborted) {
+        throw new Error('Mock LLM stream aborted');
+      }
+      onToken(token);
+    }
+
+    return {
+      content,
+      usage: this._usage(params.messages, content)
+    };
+  }
+
+  /**
+   * Produce the response for a set of messages
+   * @param {Array<Object>} messages Chat messages
+   * @returns {string} Response text
+   * @private
+   */
+  _respond(messages) {
+    if (this.responder) {
+      const content = this.responder(messages);
+      if (content !== null && content !== undefined) {
+        return content;
+      }
+    }
+
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+    const prompt = lastUserMessage ? lastUserMessage.content : '';
+
+    // Follow-up rewrite prompts get the question back unchanged
+    const followUp = prompt.match(/^FOLLOW-UP QUESTION:\s*(.+)$/m);
+    if (followUp) {
+      return followUp[1].trim();
+    }
+
+    if (this.response) {
+      return this.response;
+    }
+
+    // Cite the first context passage so citation handling can be exercised offline
+    const citation = prompt.match(/CONTEXT PASSAGE 1 \[Bhagavad Gita Chapter (\d+)[^\]]*?, Verse (\d+)/);
+    const answer = 'Perform your duty with a steady mind, without attachment to its fruits. This is the path of karma yoga that frees the heart.';
+
+    return citation
+      ? `${answer} As I teach in Chapter ${citation[1]}, Verse ${citation[2]}, act with devotion and let the results rest with me.`
+      : answer;
+  }
+
+  /**
+   * Estimate token usage (about 4 characters per token)
+   * @param {Array<Object>} messages Chat messages
+   * @param {string} content Generated content
+   * @returns {Object} Usage in the OpenAI format
+   * @private
+   */
+  _usage(messages, content) {
+    const promptTokens = Math.ceil(messages.reduce((sum, message) => sum + message.content.length, 0) / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    };
+  }
+}
+
+module.exports = MockLLMProvider;
@@ -0,0 +1,119 @@
+/**
+ * LLM provider for OpenAI-compatible chat completion endpoints
+ * Works with vLLM, llama.cpp server, Ollama and OpenAI itself
+ */
+const { StringDecoder } = require('string_decoder');
+const axios = require('axios');
+const logger = require('../../utils/logger');
+const LLMProvider = require('./baseProvider');
+
+class OpenAICompatibleProvider extends LLMProvider {
+  /**
+   * @param {Object} options Provider options
+   * @param {string} options.model Model name
+   * @param {string} options.baseUrl Base URL of the API, e.g. http://localhost:11434/v1
+   * @param {string} options.apiKey Optional API key sent as a bearer token
+   * @param {number} options.timeout Request timeout in ms
+   */
+  constructor({ model, baseUrl, apiKey = null, timeout }) {
+    super({ name: 'openai-compatible', model });
+    this.baseUrl = baseUrl ? baseUrl.replace(/\/+$/, '') : null;
+    this.apiKey = apiKey;
+    this.timeout = timeout;
+
+    if (!this.baseUrl) {
+      logger.warn('LLM_BASE_URL not set, OpenAI-compatible LLM queries will fail');
+      return;
+    }
+
+    logger.info(`OpenAI-compatible LLM provider initialized at ${this.baseUrl} with model: ${this.model}`);
+  }
+
+  isAvailable() {
+    return !!this.baseUrl;
+  }
+
+  async complete(params) {
+    const response = await axios.post(
+      `${this.baseUrl}/chat/completions`,
+      this._buildRequestBody(params),
+      {
+        headers: this._headers(),
+        timeout: this.timeout
+      }
+    );
+
+    return {
+      content: response.data.choices[0]?.message?.content || '',
+      usage: response.data.usage || null
+    };
+  }
+
+  async stream(params, onToken, { signal } = {}) {
+    const response = await axios.post(
+      `${this.baseUrl}/chat/completions`,
+      {
+        ...this._buildRequestBody(params),
+        stream: true,
+        stream_options: { include_usage: true }
+      },
+      {
+        headers: this._headers(),
+        responseType: 'stream',
+        signal
+      }
+    );
+
+    let content = '';
+    let usage = null;
+    let buffer = '';
+    // Multibyte characters (e.g. Devanagari) can be split across network chunks
+    const decoder = new StringDecoder('utf8');
+
+    // Parse the server-sent event stream line by line
+    for await (const data of response.data) {
+      buffer += decoder.write(data);
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') continue;
+
+        try {
+          const chunk = JSON.parse(payload);
+          const token = chunk.choices && chunk.choices[0]?.delta?.content;
+          if (token) {
+            content += token;
+            onToken(token);
+          }
+          if (chunk.usage) {
+            usage = chunk.usage;
+          }
+        } catch (error) {
+          logger.warn(`Skipping malformed stream chunk: ${payload.substring(0, 100)}`);
+        }
+      }
+    }
+
+    return { content, usage };
+  }
+
+  /**
+   * Build request headers
+   * @returns {Object} Headers
+   * @private
+   */
+  _headers() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
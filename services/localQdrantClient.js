@@ -0,0 +1,488 @@
+/**
+ * In-process vector store persisted to a JSON file
+ * Implements the subset of the QdrantClient API used by VectorStore so development and tests can run without a Qdrant instance.
+ * Collection and alias changes are written immediately; point upserts and deletes stay in memory until flush(),
+ * so an indexing run writes the file once instead of once per batch.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const { matchesFilter } = require('../utils/payloadFilter');
+
+class LocalQdrantClient {
+  /**
+   * @param {Object} options Client options
+   * @param {string} options.filePath JSON file used to persist collections (null keeps everything in memory)
+   */
+  constructor({ filePath = null } = {}) {
+    this.filePath = filePath ? path.resolve(filePath) : null;
+    this.collections = new Map();
+    // Alias name to collection name
+    this.aliases = new Map();
+    this.loaded = null;
+    this.writeQueue = Promise.resolve();
+    // Whether memory holds changes that are not on disk yet
+    this.dirty = false;
+  }
+
+  /**
+   * List collections
+   * @returns {Promise<Object>} Object with a collections array of { name }
+   */
+  async getCollections() {
+    await this._load();
+    return {
+      collections: Array.from(this.collections.keys()).map(name => ({ name }))
+    };
+  }
+
+  /**
+   * Create a collection
+   * @param {string} collectionName Collection name
+   * @param {Object} config Collection config with vectors.size and vectors.distance
+   * @returns {Promise<boolean>} True when created
+   */
+  async createCollection(collectionName, config = {}) {
+    await this._load();
+    if (this.collections.has(collectionName) || this.aliases.has(collectionName)) {
+      throw new Error(`Collection ${collectionName} already exists`);
+    }
+
+    const vectors = config.vectors || {};
+    this.collections.set(collectionName, {
+      config: {
+        size: vectors.size,
+        distance: vectors.distance || 'Cosine'
+      },
+      payloadSchema: {},
+      points: new Map()
+    });
+
+    this.dirty = true;
+    await this.flush();
+    return true;
+  }
+
+  /**
+   * Record a payload index (filters work without indexes, this only mirrors the schema)
+   * @param {string} collectionName Collection name
+   * @param {Object} options Index options with field_name and field_schema
+   * @returns {Promise<Object>} Operation result
+   */
+  async createPayloadIndex(collectionName, { field_name, field_schema }) {
+    const collection = await this._getCollection(collectionName);
+    collection.payloadSchema[field_name] = { data_type: field_schema };
+    this.dirty = true;
+    await this.flush();
+    return { status: 'completed' };
+  }
+
+  /**
+   * Delete a collection
+   * @param {string} collectionName Collection name
+   * @returns {Promise<boolean>} Whether the collection existed
+   */
+  async deleteCollection(collectionName) {
+    await this._load();
+    const deleted = this.collections.delete(collectionName);
+    if (deleted) {
+      // Like Qdrant, aliases go with their collection
+      for (const [alias, target] of this.aliases) {
+        if (target === collectionName) {
+          this.aliases.delete(alias);
+        }
+      }
+      this.dirty = true;
+      await this.flush();
+    }
+    return deleted;
+  }
+
+  /**
+   * List all aliases
+   * @returns {Promise<Object>} Object with an aliases array of { alias_name, collection_name }
+   */
+  async getAliases() {
+    await this._load();
+    return {
+      aliases: Array.from(this.aliases, ([aliasName, collectionName]) => ({
+        alias_name: aliasName,
+        collection_name: collectionName
+      }))
+    };
+  }
+
+  /**
+   * Apply alias changes atomically: either every action succeeds or none is applied
+   * @param {Object} options Options with an actions array of create_alias, delete_alias or rename_alias operations
+   * @returns {Promise<boolean>} True when applied
+   */
+  async updateCollectionAliases({ actions = [] }) {
+    await this._load();
+    const aliases = new Map(this.aliases);
+
+    for (const action of actions) {
+      if (action.create_alias) {
+        const { collection_name: collectionName, alias_name: aliasName } = action.create_alias;
+        if (!this.collections.has(collectionName)) {
+          throw new Error(`Not found: Collection \`${collectionName}\` doesn't exist!`);
+        }
+        if (this.collections.has(aliasName)) {
+          throw new Error(`Wrong input: Collection \`${aliasName}\` already exists!`);
+        }
+        aliases.set(aliasName, collectionName);
+      } else if (action.delete_alias) {
+        const { alias_name: aliasName } = action.delete_alias;
+        if (!aliases.delete(aliasName)) {
+          throw new Error(`Not found: Alias \`${aliasName}\` doesn't exist!`);
+        }
+      } else if (action.rename_alias) {
+        const { old_alias_name: oldName, new_alias_name: newName } = action.rename_alias;
+        if (!aliases.has(oldName)) {
+          throw new Error(`Not found: Alias \`${oldName}\` doesn't exist!`);
+        }
+        aliases.set(newName, aliases.get(oldName));
+        aliases.delete(oldName);
+      }
+    }
+
+    this.aliases = aliases;
+    this.dirty = true;
+    await this.flush();
+    return true;
+  }
+
+  /**
+   * Get collection info in the shape returned by Qdrant
+   * @param {string} collectionName Collection name
+   * @returns {Promise<Object>} Collection info
+   */
+  async getCollection(collectionName) {
+    const collection = await this._getCollection(collectionName);
+    return {
+      status: 'green',
+      vectors_count: collection.points.size,
+      indexed_vectors_count: collection.points.size,
+      points_count: collection.points.size,
+      config: {
+        params: {
+          vectors: { ...collection.config }
+        }
+      },
+      payload_schema: { ...collection.payloadSchema }
+    };
+  }
+
+  /**
+   * Insert or replace points
+   * @param {string} collectionName Collection name
+   * @param {Object} options Upsert options with a points array
+   * @returns {Promise<Object>} Operation result
+   */
+  async upsert(collectionName, { points = [] }) {
+    const collection = await this._getCollection(collectionName);
+
+    for (const point of points) {
+      if (!Array.isArray(point.vector) || point.vector.length !== collection.config.size) {
+        throw new Error(`Wrong input: Vector dimension error: expected dim: ${collection.config.size}, got ${point.vector ? point.vector.length : 0}`);
+      }
+
+      collection.points.set(String(point.id), {
+        id: point.id,
+        vector: point.vector,
+        payload: point.payload || {}
+      });
+    }
+
+    // Written by the next flush()
+    this.dirty = true;
+    return { status: 'completed' };
+  }
+
+  /**
+   * Delete points by id or by filter
+   * @param {string} collectionName Collection name
+   * @param {Object} options Delete options with a points array of ids or a filter
+   * @returns {Promise<Object>} Operation result
+   */
+  async delete(collectionName, { points = null, filter = null }) {
+    const collection = await this._getCollection(collectionName);
+
+    if (points) {
+      for (const id of points) {
+        collection.points.delete(String(id));
+      }
+    } else if (filter) {
+      for (const [key, point] of collection.points) {
+        if (matchesFilter(point.payload, filter)) {
+          collection.points.delete(key);
+        }
+      }
+    }
+
+    // Written by the next flush()
+    this.dirty = true;
+    return { status: 'completed' };
+  }
+
+  /**
+   * Exhaustive similarity search
+   * @param {string} collectionName Collection name
+   * @param {Object} params Search params (vector, limit, filter, score_threshold, with_payload, with_vectors)
+   * @returns {Promise<Array<Object>>} Scored points, best first
+   */
+  async search(collectionName, params) {
+    const collection = await this._getCollection(collectionName);
+    const {
+      vector,
+      limit = 10,
+      offset = 0,
+      filter = null,
+      score_threshold: scoreThreshold,
+      with_payload: withPayload = false,
+      with_vectors: withVectors = false
+    } = params;
+
+    if (!Array.isArray(vector) || vector.length !== collection.config.size) {
+      throw new Error(`Wrong input: Vector dimension error: expected dim: ${collection.config.size}, got ${vector ? vector.length : 0}`);
+    }
+
+    const distance = collection.config.distance;
+    // Euclid scores are distances, so smaller is better
+    const higherIsBetter = distance !== 'Euclid';
+
+    const hits = [];
+    for (const point of collection.points.values()) {
+      if (filter && !matchesFilter(point.payload, filter)) {
+        continue;
+      }
+
+      const score = this._score(distance, vector, point.vector);
+      if (scoreThreshold !== undefined && scoreThreshold !== null) {
+        if (higherIsBetter ? score < scoreThreshold : score > scoreThreshold) {
+          continue;
+        }
+      }
+
+      hits.push({ point, score });
+    }
+
+    hits.sort((a, b) => higherIsBetter ? b.score - a.score : a.score - b.score);
+
+    return hits.slice(offset, offset + limit).map(({ point, score }) => ({
+      id: point.id,
+      version: 0,
+      score,
+      payload: withPayload ? point.payload : null,
+      vector: withVectors ? point.vector : null
+    }));
+  }
+
+  /**
+   * Page through points matching a filter, ordered by id
+   * @param {string} collectionName Collection name
+   * @param {Object} params Scroll params (filter, limit, offset, with_payload, with_vector)
+   * @returns {Promise<Object>} Object with points and next_page_offset
+   */
+  async scroll(collectionName, params = {}) {
+    const collection = await this._getCollection(collectionName);
+    const {
+      filter = null,
+      limit = 10,
+      offset = null,
+      with_payload: withPayload = true,
+      with_vector: withVector = false
+    } = params;
+
+    const matching = Array.from(collection.points.values())
+      .filter(point => !filter || matchesFilter(point.payload, filter))
+      .sort((a, b) => this._compareIds(a.id, b.id));
+
+    const start = offset === null || offset === undefined
+      ? 0
+      : matching.findIndex(point => this._compareIds(point.id, offset) >= 0);
+    const page = start === -1 ? [] : matching.slice(start, start + limit);
+    const next = start === -1 ? undefined : matching[start + limit];
+
+    return {
+      points: page.map(point => ({
+        id: point.id,
+        payload: withPayload ? point.payload : null,
+        vector: withVector ? point.vector : null
+      })),
+      next_page_offset: next ? next.id : null
+    };
+  }
+
+  /**
+   * Get points by id, skipping ids that do not exist
+   * @param {string} collectionName Collection name
+   * @param {Object} params Retrieve params (ids, with_payload, with_vector)
+   * @returns {Promise<Array<Object>>} Points
+   */
+  async retrieve(collectionName, params = {}) {
+    const collection = await this._getCollection(collectionName);
+    const {
+      ids = [],
+      with_payload: withPayload = true,
+      with_vector: withVector = false
+    } = params;
+
+    return ids
+      .map(id => collection.points.get(String(id)))
+      .filter(Boolean)
+      .map(point => ({
+        id: point.id,
+        payload: withPayload ? point.payload : null,
+        vector: withVector ? point.vector : null
+      }));
+  }
+
+  /**
+   * Order point ids like Qdrant: numeric ids first, then UUIDs
+   * @param {number|string} a First id
+   * @param {number|string} b Second id
+   * @returns {number} Sort order
+   * @private
+   */
+  _compareIds(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') {
+      return a - b;
+    }
+    if (typeof a === 'number') return -1;
+    if (typeof b === 'number') return 1;
+    return String(a).localeCompare(String(b));
+  }
+
+  /**
+   * Get a collection or throw the same not-found error as Qdrant
+   * @param {string} collectionName Collection name
+   * @returns {Promise<Object>} Collection
+   * @private
+   */
+  async _getCollection(collectionName) {
+    await this._load();
+    const collection = this.collections.get(this.aliases.get(collectionName) || collectionName);
+    if (!collection) {
+      throw new Error(`Not found: Collection \`${collectionName}\` doesn't exist!`);
+    }
+    return collection;
+  }
+
+  /**
+   * Score two vectors with the collection distance
+   * @param {string} distance Cosine, Dot or Euclid
+   * @param {Array<number>} a Query vector
+   * @param {Array<number>} b Stored vector
+   * @returns {number} Score
+   * @private
+   */
+  _score(distance, a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    let squaredDistance = 0;
+
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+      squaredDistance += (a[i] - b[i]) * (a[i] - b[i]);
+    }
+
+    if (distance === 'Dot') {
+      return dot;
+    }
+    if (distance === 'Euclid') {
+      return Math.sqrt(squaredDistance);
+    }
+    if (normA === 0 || normB === 0) {
+      return 0;
+    }
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+  }
+
+  /**
+   * Load collections from disk once
+   * @returns {Promise<void>}
+   * @private
+   */
+  _load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        if (!this.filePath) {
+          return;
+        }
+        try {
+          const content = await fs.readFile(this.filePath, 'utf8');
+          const data = JSON.parse(content);
+          for (const [name, collection] of Object.entries(data.collections || {})) {
+            this.collections.set(name, {
+              config: collection.config,
+              payloadSchema: collection.payloadSchema || {},
+              points: new Map(collection.points.map(point => [String(point.id), point]))
+            });
+          }
+          for (const [aliasName, collectionName] of Object.entries(data.aliases || {})) {
+            this.aliases.set(aliasName, collectionName);
+          }
+          logger.info(`Loaded ${this.collections.size} local vector collections from ${this.filePath}`);
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            logger.error(`Error loading local vector store from ${this.filePath}: ${error.message}`);
+          }
+        }
+      })();
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Write pending changes to disk, serializing concurrent writes
+   * @returns {Promise<void>}
+   * @throws {Error} If the file cannot be written; the changes stay pending for the next flush
+   */
+  async flush() {
+    await this._load();
+    if (!this.filePath || !this.dirty) {
+      return this.writeQueue;
+    }
+
+    this.dirty = false;
+    const write = this.writeQueue.then(() => this._write());
+    // Keep the queue usable after a failed write
+    this.writeQueue = write.catch(() => {});
+
+    try {
+      await write;
+    } catch (error) {
+      this.dirty = true;
+      logger.error(`Error saving local vector store to ${this.filePath}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Write all collections to a temporary file and rename it into place
+   * so a crash mid-write never leaves a truncated store
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _write() {
+    const collections = {};
+    for (const [name, collection] of this.collections.entries()) {
+      collections[name] = {
+        config: collection.config,
+        payloadSchema: collection.payloadSchema,
+        points: Array.from(collection.points.values())
+      };
+    }
+
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify({ collections, aliases: Object.fromEntries(this.aliases) }));
+    await fs.rename(tempPath, this.filePath);
+  }
+}
+
+module.exports = LocalQdrantClient;
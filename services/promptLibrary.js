@@ -0,0 +1,211 @@
+/**
+ * Library of versioned prompt templates stored on disk
+ * Personas (prompts/personas/<name>/v<N>.json) define the system and user messages;
+ * styles (prompts/styles/<name>/v<N>.json) supply variables such as the answer length
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const configService = require('../utils/configService');
+const logger = require('../utils/logger');
+
+const VERSION_FILE_PATTERN = /^v(\d+)\.json$/;
+
+class PromptLibrary {
+  /**
+   * @param {Object} options Library options
+   * @param {string} options.directory Template directory (defaults to prompts.directory)
+   * @param {string} options.defaultPersona Persona used when a request names none (defaults to prompts.persona)
+   * @param {string} options.defaultStyle Style used when a request names none (defaults to prompts.style)
+   */
+  constructor({ directory = null, defaultPersona = null, defaultStyle = null } = {}) {
+    this.directory = directory || configService.get('prompts.directory');
+    this.defaultPersona = defaultPersona || configService.get('prompts.persona');
+    this.defaultStyle = defaultStyle || configService.get('prompts.style');
+    this.personas = new Map();
+    this.styles = new Map();
+    this.loaded = null;
+  }
+
+  /**
+   * Load all templates once
+   * @returns {Promise<void>}
+   * @throws {Error} If the default persona or style is missing
+   */
+  load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        await this._loadKind('personas', this.personas, template => {
+          if (!Array.isArray(template.system) || !Array.isArray(template.user)) {
+            throw new Error('persona templates need "system" and "user" line arrays');
+          }
+        });
+        await this._loadKind('styles', this.styles, template => {
+          if (!template.variables || typeof template.variables !== 'object') {
+            throw new Error('style templates need a "variables" object');
+          }
+        });
+
+        if (!this._find(this.personas, this.defaultPersona) || !this._find(this.styles, this.defaultStyle)) {
+          throw new Error(`Default prompt ${this.defaultPersona} / ${this.defaultStyle} not found in ${this.directory}`);
+        }
+
+        logger.info(`Loaded ${this.personas.size} prompt personas and ${this.styles.size} styles from ${this.directory}`);
+      })();
+
+      // Allow a retry after fixing the templates
+      this.loaded.catch(() => {
+        this.loaded = null;
+      });
+    }
+    return this.loaded;
+  }
+
+  /**
+   * List the available personas and styles
+   * @returns {Promise<Object>} { personas, styles, defaults }
+   */
+  async list() {
+    await this.load();
+
+    const summarize = (templates) => Array.from(templates.entries())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([name, versions]) => ({
+        name,
+        description: versions[versions.length - 1].description,
+        versions: versions.map(template => template.version),
+        latest: versions[versions.length - 1].version
+      }));
+
+    return {
+      personas: summarize(this.personas),
+      styles: summarize(this.styles),
+      defaults: {
+        persona: this.defaultPersona,
+        style: this.defaultStyle
+      }
+    };
+  }
+
+  /**
+   * Resolve a persona and style selection
+   * Names may pin a version ("krishna@1"); otherwise the latest version is used
+   * @param {string} persona Persona name, or null for the default
+   * @param {string} style Style name, or null for the default
+   * @returns {Promise<Object|null>} { persona, style } templates, or null if either is unknown
+   */
+  async resolve(persona = null, style = null) {
+    await this.load();
+
+    const personaTemplate = this._find(this.personas, persona || this.defaultPersona);
+    const styleTemplate = this._find(this.styles, style || this.defaultStyle);
+
+    if (!personaTemplate || !styleTemplate) {
+      return null;
+    }
+
+    return { persona: personaTemplate, style: styleTemplate };
+  }
+
+  /**
+   * Render the system and user messages for a resolved selection
+   * Placeholders are written {{name}}; request variables take precedence over style variables
+   * @param {Object} selection Selection from resolve()
+   * @param {Object} variables Values such as question, context and basePrompt
+   * @returns {Object} { system, user } message contents
+   */
+  render(selection, variables) {
+    const values = { ...selection.style.variables, ...variables };
+
+    const fill = (lines) => lines.join('\n').replace(/\{\{(\w+)\}\}/g, (placeholder, name) => {
+      if (values[name] === undefined || values[name] === null) {
+        logger.warn(`Prompt ${selection.persona.id} uses unknown variable ${name}`);
+        return '';
+      }
+      return String(values[name]);
+    });
+
+    return {
+      system: fill(selection.persona.system),
+      user: fill(selection.persona.user)
+    };
+  }
+
+  /**
+   * Read every version of one kind of template
+   * @param {string} kind Subdirectory name, 'personas' or 'styles'
+   * @param {Map} target Map of name to versions, oldest first
+   * @param {Function} validate Throws if a template is malformed
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _loadKind(kind, target, validate) {
+    target.clear();
+    const kindDirectory = path.join(this.directory, kind);
+
+    let names = [];
+    try {
+      names = await fs.readdir(kindDirectory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.warn(`Prompt directory not found at ${kindDirectory}`);
+        return;
+      }
+      throw error;
+    }
+
+    for (const name of names) {
+      let files;
+      try {
+        files = await fs.readdir(path.join(kindDirectory, name));
+      } catch (error) {
+        // Skip stray files next to the template directories
+        continue;
+      }
+
+      const versions = [];
+      for (const file of files) {
+        const match = VERSION_FILE_PATTERN.exec(file);
+        if (!match) {
+          continue;
+        }
+
+        const filePath = path.join(kindDirectory, name, file);
+        try {
+          const template = JSON.parse(await fs.readFile(filePath, 'utf8'));
+          validate(template);
+          const version = parseInt(match[1], 10);
+          versions.push({ ...template, name, version, id: `${name}@${version}` });
+        } catch (error) {
+          throw new Error(`Invalid prompt template ${filePath}: ${error.message}`);
+        }
+      }
+
+      if (versions.length > 0) {
+        target.set(name, versions.sort((a, b) => a.version - b.version));
+      }
+    }
+  }
+
+  /**
+   * Find a template by name, optionally pinned to a version
+   * @param {Map} templates Map of name to versions
+   * @param {string} identifier "name" or "name@version"
+   * @returns {Object|null} Template or null if not found
+   * @private
+   */
+  _find(templates, identifier) {
+    const [name, version] = String(identifier).split('@');
+    const versions = templates.get(name);
+    if (!versions) {
+      return null;
+    }
+
+    if (version === undefined) {
+      return versions[versions.length - 1];
+    }
+
+    return versions.find(template => String(template.version) === version.replace(/^v/, '')) || null;
+  }
+}
+
+module.exports = PromptLibrary;
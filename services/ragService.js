@@ -2,20 +2,45 @@
  * Enhanced RAG (Retrieval Augmented Generation) service
  * Core service for handling Bhagavad Gita queries with improved retrieval and response
  */
-const { Groq } = require('groq-sdk');
+const { v4: uuidv4 } = require('uuid');
 const configService = require('../utils/configService');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const requestContext = require('../utils/requestContext');
+const { getChapterName } = require('../utils/gitaChapters');
+const { detectVerseReferences } = require('../utils/verseReferences');
+const { parseStructuredAnswer } = require('../utils/structuredAnswer');
+const ThinkTagFilter = require('../utils/thinkTagFilter');
 const VectorStore = require('./vectorStore');
+const HybridRetriever = require('./hybridRetriever');
 const MultilingualService = require('./multilingualService');
+const VerseCatalog = require('./verseCatalog');
+const CitationValidator = require('./citationValidator');
+const PromptLibrary = require('./promptLibrary');
+const ExperimentService = require('./experimentService');
+const AnswerCache = require('./answerCache');
+const { createLLMProvider } = require('./llm');
+const { createReranker } = require('./rerankers');
+
+// Limits for grounding answers in verses cited by the question
+const MAX_CITED_VERSES = 3;
+const PASSAGES_PER_CITED_VERSE = 4;
 
 class RAGService {
-    constructor() {
+    /**
+     * @param {Object} options Optional components replacing the configured ones (used by offline evaluation)
+     * @param {VectorStore} options.vectorStore Vector store
+     * @param {HybridRetriever} options.retriever Retriever used for search
+     * @param {LLMProvider} options.llmProvider LLM provider
+     */
+    constructor({ vectorStore = null, retriever = null, llmProvider = null } = {}) {
         // Get specific config values
         this.similarityTopK = configService.get('rag.similarityTopK') || 10;
         this.timeout = configService.get('rag.timeout') || 30000;
         this.relevanceThreshold = configService.get('rag.relevanceThreshold') || 0.3;
+        this.queryRewriteEnabled = configService.get('rag.queryRewrite');
+        this.citationDetectionEnabled = configService.get('rag.citationDetection');
         
-        this.provider = configService.get('llm.provider') || 'groq';
         this.model = configService.get('llm.model') || 'llama3-70b-8192';
         this.temperature = configService.get('llm.temperature') || 0.2;
         this.maxTokens = configService.get('llm.maxTokens') || 2048;
@@ -33,55 +58,27 @@ class RAGService {
         this.vectorStoreAvailable = false;
         this.initialized = false;
 
-        // Set API key from environment variables
-        this.groqApiKey = process.env.GROQ_API_KEY;
-
         // Initialize components
-        this.vectorStore = new VectorStore();
+        this.vectorStore = vectorStore || new VectorStore();
+        this.retriever = retriever || new HybridRetriever(this.vectorStore);
         this.multilingualService = new MultilingualService();
-        this.groqClient = null;
+        this.verseCatalog = new VerseCatalog({ multilingualService: this.multilingualService });
+        this.citationValidator = new CitationValidator({ verseCatalog: this.verseCatalog });
+        this.promptLibrary = new PromptLibrary();
+        this.experiments = new ExperimentService({ promptLibrary: this.promptLibrary });
+        this.answerCache = new AnswerCache({ embeddingService: this.vectorStore.embeddingService });
 
-        // Initialize LLM
-        this._initializeGroq();
+        // Initialize the LLM provider selected by LLM_PROVIDER
+        this.llmProvider = llmProvider || createLLMProvider();
+        this.provider = this.llmProvider.name;
+        
+        // Optional reranking stage (RERANK_PROVIDER)
+        this.reranker = createReranker({ llmProvider: this.llmProvider });
+        this.rerankTopN = configService.get('rerank.topN') || 0;
         
-        // Track stats
-        this.stats = {
-            queriesProcessed: 0,
-            totalSourcesRetrieved: 0,
-            averageSourcesPerQuery: 0,
-            errors: {
-                retrieval: 0,
-                llm: 0,
-                general: 0
-            },
-            startTime: new Date().toISOString()
-        };
-
         logger.info('Enhanced Divine Knowledge RAG service initialized');
     }
 
-    /**
-     * Initialize the Groq client with improved handling
-     * @private
-     */
-    _initializeGroq() {
-        if (!this.groqApiKey) {
-            logger.warn('GROQ_API_KEY not found in environment variables, LLM queries will fail');
-            return;
-        }
-
-        try {
-            this.groqClient = new Groq({ 
-                apiKey: this.groqApiKey,
-                timeout: this.timeout,
-                maxRetries: this.maxRetries
-            });
-            logger.info(`Groq client initialized with model: ${this.model}`);
-        } catch (error) {
-            logger.error(`Error initializing Groq client: ${error.message}`);
-        }
-    }
-
     /**
      * Initialize the system with improved error handling
      * @param {Array} nodes Document nodes for indexing (not used in this implementation)
@@ -105,6 +102,9 @@ class RAGService {
                 
                 if (pointCount > 0) {
                     this.vectorStoreAvailable = true;
+                    
+                    // Build the BM25 index used alongside vector search
+                    await this.retriever.initialize();
                 } else {
                     logger.warn('Vector store is empty. Run initialization script locally first.');
                     this.vectorStoreAvailable = false;
@@ -117,20 +117,19 @@ class RAGService {
             }
             
             // Test LLM connection if in debug mode
-            if (this.debugMode && this.groqClient) {
+            if (this.debugMode && this.llmProvider.isAvailable()) {
                 try {
                     logger.info('Testing LLM connection...');
-                    const testResponse = await this.groqClient.chat.completions.create({
-                        model: this.model,
+                    const testResponse = await this.llmProvider.complete({
                         messages: [
                             { role: "system", content: "You are a helpful assistant." },
                             { role: "user", content: "Say 'LLM connection successful' in one short sentence." }
                         ],
-                        max_tokens: 20,
+                        maxTokens: 20,
                         temperature: 0.1
                     });
                     
-                    logger.info(`LLM test response: ${testResponse.choices[0]?.message?.content || 'No response'}`);
+                    logger.info(`LLM test response: ${testResponse.content || 'No response'}`);
                 } catch (error) {
                     logger.error(`LLM connection test failed: ${error.message}`);
                 }
@@ -141,11 +140,48 @@ class RAGService {
         } catch (error) {
             logger.error(`Error initializing RAG system: ${error.message}`);
             logger.error(error.stack);
-            this.stats.errors.general++;
+            this._recordError(error);
             throw error;
         }
     }
 
+    /**
+     * Pick up collection changes made by another process, such as scripts/reindex.js
+     * Rebuilds the lexical index from the processed data and drops answers cached from the old passages
+     * @returns {Promise<Object>} { documentCount, lexicalDocuments, cachedAnswersRemoved }
+     */
+    async reloadIndexes() {
+        const documentCount = await this.vectorStore.getPointCount();
+        this.vectorStoreAvailable = documentCount > 0;
+
+        const lexicalDocuments = await this.retriever.reload();
+        const cachedAnswersRemoved = this.answerCache.invalidate();
+
+        logger.info(`Reloaded indexes: ${documentCount} points, ${lexicalDocuments} lexical documents, ${cachedAnswersRemoved} cached answers removed`);
+        return { documentCount, lexicalDocuments, cachedAnswersRemoved };
+    }
+
+    /**
+     * Follow single-point edits of the collection, as emitted by VectorStore.events
+     * Refreshes the affected lexical documents and drops every cached answer, since any of them may quote an edited passage
+     * @param {Object} change pointsChanged event { collectionName, updated, removed }
+     * @returns {number} Number of cached answers removed
+     */
+    applyPointChanges({ collectionName, updated = [], removed = [] }) {
+        if (collectionName !== this.vectorStore.collectionName) {
+            return 0;
+        }
+
+        // Lexical documents are keyed by node id, which points only store when it differs from the point id
+        const nodeId = point => point.originalId !== null ? point.originalId : point.id;
+        this.retriever.lexicalIndex.updateDocuments(
+            updated.map(point => ({ id: nodeId(point), text: point.text, metadata: point.metadata })),
+            removed.map(nodeId)
+        );
+
+        return this.answerCache.invalidate();
+    }
+
     /**
      * Process a query in any supported language and return a response with improved handling
      * @param {string} question User question
@@ -156,9 +192,121 @@ class RAGService {
     async query(question, language = 'en', options = {}) {
         // Start measuring time for this query
         const queryStartTime = Date.now();
-        
-        // Track this query in stats
-        this.stats.queriesProcessed++;
+        let prepared = null;
+
+        try {
+            prepared = await this._prepareQuery(question, language, options);
+            if (prepared.cached) {
+                return this._buildCachedResponse(question, language, prepared, queryStartTime);
+            }
+
+            // Generate response using the configured LLM provider
+            const llmResponsePromise = this._generateLLMResponse(
+                prepared.processedQuestion, 
+                prepared.context, 
+                prepared.systemPrompt, 
+                prepared.queryOptions.temperature,
+                prepared.queryOptions.history,
+                { format: prepared.queryOptions.format, prompt: prepared.prompt }
+            );
+            
+            // Set up timeout for LLM
+            const timeoutPromise = new Promise((_, reject) => {
+                setTimeout(() => {
+                    reject(new Error(`LLM response timed out after ${this.timeout}ms`));
+                }, this.timeout);
+            });
+            
+            // Race between LLM response and timeout
+            const llmResponse = await Promise.race([llmResponsePromise, timeoutPromise]);
+
+            const response = await this._buildQueryResponse(question, language, prepared, llmResponse, queryStartTime);
+            await this._cacheResponse(question, prepared, response);
+            return response;
+        } catch (error) {
+            if (prepared) {
+                this.experiments.recordOutcome(prepared.experiment, { error: true });
+            }
+            return this._buildErrorResponse(question, language, error, queryStartTime);
+        }
+    }
+
+    /**
+     * Process a query and stream the answer as the LLM generates it.
+     * Events are emitted in order: `sources` once retrieval completes, `token` for
+     * every chunk of generated text, then `done` with the full response payload.
+     * @param {string} question User question
+     * @param {string} language Language code
+     * @param {Object} options Query options; options.signal cancels generation when aborted
+     * @param {Function} onEvent Callback invoked as onEvent(eventName, data); may be async
+     * @returns {Promise<Object|null>} Final response with answer and sources, or null if cancelled
+     */
+    async queryStream(question, language = 'en', options = {}, onEvent = () => {}) {
+        const queryStartTime = Date.now();
+        let prepared = null;
+
+        try {
+            // Tokens are streamed as plain text, so structured answers are not available here
+            prepared = await this._prepareQuery(question, language, { ...options, format: 'text' });
+
+            // Cached answers are sent as a single token
+            if (prepared.cached) {
+                const response = this._buildCachedResponse(question, language, prepared, queryStartTime);
+                await onEvent('sources', {
+                    sources: response.sources,
+                    relevantSourcesFound: response.metadata.relevantSourcesFound
+                });
+                await onEvent('token', { token: response.answer });
+                await onEvent('done', response);
+                return response;
+            }
+
+            // Sources are known before generation starts, so send them first
+            await onEvent('sources', {
+                sources: prepared.sources,
+                relevantSourcesFound: prepared.relevantSourcesFound
+            });
+
+            const llmResponse = await this._streamLLMResponse(
+                prepared.processedQuestion,
+                prepared.context,
+                prepared.systemPrompt,
+                prepared.queryOptions.temperature,
+                prepared.queryOptions.history,
+                (token) => onEvent('token', { token }),
+                { prompt: prepared.prompt, signal: options.signal }
+            );
+
+            const response = await this._buildQueryResponse(question, language, prepared, llmResponse, queryStartTime);
+            await this._cacheResponse(question, prepared, response);
+            await onEvent('done', response);
+            return response;
+        } catch (error) {
+            // Nobody is listening any more, so a cancelled query is neither an error nor an outcome
+            if (options.signal && options.signal.aborted) {
+                logger.info(`Streaming query cancelled: ${question}`);
+                return null;
+            }
+            if (prepared) {
+                this.experiments.recordOutcome(prepared.experiment, { error: true });
+            }
+            const response = await this._buildErrorResponse(question, language, error, queryStartTime);
+            await onEvent('error', response);
+            return response;
+        }
+    }
+
+    /**
+     * Run the shared pre-generation steps of a query: initialization, translation,
+     * retrieval and context formatting
+     * @param {string} question User question
+     * @param {string} language Language code
+     * @param {Object} options Query options
+     * @returns {Promise<Object>} Prepared query state
+     * @private
+     */
+    async _prepareQuery(question, language, options) {
+        metrics.queries.inc();
         
         // Ensure system is initialized
         if (!this.initialized) {
@@ -167,7 +315,7 @@ class RAGService {
                 await this.initialize([]);
             } catch (error) {
                 logger.error(`Auto-initialization failed: ${error.message}`);
-                this.stats.errors.general++;
+                this._recordError(error);
             }
         }
         
@@ -178,154 +326,600 @@ class RAGService {
             maxSources: this.similarityTopK,
             includeRawContent: this.debugMode,
             filters: null,
-            temperature: this.temperature
+            temperature: this.temperature,
+            history: [],
+            fusionWeights: null,
+            rerank: true,
+            detectCitations: this.citationDetectionEnabled,
+            format: 'text',
+            persona: null,
+            style: null,
+            experimentUnit: null,
+            cache: true
         };
         
         // Merge with user-provided options
         const queryOptions = { ...defaultOptions, ...options };
 
-        try {
-            // Translate question to English if not already in English
-            let processedQuestion = question;
-            if (language !== 'en') {
-                try {
-                    processedQuestion = await this.multilingualService.translateToEnglish(question, language);
-                    logger.info(`Translated question to English: ${processedQuestion}`);
-                } catch (error) {
-                    logger.error(`Question translation error: ${error.message}`);
-                    // Continue with original question
-                    processedQuestion = question;
+        // Requests that do not choose a persona or style take part in the running prompt experiment
+        const experiment = !queryOptions.persona && !queryOptions.style
+            ? await this.experiments.assign(queryOptions.experimentUnit)
+            : null;
+        if (experiment) {
+            logger.info(`Assigned to prompt experiment ${experiment.experiment}, variant ${experiment.variant}`);
+        }
+
+        // Resolve the persona and answer style templates
+        const persona = experiment ? experiment.persona : queryOptions.persona;
+        const style = experiment ? experiment.style : queryOptions.style;
+        const prompt = await this.promptLibrary.resolve(persona, style);
+        if (!prompt) {
+            throw new Error(`Unknown prompt persona or style: ${persona || 'default'} / ${style || 'default'}`);
+        }
+
+        // Standalone questions with default retrieval settings can be answered from the cache
+        const cacheScope = this._getCacheScope(question, language, queryOptions, prompt);
+        if (cacheScope) {
+            try {
+                const cached = await this.answerCache.lookup(question, cacheScope);
+                if (cached) {
+                    return { queryOptions, prompt, experiment, cacheScope, cached };
                 }
+            } catch (error) {
+                logger.error(`Answer cache lookup failed: ${error.message}`);
             }
+        }
 
-            // Retrieve relevant content from vector store
-            let retrievalResults = [];
-            let relevantSourcesFound = false;
-            
-            if (this.vectorStoreAvailable) {
-                try {
-                    logger.info('Searching vector store for relevant passages...');
-                    retrievalResults = await this.vectorStore.search(
-                        processedQuestion,
-                        queryOptions.maxSources,
-                        queryOptions.filters
-                    );
-                    
-                    this.stats.totalSourcesRetrieved += retrievalResults.length;
-                    this.stats.averageSourcesPerQuery = this.stats.totalSourcesRetrieved / this.stats.queriesProcessed;
-                    
-                    logger.info(`Retrieved ${retrievalResults.length} relevant passages`);
-                    
-                    // Check if any results have a relevance score above threshold
-                    relevantSourcesFound = retrievalResults.some(result => 
-                        result.score >= this.relevanceThreshold
-                    );
-                    
-                    // Sort results by score (highest first)
-                    retrievalResults.sort((a, b) => b.score - a.score);
-                    
-                    // Enrich metadata for Krishna's chapters (for better responses)
-                    retrievalResults = retrievalResults.map(result => {
-                        // Add chapter names to make responses more specific
-                        if (result.metadata && result.metadata.chapter) {
-                            result.metadata.chapter_name = this._getChapterName(result.metadata.chapter);
-                        }
-                        return result;
-                    });
-                    
-                    // Log the first result for debugging
-                    if (this.debugMode && retrievalResults.length > 0) {
-                        logger.info(`Top result (score: ${retrievalResults[0].score.toFixed(3)}): 
-                            ${retrievalResults[0].content.substring(0, 100)}...`);
+        // Translate question to English if not already in English
+        let processedQuestion = question;
+        if (language !== 'en') {
+            try {
+                processedQuestion = await metrics.timeStage('translation', () => this.multilingualService.translateToEnglish(question, language));
+                logger.info(`Translated question to English: ${processedQuestion}`);
+            } catch (error) {
+                logger.error(`Question translation error: ${error.message}`);
+                // Continue with original question
+                processedQuestion = question;
+            }
+        }
+
+        // Turn follow-ups into standalone questions so retrieval does not depend on history
+        const retrievalQuery = await this._rewriteFollowUpQuestion(processedQuestion, queryOptions.history);
+
+        // Verses cited in the question (or resolved by the rewrite) are fetched by reference
+        const citedVerses = queryOptions.detectCitations
+            ? detectVerseReferences(`${question}\n${retrievalQuery}`).slice(0, MAX_CITED_VERSES)
+            : [];
+        if (citedVerses.length > 0) {
+            logger.info(`Detected verse citations: ${citedVerses.map(ref => `${ref.chapter}.${ref.verse}`).join(', ')}`);
+        }
+
+        // Retrieve relevant content from vector store
+        let retrievalResults = [];
+        let relevantSourcesFound = false;
+        
+        if (this.vectorStoreAvailable) {
+            try {
+                logger.info('Searching vector store for relevant passages...');
+                retrievalResults = await this.retriever.search(
+                    retrievalQuery,
+                    queryOptions.maxSources,
+                    queryOptions.filters,
+                    { weights: queryOptions.fusionWeights }
+                );
+                
+                metrics.sourcesPerQuery.observe(retrievalResults.length);
+                
+                logger.info(`Retrieved ${retrievalResults.length} relevant passages`);
+                
+                // Rescore passages against the question before the relevance check
+                if (queryOptions.rerank) {
+                    retrievalResults = await this._rerankResults(retrievalQuery, retrievalResults);
+                }
+                
+                // Ground the answer in the cited verses whatever their similarity score
+                if (citedVerses.length > 0) {
+                    const citedResults = await this._retrieveCitedVerses(citedVerses);
+                    retrievalResults = this._mergeCitedResults(citedResults, retrievalResults, queryOptions.maxSources);
+                }
+                
+                // Check if any results have a relevance score above threshold
+                relevantSourcesFound = retrievalResults.some(result => 
+                    this._getRelevanceScore(result) >= this.relevanceThreshold
+                );
+                
+                // Sort results by score (highest first)
+                retrievalResults.sort((a, b) => b.score - a.score);
+                
+                // Enrich metadata for Krishna's chapters (for better responses)
+                retrievalResults = retrievalResults.map(result => {
+                    // Add chapter names to make responses more specific
+                    if (result.metadata && result.metadata.chapter) {
+                        result.metadata.chapter_name = this._getChapterName(result.metadata.chapter);
                     }
-                    
-                    logger.info(`Relevant sources found: ${relevantSourcesFound}`);
-                } catch (error) {
-                    logger.error(`Vector search failed: ${error.message}`);
-                    logger.error(error.stack);
-                    this.stats.errors.retrieval++;
+                    return result;
+                });
+                
+                // Log the first result for debugging
+                if (this.debugMode && retrievalResults.length > 0) {
+                    logger.info(`Top result (score: ${retrievalResults[0].score.toFixed(3)}): 
+                        ${retrievalResults[0].content.substring(0, 100)}...`);
                 }
-            } else {
-                logger.warn('Vector store unavailable, proceeding without context retrieval');
+                
+                logger.info(`Relevant sources found: ${relevantSourcesFound}`);
+            } catch (error) {
+                logger.error(`Vector search failed: ${error.message}`);
+                logger.error(error.stack);
+                this._recordError(error);
             }
+        } else {
+            logger.warn('Vector store unavailable, proceeding without context retrieval');
+        }
 
-            // Format context for the LLM with improved formatting
-            const context = this._formatContextFromResults(retrievalResults);
+        // Format context for the LLM with improved formatting
+        const context = this._formatContextFromResults(retrievalResults);
 
-            // Select appropriate system prompt based on language
-            const systemPrompt = this.systemPrompts[language] || this.systemPrompts.en;
+        // Select appropriate system prompt based on language
+        const systemPrompt = this.systemPrompts[language] || this.systemPrompts.en;
 
-            // Generate response using Groq LLM with improved handling
-            const llmResponsePromise = this._generateLLMResponse(
-                processedQuestion, 
-                context, 
-                systemPrompt, 
-                queryOptions.temperature
-            );
-            
-            // Set up timeout for LLM
-            const timeoutPromise = new Promise((_, reject) => {
-                setTimeout(() => {
-                    reject(new Error(`LLM response timed out after ${this.timeout}ms`));
-                }, this.timeout);
-            });
-            
-            // Race between LLM response and timeout
-            const llmResponse = await Promise.race([llmResponsePromise, timeoutPromise]);
+        // Format the sources for display
+        const sources = relevantSourcesFound ? this._formatSourcesFromResults(retrievalResults, queryOptions.includeRawContent) : [];
+        logger.info(`Formatted ${sources.length} sources for response`);
 
-            // Format the response for display
-            const sources = relevantSourcesFound ? this._formatSourcesFromResults(retrievalResults, queryOptions.includeRawContent) : [];
-            logger.info(`Formatted ${sources.length} sources for response`);
-            
-            // Calculate query timing
-            const queryEndTime = Date.now();
-            const queryDuration = queryEndTime - queryStartTime;
-            logger.info(`Query processed in ${queryDuration}ms`);
-            
-            return {
-                answer: llmResponse.content,
-                sources: sources,
-                metadata: {
-                    query: question,
-                    language,
-                    processedQuery: processedQuestion !== question ? processedQuestion : undefined,
-                    duration: queryDuration,
-                    relevantSourcesFound,
-                    modelUsed: this.model,
-                    timestamp: new Date().toISOString(),
-                    tokenUsage: llmResponse.tokenUsage
-                }
-            };
+        return {
+            queryOptions,
+            processedQuestion,
+            retrievalQuery,
+            citedVerses,
+            retrievalResults,
+            relevantSourcesFound,
+            context,
+            systemPrompt,
+            prompt,
+            experiment,
+            cacheScope,
+            sources
+        };
+    }
+
+    /**
+     * Rewrite a follow-up question into a standalone search query using the conversation history
+     * @param {string} question Question in English
+     * @param {Array<Object>} history Previous conversation turns as chat messages
+     * @returns {Promise<string>} Standalone question, or the original question if no rewrite was done
+     * @private
+     */
+    async _rewriteFollowUpQuestion(question, history = []) {
+        if (!this.queryRewriteEnabled || !history || history.length === 0 || !this.llmProvider.isAvailable()) {
+            return question;
+        }
+
+        // Only the latest exchanges matter for resolving references
+        const recentTurns = history.slice(-6)
+            .map(message => `${message.role === 'assistant' ? 'Krishna' : 'Seeker'}: ${message.content}`)
+            .join('\n');
+
+        try {
+            const completion = await metrics.timeStage('rewrite', () => this.llmProvider.complete({
+                messages: [
+                    {
+                        role: "system",
+                        content: "You rewrite follow-up questions about the Bhagavad Gita into standalone search queries. Resolve pronouns and references using the conversation. Keep chapter and verse numbers, Sanskrit terms and names. Reply with the rewritten question only, on one line, without any explanation."
+                    },
+                    {
+                        role: "user",
+                        content: `CONVERSATION:\n${recentTurns}\n\nFOLLOW-UP QUESTION: ${question}\n\nSTANDALONE QUESTION:`
+                    }
+                ],
+                temperature: 0,
+                maxTokens: 256
+            }));
+
+            let rewritten = completion.content || '';
+
+            // Drop any reasoning block and surrounding quotes, keep the first line
+            rewritten = rewritten.replace(/<think>[\s\S]*?<\/think>/gi, '').trim();
+            rewritten = rewritten.split('\n')[0].replace(/^(standalone question:)\s*/i, '').replace(/^["']|["']$/g, '').trim();
+
+            if (!rewritten || rewritten.length > 500) {
+                return question;
+            }
+
+            if (rewritten !== question) {
+                metrics.queryRewrites.inc();
+                logger.info(`Rewrote follow-up question for retrieval: "${rewritten}"`);
+            }
+            return rewritten;
         } catch (error) {
-            logger.error(`Error processing query: ${error.message}`);
-            logger.error(error.stack);
-            this.stats.errors.general++;
+            logger.error(`Follow-up question rewrite failed: ${error.message}`);
+            return question;
+        }
+    }
 
-            // Provide a graceful error message in Krishna's voice
-            let errorMessage = "O seeker, a temporary disturbance clouds my ability to respond to your question. This too is part of the divine play. Please try again in a moment, as I am ever-present to guide those who seek with sincerity.";
+    /**
+     * Fetch the passages of verses cited in the question by metadata filter
+     * @param {Array<Object>} citedVerses References { chapter, verse }
+     * @returns {Promise<Array>} Passages of the cited verses, translation first
+     * @private
+     */
+    async _retrieveCitedVerses(citedVerses) {
+        const results = [];
 
-            if (language !== 'en') {
-                try {
-                    errorMessage = await this.multilingualService.translateFromEnglish(errorMessage, language);
-                } catch (translateError) {
-                    logger.error(`Error message translation failed: ${translateError.message}`);
-                    // Fall back to English error message
+        for (const { chapter, verse } of citedVerses) {
+            try {
+                const passages = await this.vectorStore.getByFilter({ chapter, verse }, PASSAGES_PER_CITED_VERSE);
+                passages.sort((a, b) => this._citedPassageOrder(a) - this._citedPassageOrder(b));
+                results.push(...passages);
+                logger.info(`Retrieved ${passages.length} passages for cited verse ${chapter}.${verse}`);
+            } catch (error) {
+                logger.error(`Cited verse lookup failed for ${chapter}.${verse}: ${error.message}`);
+                this._recordError(error);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Sort key putting a verse's translation before its Sanskrit text and commentary
+     * @param {Object} result Retrieval result
+     * @returns {number} Sort key
+     * @private
+     */
+    _citedPassageOrder(result) {
+        const order = { verse_translation: 0, verse_sanskrit: 1, verse_purport: 2 };
+        const metadata = result.metadata || {};
+        const typeOrder = order[metadata.doc_type] !== undefined ? order[metadata.doc_type] : 3;
+        return typeOrder * 100 + (metadata.chunk_index || 0);
+    }
+
+    /**
+     * Put cited verse passages ahead of the retrieved passages without duplicates
+     * @param {Array} citedResults Passages of cited verses
+     * @param {Array} retrievalResults Passages from retrieval
+     * @param {number} maxSources Maximum number of passages
+     * @returns {Array} Merged passages
+     * @private
+     */
+    _mergeCitedResults(citedResults, retrievalResults, maxSources) {
+        if (citedResults.length === 0) {
+            return retrievalResults;
+        }
+
+        const citedIds = new Set(citedResults.map(result => String(result.original_id)));
+        const others = retrievalResults.filter(result => !citedIds.has(String(result.original_id)));
+
+        return [...citedResults, ...others].slice(0, Math.max(maxSources, citedResults.length));
+    }
+
+    /**
+     * Score compared with rag.relevanceThreshold
+     * Fused hybrid results carry the vector similarity separately because their score only reflects rank
+     * @param {Object} result Retrieval result
+     * @returns {number|null} Vector similarity for fused results, otherwise the result score
+     * @private
+     */
+    _getRelevanceScore(result) {
+        return result.similarity !== undefined ? result.similarity : result.score;
+    }
+
+    /**
+     * Rescore retrieved passages with the configured reranker
+     * The original retrieval score and rank are kept in result.retrieval for debug output
+     * @param {string} question Question used for retrieval
+     * @param {Array} results Retrieval results, best first
+     * @returns {Promise<Array>} Reranked results, or the original results if reranking is off or fails
+     * @private
+     */
+    async _rerankResults(question, results) {
+        if (!this.reranker || !this.reranker.isAvailable() || results.length < 2) {
+            return results;
+        }
+
+        try {
+            const startTime = Date.now();
+            const scores = await metrics.timeStage('rerank', () => this.reranker.score(question, results.map(result => result.content)));
+
+            let reranked = results
+                .map((result, index) => ({
+                    ...result,
+                    score: scores[index],
+                    retrieval: {
+                        ...(result.retrieval || {}),
+                        preRerankScore: result.score,
+                        preRerankRank: index + 1,
+                        rerankScore: scores[index]
+                    }
+                }))
+                .sort((a, b) => b.score - a.score);
+
+            if (this.rerankTopN > 0) {
+                reranked = reranked.slice(0, this.rerankTopN);
+            }
+
+            metrics.rerankedQueries.inc();
+            logger.info(`Reranked ${results.length} passages with ${this.reranker.name} reranker in ${Date.now() - startTime}ms`);
+
+            if (this.debugMode) {
+                reranked.forEach((result, index) => {
+                    logger.info(`Rerank #${index + 1} (was #${result.retrieval.preRerankRank}): ${result.retrieval.preRerankScore.toFixed(3)} -> ${result.score.toFixed(3)} ${result.content.substring(0, 60)}...`);
+                });
+            }
+
+            return reranked;
+        } catch (error) {
+            logger.error(`Reranking failed, keeping retrieval order: ${error.message}`);
+            metrics.errors.inc({ category: 'rerank' });
+            return results;
+        }
+    }
+
+    /**
+     * Build the response payload for a successfully answered query
+     * @param {string} question Original user question
+     * @param {string} language Language code
+     * @param {Object} prepared Prepared query state from _prepareQuery
+     * @param {Object} llmResponse LLM response with content and token usage
+     * @param {number} queryStartTime Timestamp when the query started
+     * @returns {Promise<Object>} Response with answer and sources
+     * @private
+     */
+    async _buildQueryResponse(question, language, prepared, llmResponse, queryStartTime) {
+        let answer = llmResponse.content;
+        const structured = prepared.queryOptions.format === 'structured'
+            ? this._buildStructuredAnswer(answer, prepared.sources, language)
+            : undefined;
+
+        // Check verse citations against the Gita and the retrieved passages
+        let citations;
+        if (this.citationValidator.isEnabled()) {
+            try {
+                if (structured) {
+                    const checked = await this.citationValidator.validateSegments(
+                        structured.segments.map(segment => segment.text),
+                        prepared.retrievalResults
+                    );
+                    checked.segments.forEach((text, index) => {
+                        structured.segments[index].text = text;
+                    });
+                    citations = checked.citations;
+                } else {
+                    ({ answer, citations } = await this.citationValidator.validate(answer, prepared.retrievalResults));
                 }
+            } catch (error) {
+                logger.error(`Citation validation failed: ${error.message}`);
             }
+        }
 
-            return {
-                answer: errorMessage,
-                sources: [],
-                error: error.message,
-                metadata: {
-                    query: question,
-                    language,
-                    success: false,
-                    errorType: this._classifyError(error),
-                    timestamp: new Date().toISOString()
+        // Plain-text clients still get the whole answer
+        if (structured) {
+            answer = structured.segments.map(segment => segment.text).join(' ');
+        }
+
+        // Calculate query timing
+        const queryDuration = Date.now() - queryStartTime;
+        logger.info(`Query processed in ${queryDuration}ms`);
+        metrics.queryDuration.observe({ cached: 'false' }, queryDuration / 1000);
+
+        this.experiments.recordOutcome(prepared.experiment, {
+            duration: queryDuration,
+            tokenUsage: llmResponse.tokenUsage
+        });
+        
+        return {
+            // Stable id for attaching feedback to this answer
+            responseId: uuidv4(),
+            answer,
+            sources: prepared.sources,
+            structured,
+            citations,
+            metadata: {
+                query: question,
+                language,
+                processedQuery: prepared.processedQuestion !== question ? prepared.processedQuestion : undefined,
+                rewrittenQuery: prepared.retrievalQuery !== prepared.processedQuestion ? prepared.retrievalQuery : undefined,
+                citedVerses: prepared.citedVerses.length > 0 ? prepared.citedVerses : undefined,
+                prompt: {
+                    persona: prepared.prompt.persona.id,
+                    style: prepared.prompt.style.id
+                },
+                experiment: prepared.experiment
+                    ? { name: prepared.experiment.experiment, variant: prepared.experiment.variant }
+                    : undefined,
+                duration: queryDuration,
+                timings: this._getTimings(queryDuration),
+                relevantSourcesFound: prepared.relevantSourcesFound,
+                modelUsed: this.model,
+                requestId: requestContext.getRequestId() || undefined,
+                timestamp: new Date().toISOString(),
+                tokenUsage: llmResponse.tokenUsage,
+                // Set when the LLM could not answer and a canned message was returned instead
+                fallback: llmResponse.fallback || undefined
+            }
+        };
+    }
+
+    /**
+     * Scope a query is cached under, or null if its answer depends on more than the question
+     * @param {string} question Original user question
+     * @param {string} language Language code
+     * @param {Object} queryOptions Merged query options
+     * @param {Object} prompt Resolved prompt templates
+     * @returns {Object|null} Scope { language, persona, style, format, verses }
+     * @private
+     */
+    _getCacheScope(question, language, queryOptions, prompt) {
+        const hasHistory = queryOptions.history && queryOptions.history.length > 0;
+        if (!this.answerCache.isEnabled() || !queryOptions.cache || hasHistory ||
+            queryOptions.filters || queryOptions.fusionWeights || !queryOptions.rerank) {
+            return null;
+        }
+
+        return {
+            language,
+            persona: prompt.persona.id,
+            style: prompt.style.id,
+            format: queryOptions.format,
+            // Questions about different verses look alike once punctuation is normalized away
+            verses: detectVerseReferences(question).map(ref => `${ref.chapter}.${ref.verse}`).sort()
+        };
+    }
+
+    /**
+     * Store a generated answer in the answer cache
+     * Answers without relevant sources or from the LLM fallback are not cached since the failure may be transient
+     * @param {string} question Original user question
+     * @param {Object} prepared Prepared query state from _prepareQuery
+     * @param {Object} response Query response
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _cacheResponse(question, prepared, response) {
+        if (!prepared.cacheScope || !prepared.relevantSourcesFound || response.metadata.fallback) {
+            return;
+        }
+
+        try {
+            await this.answerCache.store(question, prepared.cacheScope, structuredClone(response));
+        } catch (error) {
+            logger.error(`Answer cache store failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Build the response for a query answered from the answer cache
+     * @param {string} question Original user question
+     * @param {string} language Language code
+     * @param {Object} prepared Prepared query state holding the cache hit
+     * @param {number} queryStartTime Timestamp when the query started
+     * @returns {Object} Response with answer and sources
+     * @private
+     */
+    _buildCachedResponse(question, language, prepared, queryStartTime) {
+        const { response, similarity, question: cachedQuestion, createdAt } = structuredClone(prepared.cached);
+        const queryDuration = Date.now() - queryStartTime;
+        logger.info(`Query answered from cache in ${queryDuration}ms`);
+        metrics.queryDuration.observe({ cached: 'true' }, queryDuration / 1000);
+
+        return {
+            ...response,
+            responseId: uuidv4(),
+            metadata: {
+                ...response.metadata,
+                query: question,
+                language,
+                experiment: prepared.experiment
+                    ? { name: prepared.experiment.experiment, variant: prepared.experiment.variant }
+                    : undefined,
+                duration: queryDuration,
+                timings: this._getTimings(queryDuration),
+                requestId: requestContext.getRequestId() || undefined,
+                timestamp: new Date().toISOString(),
+                // No tokens were spent on this answer
+                tokenUsage: undefined,
+                cached: true,
+                cache: {
+                    similarity,
+                    question: cachedQuestion,
+                    createdAt
                 }
-            };
+            }
+        };
+    }
+
+    /**
+     * Turn a structured LLM reply into segments and quoted verses tied to the response sources
+     * @param {string} content Raw LLM reply
+     * @param {Array<Object>} sources Formatted sources
+     * @param {string} language Language code for verse references
+     * @returns {Object} Structured answer { segments, verses }
+     * @private
+     */
+    _buildStructuredAnswer(content, sources, language) {
+        let { segments, verses, fallback } = parseStructuredAnswer(content, sources);
+        if (fallback) {
+            logger.warn('LLM did not return a structured answer, linking paragraphs to sources by verse reference');
+            // Paragraphs are raw model output, so they get the same cleanup as plain-text answers
+            segments = segments
+                .map(segment => ({ ...segment, text: this._cleanResponse(segment.text, { trimLongAnswers: false }) }))
+                .filter(segment => segment.text);
+        }
+
+        return {
+            segments,
+            verses: verses.map(quote => ({
+                ...quote,
+                reference: this.multilingualService.formatGitaReference(quote.chapter, quote.verse, language)
+            }))
+        };
+    }
+
+    /**
+     * Build the graceful response returned when a query fails
+     * @param {string} question Original user question
+     * @param {string} language Language code
+     * @param {Error} error The error that occurred
+     * @param {number} queryStartTime Timestamp when the query started
+     * @returns {Promise<Object>} Error response in Krishna's voice
+     * @private
+     */
+    async _buildErrorResponse(question, language, error, queryStartTime = Date.now()) {
+        logger.error(`Error processing query: ${error.message}`);
+        logger.error(error.stack);
+        this._recordError(error);
+
+        // Provide a graceful error message in Krishna's voice
+        let errorMessage = "O seeker, a temporary disturbance clouds my ability to respond to your question. This too is part of the divine play. Please try again in a moment, as I am ever-present to guide those who seek with sincerity.";
+
+        if (language !== 'en') {
+            try {
+                errorMessage = await this.multilingualService.translateFromEnglish(errorMessage, language);
+            } catch (translateError) {
+                logger.error(`Error message translation failed: ${translateError.message}`);
+                // Fall back to English error message
+            }
         }
+
+        return {
+            answer: errorMessage,
+            sources: [],
+            error: error.message,
+            metadata: {
+                query: question,
+                language,
+                success: false,
+                errorType: this._classifyError(error),
+                // Stages still running when the query failed (e.g. a timed out LLM call) are only counted in total
+                timings: this._getTimings(Date.now() - queryStartTime),
+                requestId: requestContext.getRequestId() || undefined,
+                timestamp: new Date().toISOString()
+            }
+        };
+    }
+
+    /**
+     * Per-stage timings of the current request, shown in debug mode
+     * @param {number} queryDuration Total query duration in milliseconds
+     * @returns {Object|undefined} Milliseconds by stage plus the total, or undefined outside debug mode
+     * @private
+     */
+    _getTimings(queryDuration) {
+        if (!this.debugMode) {
+            return undefined;
+        }
+        return {
+            ...requestContext.getTimings(),
+            total: queryDuration
+        };
+    }
+
+    /**
+     * Count an error under its category
+     * @param {Error} error The error to count
+     * @private
+     */
+    _recordError(error) {
+        metrics.errors.inc({ category: this._classifyError(error) });
     }
 
     /**
@@ -360,28 +954,7 @@ class RAGService {
      * @private
      */
     _getChapterName(chapterNumber) {
-        const chapterNames = {
-            1: "Arjuna's Dilemma",
-            2: "Knowledge of the Self",
-            3: "Karma Yoga",
-            4: "Knowledge and Renunciation",
-            5: "Renunciation of Action",
-            6: "Meditation",
-            7: "Knowledge and Wisdom",
-            8: "The Imperishable Brahman",
-            9: "Royal Knowledge",
-            10: "Divine Manifestations",
-            11: "The Universal Form",
-            12: "Devotional Service",
-            13: "Nature, Enjoyer and Consciousness",
-            14: "The Three Modes of Material Nature",
-            15: "The Supreme Person",
-            16: "Divine and Demoniac Natures",
-            17: "Types of Faith",
-            18: "Freedom Through Renunciation"
-        };
-        
-        return chapterNames[chapterNumber] || `Chapter ${chapterNumber}`;
+        return getChapterName(chapterNumber);
     }
 
     /**
@@ -473,6 +1046,7 @@ class RAGService {
             
             // Create a source object with improved properties
             const source = {
+                id: result.original_id !== undefined ? result.original_id : result.id,
                 reference,
                 score: result.score.toFixed(3),
                 metadata: {
@@ -489,95 +1063,93 @@ class RAGService {
                 source.excerpt = result.content.substring(0, 200) + (result.content.length > 200 ? '...' : '');
             }
             
+            // Show how retrieval and reranking scored the passage in debug output
+            if (includeRawContent && result.retrieval) {
+                source.retrieval = result.retrieval;
+            }
+            
             return source;
         });
     }
 
+    /**
+     * Build the chat messages sent to the LLM for a question and its context
+     * @param {string} question User question
+     * @param {string} context Retrieved context
+     * @param {string} systemPrompt System prompt
+     * @param {Array<Object>} history Previous conversation turns as chat messages
+     * @param {Object} options Message options
+     * @param {string} options.format Answer format, 'text' or 'structured'
+     * @param {Object} options.prompt Persona and style templates from PromptLibrary.resolve
+     * @returns {Array<Object>} Chat messages
+     * @private
+     */
+    _buildLLMMessages(question, context, systemPrompt, history = [], { format = 'text', prompt } = {}) {
+        // Persona and style templates carry the voice guidelines, length and few-shot examples
+        const { system, user } = this.promptLibrary.render(prompt, {
+            basePrompt: systemPrompt || '',
+            question,
+            context
+        });
+
+        // Structured answers cite the numbered context passages so clients can render footnotes
+        const formatInstructions = format === 'structured' ? `
+
+OUTPUT FORMAT:
+Reply with JSON only, no other text:
+{"segments": [{"text": "one or two sentences of the answer", "passages": [1]}], "verses": [{"passage": 1, "quote": "exact words quoted from that passage"}]}
+- Split the answer into segments in reading order
+- "passages" lists the CONTEXT PASSAGE numbers each segment draws on (empty if none)
+- "verses" lists any verse text you quote, with the passage it comes from` : '';
+
+        // Prior turns sit between the instructions and the new question
+        return [
+            { role: "system", content: system },
+            ...history,
+            { role: "user", content: user + formatInstructions }
+        ];
+    }
+
     /**
      * Generate response using the LLM with improved prompting
      * @param {string} question User question
      * @param {string} context Retrieved context
      * @param {string} systemPrompt System prompt
      * @param {number} temperature Temperature parameter
+     * @param {Array<Object>} history Previous conversation turns as chat messages
+     * @param {Object} options Generation options
+     * @param {string} options.format Answer format, 'text' or 'structured'
+     * @param {Object} options.prompt Persona and style templates from PromptLibrary.resolve
      * @returns {Promise<Object>} LLM response
      * @private
      */
-    async _generateLLMResponse(question, context, systemPrompt, temperature = this.temperature) {
-        if (!this.groqClient) {
-            logger.error('Groq client not initialized');
-            this.stats.errors.llm++;
+    async _generateLLMResponse(question, context, systemPrompt, temperature = this.temperature, history = [], { format = 'text', prompt } = {}) {
+        if (!this.llmProvider.isAvailable()) {
+            logger.error(`LLM provider ${this.provider} not available`);
+            metrics.errors.inc({ category: 'llm' });
             return {
                 content: "O beloved seeker, forgive me, but I am unable to access the divine wisdom at this moment. Like the clouds that temporarily obscure the sun, this is but a passing limitation. Return soon with your question, and the light of understanding shall shine forth. May peace be with you in the meantime.",
-                tokenUsage: null
+                tokenUsage: null,
+                fallback: true
             };
         }
 
         try {
-            // Create a structured system prompt with clearer voice instructions
-            const structuredSystemPrompt = `${systemPrompt || ''}
-
-You are Lord Krishna from the Bhagavad Gita, answering the seeker's questions with divine wisdom.
-
-VOICE GUIDELINES:
-1. Speak DIRECTLY as Krishna - never refer to Krishna in the third person
-2. Be concise and profound - aim for 50-80 words maximum
-3. Balance authority with compassion
-4. Reference key Gita concepts: dharma, karma, attachment, devotion, self-realization
-5. When relevant, mention specific chapters/verses, but keep focus on practical wisdom
-6. Use poetic but clear language - avoid overly ornate expressions
-
-RESPONSE PATTERN:
-- Start with a clear, direct answer to the question
-- Include 1-2 Gita principles relevant to the situation
-- Offer practical wisdom, not just philosophy
-- Close with encouragement or reflection that empowers the seeker
-- Include a verse if relevant
-
-The Bhagavad Gita was spoken on a battlefield to a warrior facing a difficult choice. Keep this context of practical action in mind.`;
-
-            // Create a structured user prompt with examples of good responses
-            const structuredUserPrompt = `I seek wisdom from Lord Krishna on this question: ${question}
-
-CONTEXT FROM BHAGAVAD GITA:
----------------------
-${context}
----------------------
-
-EXAMPLES OF IDEAL KRISHNA RESPONSES:
-
-Question: "I feel lost in my career. What should I do?"
-Response: "The Gita teaches that our purpose lies in performing our own duty with dedication, not in comparing ourselves to others. Reflect on your natural strengths and passions—your svabhava—and act without attachment to the result. Purpose emerges when actions are aligned with your true self."
-
-Question: "How do I stop overthinking everything?"
-Response: "The mind is restless by nature. The Gita suggests calming it through discipline, meditation, and focus. Replace overthinking with present action. Surrender what you can't control. Let clarity come from stillness."
-
-Question: "What does detachment really mean?"
-Response: "Detachment is not withdrawal—it's freedom. It means doing your duty with full heart, without craving or fear. As the Gita says, act without being bound by result—that's true detachment."
-
-LORD KRISHNA, PLEASE RESPOND TO MY QUESTION DIRECTLY FOLLOWING THESE GUIDELINES:
-1. Speak as Krishna directly to me (50-80 words)
-2. Be clear, concise, and practical
-3. Reference relevant Gita principles
-4. If appropriate, mention a specific verse
-5. Do not explain your reasoning or the question - just answer with wisdom`;
-
             // Generate the response
-            const completion = await this.groqClient.chat.completions.create({
-                model: this.model,
-                messages: [
-                    { role: "system", content: structuredSystemPrompt },
-                    { role: "user", content: structuredUserPrompt }
-                ],
+            const completion = await metrics.timeStage('llm', () => this.llmProvider.complete({
+                messages: this._buildLLMMessages(question, context, systemPrompt, history, { format, prompt }),
                 temperature: temperature,
-                max_tokens: this.maxTokens,
-                top_p: 0.9,
-                stop: null
-            });
+                maxTokens: this.maxTokens,
+                topP: 0.9
+            }));
 
-            let response = completion.choices[0].message.content.trim();
+            let response = completion.content.trim();
 
-            // Clean up any thinking patterns or formatting
-            response = this._cleanResponse(response);
+            // Clean up any thinking patterns or formatting; structured replies are JSON, and
+            // parseStructuredAnswer drops their reasoning block before parsing
+            if (format !== 'structured') {
+                response = this._cleanResponse(response, { trimLongAnswers: !prompt.style.allowLongAnswers });
+            }
             
             // Return the response content along with token usage
             return {
@@ -586,23 +1158,115 @@ LORD KRISHNA, PLEASE RESPOND TO MY QUESTION DIRECTLY FOLLOWING THESE GUIDELINES:
             };
         } catch (error) {
             logger.error(`Error generating LLM response: ${error.message}`);
-            this.stats.errors.llm++;
+            this._recordError(error);
             return {
                 content: "O noble soul, I regret that there has been a disturbance in our connection. Like the passing clouds that momentarily obscure the sun, this difficulty shall pass. Please seek my guidance again, for I am ever-present to illuminate your path with divine wisdom.",
-                tokenUsage: null
+                tokenUsage: null,
+                fallback: true
+            };
+        }
+    }
+
+    /**
+     * Generate a response using the LLM, streaming tokens as they arrive
+     * @param {string} question User question
+     * @param {string} context Retrieved context
+     * @param {string} systemPrompt System prompt
+     * @param {number} temperature Temperature parameter
+     * @param {Array<Object>} history Previous conversation turns as chat messages
+     * @param {Function} onToken Callback invoked with each generated text chunk
+     * @param {Object} options Generation options
+     * @param {Object} options.prompt Persona and style templates from PromptLibrary.resolve
+     * @param {AbortSignal} options.signal Optional signal that stops generation, e.g. when the client disconnects
+     * @returns {Promise<Object>} LLM response with the cleaned full answer
+     * @private
+     */
+    async _streamLLMResponse(question, context, systemPrompt, temperature = this.temperature, history = [], onToken = () => {}, { prompt, signal = null } = {}) {
+        if (!this.llmProvider.isAvailable()) {
+            // Fall back to the non-streaming path, which returns the unavailable message
+            const fallback = await this._generateLLMResponse(question, context, systemPrompt, temperature, history, { prompt });
+            onToken(fallback.content);
+            return fallback;
+        }
+
+        // Abort the stream if generation exceeds the configured timeout
+        const abortController = new AbortController();
+        let timedOut = false;
+        const timeoutHandle = setTimeout(() => {
+            timedOut = true;
+            abortController.abort();
+        }, this.timeout);
+
+        // Cancelling the caller's signal aborts the provider request so no more tokens are generated or billed
+        const cancel = () => abortController.abort();
+        if (signal) {
+            if (signal.aborted) {
+                cancel();
+            } else {
+                signal.addEventListener('abort', cancel, { once: true });
+            }
+        }
+
+        // Reasoning models stream their <think> block first; clients only get the answer
+        const thinkFilter = new ThinkTagFilter();
+        const emit = (text) => {
+            if (text) {
+                onToken(text);
+            }
+        };
+
+        const endTimer = metrics.startStageTimer('llm');
+        try {
+            const completion = await this.llmProvider.stream(
+                {
+                    messages: this._buildLLMMessages(question, context, systemPrompt, history, { prompt }),
+                    temperature: temperature,
+                    maxTokens: this.maxTokens,
+                    topP: 0.9
+                },
+                (token) => emit(thinkFilter.push(token)),
+                { signal: abortController.signal }
+            );
+            emit(thinkFilter.flush());
+
+            return {
+                content: this._cleanResponse(completion.content.trim(), { trimLongAnswers: !prompt.style.allowLongAnswers }),
+                tokenUsage: completion.usage || null
             };
+        } catch (error) {
+            let message = error.message;
+            if (timedOut) {
+                message = `LLM response timed out after ${this.timeout}ms`;
+            } else if (signal && signal.aborted) {
+                message = 'LLM response cancelled';
+            }
+            // Counted by _buildErrorResponse once the error reaches queryStream
+            logger.error(`Error streaming LLM response: ${message}`);
+            throw new Error(message);
+        } finally {
+            clearTimeout(timeoutHandle);
+            if (signal) {
+                signal.removeEventListener('abort', cancel);
+            }
+            endTimer();
         }
     }
 
     /**
      * Clean up LLM response by removing markers and formatting
      * @param {string} response Raw LLM response
+     * @param {Object} options Cleanup options
+     * @param {boolean} options.trimLongAnswers Cut long answers down to their final paragraphs (off for long-form styles)
      * @returns {string} Cleaned response
      * @private
      */
-    _cleanResponse(response) {
+    _cleanResponse(response, { trimLongAnswers = true } = {}) {
         // Remove various formatting or explanation markers
         const markersToRemove = [
+            // Reasoning blocks from reasoning models, including one cut off by the token limit
+            /<think>[\s\S]*?<\/think>/gi,
+            /<think>[\s\S]*$/i,
+
             // Thinking process markers
             /Step-by-Step Thinking Process:[\s\S]*?(?=\n\n)/i,
             /\[Step-by-Step Thinking Process:[\s\S]*?\]/i,
@@ -660,7 +1324,7 @@ LORD KRISHNA, PLEASE RESPOND TO MY QUESTION DIRECTLY FOLLOWING THESE GUIDELINES:
         // NEW: Detect and remove lengthy reasoning/thinking process
         // This looks for long paragraphs (>100 words) followed by a shorter paragraph
         const words = response.split(/\s+/);
-        if (words.length > 150) {
+        if (trimLongAnswers && words.length > 150) {
             // Look for a natural breakpoint - a paragraph break near the end
             const paragraphs = response.split(/\n\n+/);
             if (paragraphs.length > 1) {
@@ -730,19 +1394,19 @@ LORD KRISHNA, PLEASE RESPOND TO MY QUESTION DIRECTLY FOLLOWING THESE GUIDELINES:
                 vectorStatus = 'error';
             }
 
-            // Check if Groq is available
-            const groqAvailable = !!this.groqClient;
+            // Check if the LLM provider is available
+            const llmAvailable = this.llmProvider.isAvailable();
             
             // Get embedding service stats if available
             let embeddingStats = {};
             try {
-                embeddingStats = this.vectorStore.embeddingService.getCacheStats();
+                embeddingStats = await this.vectorStore.embeddingService.getCacheStats();
             } catch (error) {
                 logger.warn(`Could not get embedding stats: ${error.message}`);
             }
 
             return {
-                status: (vectorStatus === 'ok' && groqAvailable) ? 'ok' : 'degraded',
+                status: (vectorStatus === 'ok' && llmAvailable) ? 'ok' : 'degraded',
                 vectorStore: {
                     status: vectorStatus,
                     documentCount: vectorCount,
@@ -750,13 +1414,14 @@ LORD KRISHNA, PLEASE RESPOND TO MY QUESTION DIRECTLY FOLLOWING THESE GUIDELINES:
                     knowledgeBase: this.vectorStore.getKnowledgeBase()
                 },
                 llm: {
-                    status: groqAvailable ? 'ok' : 'unavailable',
+                    status: llmAvailable ? 'ok' : 'unavailable',
                     provider: this.provider,
                     model: this.model
                 },
                 embedding: embeddingStats,
+                answerCache: await this.answerCache.getStats(),
                 languages: Object.keys(this.multilingualService.getSupportedLanguages()),
-                stats: this.stats,
+                stats: await metrics.getQuerySummary(),
                 initialized: this.initialized,
                 lastUpdated: new Date().toISOString()
             };
@@ -799,19 +1464,18 @@ LORD KRISHNA, PLEASE RESPOND TO MY QUESTION DIRECTLY FOLLOWING THESE GUIDELINES:
             let llmError = null;
             
             try {
-                if (this.groqClient) {
+                if (this.llmProvider.isAvailable()) {
                     // Simple test prompt
-                    const testResponse = await this.groqClient.chat.completions.create({
-                        model: this.model,
+                    const testResponse = await this.llmProvider.complete({
                         messages: [
                             { role: "system", content: "You are Krishna from the Bhagavad Gita." },
                             { role: "user", content: "Say 'LLM test successful' as Krishna would." }
                         ],
-                        max_tokens: 50,
+                        maxTokens: 50,
                         temperature: 0.1
                     });
                     
-                    llmResponse = testResponse.choices[0]?.message?.content;
+                    llmResponse = testResponse.content;
                 } else {
                     llmError = "LLM client not available";
                 }
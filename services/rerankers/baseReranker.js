@@ -0,0 +1,35 @@
+/**
+ * Base class for passage rerankers
+ * A reranker rescores retrieved passages against the question after vector/hybrid retrieval
+ */
+class Reranker {
+  /**
+   * @param {Object} options Reranker options
+   * @param {string} options.name Reranker name
+   * @param {string} options.model Model name
+   */
+  constructor({ name, model }) {
+    this.name = name;
+    this.model = model;
+  }
+
+  /**
+   * Whether the reranker is configured and can serve requests
+   * @returns {boolean} Availability
+   */
+  isAvailable() {
+    return false;
+  }
+
+  /**
+   * Score passages for relevance to a question
+   * @param {string} question Question in English
+   * @param {Array<string>} passages Passage texts
+   * @returns {Promise<Array<number>>} Relevance scores between 0 and 1, in passage order
+   */
+  async score(question, passages) {
+    throw new Error(`Reranker ${this.name} does not implement score()`);
+  }
+}
+
+module.exports = Reranker;
@@ -0,0 +1,63 @@
+/**
+ * Cross-encoder reranker served over HTTP
+ * Talks to a local rerank server such as Hugging Face text-embeddings-inference (POST /rerank)
+ * and also accepts Cohere/Jina-style { results: [{ index, relevance_score }] } responses
+ */
+const axios = require('axios');
+const logger = require('../../utils/logger');
+const Reranker = require('./baseReranker');
+
+class CrossEncoderReranker extends Reranker {
+  /**
+   * @param {Object} options Reranker options
+   * @param {string} options.model Cross-encoder model name, e.g. BAAI/bge-reranker-base
+   * @param {string} options.url Base URL of the rerank server
+   * @param {number} options.timeout Request timeout in ms
+   */
+  constructor({ model, url, timeout }) {
+    super({ name: 'cross-encoder', model });
+    this.url = url ? url.replace(/\/+$/, '') : null;
+    this.timeout = timeout;
+
+    if (!this.url) {
+      logger.warn('RERANK_URL not set, cross-encoder reranking disabled');
+      return;
+    }
+
+    logger.info(`Cross-encoder reranker initialized at ${this.url} with model: ${this.model}`);
+  }
+
+  isAvailable() {
+    return !!this.url;
+  }
+
+  async score(question, passages) {
+    const response = await axios.post(
+      `${this.url}/rerank`,
+      {
+        model: this.model,
+        query: question,
+        texts: passages,
+        documents: passages,
+        raw_scores: false,
+        truncate: true
+      },
+      { timeout: this.timeout }
+    );
+
+    const ranked = Array.isArray(response.data) ? response.data : response.data.results;
+    if (!Array.isArray(ranked)) {
+      throw new Error('Unexpected response from rerank server');
+    }
+
+    const scores = new Array(passages.length).fill(0);
+    for (const item of ranked) {
+      const value = item.score !== undefined ? item.score : item.relevance_score;
+      // Raw logits are squashed so every reranker reports 0-1 scores
+      scores[item.index] = value >= 0 && value <= 1 ? value : 1 / (1 + Math.exp(-value));
+    }
+    return scores;
+  }
+}
+
+module.exports = CrossEncoderReranker;
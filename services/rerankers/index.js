@@ -0,0 +1,56 @@
+/**
+ * Reranker factory
+ * Selects the reranker from the RERANK_PROVIDER setting
+ */
+const configService = require('../../utils/configService');
+const logger = require('../../utils/logger');
+const { createLLMProvider } = require('../llm');
+const Reranker = require('./baseReranker');
+const CrossEncoderReranker = require('./crossEncoderReranker');
+const LLMReranker = require('./llmReranker');
+
+/**
+ * Create the configured reranker
+ * @param {Object} options Factory options
+ * @param {LLMProvider} options.llmProvider LLM provider used by the llm reranker unless RERANK_LLM_MODEL names another model
+ * @param {Object} options.overrides Options overriding the config values
+ * @returns {Reranker|null} Reranker, or null when reranking is disabled
+ */
+const createReranker = ({ llmProvider = null, overrides = {} } = {}) => {
+  const config = { ...configService.get('rerank'), ...overrides };
+  const provider = (config.provider || 'none').toLowerCase();
+
+  if (provider === 'none') {
+    return null;
+  }
+
+  if (provider === 'cross-encoder') {
+    return new CrossEncoderReranker({
+      model: config.model,
+      url: config.url,
+      timeout: config.timeout
+    });
+  }
+
+  if (provider === 'llm') {
+    if (!llmProvider) {
+      logger.warn('LLM reranker requested without an LLM provider, reranking disabled');
+      return null;
+    }
+    // A separate judge model keeps reranking cheap when answers come from a reasoning model
+    const judge = config.llmModel && config.llmModel !== llmProvider.model
+      ? createLLMProvider({ model: config.llmModel })
+      : llmProvider;
+    return new LLMReranker({ llmProvider: judge, maxTokens: config.llmMaxTokens });
+  }
+
+  logger.warn(`Unknown rerank provider "${provider}", reranking disabled`);
+  return null;
+};
+
+module.exports = {
+  Reranker,
+  CrossEncoderReranker,
+  LLMReranker,
+  createReranker
+};
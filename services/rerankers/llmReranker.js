@@ -0,0 +1,80 @@
+/**
+ * LLM-as-judge reranker
+ * Asks the configured LLM provider to grade every passage in a single call
+ */
+const Reranker = require('./baseReranker');
+
+// Long purports are cut so the judge prompt stays small
+const MAX_PASSAGE_CHARS = 600;
+
+// Default completion budget; reasoning models write a <think> block before the scores
+const DEFAULT_MAX_TOKENS = 2048;
+
+class LLMReranker extends Reranker {
+  /**
+   * @param {Object} options Reranker options
+   * @param {LLMProvider} options.llmProvider LLM provider used as the judge
+   * @param {number} options.maxTokens Completion budget of the judge call, including any reasoning
+   */
+  constructor({ llmProvider, maxTokens = DEFAULT_MAX_TOKENS }) {
+    super({ name: 'llm', model: llmProvider.model });
+    this.llmProvider = llmProvider;
+    this.maxTokens = maxTokens || DEFAULT_MAX_TOKENS;
+  }
+
+  isAvailable() {
+    return this.llmProvider.isAvailable();
+  }
+
+  async score(question, passages) {
+    const numbered = passages
+      .map((passage, index) => `[${index + 1}] ${passage.substring(0, MAX_PASSAGE_CHARS)}`)
+      .join('\n\n');
+
+    const completion = await this.llmProvider.complete({
+      messages: [
+        {
+          role: "system",
+          content: "You grade how relevant passages from the Bhagavad Gita are to a question. Give each passage a score from 0 (irrelevant) to 10 (directly answers the question). Prefer the verse itself over commentary that only mentions the topic. Reply with a JSON array of numbers only, one score per passage, in the given order."
+        },
+        {
+          role: "user",
+          content: `QUESTION: ${question}\n\nPASSAGES:\n${numbered}\n\nSCORES:`
+        }
+      ],
+      temperature: 0,
+      maxTokens: this.maxTokens
+    });
+
+    return this._parseScores(completion.content || '', passages.length);
+  }
+
+  /**
+   * Parse the judge's JSON array of 0-10 grades into 0-1 scores
+   * @param {string} content LLM response
+   * @param {number} count Number of passages
+   * @returns {Array<number>} Scores in passage order
+   * @throws {Error} If the response has no usable score array
+   * @private
+   */
+  _parseScores(content, count) {
+    const cleaned = content.replace(/<think>[\s\S]*?<\/think>/gi, '');
+    if (/<think>/i.test(cleaned)) {
+      throw new Error(`LLM reranker ran out of tokens while reasoning (maxTokens ${this.maxTokens}); raise RERANK_LLM_MAX_TOKENS or set RERANK_LLM_MODEL to a non-reasoning model`);
+    }
+
+    const match = cleaned.match(/\[[\d\s.,]*\]/);
+    if (!match) {
+      throw new Error('LLM reranker returned no score array');
+    }
+
+    const grades = JSON.parse(match[0]);
+    if (grades.length !== count) {
+      throw new Error(`LLM reranker returned ${grades.length} scores for ${count} passages`);
+    }
+
+    return grades.map(grade => Math.min(Math.max(Number(grade) || 0, 0), 10) / 10);
+  }
+}
+
+module.exports = LLMReranker;
@@ -0,0 +1,226 @@
+/**
+ * Usage ledger
+ * Records the prompt, completion and embedding tokens of every answered request with an estimated cost
+ * from the price table, and reports them grouped by day, API key and model
+ */
+const fs = require('fs').promises;
+const configService = require('../utils/configService');
+const logger = require('../utils/logger');
+const { createUsageStore } = require('./usageStore');
+
+// Prices in the table are per million tokens
+const TOKENS_PER_PRICE_UNIT = 1000000;
+
+// Fields a report can be grouped by, and how each is read from an entry
+const GROUP_FIELDS = {
+  day: entry => entry.timestamp.slice(0, 10),
+  key: entry => entry.apiKeyId || 'anonymous',
+  model: entry => entry.model || 'unknown'
+};
+
+class UsageLedger {
+  /**
+   * @param {Object} options Ledger options
+   * @param {Object} options.store Usage store (defaults to the configured store)
+   * @param {string} options.priceTablePath Price table (defaults to usage.priceTablePath)
+   */
+  constructor({ store = null, priceTablePath = null } = {}) {
+    this.store = store || createUsageStore();
+    this.priceTablePath = priceTablePath || configService.get('usage.priceTablePath');
+    this.prices = null;
+    this.unpricedModels = new Set();
+  }
+
+  /**
+   * Load the price table once
+   * A missing or invalid table is logged and leaves every cost unknown rather than failing requests
+   * @returns {Promise<Object>} { currency, models }
+   */
+  loadPrices() {
+    if (!this.prices) {
+      this.prices = (async () => {
+        try {
+          const content = await fs.readFile(this.priceTablePath, 'utf8');
+          const table = JSON.parse(content);
+          return {
+            currency: table.currency || 'USD',
+            models: table.models || {}
+          };
+        } catch (error) {
+          logger.error(`Could not load price table from ${this.priceTablePath}, costs will not be estimated: ${error.message}`);
+          return { currency: 'USD', models: {} };
+        }
+      })();
+    }
+    return this.prices;
+  }
+
+  /**
+   * Estimate the cost of a request
+   * @param {Object} usage Token counts with their models
+   * @returns {Promise<number|null>} Cost, or null if a model that used tokens has no price
+   */
+  async estimateCost({ model, promptTokens, completionTokens, embeddingModel, embeddingTokens }) {
+    const { models } = await this.loadPrices();
+    let cost = 0;
+
+    if (promptTokens > 0 || completionTokens > 0) {
+      const price = models[model];
+      if (!price) {
+        this._warnUnpriced(model);
+        return null;
+      }
+      cost += promptTokens * (price.prompt || 0) + completionTokens * (price.completion || 0);
+    }
+
+    if (embeddingTokens > 0) {
+      const price = models[embeddingModel];
+      if (!price) {
+        this._warnUnpriced(embeddingModel);
+        return null;
+      }
+      cost += embeddingTokens * (price.embedding || 0);
+    }
+
+    return Number((cost / TOKENS_PER_PRICE_UNIT).toFixed(8));
+  }
+
+  /**
+   * Record the usage of an answered request
+   * @param {Object} usage Request usage
+   * @param {string} usage.responseId Response id of the answer
+   * @param {string} usage.apiKeyId API key the request was made with, if any
+   * @param {string} usage.endpoint Endpoint that produced the answer
+   * @param {string} usage.model LLM model
+   * @param {Object} usage.tokenUsage Token usage reported by the LLM provider
+   * @param {string} usage.embeddingModel Embedding model
+   * @param {number} usage.embeddingTokens Embedding tokens used by the request
+   * @param {boolean} usage.cached Whether the answer came from the answer cache
+   * @returns {Promise<Object>} Ledger entry
+   */
+  async record({ responseId = null, apiKeyId = null, endpoint, model, tokenUsage = null, embeddingModel = null, embeddingTokens = 0, cached = false }) {
+    const promptTokens = (tokenUsage && tokenUsage.prompt_tokens) || 0;
+    const completionTokens = (tokenUsage && tokenUsage.completion_tokens) || 0;
+
+    const entry = {
+      id: responseId,
+      timestamp: new Date().toISOString(),
+      apiKeyId,
+      endpoint,
+      model,
+      embeddingModel,
+      promptTokens,
+      completionTokens,
+      embeddingTokens,
+      cached,
+      cost: await this.estimateCost({ model, promptTokens, completionTokens, embeddingModel, embeddingTokens })
+    };
+
+    return this.store.append(entry);
+  }
+
+  /**
+   * Aggregate usage
+   * @param {Object} options Report options
+   * @param {string} options.from First day to include (YYYY-MM-DD, UTC)
+   * @param {string} options.to Last day to include (YYYY-MM-DD, UTC)
+   * @param {string} options.apiKeyId Only include requests made with this key
+   * @param {Array<string>} options.groupBy Fields to group by: day, key and/or model
+   * @returns {Promise<Object>} { currency, groupBy, groups, totals }
+   */
+  async report({ from = null, to = null, apiKeyId = null, groupBy = ['day', 'key', 'model'] } = {}) {
+    const { currency } = await this.loadPrices();
+    const entries = await this.store.list();
+    const groups = new Map();
+    const totals = this._emptyTotals();
+
+    for (const entry of entries) {
+      const day = GROUP_FIELDS.day(entry);
+      if ((from && day < from) || (to && day > to) || (apiKeyId && entry.apiKeyId !== apiKeyId)) {
+        continue;
+      }
+
+      const fields = {};
+      for (const field of groupBy) {
+        fields[field] = GROUP_FIELDS[field](entry);
+      }
+
+      const groupKey = JSON.stringify(fields);
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, { ...fields, ...this._emptyTotals() });
+      }
+
+      this._add(groups.get(groupKey), entry);
+      this._add(totals, entry);
+    }
+
+    return {
+      currency,
+      groupBy,
+      groups: Array.from(groups.values()).map(group => this._roundCost(group)),
+      totals: this._roundCost(totals)
+    };
+  }
+
+  /**
+   * Counters for a report group
+   * @returns {Object} Zeroed counters
+   * @private
+   */
+  _emptyTotals() {
+    return {
+      requests: 0,
+      cachedRequests: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      embeddingTokens: 0,
+      totalTokens: 0,
+      cost: 0,
+      unpricedRequests: 0
+    };
+  }
+
+  /**
+   * Add an entry to a group's counters
+   * @param {Object} group Group counters
+   * @param {Object} entry Ledger entry
+   * @private
+   */
+  _add(group, entry) {
+    group.requests++;
+    group.cachedRequests += entry.cached ? 1 : 0;
+    group.promptTokens += entry.promptTokens;
+    group.completionTokens += entry.completionTokens;
+    group.embeddingTokens += entry.embeddingTokens;
+    group.totalTokens += entry.promptTokens + entry.completionTokens + entry.embeddingTokens;
+    if (entry.cost === null) {
+      group.unpricedRequests++;
+    } else {
+      group.cost += entry.cost;
+    }
+  }
+
+  /**
+   * Round a summed cost to hide floating point noise
+   * @param {Object} group Group counters
+   * @returns {Object} Group with a rounded cost
+   * @private
+   */
+  _roundCost(group) {
+    return { ...group, cost: Number(group.cost.toFixed(6)) };
+  }
+
+  /**
+   * Log a missing price once per model
+   * @param {string} model Model without a price
+   * @private
+   */
+  _warnUnpriced(model) {
+    if (!this.unpricedModels.has(model)) {
+      this.unpricedModels.add(model);
+      logger.warn(`No price for model ${model} in ${this.priceTablePath}, its requests are recorded without a cost`);
+    }
+  }
+}
+
+module.exports = UsageLedger;
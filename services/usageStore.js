@@ -0,0 +1,172 @@
+/**
+ * Storage backends for the usage ledger
+ * Entries are only ever appended, so the file store writes one JSON line per entry instead of rewriting the file
+ * Both stores expose the same async interface (append, list) so they can be swapped via config
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const configService = require('../utils/configService');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class MemoryUsageStore {
+  /**
+   * @param {Object} options Store options
+   * @param {number} options.retentionDays Days of entries to keep
+   */
+  constructor({ retentionDays = 90 } = {}) {
+    // Entries are appended as requests complete, so they are ordered by timestamp
+    this.entries = [];
+    this.retentionDays = retentionDays;
+  }
+
+  /**
+   * Add an entry to the ledger
+   * @param {Object} entry Ledger entry with an ISO timestamp
+   * @returns {Promise<Object>} Saved entry
+   */
+  async append(entry) {
+    this.entries.push(entry);
+    this._dropExpired();
+    return entry;
+  }
+
+  /**
+   * List all entries, oldest first
+   * @returns {Promise<Array<Object>>} Entries
+   */
+  async list() {
+    return this.entries;
+  }
+
+  /**
+   * Drop entries older than the retention period
+   * @returns {number} Number of entries dropped
+   * @private
+   */
+  _dropExpired() {
+    const cutoff = new Date(Date.now() - this.retentionDays * DAY_MS).toISOString();
+    const firstKept = this.entries.findIndex(entry => entry.timestamp >= cutoff);
+    const dropped = firstKept === -1 ? this.entries.length : firstKept;
+    if (dropped > 0) {
+      this.entries.splice(0, dropped);
+    }
+    return dropped;
+  }
+}
+
+class FileUsageStore extends MemoryUsageStore {
+  /**
+   * @param {Object} options Store options
+   * @param {string} options.filePath JSON lines file used to persist entries
+   * @param {number} options.retentionDays Days of entries to keep
+   */
+  constructor({ filePath, retentionDays = 90 } = {}) {
+    super({ retentionDays });
+    this.filePath = path.resolve(filePath);
+    this.loaded = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async append(entry) {
+    await this._load();
+    await super.append(entry);
+    await this._write(() => fs.appendFile(this.filePath, `${JSON.stringify(entry)}\n`));
+    return entry;
+  }
+
+  async list() {
+    await this._load();
+    return super.list();
+  }
+
+  /**
+   * Load entries from disk once, compacting the file if expired entries were dropped
+   * @returns {Promise<void>}
+   * @private
+   */
+  _load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        try {
+          const content = await fs.readFile(this.filePath, 'utf8');
+          for (const line of content.split('\n')) {
+            if (line.trim()) {
+              this.entries.push(JSON.parse(line));
+            }
+          }
+
+          if (this._dropExpired() > 0) {
+            const data = this.entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+            const tempPath = `${this.filePath}.${process.pid}.tmp`;
+            await this._write(async () => {
+              await fs.writeFile(tempPath, data);
+              await fs.rename(tempPath, this.filePath);
+            });
+          }
+          logger.info(`Loaded ${this.entries.length} usage entries from ${this.filePath}`);
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            logger.error(`Error loading usage entries from ${this.filePath}: ${error.message}`);
+          }
+        }
+      })();
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Run a file write, serializing concurrent writes
+   * @param {Function} write Function performing the write
+   * @returns {Promise<void>}
+   * @private
+   */
+  _write(write) {
+    this.writeQueue = this.writeQueue.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await write();
+      } catch (error) {
+        logger.error(`Error saving usage entries to ${this.filePath}: ${error.message}`);
+      }
+    });
+    return this.writeQueue;
+  }
+}
+
+// Stores are shared so every ledger instance sees the same entries
+const stores = {};
+
+/**
+ * Get the usage store selected in config
+ * @returns {MemoryUsageStore|FileUsageStore} Usage store
+ */
+const createUsageStore = () => {
+  const config = configService.get('usage');
+
+  if (!stores[config.store]) {
+    if (config.store === 'file') {
+      stores[config.store] = new FileUsageStore({
+        filePath: config.filePath,
+        retentionDays: config.retentionDays
+      });
+    } else {
+      if (config.store !== 'memory') {
+        logger.warn(`Unknown usage store "${config.store}", falling back to memory`);
+      }
+      stores[config.store] = new MemoryUsageStore({
+        retentionDays: config.retentionDays
+      });
+    }
+    logger.info(`Initialized ${config.store} usage store`);
+  }
+
+  return stores[config.store];
+};
+
+module.exports = {
+  MemoryUsageStore,
+  FileUsageStore,
+  createUsageStore
+};
@@ -1,28 +1,68 @@
 /**
  * Enhanced Vector store service for Qdrant integration
  * Includes improved error handling, batching, and debugging
+ * With vectorDB.memoryMode enabled, an in-process file-backed store replaces the Qdrant server
  */
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const { QdrantClient } = require('@qdrant/js-client-rest');
 const configService = require('../utils/configService');
 const logger = require('../utils/logger');
-const EmbeddingService = require('./openaiEmbeddingService');
+const EmbeddingService = require('./embeddingService');
+const LocalQdrantClient = require('./localQdrantClient');
+const metrics = require('../utils/metrics');
+
+// Points fetched per page when listing the indexed content hashes
+const SCROLL_PAGE_SIZE = 256;
+
+// Query used to check that a new collection version returns results before it goes live
+const SMOKE_TEST_QUERY = 'What does Krishna teach about karma yoga?';
+
+// Emits pointsChanged when single points are patched or deleted, so services holding
+// derived state (lexical index, answer cache) can follow edits made through another instance
+const collectionEvents = new EventEmitter();
+
+// Local clients are shared per file so every VectorStore instance sees the same points
+const localClients = {};
+
+/**
+ * Get the shared local client for a persistence file
+ * @param {string} filePath JSON file used to persist collections
+ * @returns {LocalQdrantClient} Local client
+ */
+const getLocalClient = (filePath) => {
+  if (!localClients[filePath]) {
+    localClients[filePath] = new LocalQdrantClient({ filePath });
+  }
+  return localClients[filePath];
+};
 
 class VectorStore {
   /**
    * Initialize the vector store
+   * @param {Object} options Store options
+   * @param {string} options.collectionName Collection or alias to use instead of vectorDB.collectionName
    */
-  constructor() {
+  constructor({ collectionName = null } = {}) {
     // Get configuration
     const host = configService.get('vectorDB.host');
     const apiKey = configService.get('vectorDB.apiKey');
+    this.memoryMode = configService.get('vectorDB.memoryMode');
 
     // Initialize the client with improved error handling
-    this.client = new QdrantClient({
-      url: `${host}`,
-      apiKey
-    });
+    if (this.memoryMode) {
+      this.client = getLocalClient(configService.get('vectorDB.memoryPath'));
+    } else {
+      this.client = new QdrantClient({
+        url: `${host}`,
+        apiKey
+      });
+    }
     
-    this.collectionName = configService.get('vectorDB.collectionName');
+    this.collectionName = collectionName || configService.get('vectorDB.collectionName');
+    // Queries read the configured name, which becomes an alias once blue/green versions are in use
+    this.aliasName = configService.get('vectorDB.collectionName');
+    this.keepVersions = configService.get('vectorDB.keepVersions');
     this.dimensions = configService.get('vectorDB.dimensions');
     this.distance = configService.get('vectorDB.distance');
     this.quantization = {
@@ -43,15 +83,11 @@ class VectorStore {
     // Initialize embedding service
     this.embeddingService = new EmbeddingService();
     
-    // Track operations for debugging
-    this.operationStats = {
-      addedDocuments: 0,
-      failedDocuments: 0,
-      searches: 0,
-      errors: []
-    };
-    
-    logger.info(`Initialized Qdrant client at ${host} for collection ${this.collectionName}`);
+    if (this.memoryMode) {
+      logger.info(`Initialized local vector store at ${configService.get('vectorDB.memoryPath')} for collection ${this.collectionName}`);
+    } else {
+      logger.info(`Initialized Qdrant client at ${host} for collection ${this.collectionName}`);
+    }
   }
 
   getKnowledgeBase() {
@@ -77,7 +113,7 @@ class VectorStore {
 
       const collectionExists = collections.collections.some(
         collection => collection.name === this.collectionName
-      );
+      ) || (await this.resolveAlias(this.collectionName)) !== null;
 
       if (collectionExists) {
         logger.info(`Collection ${this.collectionName} already exists`);
@@ -193,7 +229,9 @@ class VectorStore {
             results.failed += (batch.length - points.length);
           }
           
-          this.operationStats.addedDocuments += points.length;
+          metrics.vectorStorePoints.inc({ status: 'indexed' }, points.length);
+          metrics.vectorStorePoints.inc({ status: 'failed' }, batch.length - points.length);
+          metrics.vectorStoreOperations.inc({ operation: 'addDocuments', status: 'success' });
           
           logger.info(`Successfully added batch of ${points.length} points to vector store (${results.processed}/${nodes.length})`);
           
@@ -215,12 +253,8 @@ class VectorStore {
             message: error.message
           });
           
-          this.operationStats.failedDocuments += batch.length;
-          this.operationStats.errors.push({
-            operation: 'addDocuments',
-            message: error.message,
-            batch: Math.floor(i/this.addBatchSize) + 1
-          });
+          metrics.vectorStorePoints.inc({ status: 'failed' }, batch.length);
+          metrics.vectorStoreOperations.inc({ operation: 'addDocuments', status: 'error' });
         }
         
         // Force garbage collection between batches (if running with --expose-gc)
@@ -230,6 +264,9 @@ class VectorStore {
         }
       }
 
+      // The local store keeps upserts in memory; write them once for the whole run
+      await this.flush();
+
       if (results.failed > 0) {
         results.success = false;
         results.message = `Completed with ${results.failed} failed nodes out of ${nodes.length}`;
@@ -241,11 +278,7 @@ class VectorStore {
       return results;
     } catch (error) {
       logger.error(`Error in overall document addition process: ${error.message}`);
-      this.operationStats.errors.push({
-        operation: 'addDocuments',
-        message: error.message,
-        global: true
-      });
+      metrics.vectorStoreOperations.inc({ operation: 'addDocuments', status: 'error' });
       return {
         success: false,
         total: nodes.length,
@@ -293,7 +326,8 @@ class VectorStore {
           // Create payload with validation
           const payload = {
             text: node.text.substring(0, 8000), // Limit text size for Qdrant
-            metadata: node.metadata || {}
+            metadata: node.metadata || {},
+            content_hash: this.hashNode(node) // Lets re-indexing skip unchanged nodes
           };
           
           // Ensure metadata is an object
@@ -333,6 +367,220 @@ class VectorStore {
     }
   }
 
+  /**
+   * Hash the parts of a node that end up in its point, plus the embedding model that produced the vector
+   * @param {Object} node Document node
+   * @returns {string} Content hash
+   */
+  hashNode(node) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify({
+        text: node.text,
+        metadata: node.metadata || {},
+        model: this.embeddingService.modelName
+      }))
+      .digest('hex');
+  }
+
+  /**
+   * List the content hash of every indexed node
+   * Points indexed before content hashes were stored have a null hash
+   * @returns {Promise<Map<string, Object>>} Map of node id to { pointId, hash }
+   */
+  async getIndexedHashes() {
+    const indexed = new Map();
+    let offset = null;
+
+    do {
+      const response = await this.client.scroll(this.collectionName, {
+        limit: SCROLL_PAGE_SIZE,
+        offset,
+        with_payload: ['original_id', 'content_hash'],
+        with_vector: false
+      });
+
+      for (const point of response.points) {
+        const payload = point.payload || {};
+        const nodeId = String(payload.original_id !== undefined ? payload.original_id : point.id);
+        indexed.set(nodeId, {
+          pointId: point.id,
+          hash: payload.content_hash || null
+        });
+      }
+
+      offset = response.next_page_offset;
+    } while (offset !== null && offset !== undefined);
+
+    return indexed;
+  }
+
+  /**
+   * Persist pending point changes
+   * Only the local store buffers writes; Qdrant persists each request itself
+   * @returns {Promise<void>}
+   * @throws {Error} If the local store cannot be written
+   */
+  async flush() {
+    if (typeof this.client.flush === 'function') {
+      await this.client.flush();
+    }
+  }
+
+  /**
+   * Delete points by id
+   * Emits pointsChanged with the node ids of the deleted points when anything listens for it
+   * @param {Array<string|number>} pointIds Point ids
+   * @returns {Promise<number>} Number of points deleted
+   */
+  async deletePoints(pointIds) {
+    const removed = collectionEvents.listenerCount('pointsChanged') > 0 ? await this._getPointIdentities(pointIds) : [];
+
+    for (let i = 0; i < pointIds.length; i += SCROLL_PAGE_SIZE) {
+      await this.client.delete(this.collectionName, {
+        wait: true,
+        points: pointIds.slice(i, i + SCROLL_PAGE_SIZE)
+      });
+    }
+    await this.flush();
+
+    logger.info(`Deleted ${pointIds.length} points from ${this.collectionName}`);
+    if (removed.length > 0) {
+      collectionEvents.emit('pointsChanged', { collectionName: this.collectionName, updated: [], removed });
+    }
+    return pointIds.length;
+  }
+
+  /**
+   * Look up the node ids of points, for pointsChanged listeners that key their state by node id
+   * @param {Array<string|number>} pointIds Point ids
+   * @returns {Promise<Array<Object>>} { id, originalId } for every existing point
+   * @private
+   */
+  async _getPointIdentities(pointIds) {
+    const identities = [];
+    for (let i = 0; i < pointIds.length; i += SCROLL_PAGE_SIZE) {
+      const points = await this.client.retrieve(this.collectionName, {
+        ids: pointIds.slice(i, i + SCROLL_PAGE_SIZE),
+        with_payload: ['original_id'],
+        with_vector: false
+      });
+      for (const point of points) {
+        const { id, originalId } = this._formatPoint(point);
+        identities.push({ id, originalId });
+      }
+    }
+    return identities;
+  }
+
+  /**
+   * Page through points, optionally filtered by chapter, verse or document type
+   * @param {Object} filters Filter object (same format as search)
+   * @param {Object} options Page options
+   * @param {number} options.limit Points per page
+   * @param {string|number} options.offset Point id to start from, as returned in nextOffset
+   * @returns {Promise<Object>} { points, nextOffset } where nextOffset is null on the last page
+   */
+  async browsePoints(filters = null, { limit = 20, offset = null } = {}) {
+    const response = await this.client.scroll(this.collectionName, {
+      filter: this._buildQdrantFilter(filters),
+      limit,
+      offset,
+      with_payload: true,
+      with_vector: false
+    });
+
+    return {
+      points: response.points.map(point => this._formatPoint(point)),
+      nextOffset: response.next_page_offset !== undefined ? response.next_page_offset : null
+    };
+  }
+
+  /**
+   * Get a single point
+   * @param {string|number} pointId Point id
+   * @returns {Promise<Object|null>} Point, or null if it does not exist
+   */
+  async getPoint(pointId) {
+    const [point] = await this.client.retrieve(this.collectionName, {
+      ids: [pointId],
+      with_payload: true,
+      with_vector: false
+    });
+
+    return point ? this._formatPoint(point) : null;
+  }
+
+  /**
+   * Change the text or metadata of a single point
+   * The text is re-embedded when it changes; metadata is merged, and keys set to null are removed.
+   * Patches only touch the collection, so the next re-index from the source data overwrites them.
+   * Emits pointsChanged with the updated point.
+   * @param {string|number} pointId Point id
+   * @param {Object} changes Changes to apply
+   * @param {string} changes.text New text
+   * @param {Object} changes.metadata Metadata keys to set or remove
+   * @returns {Promise<Object|null>} Updated point, or null if it does not exist
+   */
+  async patchPoint(pointId, { text, metadata } = {}) {
+    const [point] = await this.client.retrieve(this.collectionName, {
+      ids: [pointId],
+      with_payload: true,
+      with_vector: true
+    });
+    if (!point) {
+      return null;
+    }
+
+    const payload = { ...point.payload };
+    let vector = point.vector;
+
+    if (text !== undefined && text !== payload.text) {
+      vector = await this.embeddingService.getEmbedding(text);
+      payload.text = text.substring(0, 8000);
+    }
+
+    if (metadata) {
+      payload.metadata = { ...payload.metadata };
+      for (const [key, value] of Object.entries(metadata)) {
+        if (value === null) {
+          delete payload.metadata[key];
+        } else {
+          payload.metadata[key] = value;
+        }
+      }
+    }
+
+    payload.content_hash = this.hashNode({ text: payload.text, metadata: payload.metadata });
+
+    await this.client.upsert(this.collectionName, {
+      wait: true,
+      points: [{ id: point.id, vector, payload }]
+    });
+    await this.flush();
+
+    logger.info(`Patched point ${point.id} in ${this.collectionName}`);
+    const patched = this._formatPoint({ id: point.id, payload });
+    collectionEvents.emit('pointsChanged', { collectionName: this.collectionName, updated: [patched], removed: [] });
+    return patched;
+  }
+
+  /**
+   * Shape a stored point for API responses
+   * @param {Object} point Point with payload
+   * @returns {Object} { id, originalId, text, metadata, contentHash }
+   * @private
+   */
+  _formatPoint(point) {
+    const payload = point.payload || {};
+    return {
+      id: point.id,
+      originalId: payload.original_id !== undefined ? payload.original_id : null,
+      text: payload.text || '',
+      metadata: payload.metadata || {},
+      contentHash: payload.content_hash || null
+    };
+  }
+
   /**
    * Create a consistent ID for Qdrant
    * @param {any} originalId Original ID
@@ -401,7 +649,6 @@ class VectorStore {
       }
       
       logger.info(`Searching for: "${query.substring(0, 50)}${query.length > 50 ? '...' : ''}" (limit: ${limit})`);
-      this.operationStats.searches++;
       
       // Get query embedding without retry logic
       const queryEmbedding = await this.embeddingService.getEmbedding(query);
@@ -421,7 +668,7 @@ class VectorStore {
       }
       
       // Search in collection without retry
-      const results = await this.client.search(this.collectionName, searchParams);
+      const results = await metrics.timeStage('search', () => this.client.search(this.collectionName, searchParams));
       
       // Format and enhance results
       const formattedResults = results.map(hit => {
@@ -454,14 +701,47 @@ class VectorStore {
       }
 
       logger.info(`Found ${validResults.length} results for query with avg score ${stats.avgScore.toFixed(3)}`);
+      metrics.vectorStoreOperations.inc({ operation: 'search', status: 'success' });
       return validResults;
     } catch (error) {
       logger.error(`Error searching vector store: ${error.message}`);
-      this.operationStats.errors.push({
-        operation: 'search',
-        message: error.message,
-        query: query.substring(0, 100)
+      metrics.vectorStoreOperations.inc({ operation: 'search', status: 'error' });
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch passages by metadata alone, without a similarity search
+   * Used for exact verse lookups where the semantic score is irrelevant
+   * @param {Object} filters Filter object (same format as search)
+   * @param {number} limit Maximum number of results
+   * @returns {Promise<Array>} Matching passages with a score of 1
+   */
+  async getByFilter(filters, limit = 10) {
+    try {
+      const response = await this.client.scroll(this.collectionName, {
+        filter: this._buildQdrantFilter(filters),
+        limit,
+        with_payload: true,
+        with_vector: false
       });
+
+      metrics.vectorStoreOperations.inc({ operation: 'getByFilter', status: 'success' });
+      return response.points
+        .map(point => {
+          const payload = point.payload || {};
+          return {
+            content: payload.text || '',
+            metadata: payload.metadata || {},
+            score: 1,
+            id: point.id,
+            original_id: payload.original_id || point.id
+          };
+        })
+        .filter(result => result.content.trim().length > 0);
+    } catch (error) {
+      logger.error(`Error fetching points by filter: ${error.message}`);
+      metrics.vectorStoreOperations.inc({ operation: 'getByFilter', status: 'error' });
       throw error;
     }
   }
@@ -559,6 +839,174 @@ class VectorStore {
     }
   }
 
+  /**
+   * Get the collection an alias points to
+   * @param {string} alias Alias name (defaults to the configured collection name)
+   * @returns {Promise<string|null>} Collection name, or null if there is no such alias
+   */
+  async resolveAlias(alias = this.aliasName) {
+    const { aliases } = await this.client.getAliases();
+    const match = aliases.find(entry => entry.alias_name === alias);
+    return match ? match.collection_name : null;
+  }
+
+  /**
+   * List the versioned collections behind the alias, oldest first
+   * @returns {Promise<Array<Object>>} Versions { name, pointCount, active }
+   */
+  async listVersions() {
+    const { collections } = await this.client.getCollections();
+    const active = await this.resolveAlias();
+    const pattern = new RegExp(`^${this.aliasName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}_\\d{14}$`);
+
+    const versions = [];
+    for (const { name } of collections) {
+      if (pattern.test(name)) {
+        const info = await this.client.getCollection(name);
+        versions.push({
+          name,
+          pointCount: info.points_count,
+          active: name === active
+        });
+      }
+    }
+
+    // Version suffixes are timestamps, so names sort by creation time
+    return versions.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Create a new, empty versioned collection to build an index into
+   * @returns {Promise<VectorStore>} Store writing to the new collection
+   */
+  async createVersion() {
+    const timestamp = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+    const store = new VectorStore({ collectionName: `${this.aliasName}_${timestamp}` });
+    await store.initializeCollection();
+    logger.info(`Created collection version ${store.collectionName}`);
+    return store;
+  }
+
+  /**
+   * Check that a collection version is fit to serve queries
+   * @param {string} collectionName Versioned collection
+   * @param {Object} options Validation options
+   * @param {number} options.expectedPoints Minimum number of points the version must hold
+   * @param {number} options.maxShrink Largest allowed drop in point count relative to the live version (0-1)
+   * @param {string} options.query Smoke-test query that must return results
+   * @returns {Promise<Object>} { valid, pointCount, livePointCount, smokeTest, errors }
+   */
+  async validateVersion(collectionName, { expectedPoints = 1, maxShrink = 0.1, query = SMOKE_TEST_QUERY } = {}) {
+    const store = new VectorStore({ collectionName });
+    const errors = [];
+
+    const pointCount = await store.getPointCount();
+    if (pointCount < Math.max(expectedPoints, 1)) {
+      errors.push(`Collection holds ${pointCount} points, expected at least ${Math.max(expectedPoints, 1)}`);
+    }
+
+    // Before the first switch the live index is a plain collection named like the alias
+    const { collections } = await this.client.getCollections();
+    const live = (await this.resolveAlias()) ||
+      (collections.some(collection => collection.name === this.aliasName) ? this.aliasName : null);
+    let livePointCount = null;
+    if (live && live !== collectionName) {
+      livePointCount = (await this.client.getCollection(live)).points_count;
+      if (pointCount < livePointCount * (1 - maxShrink)) {
+        errors.push(`Collection holds ${pointCount} points, more than ${Math.round(maxShrink * 100)}% fewer than the ${livePointCount} in ${live}`);
+      }
+    }
+
+    const results = await store.search(query, 3);
+    if (results.length === 0) {
+      errors.push(`Smoke-test query returned no results: ${query}`);
+    }
+
+    return {
+      valid: errors.length === 0,
+      pointCount,
+      livePointCount,
+      smokeTest: {
+        query,
+        results: results.map(result => ({
+          id: result.original_id,
+          score: result.score
+        }))
+      },
+      errors
+    };
+  }
+
+  /**
+   * Point the alias at a collection version in a single atomic alias update
+   * @param {string} collectionName Versioned collection
+   * @param {Object} options Switch options
+   * @param {boolean} options.replaceCollection Delete a plain collection that still uses the alias name (one-off migration)
+   * @returns {Promise<Object>} { previous, current }
+   */
+  async switchAlias(collectionName, { replaceCollection = false } = {}) {
+    const { collections } = await this.client.getCollections();
+    if (!collections.some(collection => collection.name === collectionName)) {
+      throw new Error(`Collection ${collectionName} does not exist`);
+    }
+
+    // Before the first switch the alias name may still be a plain collection
+    if (collections.some(collection => collection.name === this.aliasName)) {
+      if (!replaceCollection) {
+        throw new Error(`${this.aliasName} is a collection, not an alias. Set replaceCollection to delete it and create the alias`);
+      }
+      logger.warn(`Deleting collection ${this.aliasName} so it can become an alias`);
+      await this.client.deleteCollection(this.aliasName);
+    }
+
+    const previous = await this.resolveAlias();
+    const actions = [];
+    if (previous) {
+      actions.push({ delete_alias: { alias_name: this.aliasName } });
+    }
+    actions.push({ create_alias: { collection_name: collectionName, alias_name: this.aliasName } });
+    await this.client.updateCollectionAliases({ actions });
+
+    logger.info(`Alias ${this.aliasName} now points to ${collectionName}${previous ? ` (was ${previous})` : ''}`);
+    return { previous, current: collectionName };
+  }
+
+  /**
+   * Point the alias back at the version before the live one
+   * @returns {Promise<Object>} { previous, current }
+   */
+  async rollback() {
+    const versions = await this.listVersions();
+    const activeIndex = versions.findIndex(version => version.active);
+    if (activeIndex <= 0) {
+      throw new Error('No earlier collection version to roll back to');
+    }
+
+    return this.switchAlias(versions[activeIndex - 1].name);
+  }
+
+  /**
+   * Delete collection versions other than the live one and the versions just before it
+   * Versions newer than the live one (failed builds, or versions rolled back from) are deleted too
+   * @param {number} keep Number of versions to keep, counting the live one
+   * @returns {Promise<Array<string>>} Deleted collection names
+   */
+  async pruneVersions(keep = this.keepVersions) {
+    const versions = await this.listVersions();
+    const activeIndex = versions.findIndex(version => version.active);
+    // Without a live version, keep the most recent ones
+    const end = activeIndex === -1 ? versions.length : activeIndex + 1;
+    const retained = new Set(versions.slice(Math.max(end - keep, 0), end).map(version => version.name));
+    const stale = versions.filter(version => !retained.has(version.name));
+
+    for (const version of stale) {
+      await this.client.deleteCollection(version.name);
+      logger.info(`Deleted old collection version ${version.name}`);
+    }
+
+    return stale.map(version => version.name);
+  }
+
   /**
    * Get collection info with improved error handling
    * @returns {Promise<Object>} Collection info
@@ -642,7 +1090,7 @@ class VectorStore {
         pointCount,
         embeddingDimensions: embedding.length,
         collectionName: this.collectionName,
-        stats: this.operationStats
+        stats: await this.getStats()
       };
     } catch (error) {
       logger.error(`Vector store test failed: ${error.message}`);
@@ -655,16 +1103,30 @@ class VectorStore {
   }
 
   /**
-   * Get system statistics
-   * @returns {Object} System statistics
+   * Get system statistics from the metrics registry
+   * Counts cover every vector store in the process since it started
+   * @returns {Promise<Object>} System statistics
    */
-  getStats() {
+  async getStats() {
+    const { values } = await metrics.vectorStoreOperations.get();
+    const operations = {};
+    for (const { labels, value } of values) {
+      operations[labels.operation] = operations[labels.operation] || { success: 0, error: 0 };
+      operations[labels.operation][labels.status] += value;
+    }
+    const points = await metrics.sumByLabel(metrics.vectorStorePoints, 'status');
+
     return {
-      ...this.operationStats,
-      embeddingStats: this.embeddingService.getCacheStats(),
+      addedDocuments: points.indexed || 0,
+      failedDocuments: points.failed || 0,
+      searches: operations.search ? operations.search.success + operations.search.error : 0,
+      operations,
+      embeddingStats: await this.embeddingService.getCacheStats(),
       timestamp: new Date().toISOString()
     };
   }
 }
 
+VectorStore.events = collectionEvents;
+
 module.exports = VectorStore;
\ No newline at end of file
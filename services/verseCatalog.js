@@ -0,0 +1,276 @@
+/**
+ * Verse catalog for direct lookups without the LLM
+ * Built from the structured documents saved by GitaDocumentProcessor.saveProcessedData
+ */
+const fs = require('fs').promises;
+const configService = require('../utils/configService');
+const logger = require('../utils/logger');
+const { getChapterName } = require('../utils/gitaChapters');
+const MultilingualService = require('./multilingualService');
+
+// Upper bound on verses returned by a single range request
+const MAX_RANGE_VERSES = 50;
+
+class VerseCatalog {
+  /**
+   * @param {Object} options Catalog options
+   * @param {string} options.filePath Processed data file (defaults to documents.processedPath)
+   * @param {MultilingualService} options.multilingualService Service used to localize references
+   */
+  constructor({ filePath = null, multilingualService = null } = {}) {
+    this.filePath = filePath || configService.get('documents.processedPath');
+    this.multilingualService = multilingualService || new MultilingualService();
+    this.chapters = new Map();
+    this.verses = new Map();
+    this.loaded = null;
+  }
+
+  /**
+   * Load the processed data once
+   * @returns {Promise<boolean>} Whether any verses are available
+   */
+  load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        try {
+          const content = await fs.readFile(this.filePath, 'utf8');
+          const data = JSON.parse(content);
+          this._index(data.structuredDocs || []);
+          logger.info(`Loaded verse catalog with ${this.verses.size} verses in ${this.chapters.size} chapters from ${this.filePath}`);
+        } catch (error) {
+          if (error.code === 'ENOENT') {
+            logger.warn(`Processed data file not found at ${this.filePath}, verse catalog is empty`);
+          } else {
+            logger.error(`Error loading verse catalog from ${this.filePath}: ${error.message}`);
+          }
+        }
+        return this.verses.size > 0;
+      })();
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Whether the catalog has verses
+   * @returns {Promise<boolean>} Availability
+   */
+  async isAvailable() {
+    return this.load();
+  }
+
+  /**
+   * List all chapters with their verse counts
+   * @returns {Promise<Array<Object>>} Chapter summaries in order
+   */
+  async listChapters() {
+    await this.load();
+    return Array.from(this.chapters.values())
+      .sort((a, b) => a.chapter - b.chapter)
+      .map(chapter => this._formatChapterSummary(chapter));
+  }
+
+  /**
+   * Get a chapter with its introduction and verse list
+   * @param {number} chapterNumber Chapter number
+   * @param {string} language Language code for references
+   * @returns {Promise<Object|null>} Chapter or null if not found
+   */
+  async getChapter(chapterNumber, language = 'en') {
+    await this.load();
+    const chapter = this.chapters.get(chapterNumber);
+    if (!chapter) {
+      return null;
+    }
+
+    return {
+      ...this._formatChapterSummary(chapter),
+      introduction: chapter.introduction,
+      verses: chapter.verses.map(verseNumber => {
+        const verse = this.verses.get(this._key(chapterNumber, verseNumber));
+        return {
+          verse: verseNumber,
+          reference: this.multilingualService.formatGitaReference(chapterNumber, verseNumber, language),
+          translation: verse.translation
+        };
+      })
+    };
+  }
+
+  /**
+   * Get a single verse with its Sanskrit text, translation and purport
+   * @param {number} chapterNumber Chapter number
+   * @param {number} verseNumber Verse number
+   * @param {string} language Language code for the reference
+   * @returns {Promise<Object|null>} Verse or null if not found
+   */
+  async getVerse(chapterNumber, verseNumber, language = 'en') {
+    await this.load();
+    const verse = this.verses.get(this._key(chapterNumber, verseNumber));
+    return verse ? this._formatVerse(verse, language) : null;
+  }
+
+  /**
+   * Get the verses between two references, inclusive
+   * The range may span chapters; verses missing from the source data are skipped
+   * @param {Object} start Start reference { chapter, verse }
+   * @param {Object} end End reference { chapter, verse }
+   * @param {string} language Language code for references
+   * @returns {Promise<Array<Object>>} Verses in order
+   * @throws {Error} If the range is reversed or longer than MAX_RANGE_VERSES
+   */
+  async getVerseRange(start, end, language = 'en') {
+    await this.load();
+
+    if (end.chapter < start.chapter || (end.chapter === start.chapter && end.verse < start.verse)) {
+      throw new Error('Range end must not come before range start');
+    }
+
+    const verses = [];
+    const chapterNumbers = Array.from(this.chapters.keys())
+      .filter(chapter => chapter >= start.chapter && chapter <= end.chapter)
+      .sort((a, b) => a - b);
+
+    for (const chapterNumber of chapterNumbers) {
+      for (const verseNumber of this.chapters.get(chapterNumber).verses) {
+        if (chapterNumber === start.chapter && verseNumber < start.verse) continue;
+        if (chapterNumber === end.chapter && verseNumber > end.verse) continue;
+
+        if (verses.length === MAX_RANGE_VERSES) {
+          throw new Error(`Range is limited to ${MAX_RANGE_VERSES} verses`);
+        }
+        verses.push(this._formatVerse(this.verses.get(this._key(chapterNumber, verseNumber)), language));
+      }
+    }
+
+    return verses;
+  }
+
+  /**
+   * Parse a range such as "2.47-2.50", "2.47-50" or "2:47-2:50"
+   * @param {string} range Range string
+   * @returns {Object|null} { start, end } references, or null if the format is invalid
+   */
+  static parseRange(range) {
+    const match = /^(\d{1,2})[.:](\d{1,3})(?:-(?:(\d{1,2})[.:])?(\d{1,3}))?$/.exec((range || '').trim());
+    if (!match) {
+      return null;
+    }
+
+    const start = { chapter: parseInt(match[1], 10), verse: parseInt(match[2], 10) };
+    const end = match[4]
+      ? { chapter: match[3] ? parseInt(match[3], 10) : start.chapter, verse: parseInt(match[4], 10) }
+      : { ...start };
+
+    return { start, end };
+  }
+
+  /**
+   * Index structured documents by chapter and verse
+   * @param {Array<Object>} structuredDocs Structured documents from the processor
+   * @private
+   */
+  _index(structuredDocs) {
+    this.chapters.clear();
+    this.verses.clear();
+
+    for (const doc of structuredDocs) {
+      const chapterNumber = parseInt(doc.chapter, 10);
+      if (!chapterNumber) {
+        continue;
+      }
+
+      const chapter = this._ensureChapter(chapterNumber);
+
+      if (doc.type === 'chapter_intro') {
+        chapter.title = doc.title || chapter.title;
+        chapter.introduction = doc.content || null;
+      } else if (doc.type === 'verse') {
+        const verseNumber = parseInt(doc.verse, 10);
+        if (!verseNumber) {
+          continue;
+        }
+
+        const key = this._key(chapterNumber, verseNumber);
+        if (!this.verses.has(key)) {
+          chapter.verses.push(verseNumber);
+        }
+        this.verses.set(key, {
+          chapter: chapterNumber,
+          verse: verseNumber,
+          sanskrit: doc.content || '',
+          translation: doc.translation || '',
+          purport: doc.purport || ''
+        });
+      }
+    }
+
+    for (const chapter of this.chapters.values()) {
+      chapter.verses.sort((a, b) => a - b);
+    }
+  }
+
+  /**
+   * Get or create the index entry for a chapter
+   * @param {number} chapterNumber Chapter number
+   * @returns {Object} Chapter entry
+   * @private
+   */
+  _ensureChapter(chapterNumber) {
+    if (!this.chapters.has(chapterNumber)) {
+      this.chapters.set(chapterNumber, {
+        chapter: chapterNumber,
+        title: null,
+        introduction: null,
+        verses: []
+      });
+    }
+    return this.chapters.get(chapterNumber);
+  }
+
+  /**
+   * Format a chapter summary
+   * @param {Object} chapter Chapter entry
+   * @returns {Object} Chapter summary
+   * @private
+   */
+  _formatChapterSummary(chapter) {
+    return {
+      chapter: chapter.chapter,
+      name: getChapterName(chapter.chapter),
+      title: chapter.title,
+      verseCount: chapter.verses.length
+    };
+  }
+
+  /**
+   * Format a verse for API responses
+   * @param {Object} verse Verse entry
+   * @param {string} language Language code
+   * @returns {Object} Verse with chapter name and localized reference
+   * @private
+   */
+  _formatVerse(verse, language) {
+    return {
+      chapter: verse.chapter,
+      verse: verse.verse,
+      chapterName: getChapterName(verse.chapter),
+      reference: this.multilingualService.formatGitaReference(verse.chapter, verse.verse, language),
+      sanskrit: verse.sanskrit,
+      translation: verse.translation,
+      purport: verse.purport
+    };
+  }
+
+  /**
+   * Build the map key for a verse
+   * @param {number} chapterNumber Chapter number
+   * @param {number} verseNumber Verse number
+   * @returns {string} Key
+   * @private
+   */
+  _key(chapterNumber, verseNumber) {
+    return `${chapterNumber}.${verseNumber}`;
+  }
+}
+
+module.exports = VerseCatalog;
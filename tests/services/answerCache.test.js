@@ -0,0 +1,115 @@
+const AnswerCache = require('../../services/answerCache');
+const RAGService = require('../../services/ragService');
+
+// Every question embeds to the same vector, so any two questions in a partition are a match
+const embeddingService = { getEmbedding: jest.fn(async () => [1, 0, 0]) };
+
+const scope = (verses = []) => ({ language: 'en', persona: 'krishna@1', style: 'concise@1', format: 'text', verses });
+
+const createCache = (options = {}) => new AnswerCache({
+  embeddingService,
+  enabled: true,
+  threshold: 0.95,
+  ttl: 60000,
+  maxEntries: 10,
+  ...options
+});
+
+describe('AnswerCache', () => {
+  test('serves a stored answer to a similar question', async () => {
+    const cache = createCache();
+    await cache.store('What is karma yoga?', scope(), { answer: 'Selfless action.' });
+
+    const hit = await cache.lookup('what is karma yoga', scope());
+    expect(hit.response.answer).toBe('Selfless action.');
+    expect(hit.similarity).toBe(1);
+  });
+
+  test('does not serve an answer about a different verse', async () => {
+    const cache = createCache();
+    await cache.store('explain 2.47', scope(['2.47']), { answer: 'About 2.47.' });
+
+    expect(await cache.lookup('explain 2.48', scope(['2.48']))).toBeNull();
+    expect((await cache.lookup('Explain 2.47!', scope(['2.47']))).response.answer).toBe('About 2.47.');
+  });
+
+  test('expired entries are not served', async () => {
+    const cache = createCache({ ttl: -1 });
+    await cache.store('What is karma yoga?', scope(), { answer: 'Selfless action.' });
+
+    expect(await cache.lookup('What is karma yoga?', scope())).toBeNull();
+    expect(cache.size).toBe(0);
+  });
+
+  test('evicts the oldest entries over the size limit', async () => {
+    const cache = createCache({ maxEntries: 2 });
+    for (const question of ['first', 'second', 'third']) {
+      await cache.store(question, scope(), { answer: question });
+    }
+
+    expect(cache.size).toBe(2);
+    expect(cache.partitions.get(cache._partitionKey(scope())).map(entry => entry.question)).toEqual(['second', 'third']);
+  });
+
+  test('invalidates by persona with or without a version', async () => {
+    const cache = createCache();
+    await cache.store('explain 2.47', scope(['2.47']), { answer: 'About 2.47.' });
+
+    expect(cache.invalidate({ persona: 'krishna' })).toBe(1);
+    expect(cache.size).toBe(0);
+  });
+
+  test('reports lookups and writes from the metrics counters', async () => {
+    const cache = createCache();
+    const before = await cache.getStats();
+
+    await cache.lookup('What is karma yoga?', scope());
+    await cache.store('What is karma yoga?', scope(), { answer: 'Selfless action.' });
+    await cache.lookup('what is karma yoga', scope());
+    cache.invalidate();
+
+    const stats = await cache.getStats();
+    expect(stats.hits - before.hits).toBe(1);
+    expect(stats.misses - before.misses).toBe(1);
+    expect(stats.stores - before.stores).toBe(1);
+    expect(stats.invalidations - before.invalidations).toBe(1);
+    expect(cache).not.toHaveProperty('stats');
+  });
+});
+
+describe('RAGService answer caching', () => {
+  const createService = () => {
+    const service = Object.create(RAGService.prototype);
+    service.answerCache = { isEnabled: () => true, store: jest.fn(async () => {}) };
+    return service;
+  };
+
+  const prepared = { cacheScope: scope(), relevantSourcesFound: true };
+
+  test('caches answers generated by the LLM', async () => {
+    const service = createService();
+    await service._cacheResponse('What is karma yoga?', prepared, { answer: 'Selfless action.', metadata: {} });
+    expect(service.answerCache.store).toHaveBeenCalled();
+  });
+
+  test('does not cache fallback answers', async () => {
+    const service = createService();
+    service.llmProvider = { isAvailable: () => false };
+
+    const llmResponse = await service._generateLLMResponse('What is karma yoga?', '', 'system');
+    expect(llmResponse.fallback).toBe(true);
+
+    await service._cacheResponse('What is karma yoga?', prepared, { answer: llmResponse.content, metadata: { fallback: true } });
+    expect(service.answerCache.store).not.toHaveBeenCalled();
+  });
+
+  test('scopes questions by the verses they cite', () => {
+    const service = createService();
+    const prompt = { persona: { id: 'krishna@1' }, style: { id: 'concise@1' } };
+    const queryOptions = { cache: true, rerank: true, format: 'text' };
+
+    expect(service._getCacheScope('explain 2.47', 'en', queryOptions, prompt).verses).toEqual(['2.47']);
+    expect(service._getCacheScope('compare 3.19 and 2.47', 'en', queryOptions, prompt).verses).toEqual(['2.47', '3.19']);
+    expect(service._getCacheScope('what is karma yoga', 'en', queryOptions, prompt).verses).toEqual([]);
+  });
+});
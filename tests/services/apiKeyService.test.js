@@ -0,0 +1,61 @@
+const ApiKeyService = require('../../services/apiKeyService');
+const { MemoryApiKeyStore } = require('../../services/apiKeyStore');
+
+const createService = () => new ApiKeyService(new MemoryApiKeyStore());
+
+describe('ApiKeyService', () => {
+  test('authenticates issued keys until they are revoked', async () => {
+    const service = createService();
+    const { key, record } = await service.issue({ name: 'mobile app', rateLimit: 5, dailyTokenQuota: 100 });
+
+    expect(key.startsWith('sk_')).toBe(true);
+    expect(ApiKeyService.toPublic(record)).not.toHaveProperty('hash');
+    expect((await service.authenticate(key)).id).toBe(record.id);
+    expect(await service.authenticate('sk_unknown')).toBeNull();
+
+    await service.revoke(record.id);
+    expect(await service.authenticate(key)).toBeNull();
+  });
+
+  test('rejects requests over the rate limit until the window resets', async () => {
+    const service = createService();
+    service.windowMs = 60000;
+    const { record } = await service.issue({ name: 'client', rateLimit: 2, dailyTokenQuota: 100 });
+
+    expect(service.consumeRequest(record)).toMatchObject({ allowed: true, remaining: 1 });
+    expect(service.consumeRequest(record)).toMatchObject({ allowed: true, remaining: 0 });
+    expect(service.consumeRequest(record)).toMatchObject({ allowed: false, remaining: 0 });
+
+    service.windows.get(record.id).resetAt = Date.now() - 1;
+    expect(service.consumeRequest(record).allowed).toBe(true);
+  });
+
+  test('counts tokens against the daily quota', async () => {
+    const service = createService();
+    const { record } = await service.issue({ name: 'client', rateLimit: 5, dailyTokenQuota: 100 });
+
+    await service.recordTokens(record.id, { total_tokens: 60 });
+    expect(service.getTokenQuota(await service.store.get(record.id))).toMatchObject({ exceeded: false, used: 60, remaining: 40 });
+
+    // The request that crosses the quota is still answered; the next one is refused
+    await service.recordTokens(record.id, { total_tokens: 60 });
+    expect(service.getTokenQuota(await service.store.get(record.id))).toMatchObject({ exceeded: true, used: 120, remaining: 0 });
+  });
+
+  test('usage from a previous day does not count', async () => {
+    const service = createService();
+    const { record } = await service.issue({ name: 'client', rateLimit: 5, dailyTokenQuota: 100 });
+    record.usage = { day: '2000-01-01', tokens: 500 };
+
+    expect(service.getTokenQuota(record).used).toBe(0);
+    await service.store.save(record);
+    expect((await service.recordTokens(record.id, { total_tokens: 10 })).usage.tokens).toBe(10);
+  });
+
+  test('ignores responses without token usage', async () => {
+    const service = createService();
+    const { record } = await service.issue({ name: 'client', rateLimit: 5, dailyTokenQuota: 100 });
+
+    expect(await service.recordTokens(record.id, null)).toBeNull();
+  });
+});
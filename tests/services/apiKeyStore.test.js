@@ -0,0 +1,41 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ApiKeyService = require('../../services/apiKeyService');
+const { FileApiKeyStore } = require('../../services/apiKeyStore');
+
+describe('FileApiKeyStore', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-key-store-'));
+    filePath = path.join(dir, 'api_keys.json');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('writes to a temporary file and renames it into place', async () => {
+    const writeFile = jest.spyOn(fs.promises, 'writeFile');
+    const { record } = await new ApiKeyService(new FileApiKeyStore({ filePath })).issue({ name: 'client' });
+
+    expect(writeFile.mock.calls[0][0]).toBe(`${filePath}.${process.pid}.tmp`);
+    expect(fs.readdirSync(dir)).toEqual(['api_keys.json']);
+    expect(await new FileApiKeyStore({ filePath }).get(record.id)).toMatchObject({ id: record.id, name: 'client' });
+  });
+
+  test('issuing fails when the key cannot be saved', async () => {
+    const service = new ApiKeyService(new FileApiKeyStore({ filePath }));
+    jest.spyOn(fs.promises, 'rename').mockRejectedValueOnce(new Error('EROFS: read-only file system'));
+
+    await expect(service.issue({ name: 'client' })).rejects.toThrow('EROFS');
+    expect(await service.list()).toEqual([]);
+
+    // The failed write does not block later ones
+    const { key } = await service.issue({ name: 'retry' });
+    expect((await service.authenticate(key)).name).toBe('retry');
+  });
+});
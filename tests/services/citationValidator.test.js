@@ -0,0 +1,72 @@
+const CitationValidator = require('../../services/citationValidator');
+
+// Catalog holding only the verses processed_gita.json would contain in these tests
+const verseCatalog = {
+  verses: new Set(['2.47', '3.19', '18.66']),
+  isAvailable: async () => true,
+  getVerse: async (chapter, verse) => (verseCatalog.verses.has(`${chapter}.${verse}`) ? { chapter, verse } : null)
+};
+
+const retrieved = [
+  { content: 'You have a right to perform your duty...', metadata: { chapter: 2, verse: 47 } },
+  { content: 'Abandon all varieties of dharma...', metadata: { chapter: 18, verse: 66 } }
+];
+
+const createValidator = (options = {}) => new CitationValidator({ verseCatalog, mode: 'flag', stripUnsupported: false, ...options });
+
+describe('CitationValidator', () => {
+  test('verifies citations of retrieved verses', async () => {
+    const { answer, citations } = await createValidator().validate('As I say in Chapter 2, Verse 47, act without attachment.', retrieved);
+
+    expect(answer).toBe('As I say in Chapter 2, Verse 47, act without attachment.');
+    expect(citations.verified).toEqual(['2.47']);
+    expect(citations.flagged).toEqual([]);
+  });
+
+  test('flags real verses that were not retrieved and verses that do not exist', async () => {
+    const { citations } = await createValidator().validate('See 3.19 and Chapter 2, Verse 99.', retrieved);
+
+    expect(citations.flagged).toEqual([
+      expect.objectContaining({ reference: '3.19', reason: 'not_in_sources', stripped: false }),
+      expect.objectContaining({ reference: '2.99', reason: 'nonexistent', stripped: false })
+    ]);
+  });
+
+  test('flags verses missing from the catalog as nonexistent', async () => {
+    const { citations } = await createValidator().validate('Remember 4.7.', retrieved);
+    expect(citations.flagged[0]).toMatchObject({ reference: '4.7', reason: 'nonexistent' });
+  });
+
+  test('strip mode removes nonexistent verses but keeps unsupported ones by default', async () => {
+    const { answer, citations } = await createValidator({ mode: 'strip' })
+      .validate('As taught in Chapter 2, Verse 99, and in 3.19, act selflessly.', retrieved);
+
+    expect(answer).toBe('As taught in the Gita, and in 3.19, act selflessly.');
+    expect(citations.flagged.find(citation => citation.reference === '2.99').stripped).toBe(true);
+    expect(citations.flagged.find(citation => citation.reference === '3.19').stripped).toBe(false);
+  });
+
+  test('strip mode drops parenthesized references entirely', async () => {
+    const { answer } = await createValidator({ mode: 'strip', stripUnsupported: true })
+      .validate('Act without attachment (BG 3.19) and be free.', retrieved);
+
+    expect(answer).toBe('Act without attachment and be free.');
+  });
+
+  test('strip mode leaves measurements and times alone', async () => {
+    const text = 'Meditate for 1.5 hours and begin at 10:30 each day.';
+    const { answer, citations } = await createValidator({ mode: 'strip', stripUnsupported: true }).validate(text, retrieved);
+
+    expect(answer).toBe(text);
+    expect(citations.flagged).toEqual([]);
+  });
+
+  test('validates segments separately and merges their citations', async () => {
+    const { segments, citations } = await createValidator({ mode: 'strip' })
+      .validateSegments(['Duty comes first (2.47).', 'Surrender, says Chapter 18, Verse 99.'], retrieved);
+
+    expect(segments).toEqual(['Duty comes first (2.47).', 'Surrender, says the Gita.']);
+    expect(citations.verified).toEqual(['2.47']);
+    expect(citations.flagged.map(citation => citation.reference)).toEqual(['18.99']);
+  });
+});
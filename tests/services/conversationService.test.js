@@ -0,0 +1,53 @@
+const ConversationService = require('../../services/conversationService');
+const { MemoryConversationStore } = require('../../services/conversationStore');
+
+describe('ConversationService ownership', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new ConversationService(new MemoryConversationStore());
+  });
+
+  test('anonymous conversations are only readable with their access token', async () => {
+    const { conversation, accessToken } = await service.createConversation({ title: 'Duty' });
+
+    expect(accessToken).toMatch(/^ct_/);
+    expect(await service.getConversation(conversation.id, { accessToken })).toBe(conversation);
+    expect(await service.getConversation(conversation.id, {})).toBeNull();
+    expect(await service.getConversation(conversation.id, { accessToken: 'ct_wrong' })).toBeNull();
+    expect(await service.getConversation(conversation.id, { apiKeyId: 'some-key' })).toBeNull();
+  });
+
+  test('key-owned conversations are only readable with the same key', async () => {
+    const { conversation, accessToken } = await service.createConversation({ apiKeyId: 'key-1' });
+
+    expect(accessToken).toBeNull();
+    expect(await service.getConversation(conversation.id, { apiKeyId: 'key-1' })).toBe(conversation);
+    expect(await service.getConversation(conversation.id, { apiKeyId: 'key-2' })).toBeNull();
+    expect(await service.getConversation(conversation.id)).toBeNull();
+  });
+
+  test('only the owner can delete a conversation', async () => {
+    const { conversation, accessToken } = await service.createConversation();
+
+    expect(await service.deleteConversation(conversation.id, { accessToken: 'ct_other' })).toBe(false);
+    expect(await service.store.get(conversation.id)).not.toBeNull();
+
+    expect(await service.deleteConversation(conversation.id, { accessToken })).toBe(true);
+    expect(await service.store.get(conversation.id)).toBeNull();
+  });
+
+  test('conversations without an owner are not accessible', async () => {
+    await service.store.save({ id: 'legacy', messages: [], updatedAt: new Date().toISOString() });
+    expect(await service.getConversation('legacy', {})).toBeNull();
+  });
+
+  test('public views and admin summaries do not expose the token hash', async () => {
+    const { conversation } = await service.createConversation();
+
+    expect(ConversationService.toPublic(conversation)).not.toHaveProperty('owner');
+    const [summary] = await service.listConversations();
+    expect(summary).not.toHaveProperty('owner');
+    expect(summary.apiKeyId).toBeNull();
+  });
+});
@@ -0,0 +1,44 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileConversationStore } = require('../../services/conversationStore');
+
+const conversation = (id) => ({ id, title: `conversation ${id}`, messages: [], updatedAt: new Date().toISOString() });
+
+describe('FileConversationStore', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'conversation-store-'));
+    filePath = path.join(dir, 'conversations.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('writes to a temporary file and renames it into place', async () => {
+    const store = new FileConversationStore({ filePath });
+    const writeFile = jest.spyOn(fs.promises, 'writeFile');
+
+    await store.save(conversation('a'));
+
+    expect(writeFile.mock.calls[0][0]).toBe(`${filePath}.${process.pid}.tmp`);
+    writeFile.mockRestore();
+    expect(fs.readdirSync(dir)).toEqual(['conversations.json']);
+    expect((await new FileConversationStore({ filePath }).get('a')).title).toBe('conversation a');
+  });
+
+  test('a failed write leaves the previous file intact', async () => {
+    const store = new FileConversationStore({ filePath });
+    await store.save(conversation('a'));
+
+    const rename = jest.spyOn(fs.promises, 'rename').mockRejectedValueOnce(new Error('disk full'));
+    await store.save(conversation('b'));
+    rename.mockRestore();
+
+    const reloaded = new FileConversationStore({ filePath });
+    expect((await reloaded.list()).map(saved => saved.id)).toEqual(['a']);
+  });
+});
@@ -0,0 +1,49 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileEmbeddingCache, createEmbeddingCache, flushEmbeddingCaches } = require('../../services/embeddingCache');
+
+describe('FileEmbeddingCache', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'embedding-cache-'));
+    filePath = path.join(dir, 'embedding_cache.json');
+  });
+
+  afterEach(() => {
+    delete process.env.EMBEDDING_CACHE_STORE;
+    delete process.env.EMBEDDING_CACHE_PATH;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('writes to a temporary file and renames it into place', async () => {
+    const cache = new FileEmbeddingCache({ filePath });
+    const writeFile = jest.spyOn(fs.promises, 'writeFile');
+
+    await cache.set('a', [0.5, 0.25]);
+    await cache.flush();
+
+    expect(writeFile).toHaveBeenCalledTimes(1);
+    expect(writeFile.mock.calls[0][0]).toBe(`${filePath}.${process.pid}.tmp`);
+    writeFile.mockRestore();
+    expect(fs.readdirSync(dir)).toEqual(['embedding_cache.json']);
+
+    const reloaded = new FileEmbeddingCache({ filePath });
+    expect(await reloaded.get('a')).toEqual([0.5, 0.25]);
+  });
+
+  test('flushEmbeddingCaches writes pending entries without waiting for the debounce', async () => {
+    process.env.EMBEDDING_CACHE_STORE = 'file';
+    process.env.EMBEDDING_CACHE_PATH = filePath;
+
+    const cache = createEmbeddingCache();
+    await cache.set('a', [1, 0]);
+    expect(fs.existsSync(filePath)).toBe(false);
+
+    await flushEmbeddingCaches();
+    expect(cache.flushTimer).toBeNull();
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).entries.map(([key]) => key)).toEqual(['a']);
+  });
+});
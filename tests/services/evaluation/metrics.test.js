@@ -0,0 +1,45 @@
+const {
+  rankedVerses,
+  recallAtK,
+  reciprocalRank,
+  citationAccuracy,
+  answerSimilarity,
+  mean
+} = require('../../../services/evaluation/metrics');
+
+const source = (chapter, verse) => ({ metadata: { chapter, verse } });
+
+describe('evaluation metrics', () => {
+  test('rankedVerses collapses passages of the same verse to its best rank', () => {
+    const sources = [source(2, 47), source(3, 19), source(2, 47), { metadata: {} }, source(18, 66)];
+    expect(rankedVerses(sources)).toEqual(['2.47', '3.19', '18.66']);
+  });
+
+  test('recallAtK counts expected verses within the cutoff', () => {
+    expect(recallAtK(['2.47', '3.19', '18.66'], ['2.47', '18.66'], 2)).toBe(0.5);
+    expect(recallAtK(['2.47'], [], 5)).toBeNull();
+  });
+
+  test('reciprocalRank uses the first expected verse', () => {
+    expect(reciprocalRank(['3.19', '2.47'], ['2.47'])).toBe(0.5);
+    expect(reciprocalRank(['3.19'], ['2.47'])).toBe(0);
+    expect(reciprocalRank(['3.19'], [])).toBeNull();
+  });
+
+  test('citationAccuracy counts nonexistent verses against the answer', () => {
+    const result = citationAccuracy('As in Chapter 2, Verse 47 and Chapter 2, Verse 99.', ['2.47']);
+    expect(result).toEqual({ cited: ['2.47'], correct: ['2.47'], nonexistent: 1, accuracy: 0.5 });
+    expect(citationAccuracy('No citations here.', ['2.47']).accuracy).toBeNull();
+  });
+
+  test('answerSimilarity is a token F1', () => {
+    expect(answerSimilarity('perform your duty', 'perform your duty')).toBeCloseTo(1);
+    expect(answerSimilarity('perform your duty', 'surrender to me')).toBe(0);
+    expect(answerSimilarity('anything', '')).toBeNull();
+  });
+
+  test('mean ignores missing values', () => {
+    expect(mean([1, null, 0.5])).toBe(0.75);
+    expect(mean([null])).toBeNull();
+  });
+});
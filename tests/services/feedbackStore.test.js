@@ -0,0 +1,75 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileFeedbackStore } = require('../../services/feedbackStore');
+
+const record = (id, feedback = null) => ({ id, question: `question ${id}`, answer: 'answer', feedback });
+
+const readLines = (filePath) => fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+describe('FileFeedbackStore', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feedback-store-'));
+    filePath = path.join(dir, 'feedback.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('appends a line per save instead of rewriting the file', async () => {
+    const store = new FileFeedbackStore({ filePath });
+    const writeFile = jest.spyOn(fs.promises, 'writeFile');
+
+    await store.save(record('a'));
+    await store.save(record('b'));
+    await store.save(record('a', { rating: 'up' }));
+
+    expect(writeFile).not.toHaveBeenCalled();
+    writeFile.mockRestore();
+    expect(readLines(filePath).map(line => line.id)).toEqual(['a', 'b', 'a']);
+  });
+
+  test('the last line for a record wins and the file is compacted on load', async () => {
+    const store = new FileFeedbackStore({ filePath });
+    await store.save(record('a'));
+    await store.save(record('a', { rating: 'down' }));
+
+    const reloaded = new FileFeedbackStore({ filePath });
+    expect((await reloaded.get('a')).feedback).toEqual({ rating: 'down' });
+    await reloaded.writeQueue;
+    expect(readLines(filePath)).toHaveLength(1);
+  });
+
+  test('converts files written as a JSON array', async () => {
+    fs.writeFileSync(filePath, JSON.stringify([record('a'), record('b')], null, 2));
+
+    const store = new FileFeedbackStore({ filePath });
+    expect((await store.list()).map(saved => saved.id)).toEqual(['a', 'b']);
+    await store.writeQueue;
+    expect(readLines(filePath).map(line => line.id)).toEqual(['a', 'b']);
+  });
+
+  test('migrates the feedback.json written by earlier versions', async () => {
+    const legacyPath = path.join(dir, 'feedback.json');
+    fs.writeFileSync(legacyPath, JSON.stringify([record('a'), record('b', { rating: 'up' })], null, 2));
+
+    const store = new FileFeedbackStore({ filePath });
+    expect((await store.get('b')).feedback).toEqual({ rating: 'up' });
+    await store.writeQueue;
+    expect(readLines(filePath).map(line => line.id)).toEqual(['a', 'b']);
+  });
+
+  test('keeps only the newest records up to the cap when loading', async () => {
+    const store = new FileFeedbackStore({ filePath, maxRecords: 10 });
+    for (const id of ['a', 'b', 'c']) {
+      await store.save(record(id));
+    }
+
+    const reloaded = new FileFeedbackStore({ filePath, maxRecords: 2 });
+    expect((await reloaded.list()).map(saved => saved.id)).toEqual(['b', 'c']);
+  });
+});
@@ -0,0 +1,92 @@
+const HybridRetriever = require('../../services/hybridRetriever');
+const RAGService = require('../../services/ragService');
+
+const passage = (id, score) => ({ id, original_id: id, content: `passage ${id}`, metadata: {}, score });
+
+/**
+ * Build a hybrid retriever over fixed vector and lexical rankings
+ * @param {Array} vectorResults Vector results, best first
+ * @param {Array} lexicalResults Lexical results, best first
+ * @returns {HybridRetriever} Retriever
+ */
+const createRetriever = (vectorResults, lexicalResults) => {
+  const vectorStore = {
+    search: jest.fn(async () => vectorResults),
+    _buildQdrantFilter: () => null
+  };
+  const lexicalIndex = { size: 10, search: jest.fn(() => lexicalResults) };
+
+  const retriever = new HybridRetriever(vectorStore, lexicalIndex);
+  retriever.mode = 'hybrid';
+  retriever.rrfK = 60;
+  retriever.defaultWeights = { vector: 1, lexical: 1 };
+  return retriever;
+};
+
+describe('HybridRetriever fusion', () => {
+  test('a passage ranked first by both retrievers scores 1', async () => {
+    const retriever = createRetriever([passage('a', 0.8), passage('b', 0.6)], [passage('a', 12), passage('c', 4)]);
+    const [top] = await retriever.search('karma yoga', 5);
+
+    expect(top.id).toBe('a');
+    expect(top.score).toBeCloseTo(1);
+    expect(top.retrieval).toMatchObject({ vectorRank: 1, lexicalRank: 1 });
+  });
+
+  test('ranks passages found by both retrievers above single-retriever hits', async () => {
+    const retriever = createRetriever([passage('a', 0.8), passage('b', 0.7)], [passage('c', 9), passage('b', 8)]);
+    const results = await retriever.search('karma yoga', 5);
+
+    expect(results.map(result => result.id)).toEqual(['b', 'a', 'c']);
+  });
+
+  test('keeps the raw vector similarity, null for lexical-only hits', async () => {
+    const retriever = createRetriever([passage('a', 0.42)], [passage('c', 3)]);
+    const results = await retriever.search('karma yoga', 5);
+
+    expect(results.find(result => result.id === 'a').similarity).toBe(0.42);
+    expect(results.find(result => result.id === 'c').similarity).toBeNull();
+  });
+
+  test('off-topic queries are not treated as relevant despite high fused scores', async () => {
+    const retriever = createRetriever(
+      [passage('a', 0.08), passage('b', 0.05)],
+      [passage('b', 0.4), passage('a', 0.2)]
+    );
+    const results = await retriever.search('best pizza in town', 5);
+    const rag = Object.create(RAGService.prototype);
+
+    // Every fused score clears the default 0.3 threshold even though nothing is similar
+    expect(results.every(result => result.score >= 0.3)).toBe(true);
+    expect(results.some(result => rag._getRelevanceScore(result) >= 0.3)).toBe(false);
+  });
+
+  test('plain vector results are judged on their score', () => {
+    const rag = Object.create(RAGService.prototype);
+    expect(rag._getRelevanceScore(passage('a', 0.55))).toBe(0.55);
+  });
+});
+
+describe('Index reload', () => {
+  test('rebuilds the lexical index only in hybrid mode', async () => {
+    const retriever = createRetriever([], []);
+    retriever.lexicalIndex.loadFromProcessedData = jest.fn(async () => 7);
+
+    expect(await retriever.reload()).toBe(7);
+    expect(retriever.lexicalIndex.loadFromProcessedData).toHaveBeenCalledWith(retriever.processedDataPath);
+
+    retriever.mode = 'vector';
+    expect(await retriever.reload()).toBe(0);
+    expect(retriever.lexicalIndex.loadFromProcessedData).toHaveBeenCalledTimes(1);
+  });
+
+  test('RAGService reload rebuilds the lexical index and clears cached answers', async () => {
+    const rag = Object.create(RAGService.prototype);
+    rag.vectorStore = { getPointCount: jest.fn(async () => 42) };
+    rag.retriever = { reload: jest.fn(async () => 40) };
+    rag.answerCache = { invalidate: jest.fn(() => 3) };
+
+    expect(await rag.reloadIndexes()).toEqual({ documentCount: 42, lexicalDocuments: 40, cachedAnswersRemoved: 3 });
+    expect(rag.vectorStoreAvailable).toBe(true);
+  });
+});
@@ -0,0 +1,65 @@
+const LexicalIndex = require('../../services/lexicalIndex');
+const RAGService = require('../../services/ragService');
+
+const nodes = [
+  { id: 'BG2.47', text: 'You have a right to your prescribed duties', metadata: { chapter: 2 } },
+  { id: 'BG2.48', text: 'Perform your duty equipoised, abandoning attachment', metadata: { chapter: 2 } },
+  { id: 7, text: 'The steady wisdom of the sthita-prajna', metadata: { chapter: 2 } }
+];
+
+const createIndex = () => {
+  const index = new LexicalIndex();
+  index.addNodes(nodes);
+  return index;
+};
+
+describe('LexicalIndex updates', () => {
+  test('replaces and removes documents by id', () => {
+    const index = createIndex();
+
+    expect(index.updateDocuments([{ id: 'BG2.47', text: 'Renounce the fruits of action', metadata: {} }], ['7'])).toBe(2);
+    expect(index.size).toBe(2);
+    expect(index.search('fruits').map(result => result.id)).toEqual(['BG2.47']);
+    expect(index.search('duties')).toEqual([]);
+    expect(index.search('sthita-prajna')).toEqual([]);
+  });
+
+  test('ignores ids that are not indexed', () => {
+    const index = createIndex();
+
+    expect(index.updateDocuments([{ id: 'BG18.66', text: 'Abandon all varieties of dharma' }], ['BG3.1'])).toBe(0);
+    expect(index.size).toBe(3);
+    expect(index.search('dharma')).toEqual([]);
+  });
+});
+
+describe('RAGService point changes', () => {
+  const createService = () => {
+    const service = Object.create(RAGService.prototype);
+    service.vectorStore = { collectionName: 'gita' };
+    service.retriever = { lexicalIndex: createIndex() };
+    service.answerCache = { invalidate: jest.fn(() => 4) };
+    return service;
+  };
+
+  test('refreshes lexical documents by node id and clears cached answers', () => {
+    const service = createService();
+    const removed = service.applyPointChanges({
+      collectionName: 'gita',
+      updated: [{ id: 11, originalId: 'BG2.48', text: 'Yoga is evenness of mind', metadata: { chapter: 2 } }],
+      removed: [{ id: 7, originalId: null }]
+    });
+
+    expect(removed).toBe(4);
+    expect(service.retriever.lexicalIndex.search('evenness').map(result => result.id)).toEqual(['BG2.48']);
+    expect(service.retriever.lexicalIndex.size).toBe(2);
+  });
+
+  test('ignores changes to other collections', () => {
+    const service = createService();
+
+    expect(service.applyPointChanges({ collectionName: 'gita_v2', updated: [], removed: [{ id: 7, originalId: null }] })).toBe(0);
+    expect(service.answerCache.invalidate).not.toHaveBeenCalled();
+    expect(service.retriever.lexicalIndex.size).toBe(3);
+  });
+});
@@ -0,0 +1,32 @@
+const axios = require('axios');
+const OpenAICompatibleProvider = require('../../../services/llm/openaiCompatibleProvider');
+
+/**
+ * Encode server-sent events for the given tokens as the provider's stream would send them
+ * @param {Array<string>} tokens Tokens
+ * @returns {Buffer} Event stream bytes
+ */
+const encodeEvents = (tokens) => Buffer.from(
+  tokens.map(token => `data: ${JSON.stringify({ choices: [{ delta: { content: token } }] })}\n\n`).join('') + 'data: [DONE]\n\n',
+  'utf8'
+);
+
+describe('OpenAICompatibleProvider streaming', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps multibyte characters split across network chunks intact', async () => {
+    const bytes = encodeEvents(['कर्मण्येवाधिकारस्ते']);
+    // Split inside the three-byte encoding of the first Devanagari character
+    const split = bytes.indexOf(Buffer.from('क', 'utf8')) + 1;
+    jest.spyOn(axios, 'post').mockResolvedValue({ data: [bytes.subarray(0, split), bytes.subarray(split)] });
+
+    const provider = new OpenAICompatibleProvider({ model: 'test', baseUrl: 'http://localhost:1/v1' });
+    const tokens = [];
+    const { content } = await provider.stream({ messages: [] }, token => tokens.push(token));
+
+    expect(content).toBe('कर्मण्येवाधिकारस्ते');
+    expect(tokens.join('')).not.toContain('�');
+  });
+});
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalQdrantClient = require('../../services/localQdrantClient');
+
+const point = (id, vector = [1, 0, 0]) => ({ id, vector, payload: { text: `passage ${id}` } });
+
+describe('LocalQdrantClient persistence', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-qdrant-'));
+    filePath = path.join(dir, 'vectors.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('buffers point upserts until flush and then writes them once', async () => {
+    const client = new LocalQdrantClient({ filePath });
+    await client.createCollection('gita', { vectors: { size: 3 } });
+    const writeFile = jest.spyOn(fs.promises, 'writeFile');
+
+    await client.upsert('gita', { points: [point(1)] });
+    await client.upsert('gita', { points: [point(2)] });
+    expect(writeFile).not.toHaveBeenCalled();
+
+    await client.flush();
+    expect(writeFile).toHaveBeenCalledTimes(1);
+    writeFile.mockRestore();
+
+    const reloaded = new LocalQdrantClient({ filePath });
+    const { points } = await reloaded.scroll('gita', { limit: 10 });
+    expect(points.map(p => p.id)).toEqual([1, 2]);
+  });
+
+  test('writes through a temporary file and leaves none behind', async () => {
+    const client = new LocalQdrantClient({ filePath });
+    await client.createCollection('gita', { vectors: { size: 3 } });
+    await client.upsert('gita', { points: [point(1)] });
+    await client.flush();
+
+    expect(fs.readdirSync(dir)).toEqual(['vectors.json']);
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).collections.gita.points).toHaveLength(1);
+  });
+
+  test('rejects on write errors and keeps the changes pending', async () => {
+    // A file where the parent directory should be makes every write fail
+    const blocked = path.join(dir, 'blocker');
+    fs.writeFileSync(blocked, '');
+    const client = new LocalQdrantClient({ filePath: path.join(blocked, 'vectors.json') });
+
+    await expect(client.createCollection('gita', { vectors: { size: 3 } })).rejects.toThrow();
+    expect(client.dirty).toBe(true);
+    await expect(client.flush()).rejects.toThrow();
+  });
+
+  test('flush is a no-op when nothing changed', async () => {
+    const client = new LocalQdrantClient({ filePath });
+    await client.flush();
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+});
@@ -0,0 +1,60 @@
+const RAGService = require('../../services/ragService');
+const MockLLMProvider = require('../../services/llm/mockProvider');
+
+/**
+ * Call _streamLLMResponse on a minimal service so only the streaming path is exercised
+ * @param {string} response Raw LLM output
+ * @returns {Promise<Object>} { tokens, result }
+ */
+const streamWith = async (response, { signal = null, onToken = null } = {}) => {
+  const service = Object.create(RAGService.prototype);
+  Object.assign(service, {
+    llmProvider: new MockLLMProvider({ response }),
+    timeout: 5000,
+    maxTokens: 256,
+    temperature: 0.5,
+    _buildLLMMessages: () => [{ role: 'user', content: 'What is my duty?' }]
+  });
+
+  const tokens = [];
+  const result = await service._streamLLMResponse(
+    'What is my duty?', '', 'system', 0.5, [], token => {
+      tokens.push(token);
+      if (onToken) onToken(token);
+    },
+    { prompt: { style: { allowLongAnswers: true } }, signal }
+  );
+  return { tokens, result };
+};
+
+describe('RAGService streaming', () => {
+  test('does not stream the reasoning block of reasoning models', async () => {
+    const { tokens, result } = await streamWith('<think>The seeker asks about duty, I should cite 2.47.</think>\n\nPerform your duty without attachment.');
+
+    expect(tokens.join('')).toBe('Perform your duty without attachment.');
+    expect(tokens.join('')).not.toContain('seeker asks');
+    expect(result.content).toBe('Perform your duty without attachment.');
+  });
+
+  test('streams answers without reasoning unchanged', async () => {
+    const { tokens } = await streamWith('Act with a steady mind.');
+    expect(tokens.join('')).toBe('Act with a steady mind.');
+  });
+
+  test('stops generating once the caller aborts', async () => {
+    const controller = new AbortController();
+    const streamed = streamWith('Perform your duty without attachment to its fruits.', {
+      signal: controller.signal,
+      onToken: () => controller.abort()
+    });
+
+    await expect(streamed).rejects.toThrow('LLM response cancelled');
+  });
+
+  test('does not start generating for an already aborted signal', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(streamWith('Act with a steady mind.', { signal: controller.signal })).rejects.toThrow('LLM response cancelled');
+  });
+});
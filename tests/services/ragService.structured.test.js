@@ -0,0 +1,13 @@
+const RAGService = require('../../services/ragService');
+
+describe('RAGService structured answers', () => {
+  const service = Object.create(RAGService.prototype);
+  service.multilingualService = { formatGitaReference: (chapter, verse) => `${chapter}.${verse}` };
+
+  test('cleans paragraphs when the reply is not structured', () => {
+    const content = '<think>They ask about {duty}.</think>\n\nKrishna says: **Act** without attachment.\n\nAnswer: Surrender to me.';
+    const { segments } = service._buildStructuredAnswer(content, [], 'en');
+
+    expect(segments.map(segment => segment.text)).toEqual(['Act without attachment.', 'Surrender to me.']);
+  });
+});
@@ -0,0 +1,42 @@
+const { LLMReranker, createReranker } = require('../../../services/rerankers');
+const MockLLMProvider = require('../../../services/llm/mockProvider');
+
+const passages = ['You have a right to perform your duty...', 'The soul is never born nor dies...'];
+
+describe('LLMReranker', () => {
+  test('reads the scores after a reasoning block', async () => {
+    const llmProvider = new MockLLMProvider({
+      response: '<think>The question is about duty, so [1] fits and passage 2 {the soul} does not.</think>\n[9, 2]'
+    });
+    const reranker = new LLMReranker({ llmProvider });
+
+    expect(await reranker.score('What is my duty?', passages)).toEqual([0.9, 0.2]);
+  });
+
+  test('gives the judge a budget large enough to finish reasoning', async () => {
+    const llmProvider = new MockLLMProvider({ response: '[5, 5]' });
+    const complete = jest.spyOn(llmProvider, 'complete');
+
+    await new LLMReranker({ llmProvider, maxTokens: 4096 }).score('What is my duty?', passages);
+    expect(complete.mock.calls[0][0].maxTokens).toBe(4096);
+  });
+
+  test('fails with a clear error when the reasoning block is cut off', async () => {
+    const llmProvider = new MockLLMProvider({ response: '<think>Passage 1 talks about duty, which is [' });
+    const reranker = new LLMReranker({ llmProvider, maxTokens: 512 });
+
+    await expect(reranker.score('What is my duty?', passages)).rejects.toThrow(/ran out of tokens while reasoning \(maxTokens 512\)/);
+  });
+
+  test('uses a separate judge model when one is configured', () => {
+    const llmProvider = new MockLLMProvider({ model: 'deepseek-r1-distill-llama-70b' });
+
+    const shared = createReranker({ llmProvider, overrides: { provider: 'llm', llmModel: '' } });
+    expect(shared.llmProvider).toBe(llmProvider);
+
+    const judge = createReranker({ llmProvider, overrides: { provider: 'llm', llmModel: 'llama-3.1-8b-instant', llmMaxTokens: 256 } });
+    expect(judge.llmProvider).not.toBe(llmProvider);
+    expect(judge.model).toBe('llama-3.1-8b-instant');
+    expect(judge.maxTokens).toBe(256);
+  });
+});
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const UsageLedger = require('../../services/usageLedger');
+const { MemoryUsageStore } = require('../../services/usageStore');
+
+// Days relative to today so entries stay inside the store's retention period
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+const yesterday = daysAgo(1);
+const today = daysAgo(0);
+
+const entry = (fields) => ({
+  id: null,
+  timestamp: `${yesterday}T12:00:00.000Z`,
+  apiKeyId: null,
+  endpoint: '/api/query',
+  model: 'llama-3.3-70b-versatile',
+  embeddingModel: null,
+  promptTokens: 0,
+  completionTokens: 0,
+  embeddingTokens: 0,
+  cached: false,
+  cost: 0,
+  ...fields
+});
+
+describe('UsageLedger', () => {
+  let dir;
+  let priceTablePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-ledger-'));
+    priceTablePath = path.join(dir, 'prices.json');
+    fs.writeFileSync(priceTablePath, JSON.stringify({
+      currency: 'USD',
+      models: {
+        'llama-3.3-70b-versatile': { prompt: 0.5, completion: 1 },
+        'text-embedding-3-small': { embedding: 0.02 }
+      }
+    }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const createLedger = () => new UsageLedger({ store: new MemoryUsageStore(), priceTablePath });
+
+  test('estimates cost from prices per million tokens', async () => {
+    const cost = await createLedger().estimateCost({
+      model: 'llama-3.3-70b-versatile',
+      promptTokens: 2000,
+      completionTokens: 1000,
+      embeddingModel: 'text-embedding-3-small',
+      embeddingTokens: 50000
+    });
+
+    expect(cost).toBeCloseTo(0.003);
+  });
+
+  test('leaves the cost unknown for unpriced models that used tokens', async () => {
+    const ledger = createLedger();
+
+    expect(await ledger.estimateCost({ model: 'mystery-model', promptTokens: 10, completionTokens: 5 })).toBeNull();
+    expect(await ledger.estimateCost({ model: 'mystery-model', promptTokens: 0, completionTokens: 0 })).toBe(0);
+  });
+
+  test('records token usage from the LLM response', async () => {
+    const ledger = createLedger();
+    const recorded = await ledger.record({
+      responseId: 'r1',
+      apiKeyId: 'key-1',
+      endpoint: '/api/query',
+      model: 'llama-3.3-70b-versatile',
+      tokenUsage: { prompt_tokens: 1000, completion_tokens: 500, total_tokens: 1500 }
+    });
+
+    expect(recorded).toMatchObject({ id: 'r1', apiKeyId: 'key-1', promptTokens: 1000, completionTokens: 500, cost: 0.001 });
+    expect(await ledger.store.list()).toHaveLength(1);
+  });
+
+  test('reports usage grouped by day, key and model', async () => {
+    const ledger = createLedger();
+    await ledger.store.append(entry({ apiKeyId: 'key-1', promptTokens: 100, cost: 0.5 }));
+    await ledger.store.append(entry({ apiKeyId: 'key-1', completionTokens: 50, cost: 0.25, cached: true }));
+    await ledger.store.append(entry({ timestamp: `${today}T00:00:00.000Z`, promptTokens: 10, cost: null }));
+
+    const report = await ledger.report();
+
+    expect(report.currency).toBe('USD');
+    expect(report.groups).toEqual([
+      expect.objectContaining({ day: yesterday, key: 'key-1', model: 'llama-3.3-70b-versatile', requests: 2, cachedRequests: 1, totalTokens: 150, cost: 0.75 }),
+      expect.objectContaining({ day: today, key: 'anonymous', requests: 1, unpricedRequests: 1, cost: 0 })
+    ]);
+    expect(report.totals).toMatchObject({ requests: 3, totalTokens: 160, cost: 0.75, unpricedRequests: 1 });
+  });
+
+  test('filters reports by day range and key', async () => {
+    const ledger = createLedger();
+    await ledger.store.append(entry({ apiKeyId: 'key-1', promptTokens: 100 }));
+    await ledger.store.append(entry({ apiKeyId: 'key-2', promptTokens: 200 }));
+    await ledger.store.append(entry({ apiKeyId: 'key-1', timestamp: `${daysAgo(5)}T08:00:00.000Z`, promptTokens: 300 }));
+
+    const report = await ledger.report({ from: daysAgo(2), to: today, apiKeyId: 'key-1', groupBy: ['key'] });
+
+    expect(report.groups).toEqual([expect.objectContaining({ key: 'key-1', requests: 1, promptTokens: 100 })]);
+  });
+});
@@ -0,0 +1,51 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const configService = require('../../utils/configService');
+const { FileUsageStore } = require('../../services/usageStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const entry = (id, daysAgo) => ({ id, timestamp: new Date(Date.now() - daysAgo * DAY_MS).toISOString() });
+
+describe('FileUsageStore', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-store-'));
+    filePath = path.join(dir, 'usage.jsonl');
+  });
+
+  afterEach(() => {
+    delete process.env.VERCEL;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('drops expired entries as new ones are appended', async () => {
+    const store = new FileUsageStore({ filePath, retentionDays: 30 });
+    await store.append(entry('old', 20));
+
+    // A long-running process keeps appending after the first entry ages out
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 15 * DAY_MS);
+    await store.append(entry('new', 0));
+    Date.now.mockRestore();
+
+    expect((await store.list()).map(e => e.id)).toEqual(['new']);
+  });
+
+  test('compacts expired entries on load', async () => {
+    fs.writeFileSync(filePath, [entry('old', 40), entry('new', 1)].map(e => `${JSON.stringify(e)}\n`).join(''));
+
+    const store = new FileUsageStore({ filePath, retentionDays: 30 });
+    expect((await store.list()).map(e => e.id)).toEqual(['new']);
+    await store.writeQueue;
+    expect(fs.readdirSync(dir)).toEqual(['usage.jsonl']);
+    expect(fs.readFileSync(filePath, 'utf8').trim().split('\n')).toHaveLength(1);
+  });
+
+  test('defaults to /tmp on Vercel', () => {
+    process.env.VERCEL = '1';
+    expect(configService.get('usage.filePath')).toBe('/tmp/usage.jsonl');
+  });
+});
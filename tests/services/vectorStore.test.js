@@ -0,0 +1,57 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const VectorStore = require('../../services/vectorStore');
+const LocalQdrantClient = require('../../services/localQdrantClient');
+
+describe('VectorStore point change events', () => {
+  let dir;
+  let store;
+  let changes;
+  const listener = change => changes.push(change);
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vector-store-'));
+
+    store = Object.create(VectorStore.prototype);
+    store.collectionName = 'gita';
+    store.client = new LocalQdrantClient({ filePath: path.join(dir, 'vectors.json') });
+    store.embeddingService = { modelName: 'test', getEmbedding: jest.fn(async () => [0, 1, 0]) };
+
+    await store.client.createCollection('gita', { vectors: { size: 3 } });
+    await store.client.upsert('gita', {
+      points: [
+        { id: 1, vector: [1, 0, 0], payload: { text: 'passage one', metadata: { chapter: 2 }, original_id: 'BG2.47' } },
+        { id: 2, vector: [1, 0, 0], payload: { text: 'passage two', metadata: { chapter: 2 } } }
+      ]
+    });
+
+    changes = [];
+    VectorStore.events.on('pointsChanged', listener);
+  });
+
+  afterEach(() => {
+    VectorStore.events.off('pointsChanged', listener);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('emits the patched point', async () => {
+    await store.patchPoint(1, { text: 'edited passage' });
+
+    expect(changes).toEqual([{
+      collectionName: 'gita',
+      updated: [expect.objectContaining({ id: 1, originalId: 'BG2.47', text: 'edited passage' })],
+      removed: []
+    }]);
+  });
+
+  test('emits the node ids of deleted points', async () => {
+    await store.deletePoints([1, 2, 3]);
+
+    expect(changes).toEqual([{
+      collectionName: 'gita',
+      updated: [],
+      removed: [{ id: 1, originalId: 'BG2.47' }, { id: 2, originalId: null }]
+    }]);
+  });
+});
@@ -0,0 +1,42 @@
+const { errorBody, sendError } = require('../../utils/errorResponse');
+
+/**
+ * Minimal Express response recording the status and JSON body
+ * @param {string} requestId Id of the request the response belongs to
+ * @returns {Object} Response
+ */
+const createResponse = (requestId) => {
+  const res = {
+    req: { id: requestId },
+    status: jest.fn(status => {
+      res.statusCode = status;
+      return res;
+    }),
+    json: jest.fn(body => {
+      res.body = body;
+      return res;
+    })
+  };
+  return res;
+};
+
+describe('errorResponse', () => {
+  test('error bodies carry the request id', () => {
+    expect(errorBody('req-1', 'Conversation not found')).toEqual({
+      success: false,
+      error: { message: 'Conversation not found', requestId: 'req-1' }
+    });
+  });
+
+  test('sendError takes the request id from the request and keeps extra fields', () => {
+    const res = createResponse('req-2');
+    sendError(res, 429, 'Daily token quota exceeded for this API key', { code: 'TOKEN_QUOTA_EXCEEDED' });
+
+    expect(res.statusCode).toBe(429);
+    expect(res.body.error).toEqual({
+      message: 'Daily token quota exceeded for this API key',
+      code: 'TOKEN_QUOTA_EXCEEDED',
+      requestId: 'req-2'
+    });
+  });
+});
@@ -0,0 +1,36 @@
+const requestContext = require('../../utils/requestContext');
+
+describe('requestContext', () => {
+  test('keeps the request id, timings and embedding usage of each request apart', async () => {
+    const handle = (requestId, tokens) => requestContext.run(requestId, async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      requestContext.recordTiming('embedding', 1.25);
+      requestContext.addEmbeddingTokens(tokens, 'text-embedding-3-small');
+      requestContext.addEmbeddingTokens(tokens, 'text-embedding-3-small');
+      return {
+        requestId: requestContext.getRequestId(),
+        timings: requestContext.getTimings(),
+        usage: requestContext.getUsage()
+      };
+    });
+
+    const [first, second] = await Promise.all([handle('req-1', 10), handle('req-2', 3)]);
+
+    expect(first).toEqual({
+      requestId: 'req-1',
+      timings: { embedding: 1.3 },
+      usage: { embeddingTokens: 20, embeddingModel: 'text-embedding-3-small' }
+    });
+    expect(second.requestId).toBe('req-2');
+    expect(second.usage.embeddingTokens).toBe(6);
+  });
+
+  test('does nothing outside a request', () => {
+    requestContext.addEmbeddingTokens(5, 'text-embedding-3-small');
+    requestContext.recordTiming('llm', 10);
+
+    expect(requestContext.getRequestId()).toBeNull();
+    expect(requestContext.getUsage()).toBeNull();
+    expect(requestContext.getTimings()).toEqual({});
+  });
+});
@@ -0,0 +1,40 @@
+const { parseStructuredAnswer } = require('../../utils/structuredAnswer');
+
+const sources = [
+  { metadata: { chapter: 2, verse: 47 } },
+  { metadata: { chapter: 18, verse: 66 } }
+];
+
+const json = JSON.stringify({
+  segments: [{ text: 'Perform your duty without attachment.', passages: [1] }],
+  verses: [{ passage: 1, quote: 'You have a right to perform your duty' }]
+});
+
+describe('parseStructuredAnswer', () => {
+  test('parses the JSON reply', () => {
+    const result = parseStructuredAnswer(json, sources);
+
+    expect(result.fallback).toBe(false);
+    expect(result.segments).toEqual([{ text: 'Perform your duty without attachment.', sources: [0] }]);
+    expect(result.verses).toEqual([{ source: 0, chapter: 2, verse: 47, text: 'You have a right to perform your duty' }]);
+  });
+
+  test('ignores braces inside the reasoning block of reasoning models', () => {
+    const reply = `<think>
+The user asks about duty. Passage 1 is 2.47. I'll answer as {"segments": [...]} with passage 1.
+</think>
+
+${json}`;
+    const result = parseStructuredAnswer(reply, sources);
+
+    expect(result.fallback).toBe(false);
+    expect(result.segments.map(segment => segment.text)).toEqual(['Perform your duty without attachment.']);
+  });
+
+  test('paragraph fallback never includes reasoning, even when the block is cut off', () => {
+    const result = parseStructuredAnswer('Act without attachment, as in 18.66.\n\n<think>Now I should format this as {JSON', sources);
+
+    expect(result.fallback).toBe(true);
+    expect(result.segments).toEqual([{ text: 'Act without attachment, as in 18.66.', sources: [1] }]);
+  });
+});
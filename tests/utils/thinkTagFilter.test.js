@@ -0,0 +1,47 @@
+const ThinkTagFilter = require('../../utils/thinkTagFilter');
+
+/**
+ * Run chunks through a fresh filter and join what it emits
+ * @param {Array<string>} chunks Streamed chunks
+ * @returns {string} Emitted text
+ */
+const filterChunks = (chunks) => {
+  const filter = new ThinkTagFilter();
+  const output = chunks.map(chunk => filter.push(chunk));
+  output.push(filter.flush());
+  return output.join('');
+};
+
+describe('ThinkTagFilter', () => {
+  test('passes text without reasoning through unchanged', () => {
+    expect(filterChunks(['Perform your ', 'duty.'])).toBe('Perform your duty.');
+  });
+
+  test('drops a reasoning block and the whitespace after it', () => {
+    expect(filterChunks(['<think>The user asks about duty.</think>\n\n', 'Perform your duty.'])).toBe('Perform your duty.');
+  });
+
+  test('handles tags split across chunks', () => {
+    const chunks = ['<th', 'ink>hidden ', 'reasoning</th', 'ink>', 'Answer ', 'here.'];
+    expect(filterChunks(chunks)).toBe('Answer here.');
+  });
+
+  test('handles one character per chunk', () => {
+    const text = '<think>secret plan</think>\nSteady mind.';
+    expect(filterChunks(text.split(''))).toBe('Steady mind.');
+  });
+
+  test('drops an unclosed reasoning block at the end of the stream', () => {
+    expect(filterChunks(['<think>never finished'])).toBe('');
+  });
+
+  test('holds back a possible tag start until the next chunk', () => {
+    const filter = new ThinkTagFilter();
+    expect(filter.push('a < b and <thi')).toBe('a < b and ');
+    expect(filter.push('s is fine')).toBe('<this is fine');
+  });
+
+  test('keeps whitespace inside the answer', () => {
+    expect(filterChunks(['First line.\n\n', 'Second line.'])).toBe('First line.\n\nSecond line.');
+  });
+});
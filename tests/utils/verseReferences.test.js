@@ -0,0 +1,69 @@
+const { findVerseReferences, detectVerseReferences, toAsciiDigits } = require('../../utils/verseReferences');
+
+describe('detectVerseReferences', () => {
+  test.each([
+    ['explain 2.47', [{ chapter: 2, verse: 47 }]],
+    ['what is BG 18:66 about', [{ chapter: 18, verse: 66 }]],
+    ['Gita 2.47', [{ chapter: 2, verse: 47 }]],
+    ['In 2:47, Krishna speaks of duty', [{ chapter: 2, verse: 47 }]],
+    ['Chapter 2, Verse 47', [{ chapter: 2, verse: 47 }]],
+    ['ch. 3 v. 19', [{ chapter: 3, verse: 19 }]],
+    ['verse 47 of chapter 2', [{ chapter: 2, verse: 47 }]],
+    ['अध्याय 2 श्लोक 47', [{ chapter: 2, verse: 47 }]],
+    ['अध्याय २ श्लोक ४७ का अर्थ', [{ chapter: 2, verse: 47 }]],
+    ['compare 2.47 and 3.19', [{ chapter: 2, verse: 47 }, { chapter: 3, verse: 19 }]]
+  ])('detects %j', (text, expected) => {
+    expect(detectVerseReferences(text)).toEqual(expected);
+  });
+
+  test('reports each verse once', () => {
+    expect(detectVerseReferences('2.47 and again BG 2:47')).toEqual([{ chapter: 2, verse: 47 }]);
+  });
+
+  test('ignores verses that do not exist', () => {
+    expect(detectVerseReferences('explain 2.99 and 19.1')).toEqual([]);
+  });
+});
+
+describe('detectVerseReferences false positives', () => {
+  test.each([
+    '1.5 hours of meditation',
+    'I slept 6.5 hrs last night',
+    'meditate for 2.5 minutes',
+    'meet me at 10:30',
+    'the talk starts 10:30 am',
+    'it is 3:15 pm now',
+    'it costs $2.50',
+    'prices rose 3.5%',
+    'running version 2.1',
+    'walked 4.2 km today'
+  ])('does not treat %j as a verse', (text) => {
+    expect(detectVerseReferences(text)).toEqual([]);
+  });
+
+  test('a BG or Gita prefix still marks a reference next to unit words', () => {
+    expect(detectVerseReferences('BG 1.5 hours')).toEqual([{ chapter: 1, verse: 5 }]);
+  });
+});
+
+describe('findVerseReferences', () => {
+  test('returns positions in the original text', () => {
+    const text = 'See BG 2.47 and chapter 3 verse 19.';
+    const references = findVerseReferences(text);
+
+    expect(references).toHaveLength(2);
+    for (const reference of references) {
+      expect(text.substr(reference.index, reference.length)).toBe(reference.text);
+    }
+  });
+
+  test('reports explicit references to verses that do not exist as invalid', () => {
+    expect(findVerseReferences('Chapter 2, Verse 99')).toEqual([
+      expect.objectContaining({ chapter: 2, verse: 99, valid: false })
+    ]);
+  });
+
+  test('converts Devanagari digits', () => {
+    expect(toAsciiDigits('१८.६६')).toBe('18.66');
+  });
+});
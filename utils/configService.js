@@ -31,8 +31,10 @@ const configService = {
     port: () => process.env.QDRANT_PORT || 6333,
     apiKey: () => process.env.QDRANT_API_KEY,
     batchSize: () => process.env.QDRANT_BATCH_SIZE || 10,
-    memoryMode: () => false, // Always use cloud in all environments
-    collectionName: () => process.env.QDRANT_COLLECTION_NAME || 'bhagavad_gita_v2',
+    memoryMode: () => process.env.QDRANT_MEMORY_MODE === 'true', // In-process store instead of a Qdrant server
+    memoryPath: () => process.env.QDRANT_MEMORY_PATH || './data/vector_store.json',
+    collectionName: () => process.env.QDRANT_COLLECTION_NAME || 'bhagavad_gita_v2', // Collection or alias queries read from
+    keepVersions: () => parseInt(process.env.QDRANT_KEEP_VERSIONS || 2), // Versioned collections kept for rollback, including the live one
     dimensions: () => parseInt(process.env.VECTOR_DIMENSIONS || 1536),
     distance: () => process.env.VECTOR_DISTANCE || 'Cosine',
     size: () => parseInt(process.env.VECTOR_SIZE || 4),
@@ -47,6 +49,7 @@ const configService = {
   
   // Embedding model configuration
   embedding: {
+    provider: () => process.env.EMBEDDING_PROVIDER || 'openai', // 'openai', 'fastembed' (local) or 'hash' (tests only)
     model: () => process.env.EMBEDDING_MODEL || 'BAAI/bge-small-en-v1.5',
     openaiModel: () => process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small',
     dimensions: () => parseInt(process.env.EMBEDDING_DIMENSIONS || 1536),
@@ -55,15 +58,23 @@ const configService = {
     retryCount: () => parseInt(process.env.EMBEDDING_RETRY_COUNT || 3),
     retryDelay: () => parseInt(process.env.EMBEDDING_RETRY_DELAY || 1000),
     batchSize: () => parseInt(process.env.EMBEDDING_BATCH_SIZE || 10),
+    cacheDir: () => process.env.EMBEDDING_CACHE_DIR || './local_cache', // fastembed model downloads
+    cacheStore: () => process.env.EMBEDDING_CACHE_STORE || 'file', // 'memory' or 'file' (survives restarts)
+    cachePath: () => process.env.EMBEDDING_CACHE_PATH || (process.env.VERCEL === '1' ? '/tmp/embedding_cache.json' : './data/embedding_cache.json'), // Vercel only allows writes to /tmp
+    cacheMaxEntries: () => parseInt(process.env.EMBEDDING_CACHE_MAX_ENTRIES || 10000),
+    cacheMaxSizeMB: () => parseFloat(process.env.EMBEDDING_CACHE_MAX_SIZE_MB || 100), // Approximate size of the cached vectors
   },
   
-  // LLM configuration (Groq)
+  // LLM configuration
   llm: {
-    provider: () => process.env.LLM_PROVIDER || 'groq',
+    provider: () => process.env.LLM_PROVIDER || 'groq', // 'groq', 'openai-compatible' (vllm, llamacpp, ollama) or 'mock'
     model: () => process.env.LLM_MODEL || 'deepseek-r1-distill-llama-70b',
     temperature: () => parseFloat(process.env.LLM_TEMPERATURE || 0.7),
     maxTokens: () => parseInt(process.env.LLM_MAX_TOKENS || 2048),
     maxRetries: () => parseInt(process.env.LLM_MAX_RETRIES || 3),
+    baseUrl: () => process.env.LLM_BASE_URL || 'http://localhost:11434/v1', // OpenAI-compatible endpoints only
+    apiKey: () => process.env.LLM_API_KEY,
+    mockResponse: () => process.env.LLM_MOCK_RESPONSE || null,
   },
   
   // RAG configuration
@@ -73,9 +84,88 @@ const configService = {
     chunkSize: () => parseInt(process.env.RAG_CHUNK_SIZE || 512),
     chunkOverlap: () => parseInt(process.env.RAG_CHUNK_OVERLAP || 50),
     relevanceThreshold: () => parseFloat(process.env.RAG_RELEVANCE_THRESHOLD || 0.3),
+    queryRewrite: () => process.env.RAG_QUERY_REWRITE !== 'false', // Rewrite follow-ups before retrieval
+    citationDetection: () => process.env.RAG_CITATION_DETECTION !== 'false', // Look up verses cited in questions by reference
     debug: () => process.env.RAG_DEBUG === 'true' || false,
   },
   
+  // Retrieval configuration
+  retrieval: {
+    mode: () => process.env.RETRIEVAL_MODE || 'hybrid', // 'vector' or 'hybrid' (BM25 + vector with rank fusion)
+    vectorWeight: () => parseFloat(process.env.RETRIEVAL_VECTOR_WEIGHT || 0.5),
+    lexicalWeight: () => parseFloat(process.env.RETRIEVAL_LEXICAL_WEIGHT || 0.5),
+    rrfK: () => parseInt(process.env.RETRIEVAL_RRF_K || 60),
+    candidateMultiplier: () => parseInt(process.env.RETRIEVAL_CANDIDATE_MULTIPLIER || 3), // Candidates per retriever = limit * multiplier
+  },
+  
+  // Reranking configuration
+  rerank: {
+    provider: () => process.env.RERANK_PROVIDER || 'none', // 'none', 'cross-encoder' (local rerank server) or 'llm' (LLM as judge)
+    model: () => process.env.RERANK_MODEL || 'BAAI/bge-reranker-base',
+    url: () => process.env.RERANK_URL || 'http://localhost:8080', // Cross-encoder rerank server
+    timeout: () => parseInt(process.env.RERANK_TIMEOUT || 10000),
+    topN: () => parseInt(process.env.RERANK_TOP_N || 0), // Passages kept after reranking, 0 keeps all
+    llmModel: () => process.env.RERANK_LLM_MODEL || '', // Judge model for the llm reranker, empty uses LLM_MODEL
+    llmMaxTokens: () => parseInt(process.env.RERANK_LLM_MAX_TOKENS || 2048), // Reasoning models think before writing the scores
+  },
+  
+  // Citation checks on generated answers
+  citations: {
+    mode: () => process.env.CITATION_MODE || 'flag', // 'off', 'flag' or 'strip' (removes references to verses that do not exist)
+    stripUnsupported: () => process.env.CITATION_STRIP_UNSUPPORTED === 'true', // In strip mode, also remove real verses missing from the sources
+  },
+  
+  // Conversation session configuration
+  conversations: {
+    store: () => process.env.CONVERSATION_STORE || 'memory', // 'memory' or 'file'
+    filePath: () => process.env.CONVERSATION_STORE_PATH || './data/conversations.json',
+    maxHistoryTokens: () => parseInt(process.env.CONVERSATION_MAX_HISTORY_TOKENS || 1000),
+    maxConversations: () => parseInt(process.env.CONVERSATION_MAX_COUNT || 1000),
+  },
+  
+  // Answer records and user feedback
+  feedback: {
+    store: () => process.env.FEEDBACK_STORE || 'file', // 'memory' or 'file'
+    filePath: () => process.env.FEEDBACK_STORE_PATH || (process.env.VERCEL === '1' ? '/tmp/feedback.jsonl' : './data/feedback.jsonl'), // Vercel only allows writes to /tmp
+    maxRecords: () => parseInt(process.env.FEEDBACK_MAX_RECORDS || 10000),
+  },
+  
+  // Semantic cache of generated answers
+  answerCache: {
+    enabled: () => process.env.ANSWER_CACHE_ENABLED !== 'false',
+    threshold: () => parseFloat(process.env.ANSWER_CACHE_THRESHOLD || 0.95), // Minimum cosine similarity between questions
+    ttl: () => parseInt(process.env.ANSWER_CACHE_TTL || 86400000), // 24 hours
+    maxEntries: () => parseInt(process.env.ANSWER_CACHE_MAX_ENTRIES || 1000),
+  },
+  
+  // Admin endpoints
+  admin: {
+    apiKey: () => process.env.ADMIN_API_KEY || '', // Sent as X-Admin-Key; admin endpoints are disabled when empty
+  },
+  
+  // Client API keys with per-key rate limits and daily token quotas
+  apiKeys: {
+    required: () => process.env.API_KEY_REQUIRED === 'true', // When false, requests without a key fall back to the IP rate limit
+    store: () => process.env.API_KEY_STORE || 'file', // 'memory' or 'file'
+    filePath: () => process.env.API_KEY_STORE_PATH || (process.env.VERCEL === '1' ? '/tmp/api_keys.json' : './data/api_keys.json'), // Vercel only allows writes to /tmp
+    rateLimitWindowMs: () => parseInt(process.env.API_KEY_RATE_LIMIT_WINDOW_MS || 60 * 1000), // 1 minute
+    rateLimit: () => parseInt(process.env.API_KEY_RATE_LIMIT || 60), // Default requests per window for new keys
+    dailyTokenQuota: () => parseInt(process.env.API_KEY_DAILY_TOKEN_QUOTA || 100000), // Default LLM tokens per UTC day for new keys
+  },
+  
+  // Token and cost accounting per request
+  usage: {
+    store: () => process.env.USAGE_STORE || 'file', // 'memory' or 'file'
+    filePath: () => process.env.USAGE_STORE_PATH || (process.env.VERCEL === '1' ? '/tmp/usage.jsonl' : './data/usage.jsonl'), // Vercel only allows writes to /tmp
+    retentionDays: () => parseInt(process.env.USAGE_RETENTION_DAYS || 90),
+    priceTablePath: () => process.env.USAGE_PRICE_TABLE_PATH || './config/prices.json', // Prices per million tokens by model
+  },
+  
+  // Prometheus metrics
+  metrics: {
+    enabled: () => process.env.METRICS_ENABLED === 'true', // Exposes GET /metrics in Prometheus text format, behind the admin key
+  },
+  
   // Language support configuration
   languages: {
     supported: () => process.env.SUPPORTED_LANGUAGES ? process.env.SUPPORTED_LANGUAGES.split(',') : ['en', 'hi', 'sa'],
@@ -86,10 +176,24 @@ const configService = {
   // Document processing configuration
   documents: {
     pdfPath: () => process.env.PDF_PATH || './data/Bhagavad-Gita.pdf',
+    processedPath: () => process.env.PROCESSED_DATA_PATH || './data/processed_gita.json',
     cacheEnabled: () => process.env.DOCUMENT_CACHE_ENABLED === 'true' || (process.env.NODE_ENV === 'production' ? true : false),
     cacheTTL: () => parseInt(process.env.DOCUMENT_CACHE_TTL || 86400000), // 24 hours
   },
   
+  // Prompt templates (personas and answer styles)
+  prompts: {
+    directory: () => process.env.PROMPT_DIR || './prompts',
+    persona: () => process.env.PROMPT_PERSONA || 'krishna', // Default persona, optionally pinned as name@version
+    style: () => process.env.PROMPT_STYLE || 'concise', // Default answer style, optionally pinned as name@version
+  },
+  
+  // Prompt A/B experiments
+  experiments: {
+    filePath: () => process.env.PROMPT_EXPERIMENTS_PATH || './prompts/experiments.json',
+    active: () => process.env.PROMPT_EXPERIMENT || '', // Name of the running experiment, empty for none
+  },
+  
   // System prompts for different languages
   systemPrompts: {
     en: () => process.env.SYSTEM_PROMPT_EN || "You are a spiritual guide with deep knowledge of the Bhagavad Gita. Use the provided context to answer questions with wisdom, compassion, and depth. When relevant, cite specific verses from the Gita. If you don't know the answer based on the Gita, acknowledge this honestly. Your purpose is to help seekers find spiritual meaning and practical wisdom.",
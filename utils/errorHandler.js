@@ -3,6 +3,7 @@
  */
 const { StatusCodes } = require('http-status-codes');
 const logger = require('./logger');
+const { errorBody } = require('./errorResponse');
 
 // Get environment
 const isDevelopment = process.env.NODE_ENV === 'development';
@@ -24,13 +25,9 @@ const errorHandler = (err, req, res, next) => {
   });
 
   // Structure the error response
-  const errorResponse = {
-    success: false,
-    error: {
-      message: err.message || 'Internal Server Error',
-      code: err.code || 'SERVER_ERROR',
-    },
-  };
+  const errorResponse = errorBody(req.id, err.message || 'Internal Server Error', {
+    code: err.code || 'SERVER_ERROR',
+  });
 
   // Include stack trace in development mode
   if (isDevelopment) {
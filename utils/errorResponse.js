@@ -0,0 +1,35 @@
+/**
+ * Error response bodies shared by middleware and controllers
+ * Every error carries the request id so clients can quote it and operators can find the matching logs
+ */
+
+/**
+ * Build the body of an error response
+ * @param {string} requestId - Id of the failed request
+ * @param {string} message - Error message
+ * @param {Object} fields - Additional error fields, e.g. code or details
+ * @returns {Object} { success: false, error: { message, ...fields, requestId } }
+ */
+const errorBody = (requestId, message, fields = {}) => ({
+  success: false,
+  error: {
+    message,
+    ...fields,
+    requestId
+  }
+});
+
+/**
+ * Send an error response
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @param {Object} fields - Additional error fields, e.g. code or details
+ * @returns {Object} Express response
+ */
+const sendError = (res, status, message, fields = {}) => res.status(status).json(errorBody(res.req.id, message, fields));
+
+module.exports = {
+  errorBody,
+  sendError
+};
@@ -0,0 +1,52 @@
+/**
+ * Bhagavad Gita chapter names and verse counts shared by the RAG service and the verse catalog
+ */
+const CHAPTER_NAMES = {
+  1: "Arjuna's Dilemma",
+  2: "Knowledge of the Self",
+  3: "Karma Yoga",
+  4: "Knowledge and Renunciation",
+  5: "Renunciation of Action",
+  6: "Meditation",
+  7: "Knowledge and Wisdom",
+  8: "The Imperishable Brahman",
+  9: "Royal Knowledge",
+  10: "Divine Manifestations",
+  11: "The Universal Form",
+  12: "Devotional Service",
+  13: "Nature, Enjoyer and Consciousness",
+  14: "The Three Modes of Material Nature",
+  15: "The Supreme Person",
+  16: "Divine and Demoniac Natures",
+  17: "Types of Faith",
+  18: "Freedom Through Renunciation"
+};
+
+// Number of verses in each chapter (700 in total)
+const VERSE_COUNTS = {
+  1: 47, 2: 72, 3: 43, 4: 42, 5: 29, 6: 47, 7: 30, 8: 28, 9: 34,
+  10: 42, 11: 55, 12: 20, 13: 35, 14: 27, 15: 20, 16: 24, 17: 28, 18: 78
+};
+
+/**
+ * Get chapter name from chapter number
+ * @param {number} chapterNumber Chapter number
+ * @returns {string} Chapter name
+ */
+const getChapterName = (chapterNumber) => CHAPTER_NAMES[chapterNumber] || `Chapter ${chapterNumber}`;
+
+/**
+ * Check whether a chapter and verse exist in the Gita
+ * @param {number} chapter Chapter number
+ * @param {number} verse Verse number
+ * @returns {boolean} Whether the reference is valid
+ */
+const isValidVerse = (chapter, verse) => Number.isInteger(chapter) && Number.isInteger(verse) &&
+  verse >= 1 && verse <= (VERSE_COUNTS[chapter] || 0);
+
+module.exports = {
+  CHAPTER_NAMES,
+  VERSE_COUNTS,
+  getChapterName,
+  isValidVerse
+};
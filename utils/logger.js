@@ -3,9 +3,20 @@
  */
 const { createLogger, format, transports } = require('winston');
 const configService = require('./configService');
+const requestContext = require('./requestContext');
+
+// Tag every line logged while handling a request with the request id
+const addRequestId = format((info) => {
+  const requestId = requestContext.getRequestId();
+  if (requestId) {
+    info.requestId = requestId;
+  }
+  return info;
+});
 
 // Define log format
 const logFormat = format.combine(
+  addRequestId(),
   format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
   format.errors({ stack: true }),
   format.splat(),
@@ -24,11 +35,12 @@ try {
 const consoleFormat = format.combine(
   format.colorize(),
   format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
-  format.printf(({ level, message, timestamp, ...meta }) => {
+  format.printf(({ level, message, timestamp, requestId, ...meta }) => {
     const metaString = Object.keys(meta).length 
       ? `\n${JSON.stringify(meta, null, 2)}` 
       : '';
-    return `${timestamp} ${level}: ${message}${metaString}`;
+    const requestTag = requestId ? ` [${requestId}]` : '';
+    return `${timestamp} ${level}${requestTag}: ${message}${metaString}`;
   })
 );
 
@@ -0,0 +1,257 @@
+/**
+ * Prometheus metrics registry
+ * Services record stage latencies, errors, cache lookups and writes, and retrieval sizes here;
+ * GET /metrics exposes the registry in Prometheus text format
+ */
+const client = require('prom-client');
+const requestContext = require('./requestContext');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+// Stage latencies range from cached lookups (milliseconds) to LLM generations (tens of seconds)
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const stageDuration = new client.Histogram({
+  name: 'rag_stage_duration_seconds',
+  help: 'Duration of each stage of a query (translation, rewrite, embedding, search, rerank, llm)',
+  labelNames: ['stage'],
+  buckets: DURATION_BUCKETS,
+  registers: [register]
+});
+
+const queryDuration = new client.Histogram({
+  name: 'rag_query_duration_seconds',
+  help: 'End-to-end duration of answered queries',
+  labelNames: ['cached'],
+  buckets: DURATION_BUCKETS,
+  registers: [register]
+});
+
+const queries = new client.Counter({
+  name: 'rag_queries_total',
+  help: 'Queries received by the RAG service',
+  registers: [register]
+});
+
+const queryRewrites = new client.Counter({
+  name: 'rag_query_rewrites_total',
+  help: 'Follow-up questions rewritten into standalone questions for retrieval',
+  registers: [register]
+});
+
+const rerankedQueries = new client.Counter({
+  name: 'rag_reranked_queries_total',
+  help: 'Queries whose passages were reranked',
+  registers: [register]
+});
+
+const errors = new client.Counter({
+  name: 'rag_errors_total',
+  help: 'Errors by category (retrieval, llm, rerank, translation, general)',
+  labelNames: ['category'],
+  registers: [register]
+});
+
+const sourcesPerQuery = new client.Histogram({
+  name: 'rag_sources_per_query',
+  help: 'Passages retrieved per query before reranking',
+  buckets: [0, 1, 2, 3, 5, 8, 13, 20, 30],
+  registers: [register]
+});
+
+const cacheLookups = new client.Counter({
+  name: 'cache_lookups_total',
+  help: 'Cache lookups by cache (embedding, answer) and result (hit, miss)',
+  labelNames: ['cache', 'result'],
+  registers: [register]
+});
+
+const cacheWrites = new client.Counter({
+  name: 'cache_writes_total',
+  help: 'Cache writes by cache (answer) and operation (store, invalidate)',
+  labelNames: ['cache', 'operation'],
+  registers: [register]
+});
+
+// Derived from cache_lookups_total at scrape time so dashboards without PromQL can show it
+new client.Gauge({
+  name: 'cache_hit_ratio',
+  help: 'Share of cache lookups that were hits since the process started',
+  labelNames: ['cache'],
+  registers: [register],
+  async collect() {
+    const ratios = await getCacheHitRatios();
+    this.reset();
+    for (const [cache, ratio] of Object.entries(ratios)) {
+      this.set({ cache }, ratio);
+    }
+  }
+});
+
+const embeddingRequests = new client.Counter({
+  name: 'embedding_provider_requests_total',
+  help: 'Embedding provider calls',
+  labelNames: ['provider'],
+  registers: [register]
+});
+
+const embeddingTokens = new client.Counter({
+  name: 'embedding_tokens_total',
+  help: 'Tokens reported by the embedding provider',
+  labelNames: ['model'],
+  registers: [register]
+});
+
+const embeddingErrors = new client.Counter({
+  name: 'embedding_errors_total',
+  help: 'Failed embedding provider calls',
+  labelNames: ['provider'],
+  registers: [register]
+});
+
+const vectorStoreOperations = new client.Counter({
+  name: 'vector_store_operations_total',
+  help: 'Vector store operations by operation and status',
+  labelNames: ['operation', 'status'],
+  registers: [register]
+});
+
+const vectorStorePoints = new client.Counter({
+  name: 'vector_store_points_total',
+  help: 'Points written to the vector store by status (indexed, failed)',
+  labelNames: ['status'],
+  registers: [register]
+});
+
+/**
+ * Start timing a stage
+ * The duration goes to the stage histogram and to the timings of the current request
+ * @param {string} stage Stage name
+ * @returns {Function} Function that ends the timer
+ */
+const startStageTimer = (stage) => {
+  const start = process.hrtime.bigint();
+  return () => {
+    const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+    stageDuration.observe({ stage }, durationMs / 1000);
+    requestContext.recordTiming(stage, durationMs);
+  };
+};
+
+/**
+ * Time an async stage
+ * @param {string} stage Stage name
+ * @param {Function} fn Async function running the stage
+ * @returns {Promise<*>} Result of fn
+ */
+const timeStage = async (stage, fn) => {
+  const end = startStageTimer(stage);
+  try {
+    return await fn();
+  } finally {
+    end();
+  }
+};
+
+/**
+ * Sum a metric's values by one label
+ * @param {Object} metric prom-client metric
+ * @param {string} label Label to group by (null sums everything)
+ * @returns {Promise<Object>} Totals by label value
+ */
+const sumByLabel = async (metric, label = null) => {
+  const { values } = await metric.get();
+  const totals = {};
+  for (const { labels, value } of values) {
+    const key = label ? labels[label] : 'total';
+    totals[key] = (totals[key] || 0) + value;
+  }
+  return totals;
+};
+
+/**
+ * Lookups and writes of one cache since the process started
+ * @param {string} cache Cache name
+ * @returns {Promise<Object>} { hits, misses, stores, invalidations }
+ */
+const getCacheCounts = async (cache) => {
+  const counts = { hit: 0, miss: 0, store: 0, invalidate: 0 };
+  for (const metric of [cacheLookups, cacheWrites]) {
+    const { values } = await metric.get();
+    for (const { labels, value } of values) {
+      if (labels.cache === cache) {
+        counts[labels.result || labels.operation] += value;
+      }
+    }
+  }
+
+  return {
+    hits: counts.hit,
+    misses: counts.miss,
+    stores: counts.store,
+    invalidations: counts.invalidate
+  };
+};
+
+/**
+ * Hit ratio of each cache
+ * @returns {Promise<Object>} Ratio between 0 and 1 by cache name
+ */
+const getCacheHitRatios = async () => {
+  const { values } = await cacheLookups.get();
+  const lookups = {};
+  for (const { labels, value } of values) {
+    lookups[labels.cache] = lookups[labels.cache] || { hit: 0, miss: 0 };
+    lookups[labels.cache][labels.result] += value;
+  }
+
+  const ratios = {};
+  for (const [cache, { hit, miss }] of Object.entries(lookups)) {
+    ratios[cache] = hit + miss > 0 ? hit / (hit + miss) : 0;
+  }
+  return ratios;
+};
+
+/**
+ * Summary of the RAG metrics for the JSON health endpoint
+ * @returns {Promise<Object>} Summary
+ */
+const getQuerySummary = async () => {
+  const sources = (await sourcesPerQuery.get()).values;
+  const sourceSum = sources.find(value => value.metricName === 'rag_sources_per_query_sum');
+  const sourceCount = sources.find(value => value.metricName === 'rag_sources_per_query_count');
+
+  return {
+    queriesProcessed: (await sumByLabel(queries)).total || 0,
+    queriesRewritten: (await sumByLabel(queryRewrites)).total || 0,
+    queriesReranked: (await sumByLabel(rerankedQueries)).total || 0,
+    averageSourcesPerQuery: sourceCount && sourceCount.value > 0 ? sourceSum.value / sourceCount.value : 0,
+    errors: await sumByLabel(errors, 'category'),
+    cacheHitRatios: await getCacheHitRatios()
+  };
+};
+
+module.exports = {
+  register,
+  stageDuration,
+  queryDuration,
+  queries,
+  queryRewrites,
+  rerankedQueries,
+  errors,
+  sourcesPerQuery,
+  cacheLookups,
+  cacheWrites,
+  embeddingRequests,
+  embeddingTokens,
+  embeddingErrors,
+  vectorStoreOperations,
+  vectorStorePoints,
+  startStageTimer,
+  timeStage,
+  sumByLabel,
+  getCacheCounts,
+  getCacheHitRatios,
+  getQuerySummary
+};
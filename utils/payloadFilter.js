@@ -0,0 +1,110 @@
+/**
+ * Evaluates Qdrant-style filters against point payloads
+ * Used by the stores that run outside Qdrant so they apply the same filter semantics as VectorStore._buildQdrantFilter
+ */
+
+/**
+ * Read a dotted key from a payload
+ * @param {Object} payload Point payload
+ * @param {string} key Dotted key such as metadata.chapter
+ * @returns {any} Value or undefined
+ */
+const getPayloadValue = (payload, key) => key.split('.').reduce(
+  (current, part) => (current !== undefined && current !== null ? current[part] : undefined),
+  payload
+);
+
+/**
+ * Compare a payload value with a filter value
+ * Numeric strings and numbers are treated as equal so "2" matches 2 like an integer payload index would
+ * @param {any} actual Payload value
+ * @param {any} expected Filter value
+ * @returns {boolean} Whether the values are equal
+ */
+const valuesEqual = (actual, expected) => {
+  if (actual === expected) {
+    return true;
+  }
+  if (actual === undefined || actual === null || expected === undefined || expected === null) {
+    return false;
+  }
+  return String(actual) === String(expected);
+};
+
+/**
+ * Evaluate a single filter condition
+ * @param {Object} payload Point payload
+ * @param {Object} condition Field condition, nested filter or any-group
+ * @returns {boolean} Whether the payload matches
+ */
+const matchesCondition = (payload, condition) => {
+  if (Array.isArray(condition.any)) {
+    return condition.any.some(inner => matchesCondition(payload, inner));
+  }
+  if (condition.must || condition.should || condition.must_not) {
+    return matchesFilter(payload, condition);
+  }
+  if (!condition.key) {
+    return false;
+  }
+
+  const value = getPayloadValue(payload, condition.key);
+  // Array payload values match when any element matches, as in Qdrant
+  const values = Array.isArray(value) ? value : [value];
+
+  if (condition.match) {
+    if ('value' in condition.match) {
+      return values.some(v => valuesEqual(v, condition.match.value));
+    }
+    if (Array.isArray(condition.match.any)) {
+      return values.some(v => condition.match.any.some(expected => valuesEqual(v, expected)));
+    }
+    if (Array.isArray(condition.match.except)) {
+      return values.every(v => !condition.match.except.some(expected => valuesEqual(v, expected)));
+    }
+    if (typeof condition.match.text === 'string') {
+      return values.some(v => typeof v === 'string' && v.includes(condition.match.text));
+    }
+  }
+
+  if (condition.range) {
+    const { gt, gte, lt, lte } = condition.range;
+    return values.some(v => typeof v === 'number' &&
+      (gt === undefined || v > gt) &&
+      (gte === undefined || v >= gte) &&
+      (lt === undefined || v < lt) &&
+      (lte === undefined || v <= lte));
+  }
+
+  return false;
+};
+
+/**
+ * Evaluate a Qdrant filter against a payload
+ * Supports must, should, must_not and the { any: [...] } groups produced by VectorStore._buildQdrantFilter
+ * @param {Object} payload Point payload
+ * @param {Object} filter Qdrant filter
+ * @returns {boolean} Whether the payload matches
+ */
+function matchesFilter(payload, filter) {
+  if (!filter) {
+    return true;
+  }
+
+  if (filter.must && !filter.must.every(condition => matchesCondition(payload, condition))) {
+    return false;
+  }
+  if (filter.should && filter.should.length > 0 &&
+    !filter.should.some(condition => matchesCondition(payload, condition))) {
+    return false;
+  }
+  if (filter.must_not && filter.must_not.some(condition => matchesCondition(payload, condition))) {
+    return false;
+  }
+  return true;
+}
+
+module.exports = {
+  matchesFilter,
+  getPayloadValue
+};
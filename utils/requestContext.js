@@ -0,0 +1,89 @@
+/**
+ * Per-request context
+ * Holds the request id, stage timings and embedding usage in async-local storage so the logger,
+ * services and error responses deep inside a request can read them without threading them through every call
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a fresh request context
+ * @param {string} requestId Request id
+ * @param {Function} fn Function to run; its async continuations share the context
+ * @returns {*} Return value of fn
+ */
+const run = (requestId, fn) => storage.run({
+  requestId,
+  timings: {},
+  usage: { embeddingTokens: 0, embeddingModel: null }
+}, fn);
+
+/**
+ * Get the id of the current request
+ * @returns {string|null} Request id, or null outside a request
+ */
+const getRequestId = () => {
+  const context = storage.getStore();
+  return context ? context.requestId : null;
+};
+
+/**
+ * Add time spent in a stage to the current request, if any
+ * A stage that runs several times in one request (e.g. embedding) accumulates its durations
+ * @param {string} stage Stage name
+ * @param {number} durationMs Duration in milliseconds
+ */
+const recordTiming = (stage, durationMs) => {
+  const context = storage.getStore();
+  if (context) {
+    context.timings[stage] = (context.timings[stage] || 0) + durationMs;
+  }
+};
+
+/**
+ * Get the stage timings of the current request
+ * @returns {Object} Milliseconds by stage, rounded to 0.1ms
+ */
+const getTimings = () => {
+  const context = storage.getStore();
+  const timings = {};
+  if (context) {
+    for (const [stage, durationMs] of Object.entries(context.timings)) {
+      timings[stage] = Math.round(durationMs * 10) / 10;
+    }
+  }
+  return timings;
+};
+
+/**
+ * Add embedding tokens to the current request, if any
+ * Embedding calls happen deep inside retrieval, so their tokens are metered here rather than returned
+ * @param {number} tokens Tokens reported by the embedding provider
+ * @param {string} model Embedding model
+ */
+const addEmbeddingTokens = (tokens, model) => {
+  const context = storage.getStore();
+  if (context) {
+    context.usage.embeddingTokens += tokens;
+    context.usage.embeddingModel = model;
+  }
+};
+
+/**
+ * Get the embedding usage of the current request
+ * @returns {Object|null} { embeddingTokens, embeddingModel }, or null outside a request
+ */
+const getUsage = () => {
+  const context = storage.getStore();
+  return context ? context.usage : null;
+};
+
+module.exports = {
+  run,
+  getRequestId,
+  recordTiming,
+  getTimings,
+  addEmbeddingTokens,
+  getUsage
+};
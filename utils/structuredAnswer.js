@@ -0,0 +1,120 @@
+/**
+ * Parsing of structured answers, where the LLM returns JSON segments tied to the numbered context passages
+ * Source indices in the result are positions in the sources array of the query response
+ */
+const { findVerseReferences } = require('./verseReferences');
+const ThinkTagFilter = require('./thinkTagFilter');
+
+/**
+ * Extract the JSON object from an LLM reply, tolerating code fences and surrounding prose
+ * @param {string} raw Raw LLM reply
+ * @returns {Object|null} Parsed object or null if the reply is not JSON
+ */
+const extractJson = (raw) => {
+  if (!raw || typeof raw !== 'string') {
+    return null;
+  }
+
+  const start = raw.indexOf('{');
+  const end = raw.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(raw.substring(start, end + 1));
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Convert 1-based passage numbers to unique, valid source indices
+ * @param {*} passages Passage numbers as returned by the LLM
+ * @param {number} sourceCount Number of sources in the response
+ * @returns {Array<number>} 0-based source indices
+ */
+const toSourceIndices = (passages, sourceCount) => {
+  const list = Array.isArray(passages) ? passages : [passages];
+  const indices = list
+    .map(passage => parseInt(passage, 10) - 1)
+    .filter(index => Number.isInteger(index) && index >= 0 && index < sourceCount);
+  return Array.from(new Set(indices));
+};
+
+/**
+ * Link a paragraph to the sources for the verses it mentions
+ * @param {string} text Paragraph text
+ * @param {Array<Object>} sources Formatted sources
+ * @returns {Array<number>} 0-based source indices
+ */
+const sourcesForReferences = (text, sources) => {
+  const indices = [];
+  for (const { chapter, verse } of findVerseReferences(text)) {
+    sources.forEach((source, index) => {
+      const metadata = source.metadata || {};
+      if (Number(metadata.chapter) === chapter && Number(metadata.verse) === verse && !indices.includes(index)) {
+        indices.push(index);
+      }
+    });
+  }
+  return indices;
+};
+
+/**
+ * Parse a structured LLM reply into segments and quoted verses
+ * Replies that are not valid JSON become one segment per paragraph, linked to sources by verse reference
+ * Reasoning blocks are removed first since braces in them would break the JSON extraction
+ * @param {string} raw Raw LLM reply
+ * @param {Array<Object>} sources Formatted sources, in the order of the context passages
+ * @returns {Object} { segments: [{ text, sources }], verses: [{ source, chapter, verse, text }], fallback }
+ */
+const parseStructuredAnswer = (raw, sources = []) => {
+  const reply = ThinkTagFilter.strip(typeof raw === 'string' ? raw : '');
+  const parsed = extractJson(reply);
+  const segments = parsed && Array.isArray(parsed.segments)
+    ? parsed.segments
+      .filter(segment => segment && typeof segment.text === 'string' && segment.text.trim())
+      .map(segment => ({
+        text: segment.text.trim(),
+        sources: toSourceIndices(segment.passages || [], sources.length)
+      }))
+    : [];
+
+  if (segments.length === 0) {
+    const paragraphs = reply.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+    return {
+      segments: paragraphs.map(text => ({ text, sources: sourcesForReferences(text, sources) })),
+      verses: [],
+      fallback: true
+    };
+  }
+
+  // Quotes only count when they point at a passage from a specific verse
+  const verses = [];
+  for (const quote of Array.isArray(parsed.verses) ? parsed.verses : []) {
+    if (!quote || typeof quote.quote !== 'string' || !quote.quote.trim()) {
+      continue;
+    }
+
+    const [index] = toSourceIndices(quote.passage, sources.length);
+    const metadata = index !== undefined ? sources[index].metadata || {} : {};
+    if (!metadata.chapter || !metadata.verse) {
+      continue;
+    }
+
+    verses.push({
+      source: index,
+      chapter: Number(metadata.chapter),
+      verse: Number(metadata.verse),
+      text: quote.quote.trim()
+    });
+  }
+
+  return { segments, verses, fallback: false };
+};
+
+module.exports = {
+  parseStructuredAnswer
+};
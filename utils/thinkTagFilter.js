@@ -0,0 +1,115 @@
+/**
+ * Streaming filter for <think>…</think> reasoning blocks
+ * Reasoning models such as deepseek-r1 emit their hidden reasoning before the answer. Streamed tokens
+ * are passed through this filter so clients only see the answer, even when a tag is split across chunks.
+ */
+const OPEN_TAG = '<think>';
+const CLOSE_TAG = '</think>';
+
+class ThinkTagFilter {
+  constructor() {
+    this.buffer = '';
+    this.inThink = false;
+    this.started = false;
+  }
+
+  /**
+   * Add a chunk of generated text
+   * @param {string} chunk Text chunk from the LLM
+   * @returns {string} Text that is safe to emit (may be empty)
+   */
+  push(chunk) {
+    this.buffer += chunk;
+    let output = '';
+
+    for (;;) {
+      const lower = this.buffer.toLowerCase();
+
+      if (this.inThink) {
+        const end = lower.indexOf(CLOSE_TAG);
+        if (end === -1) {
+          // Drop the reasoning, keeping only what could be the start of the closing tag
+          const held = this._partialTagLength(lower, CLOSE_TAG);
+          this.buffer = this.buffer.slice(this.buffer.length - held);
+          break;
+        }
+        this.buffer = this.buffer.slice(end + CLOSE_TAG.length);
+        this.inThink = false;
+        continue;
+      }
+
+      const start = lower.indexOf(OPEN_TAG);
+      if (start !== -1) {
+        output += this.buffer.slice(0, start);
+        this.buffer = this.buffer.slice(start + OPEN_TAG.length);
+        this.inThink = true;
+        continue;
+      }
+
+      // Hold back a trailing "<thi" until the next chunk shows whether it opens a block
+      const held = this._partialTagLength(lower, OPEN_TAG);
+      output += this.buffer.slice(0, this.buffer.length - held);
+      this.buffer = this.buffer.slice(this.buffer.length - held);
+      break;
+    }
+
+    return this._trimLeading(output);
+  }
+
+  /**
+   * Emit whatever is still buffered once the stream has ended
+   * An unclosed reasoning block is dropped
+   * @returns {string} Remaining text
+   */
+  flush() {
+    const output = this.inThink ? '' : this.buffer;
+    this.buffer = '';
+    this.inThink = false;
+    return this._trimLeading(output);
+  }
+
+  /**
+   * Remove reasoning blocks from a complete reply, including one cut off by the token limit
+   * @param {string} text Full LLM reply
+   * @returns {string} Reply without reasoning
+   */
+  static strip(text) {
+    return text
+      .replace(/<think>[\s\S]*?<\/think>/gi, '')
+      .replace(/<think>[\s\S]*$/i, '')
+      .trim();
+  }
+
+  /**
+   * Length of the longest suffix of the text that is a prefix of a tag
+   * @param {string} text Lowercased buffer
+   * @param {string} tag Tag to look for
+   * @returns {number} Number of characters to hold back
+   * @private
+   */
+  _partialTagLength(text, tag) {
+    for (let length = Math.min(tag.length - 1, text.length); length > 0; length--) {
+      if (text.endsWith(tag.slice(0, length))) {
+        return length;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Drop the whitespace models leave between the reasoning and the answer
+   * @param {string} text Text about to be emitted
+   * @returns {string} Text without leading whitespace before the first emitted character
+   * @private
+   */
+  _trimLeading(text) {
+    if (this.started) {
+      return text;
+    }
+    const trimmed = text.trimStart();
+    this.started = trimmed.length > 0;
+    return trimmed;
+  }
+}
+
+module.exports = ThinkTagFilter;
@@ -0,0 +1,130 @@
+/**
+ * Detection of Bhagavad Gita verse references in free text
+ * Understands "2.47", "2:47", "BG 18:66", "chapter 2 verse 47", "verse 47 of chapter 2",
+ * "अध्याय 2 श्लोक 47" and Devanagari numerals
+ */
+const { isValidVerse } = require('./gitaChapters');
+
+// Reference patterns, most specific first. Explicit patterns name the chapter and verse,
+// so their matches are reported even when the verse does not exist; bare numbers only count when valid
+// and not part of a measurement or time, unless prefixed with BG or Gita
+const REFERENCE_PATTERNS = [
+  {
+    // अध्याय 2 श्लोक 47 / अध्याय २, श्लोकः ४७
+    regex: /अध्याय[ः:]?\s*(\d{1,2})\s*[,।]?\s*(?:के\s*)?श्लोक[ः:]?\s*(\d{1,3})/g,
+    explicit: true,
+    verseFirst: false
+  },
+  {
+    // chapter 2 verse 47 / Chapter 2, Verse 47 / ch. 2, v. 47 / chapter 2 text 47
+    regex: /\bch(?:apter|\.)?\s*(\d{1,2})\s*[,;]?\s*(?:and\s+)?(?:verse|text|sloka|shloka|v\.?)\s*(\d{1,3})\b/gi,
+    explicit: true,
+    verseFirst: false
+  },
+  {
+    // verse 47 of chapter 2
+    regex: /\bverse\s*(\d{1,3})\s*(?:of|in)\s*(?:the\s+)?chapter\s*(\d{1,2})\b/gi,
+    explicit: true,
+    verseFirst: true
+  },
+  {
+    // 2.47 / 2:47 / BG 18:66 / Gita 2.47
+    regex: /(?:\b(?:BG|Bhagavad[- ]Gita|Gita)\s*)?(?<![\d.:])(\d{1,2})\s?[.:]\s?(\d{1,3})(?![\d]|[.:]\d)/gi,
+    explicit: false,
+    verseFirst: false
+  }
+];
+
+// A bare number pair followed by a unit or time word is a measurement ("1.5 hours", "10:30 am"), not a verse
+const FOLLOWING_UNIT = /^\s*(?:%|(?:hours?|hrs?|h|minutes?|mins?|seconds?|secs?|s|am|pm|a\.m\.|p\.m\.|o'?clock|ist|gmt|utc|percent|per\s*cent|days?|weeks?|months?|years?|yrs?|times|x|kgs?|km|kms|miles?|mi|m|cm|mm|ft|feet|inch(?:es)?|lbs?|pounds?|litres?|liters?|l|ml|million|billion|lakhs?|crores?|rupees?|rs|dollars?|usd|inr|gb|mb|kb|mbps|ghz|mhz)\b)/i;
+
+// A bare number pair after a currency sign, "version" or a time preposition is a price, version or time
+const PRECEDING_CONTEXT = /(?:[$₹€£]|\b(?:rs\.?|inr|usd|version|v|at|by|around|until|till|before|after|between)\s*)$/i;
+
+/**
+ * Whether an unprefixed number pair reads as a measurement, price or time rather than a verse
+ * @param {string} text Text being scanned
+ * @param {number} offset Start of the match
+ * @param {number} length Length of the match
+ * @returns {boolean} True if the surrounding words rule out a verse reference
+ */
+const isMeasurement = (text, offset, length) => {
+  const before = text.slice(Math.max(0, offset - 12), offset);
+  const after = text.slice(offset + length, offset + length + 16);
+  return FOLLOWING_UNIT.test(after) || PRECEDING_CONTEXT.test(before);
+};
+
+/**
+ * Convert Devanagari digits to ASCII digits
+ * @param {string} text Text that may contain ० to ९
+ * @returns {string} Text with ASCII digits
+ */
+const toAsciiDigits = (text) => text.replace(/[०-९]/g, digit => String(digit.charCodeAt(0) - 0x0966));
+
+/**
+ * Find every verse reference in a text with its position
+ * Devanagari digits are single UTF-16 code units, so positions match the original text
+ * @param {string} text Text to scan
+ * @returns {Array<Object>} Matches { chapter, verse, valid, index, length, text } in order of appearance
+ */
+const findVerseReferences = (text) => {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  let remaining = toAsciiDigits(text);
+  const found = [];
+
+  for (const { regex, explicit, verseFirst } of REFERENCE_PATTERNS) {
+    regex.lastIndex = 0;
+    remaining = remaining.replace(regex, (match, first, second, offset, scanned) => {
+      const chapter = parseInt(verseFirst ? second : first, 10);
+      const verse = parseInt(verseFirst ? first : second, 10);
+      const valid = isValidVerse(chapter, verse);
+
+      // A bare number pair prefixed with BG or Gita is as explicit as "chapter X verse Y";
+      // without the prefix it must be a real verse and not read as a measurement or time
+      const prefixed = /^\D/.test(match);
+      if (!explicit && !prefixed && (!valid || isMeasurement(scanned, offset, match.length))) {
+        return match;
+      }
+
+      found.push({
+        chapter,
+        verse,
+        valid,
+        index: offset,
+        length: match.length,
+        text: text.substr(offset, match.length)
+      });
+      // Blank out the match so looser patterns do not count it twice
+      return ' '.repeat(match.length);
+    });
+  }
+
+  return found.sort((a, b) => a.index - b.index);
+};
+
+/**
+ * Find the verses a text refers to
+ * Only references to verses that exist in the Gita are returned
+ * @param {string} text Text to scan
+ * @returns {Array<Object>} Unique references { chapter, verse } in order of appearance
+ */
+const detectVerseReferences = (text) => {
+  const seen = new Set();
+  return findVerseReferences(text)
+    .filter(({ chapter, verse, valid }) => {
+      const key = `${chapter}.${verse}`;
+      if (!valid || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(({ chapter, verse }) => ({ chapter, verse }));
+};
+
+module.exports = {
+  findVerseReferences,
+  detectVerseReferences,
+  toAsciiDigits
+};